@@ -0,0 +1,254 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/metatx/ERC2771Context.sol";
+
+// ============================================================
+// 🗳️ Voting — elecciones con un voto por dirección
+// Acepta llamadas directas o reenviadas por el VotingForwarder (EIP-2771),
+// por eso el votante se obtiene siempre con _msgSender().
+// Las elecciones secretas usan commit-reveal: mientras están abiertas solo se
+// guarda keccak256(abi.encode(electionId, candidateId, salt, votante)) y entre
+// endTime y revealEndTime cada votante revela su voto. VoteRevealed no lleva la
+// opción y los recuentos (por candidato y totalVotes) no se publican hasta que
+// termina el revelado, para no ir adelantando resultados parciales.
+// ============================================================
+contract Voting is ERC2771Context {
+    struct Election {
+        string title;
+        uint64 startTime;
+        uint64 endTime;
+        uint256 candidateCount;
+        uint256 totalVotes;
+        bool exists;
+        bool secret;
+        uint64 revealEndTime;
+        uint256 commitCount;
+    }
+
+    struct Candidate {
+        string name;
+        uint256 votes;
+    }
+
+    address public admin;
+    uint256 public electionCount;
+
+    mapping(uint256 => Election) private elections;
+    mapping(uint256 => mapping(uint256 => Candidate)) private candidates;
+    mapping(uint256 => mapping(address => bool)) public hasVoted;
+    mapping(uint256 => mapping(address => bytes32)) public commitments;
+    mapping(uint256 => mapping(address => bool)) public hasRevealed;
+
+    event AdminTransferred(address indexed previousAdmin, address indexed newAdmin);
+    event ElectionCreated(uint256 indexed electionId, string title, uint64 startTime, uint64 endTime);
+    event CandidateAdded(uint256 indexed electionId, uint256 indexed candidateId, string name);
+    event VoteCast(uint256 indexed electionId, uint256 indexed candidateId, address indexed voter);
+    event SecretBallotConfigured(uint256 indexed electionId, uint64 revealEndTime);
+    event VoteCommitted(uint256 indexed electionId, address indexed voter, bytes32 commitment);
+    event VoteRevealed(uint256 indexed electionId, address indexed voter);
+
+    error NotAdmin();
+    error ElectionNotFound(uint256 electionId);
+    error CandidateNotFound(uint256 electionId, uint256 candidateId);
+    error ElectionNotOpen(uint256 electionId);
+    error ElectionAlreadyStarted(uint256 electionId);
+    error AlreadyVoted(uint256 electionId, address voter);
+    error InvalidSchedule();
+    error SecretBallot(uint256 electionId);
+    error NotSecretBallot(uint256 electionId);
+    error NotRevealing(uint256 electionId);
+    error NoCommitment(uint256 electionId, address voter);
+    error AlreadyRevealed(uint256 electionId, address voter);
+    error InvalidReveal(uint256 electionId, address voter);
+    error ResultsHidden(uint256 electionId);
+
+    modifier onlyAdmin() {
+        if (_msgSender() != admin) revert NotAdmin();
+        _;
+    }
+
+    modifier electionExists(uint256 electionId) {
+        if (!elections[electionId].exists) revert ElectionNotFound(electionId);
+        _;
+    }
+
+    constructor(address trustedForwarder_) ERC2771Context(trustedForwarder_) {
+        admin = _msgSender();
+        emit AdminTransferred(address(0), admin);
+    }
+
+    function transferAdmin(address newAdmin) external onlyAdmin {
+        emit AdminTransferred(admin, newAdmin);
+        admin = newAdmin;
+    }
+
+    /// @notice Crea una elección. startTime/endTime = 0 significa sin límite.
+    function createElection(string calldata title, uint64 startTime, uint64 endTime)
+        external
+        onlyAdmin
+        returns (uint256 electionId)
+    {
+        electionId = _createElection(title, startTime, endTime);
+    }
+
+    /// @notice Crea una elección de voto secreto (commit-reveal). Necesita endTime y revealEndTime > endTime.
+    function createSecretElection(string calldata title, uint64 startTime, uint64 endTime, uint64 revealEndTime)
+        external
+        onlyAdmin
+        returns (uint256 electionId)
+    {
+        if (endTime == 0 || revealEndTime <= endTime) revert InvalidSchedule();
+
+        electionId = _createElection(title, startTime, endTime);
+        Election storage e = elections[electionId];
+        e.secret = true;
+        e.revealEndTime = revealEndTime;
+
+        emit SecretBallotConfigured(electionId, revealEndTime);
+    }
+
+    function _createElection(string calldata title, uint64 startTime, uint64 endTime) private returns (uint256 electionId) {
+        if (endTime != 0 && endTime <= startTime) revert InvalidSchedule();
+
+        electionId = ++electionCount;
+        Election storage e = elections[electionId];
+        e.title = title;
+        e.startTime = startTime;
+        e.endTime = endTime;
+        e.exists = true;
+
+        emit ElectionCreated(electionId, title, startTime, endTime);
+    }
+
+    /// @notice Agrega un candidato mientras la elección no haya recibido votos.
+    function addCandidate(uint256 electionId, string calldata name)
+        external
+        onlyAdmin
+        electionExists(electionId)
+        returns (uint256 candidateId)
+    {
+        Election storage e = elections[electionId];
+        if (e.totalVotes > 0 || e.commitCount > 0) revert ElectionAlreadyStarted(electionId);
+
+        candidateId = ++e.candidateCount;
+        candidates[electionId][candidateId].name = name;
+
+        emit CandidateAdded(electionId, candidateId, name);
+    }
+
+    function vote(uint256 electionId, uint256 candidateId) external electionExists(electionId) {
+        Election storage e = elections[electionId];
+        address voter = _msgSender();
+
+        if (e.secret) revert SecretBallot(electionId);
+        if (!isOpen(electionId)) revert ElectionNotOpen(electionId);
+        if (candidateId == 0 || candidateId > e.candidateCount) revert CandidateNotFound(electionId, candidateId);
+        if (hasVoted[electionId][voter]) revert AlreadyVoted(electionId, voter);
+
+        hasVoted[electionId][voter] = true;
+        candidates[electionId][candidateId].votes += 1;
+        e.totalVotes += 1;
+
+        emit VoteCast(electionId, candidateId, voter);
+    }
+
+    /// @notice Voto secreto: guarda solo el compromiso (ver computeCommitment).
+    function commitVote(uint256 electionId, bytes32 commitment) external electionExists(electionId) {
+        Election storage e = elections[electionId];
+        address voter = _msgSender();
+
+        if (!e.secret) revert NotSecretBallot(electionId);
+        if (!isOpen(electionId)) revert ElectionNotOpen(electionId);
+        if (commitment == bytes32(0)) revert NoCommitment(electionId, voter);
+        if (hasVoted[electionId][voter]) revert AlreadyVoted(electionId, voter);
+
+        hasVoted[electionId][voter] = true;
+        commitments[electionId][voter] = commitment;
+        e.commitCount += 1;
+
+        emit VoteCommitted(electionId, voter, commitment);
+    }
+
+    /// @notice Revela un voto comprometido; solo entre endTime y revealEndTime.
+    function revealVote(uint256 electionId, uint256 candidateId, bytes32 salt) external electionExists(electionId) {
+        Election storage e = elections[electionId];
+        address voter = _msgSender();
+
+        if (!e.secret) revert NotSecretBallot(electionId);
+        if (!isRevealing(electionId)) revert NotRevealing(electionId);
+        bytes32 commitment = commitments[electionId][voter];
+        if (commitment == bytes32(0)) revert NoCommitment(electionId, voter);
+        if (hasRevealed[electionId][voter]) revert AlreadyRevealed(electionId, voter);
+        if (candidateId == 0 || candidateId > e.candidateCount) revert CandidateNotFound(electionId, candidateId);
+        if (computeCommitment(electionId, candidateId, salt, voter) != commitment) revert InvalidReveal(electionId, voter);
+
+        hasRevealed[electionId][voter] = true;
+        candidates[electionId][candidateId].votes += 1;
+        e.totalVotes += 1;
+
+        emit VoteRevealed(electionId, voter);
+    }
+
+    function computeCommitment(uint256 electionId, uint256 candidateId, bytes32 salt, address voter)
+        public
+        pure
+        returns (bytes32)
+    {
+        return keccak256(abi.encode(electionId, candidateId, salt, voter));
+    }
+
+    function isOpen(uint256 electionId) public view returns (bool) {
+        Election storage e = elections[electionId];
+        if (!e.exists) return false;
+        if (e.startTime != 0 && block.timestamp < e.startTime) return false;
+        if (e.endTime != 0 && block.timestamp > e.endTime) return false;
+        return true;
+    }
+
+    function isRevealing(uint256 electionId) public view returns (bool) {
+        Election storage e = elections[electionId];
+        return e.secret && block.timestamp > e.endTime && block.timestamp <= e.revealEndTime;
+    }
+
+    function _resultsHidden(Election storage e) private view returns (bool) {
+        return e.secret && block.timestamp <= e.revealEndTime;
+    }
+
+    function getElection(uint256 electionId)
+        external
+        view
+        electionExists(electionId)
+        returns (string memory title, uint64 startTime, uint64 endTime, uint256 candidateCount, uint256 totalVotes)
+    {
+        Election storage e = elections[electionId];
+        // totalVotes cuenta los revelados: oculto (0) hasta que cierra el revelado
+        uint256 shownVotes = _resultsHidden(e) ? 0 : e.totalVotes;
+        return (e.title, e.startTime, e.endTime, e.candidateCount, shownVotes);
+    }
+
+    function getBallot(uint256 electionId)
+        external
+        view
+        electionExists(electionId)
+        returns (bool secret, uint64 revealEndTime, uint256 commitCount)
+    {
+        Election storage e = elections[electionId];
+        return (e.secret, e.revealEndTime, e.commitCount);
+    }
+
+    function getCandidate(uint256 electionId, uint256 candidateId)
+        external
+        view
+        electionExists(electionId)
+        returns (string memory name, uint256 votes)
+    {
+        if (candidateId == 0 || candidateId > elections[electionId].candidateCount) {
+            revert CandidateNotFound(electionId, candidateId);
+        }
+        Election storage e = elections[electionId];
+        if (_resultsHidden(e)) revert ResultsHidden(electionId);
+        Candidate storage c = candidates[electionId][candidateId];
+        return (c.name, c.votes);
+    }
+}
@@ -0,0 +1,9 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/metatx/ERC2771Forwarder.sol";
+
+// Forwarder de confianza para el relayer gasless (nombre EIP-712 = FORWARDER_NAME)
+contract VotingForwarder is ERC2771Forwarder {
+    constructor() ERC2771Forwarder("VotingForwarder") {}
+}
@@ -0,0 +1,33 @@
+// logger.js
+// Logger central: consola + Socket.IO (system:log) + hoja "Logs" de Google Sheets
+
+const { appendToSheet } = require('./utils/googleSheets');
+
+let io = null;
+
+function attachIO(server) {
+  io = server;
+}
+
+// emite un evento a todos los clientes conectados (no falla si no hay socket)
+function emit(event, payload) {
+  if (io) io.emit(event, payload);
+}
+
+function emitLog(type, message, data = null) {
+  const payload = { type, message, data, time: new Date().toISOString() };
+  console.log(`[${type.toUpperCase()}] ${message}`, data || '');
+  emit('system:log', payload);
+  // también guarda a Sheets (no await)
+  appendToSheet('Logs', [payload.time, type, message, data ? JSON.stringify(data) : '']).catch(() => {});
+}
+
+const logger = {
+  info: (m, d) => emitLog('info', m, d),
+  success: (m, d) => emitLog('success', m, d),
+  warn: (m, d) => emitLog('warn', m, d),
+  error: (m, d) => emitLog('error', m, d),
+  action: (m, d) => emitLog('action', m, d)
+};
+
+module.exports = { logger, attachIO, emit };
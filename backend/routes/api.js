@@ -1,161 +1,110 @@
+// ============================================================
+// 🔌 /api - Capa de compatibilidad
+// Mantiene los nombres de acciones usados por el frontend y por el
+// antiguo backend.js / router de Sheets, y delega en handleAction.
+// ============================================================
 const express = require('express');
 const router = express.Router();
 const { logger } = require('../logger');
-const { appendRowToSheet, readSheetRows, getDoc } = require('../utils/googleSheets');
-const { ethers } = require('ethers'); // used for signature/tx verification if needed
 
-// Helper: read structured sheets (indexes configurable)
-const SHEET_INDEX = {
-  voters: 0,
-  elections: 1,
-  candidates: 2,
-  votes: 3
+// ----------------- anti-spam (por IP + acción) -----------------
+const lastCall = {};
+const LIMIT_MS = Number(process.env.ANTISPAM_MS || 800);
+// acciones de solo lectura que el frontend consulta en ráfaga
+const READ_ACTIONS = new Set([
+  'getActiveElections', 'getElections', 'getCandidates', 'getResults', 'getStats', 'getChartData',
+  'getVoterRoll', 'getVoterWeights', 'getEligibility', 'getIdentityReviews', 'getAnonymousAudit', 'getKeyCeremony', 'verifyEncryptedTally',
+  'getDelegations', 'getTypedData', 'getRelayStatus', 'getForwarderInfo', 'getReconciliation', 'verifyChain'
+]);
+
+function antiSpam(key, action) {
+  if (!action || READ_ACTIONS.has(action) || LIMIT_MS <= 0) return true;
+  const now = Date.now();
+  const id = key + ':' + action;
+  if (lastCall[id] && now - lastCall[id] < LIMIT_MS) return false;
+  lastCall[id] = now;
+  return true;
+}
+
+function seriesByDate(chart, field) {
+  return (chart.labels || []).map((date, i) => ({ date, [field]: chart.data[i] }));
+}
+
+// Papeletas anónimas: no se les añade la sesión ni la IP (ver ANONYMOUS_FIELDS en server.js)
+const ANONYMOUS_ACTIONS = new Set(['castAnonymousVote']);
+
+// Acciones del router de Sheets que ya no existen con ese nombre
+const LEGACY_ACTIONS = {
+  getVotersOverTime: async (handle) => {
+    const chart = await handle('getChartData', { type: 'votesHistory' });
+    return { success: chart.success, series: seriesByDate(chart, 'count') };
+  },
+  getActivitySeries: async (handle) => {
+    const chart = await handle('getChartData', { type: 'votesHistory' });
+    return { success: chart.success, series: seriesByDate(chart, 'votes') };
+  },
+  getCandidatesCountPerElection: async (handle) => {
+    const chart = await handle('getChartData', { type: 'candidatesByElection' });
+    const data = (chart.data || []).map(e => ({
+      electionId: e.electionId,
+      title: e.title,
+      candidatesCount: e.candidates.length
+    }));
+    return { success: chart.success, data };
+  },
+  getParticipation: async (handle, data, store) => {
+    // un voto anónimo guarda el nullifier como walletAddress: se cuenta aparte y no como wallet
+    const anonymous = store.db.votes.filter(v => v.nullifier).length;
+    const voted = new Set(store.db.votes.filter(v => !v.nullifier).map(v => v.walletAddress)).size;
+    return { success: true, voted, anonymous, notVoted: Math.max(0, store.db.voters.length - voted) };
+  }
 };
 
-// POST /api  (single-entry legacy endpoint)
-router.post('/', async (req, res) => {
-  const body = req.body || {};
-  const action = body.action || '';
-
-  try {
-    switch (action) {
-      case 'registerVoter': {
-        const { walletAddress, name, idNumber, email } = body;
-        if (!walletAddress || !name || !idNumber) return res.json({ success: false, error: 'Faltan datos' });
-        await appendRowToSheet(SHEET_INDEX.voters, { Fecha: new Date().toLocaleString(), Wallet: walletAddress, Name: name, ID: idNumber, Email: email });
-        return res.json({ success: true, message: 'Votante registrado' });
-      }
-
-      case 'getActiveElections': {
-        const rows = await readSheetRows(SHEET_INDEX.elections);
-        // map to expected fields
-        const elections = (rows || []).map((r, i) => ({
-          ElectionID: r[0] || i + 1,
-          Title: r[1] || 'Sin título',
-          Description: r[2] || '',
-          TotalVotes: Number(r[3] || 0)
-        }));
-        return res.json({ success: true, elections });
-      }
-
-      case 'getCandidates': {
-        const electionId = body.electionId;
-        const rows = await readSheetRows(SHEET_INDEX.candidates);
-        const candidates = (rows || []).filter(r => String(r[0]) === String(electionId)).map((r, i) => ({
-          CandidateID: r[1] || i+1,
-          Name: r[2] || 'Sin nombre',
-          Party: r[3] || '',
-          Votes: Number(r[4] || 0)
-        }));
-        return res.json({ success: true, candidates });
-      }
-
-      case 'castVote': {
-        const { walletAddress, electionId, candidateId } = body;
-        if (!walletAddress || !electionId || !candidateId) return res.json({ success: false, error: 'Faltan parámetros' });
-
-        // Append to votes sheet
-        await appendRowToSheet(SHEET_INDEX.votes, { Fecha: new Date().toLocaleString(), Wallet: walletAddress, ElectionID: electionId, CandidateID: candidateId });
-
-        // Emit socket event (server.js listens and will broadcast)
-        req.app.get('io')?.emit('vote:cast', { electionId, candidateId, walletAddress, timestamp: Date.now() });
-
-        return res.json({ success: true, voteId: Date.now().toString() });
-      }
+async function dispatch(req, res, data) {
+  const store = req.app.get('store');
+  const action = data.action;
 
-      case 'getStats': {
-        const voters = await readSheetRows(SHEET_INDEX.voters);
-        const elections = await readSheetRows(SHEET_INDEX.elections);
-        const candidates = await readSheetRows(SHEET_INDEX.candidates);
-        const votes = await readSheetRows(SHEET_INDEX.votes);
-        const stats = {
-          totalVoters: (voters || []).length,
-          totalElections: (elections || []).length,
-          totalCandidates: (candidates || []).length,
-          totalVotes: (votes || []).length
-        };
-        return res.json({ success: true, stats });
-      }
-
-      case 'getVotersOverTime': {
-        // naive: group votes by date (based on votes sheet)
-        const votes = await readSheetRows(SHEET_INDEX.votes);
-        const map = {};
-        (votes || []).forEach(r => {
-          const date = (r[0] && new Date(r[0]).toLocaleDateString()) || new Date().toLocaleDateString();
-          map[date] = (map[date] || 0) + 1;
-        });
-        const series = Object.keys(map).sort().map(d => ({ date: d, count: map[d] }));
-        return res.json({ success: true, series });
-      }
-
-      case 'getCandidatesCountPerElection': {
-        const elections = await readSheetRows(SHEET_INDEX.elections);
-        const candidates = await readSheetRows(SHEET_INDEX.candidates);
-        const out = (elections || []).map((e, idx) => {
-          const electionId = e[0] || idx+1;
-          const title = e[1] || `Elección ${electionId}`;
-          const count = (candidates || []).filter(c => String(c[0]) === String(electionId)).length;
-          return { electionId, title, candidatesCount: count };
-        });
-        return res.json({ success: true, data: out });
-      }
-
-      case 'getParticipation': {
-        const voters = await readSheetRows(SHEET_INDEX.voters);
-        const votes = await readSheetRows(SHEET_INDEX.votes);
-        const votedSet = new Set((votes || []).map(r => r[1])); // Wallet column assumed at index 1
-        return res.json({ success: true, voted: votedSet.size, notVoted: Math.max(0, (voters || []).length - votedSet.size) });
-      }
-
-      case 'getActivitySeries': {
-        // use votes grouped by date (same as voters over time)
-        const votes = await readSheetRows(SHEET_INDEX.votes);
-        const map = {};
-        (votes || []).forEach(r => {
-          const date = (r[0] && new Date(r[0]).toLocaleDateString()) || new Date().toLocaleDateString();
-          map[date] = (map[date] || 0) + 1;
-        });
-        const series = Object.keys(map).sort().map(d => ({ date: d, votes: map[d] }));
-        return res.json({ success: true, series });
-      }
+  if (!action) {
+    return res.json({ success: true, message: 'API Online', timestamp: new Date().toISOString() });
+  }
 
-      case 'verifyTx': {
-        // Basic stub — if you want real RPC check, implement with provider.getTransactionReceipt
-        const txHash = body.txHash;
-        if (!txHash) return res.json({ success: false, error: 'txHash requerido' });
-        // return not implemented
-        return res.json({ success: false, error: 'verifyTx no implementado en este backend. Implementar RPC provider.' });
-      }
+  if (!antiSpam(req.ip, action)) {
+    logger.warn('Spam bloqueado', { action, ip: req.ip });
+    return res.status(429).json({ success: false, error: 'Demasiadas solicitudes' });
+  }
 
-      default:
-        return res.json({ success: false, error: 'Action no soportada' });
-    }
+  try {
+    const handle = (name, payload) => store.handleAction(name, payload);
+    const legacy = LEGACY_ACTIONS[action];
+    // el admin es siempre el de la sesión, nunca el que venga en el cuerpo
+    const adminAddress = req.auth ? req.auth.address : undefined;
+    const payload = ANONYMOUS_ACTIONS.has(action) ? data : { ...data, adminAddress, ipAddress: data.ipAddress || req.ip };
+    const result = legacy ? await legacy(handle, data, store) : await handle(action, payload);
+    res.json(result);
   } catch (err) {
-    logger.error('API error: ' + err.message);
-    return res.json({ success: false, error: err.message || String(err) });
+    logger.error('Error en API', { action, error: err.message });
+    const status = /^Acción desconocida/.test(err.message) ? 400 : 500;
+    res.status(status).json({ success: false, error: err.message });
   }
-});
-
-// Export CSV / XLSX endpoints (simple redirect to Google Sheets export)
-router.get('/db/export/csv', (req, res) => {
-  const adminKey = req.query.adminKey;
-  if (adminKey !== process.env.ADMIN_KEY) return res.status(403).send('Forbidden');
-  const sheetId = process.env.GOOGLE_SHEET_ID;
-  if (!sheetId) return res.status(500).send('No GOOGLE_SHEET_ID');
-  const gid = req.query.gid || '0';
-  const url = `https://docs.google.com/spreadsheets/d/${sheetId}/export?format=csv&gid=${gid}`;
-  res.redirect(url);
-});
-
-router.get('/db/export/xlsx', (req, res) => {
-  const adminKey = req.query.adminKey;
-  if (adminKey !== process.env.ADMIN_KEY) return res.status(403).send('Forbidden');
-  const sheetId = process.env.GOOGLE_SHEET_ID;
-  if (!sheetId) return res.status(500).send('No GOOGLE_SHEET_ID');
-  const gid = req.query.gid || '0';
-  const url = `https://docs.google.com/spreadsheets/d/${sheetId}/export?format=xlsx&gid=${gid}`;
-  res.redirect(url);
-});
+}
+
+// GET /api?action=...
+router.get('/', (req, res) => dispatch(req, res, req.query));
+
+// POST /api  { action, ... }
+router.post('/', (req, res) => dispatch(req, res, req.body || {}));
+
+// Export CSV / XLSX (rol auditor): redirige a /export/:format/:sheet de routes/db.js, que
+// solo exporta las hojas permitidas y descifra los datos personales según el rol. Ya no se
+// acepta un gid arbitrario de la hoja de Google
+function sheetExport(format) {
+  return (req, res) => {
+    const sheet = String(req.query.sheet || 'Votos');
+    res.redirect(`/export/${format}/${encodeURIComponent(sheet)}`);
+  };
+}
+
+router.get('/db/export/csv', sheetExport('csv'));
+router.get('/db/export/xlsx', sheetExport('xlsx'));
 
 module.exports = router;
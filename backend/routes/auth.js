@@ -0,0 +1,90 @@
+// ============================================================
+// 🔐 /auth - Sign-In with Ethereum (EIP-4361) y sesiones JWT
+// GET /auth/nonce → POST /auth/login { message, signature } → Bearer token
+// ============================================================
+const express = require('express');
+const router = express.Router();
+const siwe = require('../utils/siwe');
+const { grantsOf } = require('../utils/rbac');
+const { logger } = require('../logger');
+
+// Dominio que debe figurar en el mensaje: el configurado o el Host de la petición
+function expectedDomain(req, config) {
+  return config.SIWE_DOMAIN || req.get('host');
+}
+
+// Nonce de un solo uso; con ?address= devuelve además el mensaje listo para firmar
+router.get('/nonce', (req, res) => {
+  const { sessions, config } = req.app.get('store');
+  const nonce = sessions.issueNonce();
+  const domain = expectedDomain(req, config);
+  const result = { success: true, nonce, domain, chainId: config.CHAIN_ID };
+
+  if (req.query.address) {
+    try {
+      const issuedAt = new Date();
+      result.message = siwe.buildMessage({
+        domain,
+        address: req.query.address,
+        uri: `${req.protocol}://${domain}`,
+        chainId: config.CHAIN_ID,
+        nonce,
+        issuedAt: issuedAt.toISOString(),
+        expirationTime: new Date(issuedAt.getTime() + 10 * 60 * 1000).toISOString()
+      });
+    } catch (err) {
+      return res.status(400).json({ success: false, error: 'Dirección inválida' });
+    }
+  }
+  res.json(result);
+});
+
+router.post('/login', async (req, res) => {
+  const store = req.app.get('store');
+  const { sessions, config } = store;
+  const { message, signature } = req.body || {};
+  if (!message || !signature) {
+    return res.status(400).json({ success: false, error: 'message y signature son obligatorios' });
+  }
+
+  try {
+    const fields = siwe.verifyMessage({
+      message,
+      signature,
+      domain: expectedDomain(req, config),
+      chainId: config.CHAIN_ID,
+      consumeNonce: sessions.consumeNonce
+    });
+    const grants = grantsOf(store.db, config, fields.address);
+    const { token, payload } = sessions.sign({ sub: fields.address, roles: [...new Set(grants.map(g => g.role))] });
+
+    await store.mutate(() => store.logAudit('login', fields.address, { roles: payload.roles }, 'success'));
+    logger.info('Sesión iniciada', { address: fields.address });
+    res.json({
+      success: true,
+      token,
+      address: fields.address,
+      grants,
+      expiresAt: new Date(payload.exp * 1000).toISOString()
+    });
+  } catch (err) {
+    await store.mutate(() => store.logAudit('login', 'unknown', {}, 'error', err.message));
+    res.status(401).json({ success: false, error: err.message });
+  }
+});
+
+router.get('/me', (req, res) => {
+  res.json({
+    success: true,
+    address: req.auth.address,
+    grants: req.auth.grants,
+    expiresAt: new Date(req.auth.claims.exp * 1000).toISOString()
+  });
+});
+
+router.post('/logout', (req, res) => {
+  req.app.get('store').sessions.revoke(req.auth.claims);
+  res.json({ success: true, message: 'Sesión cerrada' });
+});
+
+module.exports = router;
@@ -0,0 +1,117 @@
+// ============================================================
+// 🗄️ Rutas de administración de la base de datos
+// /db/all, /db/reset, /db/sync-to-sheets, /export/csv|xlsx/:sheet (hojas de SHEET_COLLECTIONS y Resultados)
+// Los permisos (auditor / superadmin) los aplica el middleware de utils/rbac.js
+// ============================================================
+const express = require('express');
+const XLSX = require('xlsx');
+const router = express.Router();
+const { logger } = require('../logger');
+const { readSheet } = require('../utils/googleSheets');
+const { canRevealPII } = require('../utils/rbac');
+const pii = require('../utils/pii');
+
+// Nombres de hoja (y los antiguos de backend.js) → colección local
+const SHEET_COLLECTIONS = {
+  Votantes: 'voters',
+  Elecciones: 'elections',
+  Candidatos: 'candidates',
+  Votos: 'votes',
+  SysActivity: 'sysActivity'
+};
+
+// Hojas calculadas con los datos locales: resultados por elección, pregunta y candidato
+const DERIVED_SHEETS = {
+  Resultados: store => store.resultRows()
+};
+
+// Hoja exportable por su nombre o por el de su colección ('votes' → Votos); null si no lo es
+function exportSheet(name) {
+  if (SHEET_COLLECTIONS[name]) return name;
+  return Object.keys(SHEET_COLLECTIONS).find(sheet => SHEET_COLLECTIONS[sheet] === name) || null;
+}
+
+// Prefiere la hoja de Google Sheets y cae a los datos locales; los datos personales
+// se descifran solo para superadmin. Solo se exportan las hojas de SHEET_COLLECTIONS
+// y DERIVED_SHEETS: null para cualquier otro nombre
+async function loadRows(req, name) {
+  const store = req.app.get('store');
+  if (DERIVED_SHEETS[name]) return DERIVED_SHEETS[name](store);
+  const sheetName = exportSheet(name);
+  if (!sheetName) return null;
+  let rows = await readSheet(sheetName).catch(() => []);
+  if (!rows || !rows.length) rows = store.db[SHEET_COLLECTIONS[sheetName]] || [];
+  return pii.viewRows(rows, canRevealPII(req.auth.grants));
+}
+
+function notExportable(res, sheetName) {
+  return res.status(404).json({ success: false, error: `Hoja no exportable: ${sheetName}` });
+}
+
+function csvCell(value) {
+  const text = value && typeof value === 'object' ? JSON.stringify(value) : String(value ?? '');
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+router.get('/db/all', (req, res) => {
+  const db = req.app.get('store').db;
+  const reveal = canRevealPII(req.auth.grants);
+  res.json({ success: true, data: { ...db, voters: db.voters.map(v => pii.viewVoter(v, reveal)) } });
+});
+
+router.post('/db/reset', async (req, res) => {
+  const store = req.app.get('store');
+  try {
+    await store.reset();
+    await store.mutate(() => store.logAudit('resetDatabase', req.auth.address, {}, 'success'));
+    logger.warn('DB reseteada por admin', { address: req.auth.address });
+    res.json({ success: true, message: 'DB reseteada' });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+router.get('/export/csv/:sheet', async (req, res) => {
+  try {
+    const sheetName = req.params.sheet;
+    const rows = await loadRows(req, sheetName);
+    if (!rows) return notExportable(res, sheetName);
+    if (!rows.length) return res.send('');
+    // unión de columnas: las filas antiguas no tienen los campos añadidos después (p. ej. round)
+    const headers = [...new Set(rows.flatMap(r => Object.keys(r)))];
+    const csv = [headers.join(','), ...rows.map(r => headers.map(h => csvCell(r[h])).join(','))].join('\n');
+    res.setHeader('Content-Disposition', `attachment; filename="${sheetName}.csv"`);
+    res.setHeader('Content-Type', 'text/csv');
+    res.send(csv);
+  } catch (err) {
+    console.error('CSV export error', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+router.get('/export/xlsx/:sheet', async (req, res) => {
+  try {
+    const sheetName = req.params.sheet;
+    const rows = await loadRows(req, sheetName);
+    if (!rows) return notExportable(res, sheetName);
+    const flat = rows.map(r => Object.fromEntries(Object.entries(r).map(([k, v]) =>
+      [k, v && typeof v === 'object' ? JSON.stringify(v) : v])));
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(flat), sheetName.slice(0, 31));
+    const buffer = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+    res.setHeader('Content-Disposition', `attachment; filename="${sheetName}.xlsx"`);
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.send(buffer);
+  } catch (err) {
+    console.error('XLSX export error', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Sincronización completa JSON → Sheets (superadmin)
+router.post('/db/sync-to-sheets', async (req, res) => {
+  const store = req.app.get('store');
+  res.json(await store.handleAction('syncToSheets', {}));
+});
+
+module.exports = router;
@@ -1,46 +1,64 @@
-// ============================================================
-// 🧬 EIP-712 Signature Receiver (Backend)
-// Puerto: 3002
-// ============================================================
-const express = require('express');
-const router = express.Router();
-
-router.post("/verify-signature", async (req, res) => {
-    try {
-        const { typedData, signature, address } = req.body;
-
-        if (!typedData || !signature || !address) {
-            return res.status(400).json({
-                success: false,
-                error: "Missing typedData, signature or address"
-            });
-        }
-
-        // Guardar en la "blockchain" local
-        global.DATABASE.blockchain.push({
-            timestamp: new Date().toISOString(),
-            action: "EIP712_SIGNATURE",
-            signer: address.toLowerCase(),
-            payload: typedData,
-            signature,
-            blockNumber: global.DATABASE.blockchain.length
-        });
-
-        await global.saveDatabase();
-
-        return res.json({
-            success: true,
-            message: "Signature stored correctly",
-            signature,
-            address
-        });
-
-    } catch (err) {
-        return res.status(500).json({
-            success: false,
-            error: err.message
-        });
-    }
-});
-
-module.exports = router;
+// ============================================================
+// 🧬 EIP-712 Signature Receiver (Backend)
+// Puerto: 3002
+// ============================================================
+const express = require('express');
+const router = express.Router();
+const { recoverSigner } = require('../utils/eip712');
+
+router.post("/verify-signature", async (req, res) => {
+    try {
+        const { typedData, signature, address } = req.body;
+
+        if (!typedData || !signature || !address) {
+            return res.status(400).json({
+                success: false,
+                error: "Missing typedData, signature or address"
+            });
+        }
+
+        // Recuperar el firmante y compararlo con la dirección declarada
+        let signer;
+        try {
+            signer = recoverSigner(typedData.domain, typedData.types, typedData.message, signature);
+        } catch (err) {
+            return res.status(400).json({ success: false, error: err.message });
+        }
+
+        if (signer !== address.toLowerCase()) {
+            return res.status(401).json({
+                success: false,
+                error: "Signature does not match address",
+                signer
+            });
+        }
+
+        const deadline = typedData.message && typedData.message.deadline;
+        if (deadline && Number(deadline) < Math.floor(Date.now() / 1000)) {
+            return res.status(401).json({ success: false, error: "Signature expired" });
+        }
+
+        // Guardar en la "blockchain" local
+        const store = req.app.get("store");
+        await store.mutate(() => store.logBlockchain("EIP712_SIGNATURE", {
+            signer,
+            payload: typedData,
+            signature
+        }));
+
+        return res.json({
+            success: true,
+            message: "Signature verified and stored",
+            signature,
+            address: signer
+        });
+
+    } catch (err) {
+        return res.status(500).json({
+            success: false,
+            error: err.message
+        });
+    }
+});
+
+module.exports = router;
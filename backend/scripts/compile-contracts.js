@@ -0,0 +1,101 @@
+// ============================================================
+// 🔨 Compila contracts/*.sol con solc-js y genera:
+//   - contracts/artifacts/<Contrato>.json (abi + bytecode) para el deploy (no se versiona)
+//   - abi/votingAbi.js, el único módulo de ABI: el backend lo usa con require y el
+//     frontend lo carga de GET /votingAbi.js (<script>)
+// Uso: npm run compile:contracts
+// ============================================================
+
+const fs = require('fs');
+const path = require('path');
+const solc = require('solc');
+
+const ROOT = path.join(__dirname, '..');
+const CONTRACTS_DIR = path.join(ROOT, 'contracts');
+const ARTIFACTS_DIR = path.join(CONTRACTS_DIR, 'artifacts');
+const ABI_MODULE = path.join(ROOT, 'abi', 'votingAbi.js');
+const CONTRACTS = ['Voting', 'VotingForwarder'];
+
+function findImports(importPath) {
+  try {
+    return { contents: fs.readFileSync(require.resolve(importPath), 'utf8') };
+  } catch (err) {
+    return { error: 'Import no encontrado: ' + importPath };
+  }
+}
+
+function compile() {
+  const sources = {};
+  for (const name of CONTRACTS) {
+    sources[`${name}.sol`] = { content: fs.readFileSync(path.join(CONTRACTS_DIR, `${name}.sol`), 'utf8') };
+  }
+
+  const input = {
+    language: 'Solidity',
+    sources,
+    settings: {
+      evmVersion: 'paris',
+      optimizer: { enabled: true, runs: 200 },
+      outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } }
+    }
+  };
+
+  const output = JSON.parse(solc.compile(JSON.stringify(input), { import: findImports }));
+  const errors = (output.errors || []).filter(e => e.severity === 'error');
+  (output.errors || []).filter(e => e.severity !== 'error').forEach(e => console.warn(e.formattedMessage));
+  if (errors.length) {
+    errors.forEach(e => console.error(e.formattedMessage));
+    throw new Error('Compilación fallida');
+  }
+
+  const artifacts = {};
+  for (const name of CONTRACTS) {
+    const contract = output.contracts[`${name}.sol`][name];
+    artifacts[name] = {
+      contractName: name,
+      compiler: solc.version(),
+      abi: contract.abi,
+      bytecode: '0x' + contract.evm.bytecode.object
+    };
+  }
+  return artifacts;
+}
+
+function writeAbiModule(artifacts) {
+  const abis = {};
+  for (const name of CONTRACTS) abis[name] = artifacts[name].abi;
+
+  const source = `// Archivo generado por scripts/compile-contracts.js — no editar a mano
+(function (root, abis) {
+  if (typeof module === 'object' && module.exports) module.exports = abis;
+  else root.VotingABI = abis;
+})(typeof self !== 'undefined' ? self : this, ${JSON.stringify(abis, null, 2)});
+`;
+
+  fs.mkdirSync(path.dirname(ABI_MODULE), { recursive: true });
+  fs.writeFileSync(ABI_MODULE, source);
+}
+
+function main() {
+  console.log(`🔨 Compilando con solc ${solc.version()}...`);
+  const artifacts = compile();
+
+  fs.mkdirSync(ARTIFACTS_DIR, { recursive: true });
+  for (const name of CONTRACTS) {
+    fs.writeFileSync(path.join(ARTIFACTS_DIR, `${name}.json`), JSON.stringify(artifacts[name], null, 2) + '\n');
+  }
+  writeAbiModule(artifacts);
+
+  console.log('✅ Artifacts en contracts/artifacts y ABI en abi/votingAbi.js');
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error('❌', err.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { compile };
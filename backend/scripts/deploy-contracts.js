@@ -0,0 +1,77 @@
+// ============================================================
+// 🚀 Despliega VotingForwarder + Voting en una red local (Hardhat/Anvil)
+// Uso: npm run deploy:local
+//   RPC_URL              (default http://127.0.0.1:8545)
+//   DEPLOYER_PRIVATE_KEY (default: cuenta #0 de Hardhat/Anvil, solo chainId 31337)
+// ============================================================
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const ARTIFACTS_DIR = path.join(__dirname, '..', 'contracts', 'artifacts');
+const DEPLOYMENTS_DIR = path.join(__dirname, '..', 'contracts', 'deployments');
+const RPC_URL = process.env.RPC_URL || 'http://127.0.0.1:8545';
+const LOCAL_CHAIN_ID = 31337n;
+// Clave pública y conocida de la cuenta #0 de Hardhat/Anvil — nunca usar fuera de una red local
+const LOCAL_DEV_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+
+function loadArtifact(name) {
+  const file = path.join(ARTIFACTS_DIR, `${name}.json`);
+  if (!fs.existsSync(file)) throw new Error(`Falta ${file}. Ejecuta npm run compile:contracts`);
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+async function deploy(wallet, name, args = []) {
+  const artifact = loadArtifact(name);
+  const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, wallet);
+  const contract = await factory.deploy(...args);
+  await contract.waitForDeployment();
+  const address = await contract.getAddress();
+  console.log(`   ${name}: ${address}`);
+  return address;
+}
+
+async function main() {
+  const provider = new ethers.JsonRpcProvider(RPC_URL);
+  const { chainId } = await provider.getNetwork();
+
+  let privateKey = process.env.DEPLOYER_PRIVATE_KEY;
+  if (!privateKey) {
+    if (chainId !== LOCAL_CHAIN_ID) throw new Error('DEPLOYER_PRIVATE_KEY es obligatorio fuera de la red local');
+    privateKey = LOCAL_DEV_KEY;
+  }
+  const wallet = new ethers.Wallet(privateKey, provider);
+
+  console.log(`🚀 Desplegando en ${RPC_URL} (chainId ${chainId}) desde ${wallet.address}`);
+  const forwarder = await deploy(wallet, 'VotingForwarder');
+  const voting = await deploy(wallet, 'Voting', [forwarder]);
+
+  const deployment = {
+    chainId: chainId.toString(),
+    deployer: wallet.address,
+    deployedAt: new Date().toISOString(),
+    VotingForwarder: forwarder,
+    Voting: voting
+  };
+  fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+  fs.writeFileSync(path.join(DEPLOYMENTS_DIR, `${chainId}.json`), JSON.stringify(deployment, null, 2) + '\n');
+
+  console.log(`
+✅ Despliegue completo. Agrega a tu .env:
+   CHAIN_ID=${chainId}
+   VOTING_CONTRACT_ADDRESS=${voting}
+   FORWARDER_ADDRESS=${forwarder}
+`);
+  return deployment;
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('❌ Error desplegando:', err.shortMessage || err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { deploy, main };
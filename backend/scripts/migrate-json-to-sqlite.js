@@ -0,0 +1,106 @@
+// ============================================================
+// 🔄 Importa uno o varios database.json a SQLite
+// Uso: npm run migrate:sqlite -- [--out data/database.sqlite] [--merge] [archivo.json ...]
+//   Sin archivos usa data/database.json y el database.json del antiguo backend.js.
+//   Los registros que violan una clave única (p. ej. el mismo wallet votando dos
+//   veces en una elección) se omiten y se informan. La cadena de bloques se toma
+//   del primer archivo que la tenga.
+// ============================================================
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const schema = require('../utils/schema');
+const { COLLECTIONS, createSqliteAdapter } = require('../storage');
+
+const BACKEND_DIR = path.join(__dirname, '..');
+const DEFAULT_INPUTS = [
+  process.env.DATA_FILE || path.join(BACKEND_DIR, 'data', 'database.json'),
+  path.join(BACKEND_DIR, 'database.json')
+];
+
+function parseArgs(argv) {
+  const args = { out: process.env.SQLITE_FILE || path.join(BACKEND_DIR, 'data', 'database.sqlite'), merge: false, inputs: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out') args.out = argv[++i];
+    else if (argv[i] === '--merge') args.merge = true;
+    else args.inputs.push(argv[i]);
+  }
+  if (!args.inputs.length) args.inputs = DEFAULT_INPUTS.filter(f => fs.existsSync(f));
+  return args;
+}
+
+// Claves fuera de las tablas (usedNonces, relayerLog, indexer...): listas se concatenan
+function mergeMeta(target, source) {
+  Object.keys(source).filter(key => !COLLECTIONS.includes(key)).forEach(key => {
+    if (Array.isArray(source[key])) target[key] = [...(target[key] || []), ...source[key]];
+    else if (target[key] === undefined) target[key] = source[key];
+  });
+}
+
+function migrate({ out, merge, inputs }) {
+  if (!inputs.length) throw new Error('No se encontró ningún database.json para importar');
+
+  const store = createSqliteAdapter({ file: out });
+  const { data: existing } = store.load();
+  if (existing && !merge) {
+    store.close();
+    throw new Error(`${out} ya contiene datos (usa --merge para agregar)`);
+  }
+
+  const db = existing || {};
+  COLLECTIONS.forEach(c => { db[c] = db[c] || []; });
+  const report = { imported: {}, skipped: {} };
+  COLLECTIONS.forEach(c => { report.imported[c] = 0; report.skipped[c] = 0; });
+
+  store.transaction(() => {
+    for (const file of inputs) {
+      const source = JSON.parse(fs.readFileSync(file, 'utf8'));
+      schema.normalizeDatabase(source);
+      console.log(`📥 ${file}`);
+
+      // una sola cadena de bloques: mezclar dos rompería los enlaces prevHash
+      if (db.blockchain.length && (source.blockchain || []).length) {
+        report.skipped.blockchain += source.blockchain.length;
+        source.blockchain = [];
+      }
+
+      COLLECTIONS.forEach(collection => {
+        (source[collection] || []).forEach(record => {
+          try {
+            store.insert(db, collection, record);
+            report.imported[collection]++;
+          } catch (err) {
+            if (err.code !== 'DUPLICATE_RECORD') throw err;
+            report.skipped[collection]++;
+          }
+        });
+      });
+      mergeMeta(db, source);
+    }
+  });
+
+  return store.persist(db).then(() => {
+    store.close();
+    return report;
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const report = await migrate(args);
+  console.log(`✅ Migración completa → ${args.out}`);
+  COLLECTIONS.forEach(c => {
+    const skipped = report.skipped[c] ? ` (${report.skipped[c]} duplicados omitidos)` : '';
+    console.log(`   ${c.padEnd(11)} ${report.imported[c]}${skipped}`);
+  });
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('❌ Error en la migración:', err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { migrate };
@@ -0,0 +1,27 @@
+// ============================================================
+// 🔑 Rotación de la clave de cifrado de datos personales
+// Uso: CRYPTO_SECRET=<nueva> CRYPTO_PREVIOUS_SECRETS=<anterior,...> npm run rotate:pii-key
+//   Re-cifra con CRYPTO_SECRET los datos personales de todos los votantes (y cifra los
+//   que estén en claro) y las claves del registrador del voto anónimo, y recalcula el
+//   índice ciego del DNI. Ejecutar con el servidor
+//   detenido; después CRYPTO_PREVIOUS_SECRETS puede quedar vacío.
+// ============================================================
+
+process.env.INDEXER_ENABLED = '0';
+const { handleAction } = require('../server');
+
+async function main() {
+  const init = await handleAction('init', {});
+  if (!init.success) throw new Error(init.error);
+
+  const result = await handleAction('rotatePiiKey', {});
+  console.log(`🔐 Votantes re-cifrados: ${result.sealed || 0}`);
+  if (!result.success) throw new Error(result.error || `${result.failed} votantes no se pudieron descifrar`);
+}
+
+main()
+  .then(() => 0, err => {
+    console.error('❌', err.message);
+    return 1;
+  })
+  .then(code => process.exit(code));
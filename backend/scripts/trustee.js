@@ -0,0 +1,65 @@
+// ============================================================
+// 🔐 Herramienta del trustee para elecciones con recuento cifrado (sin conexión)
+// Uso: npm run trustee -- <comando> ...
+//   keygen <secreto.json>                 genera la clave de transporte (guarda la privada)
+//   deal <ceremonia.json>                 reparto Feldman para submitKeyDealing
+//   decrypt <ceremonia.json> <secreto.json>
+//                                         participación de descifrado para submitDecryptionShare
+//   ceremonia.json es la respuesta de getKeyCeremony. Cada comando imprime el JSON a enviar
+//   a /api; ninguna clave privada sale de esta máquina.
+// ============================================================
+
+const fs = require('fs');
+const elgamal = require('../utils/elgamal');
+
+function readJson(file) {
+  if (!file) throw new Error('Falta el archivo');
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function keygen(secretFile) {
+  if (!secretFile) throw new Error('Falta el archivo donde guardar la clave privada');
+  if (fs.existsSync(secretFile)) throw new Error(`${secretFile} ya existe`);
+  const key = elgamal.generateTransportKey();
+  fs.writeFileSync(secretFile, JSON.stringify(key, null, 2), { mode: 0o600 });
+  return { transportKey: key.publicKey };
+}
+
+function deal(ceremonyFile) {
+  const ceremony = readJson(ceremonyFile);
+  if (ceremony.trustees.some(t => !t.transportKey)) {
+    throw new Error('Todavía faltan claves de transporte de otros trustees');
+  }
+  const dealing = elgamal.createDealing(ceremony.threshold,
+    ceremony.trustees.map(t => ({ index: t.index, publicKey: t.transportKey })));
+  return { electionId: ceremony.electionId, ...dealing };
+}
+
+function decrypt(ceremonyFile, secretFile) {
+  const ceremony = readJson(ceremonyFile);
+  const key = readJson(secretFile);
+  const trustee = ceremony.trustees.find(t => t.transportKey === key.publicKey);
+  if (!trustee) throw new Error('La clave de transporte no corresponde a ningún trustee de la elección');
+  if (!ceremony.aggregate) throw new Error('La elección no tiene recuento cifrado');
+
+  const secret = elgamal.trusteeSecret(ceremony.dealings, trustee.index, key.secret);
+  if (elgamal.verificationKey(ceremony.dealings, trustee.index) !== ceremony.verificationKeys[trustee.index]) {
+    throw new Error('La clave de verificación publicada no coincide con los repartos');
+  }
+  const shares = {};
+  Object.entries(ceremony.aggregate.totals).forEach(([candidateId, ct]) => {
+    shares[candidateId] = elgamal.decryptionShare(ct.a, secret, `${ceremony.electionId}:${candidateId}`);
+  });
+  return { electionId: ceremony.electionId, shares };
+}
+
+const COMMANDS = { keygen, deal, decrypt };
+
+try {
+  const [command, ...args] = process.argv.slice(2);
+  if (!COMMANDS[command]) throw new Error('Comando desconocido. Usa keygen, deal o decrypt');
+  console.log(JSON.stringify(COMMANDS[command](...args), null, 2));
+} catch (err) {
+  console.error('❌', err.message);
+  process.exit(1);
+}
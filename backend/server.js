@@ -1,66 +1,141 @@
 // ============================================================
 // 🗳️ SISTEMA DE VOTACIÓN BLOCKCHAIN GASLESS - Backend Node.js
 // Alternativa a Google Apps Script usando Express + Base de Datos
+// Backend único: JSON + Google Sheets + Socket.IO (reemplaza a backend.js)
 // ============================================================
 
+require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const { v4: uuidv4 } = require('uuid');
+const http = require('http');
+const { Server } = require('socket.io');
 const fs = require('fs').promises;
+const fsSync = require('fs');
 const path = require('path');
-require('dotenv').config();
+const { logger, attachIO, emit } = require('./logger');
+const sheets = require('./utils/googleSheets');
+const schema = require('./utils/schema');
+const ledger = require('./utils/ledger');
+const eip712 = require('./utils/eip712');
+const { createRelayer, FORWARD_REQUEST_TYPES } = require('./utils/relayer');
+const { verifyVoteTx } = require('./utils/txVerifier');
+const { createIndexer } = require('./utils/indexer');
+const { createStorage } = require('./storage');
+const { createMutex } = require('./utils/mutex');
+const { createJournal } = require('./utils/journal');
+const lifecycle = require('./utils/electionLifecycle');
+const voterRoll = require('./utils/voterRoll');
+const ballot = require('./utils/ballotMode');
+const commitReveal = require('./utils/commitReveal');
+const votingMethods = require('./utils/votingMethods');
+const electionRules = require('./utils/electionRules');
+const voterWeights = require('./utils/voterWeights');
+const ballotQuestions = require('./utils/ballotQuestions');
+const blindSignature = require('./utils/blindSignature');
+const elgamal = require('./utils/elgamal');
+const { createRegistrarKeys } = require('./utils/registrarKeys');
+const rbac = require('./utils/rbac');
+const pii = require('./utils/pii');
+const identity = require('./utils/identity');
+const fieldCrypto = require('./utils/crypto');
+const { createSessions } = require('./utils/session');
 
 const app = express();
-const PORT = process.env.BACKEND_PORT || 3002;
+const PORT = process.env.BACKEND_PORT || process.env.PORT || 3002;
 
 // Middleware
-app.use(cors());
-app.use(express.json());
+app.use(cors({ origin: '*' }));
+app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // --- CONFIGURACIÓN ---
 const CONFIG = {
-  ADMIN_ADDRESSES: (process.env.ADMIN_ADDRESSES || '').split(',').map(a => a.toLowerCase().trim()),
+  // superadmins de arranque; el resto de roles se asigna con grantRole
+  ADMIN_ADDRESSES: (process.env.ADMIN_ADDRESSES || '').split(',').map(a => a.toLowerCase().trim()).filter(Boolean),
   VOTING_CONTRACT_ADDRESS: process.env.VOTING_CONTRACT_ADDRESS || '',
+  CHAIN_ID: parseInt(process.env.CHAIN_ID || '31337'),
   FORWARDER_ADDRESS: process.env.FORWARDER_ADDRESS || '',
   RELAYER_URL: process.env.RELAYER_URL || 'http://localhost:3001',
-  DATA_DIR: path.join(__dirname, 'data')
+  RELAYER_RPC_URL: process.env.RELAYER_RPC_URL || process.env.RPC_URL || 'http://127.0.0.1:8545',
+  RELAYER_PRIVATE_KEY: process.env.RELAYER_PRIVATE_KEY || '',
+  FORWARDER_NAME: process.env.FORWARDER_NAME || 'VotingForwarder',
+  RPC_URL: process.env.RPC_URL || 'http://127.0.0.1:8545',
+  MIN_CONFIRMATIONS: parseInt(process.env.MIN_CONFIRMATIONS || '1'),
+  INDEXER_ENABLED: process.env.INDEXER_ENABLED !== '0',
+  INDEXER_START_BLOCK: parseInt(process.env.INDEXER_START_BLOCK || '0'),
+  INDEXER_REORG_DEPTH: parseInt(process.env.INDEXER_REORG_DEPTH || '12'),
+  INDEXER_POLL_MS: parseInt(process.env.INDEXER_POLL_MS || '15000'),
+  // Tiempo que se espera a que un voto reportado aparezca on-chain antes de marcarlo
+  INDEXER_GRACE_MS: parseInt(process.env.INDEXER_GRACE_MS || '600000'),
+  // espera entre el cierre de una elección y el inicio de su segunda vuelta automática
+  RUNOFF_DELAY_MS: parseInt(process.env.RUNOFF_DELAY_MS || '0'),
+  // con voto por poder la segunda vuelta queda programada al menos este tiempo para delegar
+  RUNOFF_DELEGATION_MS: parseInt(process.env.RUNOFF_DELEGATION_MS || '86400000'),
+  DATA_DIR: path.join(__dirname, 'data'),
+  // json (archivo único) o sqlite (better-sqlite3)
+  STORAGE_DRIVER: process.env.STORAGE_DRIVER || 'json',
+  SQLITE_FILE: process.env.SQLITE_FILE || path.join(__dirname, 'data', 'database.sqlite'),
+  JOURNAL_FILE: process.env.JOURNAL_FILE || path.join(__dirname, 'data', 'journal.log'),
+  // Claves RSA del registrador para el voto anónimo (fuera de la base de datos)
+  REGISTRAR_KEYS_FILE: process.env.REGISTRAR_KEYS_FILE || path.join(__dirname, 'data', 'registrar-keys.json'),
+  // Cada cuánto se abren/cierran las elecciones según sus fechas
+  SCHEDULER_INTERVAL_MS: parseInt(process.env.SCHEDULER_INTERVAL_MS || '15000'),
+  // Con 1 los votantes nuevos quedan Pending hasta que un admin los apruebe
+  REQUIRE_VOTER_APPROVAL: process.env.REQUIRE_VOTER_APPROVAL === '1',
+  // Marcar para revisión registros con nombre/email parecidos a otros (el DNI repetido siempre se rechaza)
+  IDENTITY_FUZZY_MATCH: process.env.IDENTITY_FUZZY_MATCH !== '0',
+  IDENTITY_NAME_THRESHOLD: parseFloat(process.env.IDENTITY_NAME_THRESHOLD || '0.75'),
+  DATA_FILE: process.env.DATA_FILE || path.join(__dirname, 'data', 'database.json'),
+  // database.json del antiguo backend.js (PascalCase), se importa si no hay datos nuevos
+  LEGACY_DATA_FILE: path.join(__dirname, 'database.json'),
+  // la interfaz web es frontend/ (una sola copia; antes había otra en backend/public)
+  PUBLIC_DIR: process.env.PUBLIC_DIR || path.join(__dirname, '..', 'frontend'),
+  // Firma de los JWT de sesión; sin definir se genera una por proceso (las sesiones no sobreviven a un reinicio)
+  JWT_SECRET: process.env.JWT_SECRET || '',
+  SESSION_TTL_SECONDS: parseInt(process.env.SESSION_TTL_SECONDS || '28800'),
+  // Dominio esperado en los mensajes SIWE; vacío = el Host de la petición
+  SIWE_DOMAIN: process.env.SIWE_DOMAIN || ''
 };
 
 // --- ESTRUCTURA DE DATOS EN MEMORIA ---
 let DATABASE = {
   voters: [],
+  voterRolls: [],
+  roleAssignments: [],
+  identityReviews: [],
+  votingTokens: [],
+  delegations: [],
   elections: [],
   candidates: [],
   votes: [],
+  sysActivity: [],
   blockchain: [],
   audit: [],
   stats: {},
-  relayerLog: []
+  relayerLog: [],
+  usedNonces: [],
+  chainVotes: [],
+  indexer: { checkpointBlock: null, recentBlocks: [] },
+  // último seq del journal incluido en lo persistido
+  journalSeq: 0
 };
+const DEFAULT_DATABASE = JSON.stringify(DATABASE);
+let storage = null;
 
 // --- INICIALIZACIÓN ---
 async function initializeSystem() {
   try {
     // Crear directorio de datos si no existe
-    await fs.mkdir(CONFIG.DATA_DIR, { recursive: true });
+    await fs.mkdir(path.dirname(CONFIG.DATA_FILE), { recursive: true });
     
     // Cargar datos existentes o crear nuevos
     await loadDatabase();
     
-    // Crear bloque génesis si no existe
-    if (DATABASE.blockchain.length === 0) {
-      DATABASE.blockchain.push({
-        timestamp: new Date().toISOString(),
-        action: 'GENESIS',
-        details: { message: 'Sistema inicializado' },
-        hash: uuidv4(),
-        blockNumber: 0
-      });
-    }
+    ensureGenesis();
+    await replayJournal();
     
     await updateStats();
-    await saveDatabase();
+    await checkpoint();
     
     console.log('✅ Sistema inicializado correctamente');
     return { success: true, message: '✅ Sistema inicializado correctamente' };
@@ -70,25 +145,276 @@ async function initializeSystem() {
   }
 }
 
+// Crear bloque génesis si no existe
+function ensureGenesis() {
+  if (DATABASE.blockchain.length === 0) {
+    insertRecord('blockchain', ledger.createBlock(null, 'GENESIS', { message: 'Sistema inicializado' }));
+  }
+}
+
 // --- PERSISTENCIA DE DATOS ---
+function getStorage() {
+  if (!storage) {
+    storage = createStorage({
+      driver: CONFIG.STORAGE_DRIVER,
+      jsonFile: CONFIG.DATA_FILE,
+      fallbackFiles: [CONFIG.LEGACY_DATA_FILE],
+      sqliteFile: CONFIG.SQLITE_FILE
+    });
+  }
+  return storage;
+}
+
+// Inserta en una colección respetando las claves únicas del almacenamiento
+function insertRecord(collection, record) {
+  return getStorage().insert(DATABASE, collection, record);
+}
+
+// Agrupa varias inserciones/cambios: si algo falla no queda nada a medias
+function withTransaction(fn) {
+  return getStorage().transaction(fn);
+}
+
 async function saveDatabase() {
   try {
-    const dbPath = path.join(CONFIG.DATA_DIR, 'database.json');
-    await fs.writeFile(dbPath, JSON.stringify(DATABASE, null, 2));
+    await getStorage().persist(DATABASE);
+    return true;
   } catch (err) {
     console.error('Error guardando base de datos:', err);
+    return false;
+  }
+}
+
+// --- ESCRITURAS SERIALIZADAS Y JOURNAL ---
+// Toda mutación pasa por writeLock; las acciones de JOURNALED_ACTIONS además se
+// registran en el journal (con fsync) antes de aplicarse y se re-aplican al arrancar
+// si el proceso se cortó antes de persistirlas.
+const JOURNALED_ACTIONS = new Set([
+  'registerVoter', 'createElection', 'addCandidate', 'recordVote', 'castVote', 'logRelayer',
+  'setElectionStatus', 'openElection', 'closeElection', 'tallyElection', 'archiveElection',
+  'setVoterStatus', 'enrollVoter', 'addToRoll', 'importVoterRoll', 'setRollStatus', 'setElectionEligibility',
+  'grantRole', 'revokeRole', 'scanIdentities', 'resolveIdentityReview',
+  'commitVote', 'revealVote', 'startReveal', 'requestVotingToken', 'castAnonymousVote',
+  'registerTrusteeKey', 'submitKeyDealing', 'submitDecryptionShare', 'castEncryptedVote', 'createRunoff',
+  'delegateVote', 'revokeDelegation', 'importVoterWeights', 'applyWeightSnapshot', 'runScheduler'
+]);
+// Papeletas anónimas: solo se conservan (y se escriben en el journal) los campos de la
+// papeleta; ni la sesión, ni la IP, ni nada que la enlace con quien la envía
+const ANONYMOUS_FIELDS = {
+  castAnonymousVote: ['electionId', 'candidateId', 'candidateIds', 'token', 'tokenSignature']
+};
+// Se serializan pero no se re-aplican: tienen efectos externos (transacciones on-chain)
+const LOCKED_ACTIONS = new Set(['init', 'relay', 'rotatePiiKey']);
+
+const writeLock = createMutex();
+let journal = null;
+let registrarKeys = null;
+let replayAt = null;
+let pendingEffects = null;
+
+function getJournal() {
+  if (!journal) journal = createJournal(CONFIG.JOURNAL_FILE);
+  return journal;
+}
+
+function getRegistrarKeys() {
+  if (!registrarKeys) registrarKeys = createRegistrarKeys(CONFIG.REGISTRAR_KEYS_FILE);
+  return registrarKeys;
+}
+
+// Durante un replay se usa la fecha original de la operación
+function nowISO() {
+  return replayAt || new Date().toISOString();
+}
+
+function nowMs() {
+  return new Date(nowISO()).getTime();
+}
+
+// Sheets, Socket.IO y logs: solo tras confirmar la escritura, nunca en un replay
+function afterCommit(fn) {
+  if (pendingEffects) pendingEffects.push(fn);
+  else if (!replayAt) fn();
+}
+
+// Persiste y, si todo lo registrado en el journal quedó guardado, lo vacía
+async function checkpoint() {
+  const seq = DATABASE.journalSeq;
+  if (await saveDatabase()) getJournal().truncate(seq);
+}
+
+// Ejecuta fn con el lock y persiste antes de resolver
+function mutate(fn) {
+  return writeLock.run(fn).then(async result => {
+    await saveDatabase();
+    return result;
+  });
+}
+
+function runMutation(action, data, fn) {
+  return writeLock.run(async () => {
+    const entry = getJournal().append(action, pii.sealRequest(action, data));
+    pendingEffects = [];
+    try {
+      const result = await fn();
+      if (result && result.success === false) getJournal().abort(entry.seq);
+      DATABASE.journalSeq = entry.seq;
+      return { result, effects: pendingEffects };
+    } catch (err) {
+      getJournal().abort(entry.seq);
+      DATABASE.journalSeq = entry.seq;
+      throw err;
+    } finally {
+      pendingEffects = null;
+    }
+  }).then(async ({ result, effects }) => {
+    await checkpoint();
+    effects.forEach(effect => effect());
+    return result;
+  });
+}
+
+async function replayJournal() {
+  const log = getJournal();
+  const entries = log.read(DATABASE.journalSeq);
+  log.setSeq(DATABASE.journalSeq);
+
+  for (const entry of entries) {
+    const action = getActions(pii.openRequest(entry.action, entry.data))[entry.action];
+    replayAt = entry.at;
+    try {
+      if (action) await action();
+    } catch (err) {
+      console.error(`Error re-aplicando ${entry.action} (seq ${entry.seq}):`, err.message);
+    } finally {
+      replayAt = null;
+    }
+    DATABASE.journalSeq = entry.seq;
   }
+  if (entries.length) console.log(`♻️ ${entries.length} operaciones re-aplicadas desde el journal`);
 }
 
 async function loadDatabase() {
   try {
-    const dbPath = path.join(CONFIG.DATA_DIR, 'database.json');
-    const data = await fs.readFile(dbPath, 'utf8');
-    DATABASE = JSON.parse(data);
-    console.log('✅ Base de datos cargada');
+    const { data, source } = getStorage().load();
+    if (!data) {
+      if (CONFIG.STORAGE_DRIVER === 'sqlite' && fsSync.existsSync(CONFIG.DATA_FILE)) {
+        console.log('ℹ️ SQLite vacío: importa los datos con npm run migrate:sqlite');
+      }
+      console.log('📝 Creando nueva base de datos');
+      return;
+    }
+    DATABASE = { ...DATABASE, ...data };
+    // Registros PascalCase del antiguo backend.js → esquema canónico
+    if (schema.normalizeDatabase(DATABASE)) {
+      // backend.js no guardaba porcentajes: recalcular conteos
+      DATABASE.elections.forEach(e => {
+        updateCandidateVotes(e.electionId);
+        updateElectionTotalVotes(e.electionId);
+      });
+      console.log('🔄 Registros con formato antiguo convertidos al esquema actual');
+    }
+    sealStoredPII();
+    console.log('✅ Base de datos cargada desde', source);
+  } catch (err) {
+    console.error('❌ Error cargando base de datos:', err.message);
+    throw err;
+  }
+}
+
+// Vacía todas las colecciones (POST /db/reset)
+function resetDatabase() {
+  return writeLock.run(async () => {
+    const seq = getJournal().lastSeq;
+    DATABASE = JSON.parse(DEFAULT_DATABASE);
+    DATABASE.journalSeq = seq;
+    // primero se borra lo persistido para que el nuevo génesis no choque con el anterior
+    await getStorage().persist(DATABASE);
+    ensureGenesis();
+    updateStats();
+    await checkpoint();
+  });
+}
+
+// Reemplaza toda la base (importación); devuelve el objeto normalizado
+function replaceDatabase(data) {
+  DATABASE = { ...DATABASE, ...data, journalSeq: getJournal().lastSeq };
+  schema.normalizeDatabase(DATABASE);
+  sealStoredPII();
+  return DATABASE;
+}
+
+// Cifra los datos personales que estén en claro (rotate: también los de claves anteriores)
+// y quita los que quedaron en el detalle de auditorías anteriores
+function sealStoredPII(rotate = false) {
+  let sealed = 0;
+  let failed = 0;
+  DATABASE.voters.forEach(voter => {
+    try {
+      if (pii.sealVoter(voter, rotate)) sealed++;
+    } catch (err) {
+      failed++;
+    }
+  });
+  DATABASE.audit.forEach(entry => {
+    if (entry.action === 'registerVoter' && entry.details && (entry.details.name || entry.details.idNumber)) {
+      entry.details = pii.redact(entry.details);
+    }
+  });
+  if (sealed) console.log(`🔐 Datos personales cifrados/re-cifrados de ${sealed} votantes`);
+  if (failed) console.warn(`⚠️ ${failed} votantes con datos cifrados por una clave desconocida (revisa CRYPTO_PREVIOUS_SECRETS)`);
+  return { sealed, failed };
+}
+
+// Re-cifra todo con CRYPTO_SECRET (npm run rotate:pii-key)
+function rotatePiiKey() {
+  if (!fieldCrypto.isEnabled()) {
+    return { success: false, error: 'CRYPTO_SECRET no definido: no hay clave a la que rotar' };
+  }
+  const result = sealStoredPII(true);
+  try {
+    result.registrarKeys = getRegistrarKeys().reencrypt();
+  } catch (err) {
+    console.warn('⚠️ Claves del registrador no re-cifradas:', err.message);
+    result.failed++;
+  }
+  logBlockchain('rotatePiiKey', { reencrypted: result.sealed, failed: result.failed });
+  logAudit('rotatePiiKey', 'system', result, result.failed ? 'error' : 'success');
+  return { success: result.failed === 0, ...result };
+}
+
+// --- VERIFICACIÓN DE FIRMAS EIP-712 ---
+function getDomainConfig() {
+  return { chainId: CONFIG.CHAIN_ID, verifyingContract: CONFIG.VOTING_CONTRACT_ADDRESS };
+}
+
+// Recupera el firmante, valida deadline/nonce y marca el nonce como usado
+function verifySignature(primaryType, wallet, message, signature) {
+  const signer = eip712.verifySignedRequest({
+    primaryType,
+    domainConfig: getDomainConfig(),
+    message,
+    signature,
+    expected: wallet,
+    now: Math.floor(nowMs() / 1000),
+    isNonceUsed: nonce => DATABASE.usedNonces.some(n => n.wallet === wallet && n.nonce === nonce)
+  });
+
+  DATABASE.usedNonces.push({
+    wallet,
+    nonce: String(message.nonce),
+    action: primaryType,
+    usedAt: nowISO()
+  });
+  return signer;
+}
+
+function getTypedData(data) {
+  try {
+    const typedData = eip712.getTypedData(data.primaryType || 'Vote', getDomainConfig());
+    return { success: true, typedData };
   } catch (err) {
-    console.log('📝 Creando nueva base de datos');
-    // Si no existe, se usará la estructura por defecto
+    return { success: false, error: err.message };
   }
 }
 
@@ -99,6 +425,7 @@ function registerVoter(data) {
     const name = (data.name || '').trim();
     const idNumber = (data.idNumber || data.dni || '').trim();
     const email = (data.email || '').trim();
+    const ipAddress = (data.ipAddress || '').trim();
 
     // Validaciones
     if (!wallet || !name || !idNumber) {
@@ -109,253 +436,2695 @@ function registerVoter(data) {
       throw new Error('Dirección de wallet inválida');
     }
 
+    if (!pii.normalizeIdNumber(idNumber)) {
+      throw new Error('DNI inválido');
+    }
+
+    // la firma va antes que las búsquedas: sin ella no se responde si un DNI ya está registrado
+    verifySignature('RegisterVoter', wallet, {
+      voter: wallet,
+      name,
+      idNumber,
+      nonce: data.nonce,
+      deadline: data.deadline
+    }, data.signature);
+
     // Verificar si ya existe
     const existing = DATABASE.voters.find(v => v.walletAddress.toLowerCase() === wallet);
     if (existing) {
       throw new Error('Votante ya registrado con esta wallet');
     }
 
+    // una persona, un registro: el DNI normalizado no puede repetirse aunque cambie la wallet
+    const idNumberHash = pii.idNumberIndex(idNumber);
+    if (DATABASE.voters.some(v => v.idNumberHash === idNumberHash)) {
+      throw new Error('Ya existe un votante registrado con ese DNI');
+    }
+
     // Crear votante
     const voter = {
       walletAddress: wallet,
       name,
       idNumber,
       email,
-      registeredAt: new Date().toISOString(),
-      status: 'Activo'
+      ipAddress,
+      registeredAt: nowISO(),
+      status: CONFIG.REQUIRE_VOTER_APPROVAL ? voterRoll.VOTER_STATUS.PENDING : voterRoll.VOTER_STATUS.APPROVED
     };
 
-    DATABASE.voters.push(voter);
-    logBlockchain('registerVoter', { wallet, name });
-    logAudit('registerVoter', wallet, { name, idNumber }, 'success');
+    // los datos personales se guardan cifrados; el DNI además con su índice ciego
+    pii.sealVoter(voter);
+    insertRecord('voters', voter);
+    logBlockchain('registerVoter', { wallet });
+    logAudit('registerVoter', wallet, { idNumberHash: voter.idNumberHash }, 'success');
+    if (CONFIG.IDENTITY_FUZZY_MATCH) {
+      const matches = identity.findMatches(DATABASE.voters, voter, { nameThreshold: CONFIG.IDENTITY_NAME_THRESHOLD });
+      flagIdentityMatches(matches.map(m => ({ wallets: [wallet, m.walletAddress], reasons: m.reasons })));
+    }
     updateStats();
-    saveDatabase();
 
-    return { success: true, message: '✅ Votante registrado correctamente', wallet };
+    afterCommit(() => {
+      sheets.appendToSheet('Votantes', [voter.walletAddress, voter.name, voter.idNumber, voter.email, voter.registeredAt, voter.ipAddress]);
+      logger.success('Votante registrado', { wallet });
+      emit('voter:registered', { walletAddress: wallet, registeredAt: voter.registeredAt });
+    });
+
+    const message = voter.status === voterRoll.VOTER_STATUS.PENDING
+      ? '✅ Votante registrado: pendiente de aprobación'
+      : '✅ Votante registrado correctamente';
+    return { success: true, message, wallet, voter: pii.revealVoter(voter) };
   } catch (err) {
-    logAudit('registerVoter', data.walletAddress || 'unknown', data, 'error', err.message);
+    logAudit('registerVoter', data.walletAddress || 'unknown', pii.redact(data), 'error', err.message);
     return { success: false, error: err.message };
   }
 }
 
-// --- CREAR ELECCIÓN ---
-function createElection(data) {
+// --- AUTORIZACIÓN POR ROL ---
+// adminAddress lo fija /api a partir de la sesión; aquí se vuelve a comprobar para
+// llamadas internas y para que el replay del journal aplique las mismas reglas
+function assertRole(address, role, electionId) {
+  if (!address) {
+    throw new Error('Dirección de admin obligatoria');
+  }
+  if (!rbac.hasRole(rbac.grantsOf(DATABASE, CONFIG, address), role, electionId)) {
+    throw new Error(`No autorizado: se requiere rol ${role}${electionId ? ' en la elección ' + electionId : ''}`);
+  }
+}
+
+function grantRole(data) {
   try {
     const admin = (data.adminAddress || '').toLowerCase().trim();
-    const title = (data.title || '').trim();
-    const description = (data.description || '').trim();
-    const startDate = data.startDate || '';
-    const endDate = data.endDate || '';
+    const address = (data.address || data.walletAddress || '').toLowerCase().trim();
+    const role = data.role;
+    const electionId = data.electionId ? parseInt(data.electionId) : null;
+    assertRole(admin, rbac.ROLES.SUPERADMIN);
 
-    // Validaciones
-    if (!admin || !title) {
-      throw new Error('Dirección de admin y título son obligatorios');
+    if (!/^0x[a-f0-9]{40}$/.test(address)) {
+      throw new Error('Dirección de wallet inválida');
+    }
+    if (!rbac.GRANTABLE.includes(role)) {
+      throw new Error('Rol no asignable: ' + role);
     }
+    if (electionId !== null && role !== rbac.ROLES.ELECTION_ADMIN) {
+      throw new Error('Solo el rol electionAdmin admite alcance por elección');
+    }
+    if (electionId !== null) findElection(electionId);
+    if (DATABASE.roleAssignments.some(a => a.address === address && a.role === role && a.electionId === electionId)) {
+      throw new Error('El rol ya está asignado');
+    }
+
+    const assignment = { address, role, electionId, grantedBy: admin, grantedAt: nowISO() };
+    DATABASE.roleAssignments.push(assignment);
+    logBlockchain('grantRole', { address, role, electionId, by: admin });
+    logAudit('grantRole', admin, { address, role, electionId }, 'success');
+    afterCommit(() => logger.info('Rol asignado', { address, role, electionId }));
+
+    return { success: true, message: `✅ Rol ${role} asignado a ${address}`, assignment };
+  } catch (err) {
+    logAudit('grantRole', data.adminAddress || 'unknown', data, 'error', err.message);
+    return { success: false, error: err.message };
+  }
+}
 
-    if (!CONFIG.ADMIN_ADDRESSES.includes(admin)) {
-      throw new Error('No autorizado: dirección no es admin');
+function revokeRole(data) {
+  try {
+    const admin = (data.adminAddress || '').toLowerCase().trim();
+    const address = (data.address || data.walletAddress || '').toLowerCase().trim();
+    const role = data.role;
+    const electionId = data.electionId ? parseInt(data.electionId) : null;
+    assertRole(admin, rbac.ROLES.SUPERADMIN);
+
+    const index = DATABASE.roleAssignments.findIndex(a =>
+      a.address === address && a.role === role && a.electionId === electionId
+    );
+    if (index === -1) {
+      throw new Error('El rol no está asignado');
     }
 
-    // Crear elección
-    const electionId = DATABASE.elections.length + 1;
-    const election = {
-      electionId,
-      title,
-      description,
-      startDate,
-      endDate,
-      status: 'Activa',
-      totalVotes: 0,
-      createdAt: new Date().toISOString(),
-      contractAddress: CONFIG.VOTING_CONTRACT_ADDRESS
-    };
+    DATABASE.roleAssignments.splice(index, 1);
+    logBlockchain('revokeRole', { address, role, electionId, by: admin });
+    logAudit('revokeRole', admin, { address, role, electionId }, 'success');
+    afterCommit(() => logger.info('Rol revocado', { address, role, electionId }));
+
+    return { success: true, message: `✅ Rol ${role} revocado a ${address}` };
+  } catch (err) {
+    logAudit('revokeRole', data.adminAddress || 'unknown', data, 'error', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+function listRoles(data) {
+  const address = (data.address || '').toLowerCase().trim();
+  const assignments = DATABASE.roleAssignments.filter(a => !address || a.address === address);
+  const bootstrap = CONFIG.ADMIN_ADDRESSES
+    .filter(a => !address || a === address)
+    .map(a => ({ address: a, role: rbac.ROLES.SUPERADMIN, electionId: null, grantedBy: 'ADMIN_ADDRESSES' }));
+  return { success: true, roles: [...bootstrap, ...assignments] };
+}
+
+// --- PADRÓN ELECTORAL ---
+
+function findElection(electionId) {
+  const election = DATABASE.elections.find(e => e.electionId === electionId);
+  if (!election) {
+    throw new Error('Elección no encontrada');
+  }
+  return election;
+}
+
+function getVoterEligibility(wallet, election) {
+  return voterRoll.checkEligibility({
+    voter: DATABASE.voters.find(v => v.walletAddress === wallet),
+    entry: voterRoll.findRollEntry(DATABASE.voterRolls, election.electionId, wallet),
+    election
+  });
+}
+
+// Cambia el estado y deja constancia de quién y por qué
+function applyVoterStatus(record, status, by, reason) {
+  const from = record.status;
+  voterRoll.assertVoterTransition(from, status);
+  record.status = status;
+  record.statusHistory = [...(record.statusHistory || []), { status, at: nowISO(), by, reason }];
+  return from;
+}
+
+// Estado global del votante (todas las elecciones)
+function setVoterStatus(data) {
+  try {
+    const admin = (data.adminAddress || '').toLowerCase().trim();
+    const wallet = (data.walletAddress || data.wallet || '').toLowerCase().trim();
+    const status = data.status;
+    const reason = (data.reason || '').trim();
+    assertRole(admin, rbac.ROLES.SUPERADMIN);
+
+    const voter = DATABASE.voters.find(v => v.walletAddress === wallet);
+    if (!voter) {
+      throw new Error('Votante no encontrado');
+    }
 
-    DATABASE.elections.push(election);
-    logBlockchain('createElection', { admin, title, electionId });
-    logAudit('createElection', admin, { title, electionId }, 'success');
+    const from = applyVoterStatus(voter, status, admin, reason);
+    logBlockchain('voterStatus', { wallet, from, to: status, by: admin });
+    logAudit('setVoterStatus', admin, { wallet, from, to: status, reason }, 'success');
     updateStats();
-    saveDatabase();
 
-    return {
-      success: true,
-      message: `✅ Elección "${title}" creada con ID: ${electionId}`,
-      electionId
-    };
+    afterCommit(() => {
+      logger.info('Estado de votante actualizado', { wallet, from, to: status });
+      emit('voter:status', { walletAddress: wallet, from, to: status });
+    });
+
+    return { success: true, message: `✅ Votante ${wallet}: ${status}`, voter };
   } catch (err) {
-    logAudit('createElection', data.adminAddress || 'unknown', data, 'error', err.message);
+    logAudit('setVoterStatus', data.adminAddress || 'unknown', data, 'error', err.message);
     return { success: false, error: err.message };
   }
 }
 
-// --- AGREGAR CANDIDATO ---
-function addCandidate(data) {
+// El votante pide entrar al padrón de una elección (firma EIP-712 EnrollVoter)
+function enrollVoter(data) {
   try {
-    const electionId = parseInt(data.electionId || data.election);
-    const name = (data.name || '').trim();
-    const party = (data.party || data.proposal || '').trim();
-
-    // Validaciones
-    if (!electionId || !name) {
-      throw new Error('Election ID y nombre son obligatorios');
+    const wallet = (data.walletAddress || data.wallet || '').toLowerCase().trim();
+    const electionId = parseInt(data.electionId);
+    if (!wallet || !electionId) {
+      throw new Error('Wallet y electionId son obligatorios');
     }
 
-    const election = DATABASE.elections.find(e => e.electionId === electionId);
-    if (!election) {
-      throw new Error('Elección no encontrada');
+    const election = findElection(electionId);
+    const mode = voterRoll.electionEligibility(election);
+    if (mode === voterRoll.ELIGIBILITY.ROLL) {
+      throw new Error('Esta elección usa un padrón importado: no admite inscripciones');
+    }
+    if (!lifecycle.ENROLLING.includes(lifecycle.effectiveStatus(election, nowMs()))) {
+      throw new Error(`La elección está en estado ${lifecycle.effectiveStatus(election, nowMs())}: inscripciones cerradas`);
+    }
+    if (!DATABASE.voters.some(v => v.walletAddress === wallet)) {
+      throw new Error('La wallet no está registrada como votante');
+    }
+    if (voterRoll.findRollEntry(DATABASE.voterRolls, electionId, wallet)) {
+      throw new Error('La wallet ya está inscripta en esta elección');
     }
 
-    // Generar candidateId
-    const existingCandidates = DATABASE.candidates.filter(c => c.electionId === electionId);
-    const candidateId = existingCandidates.length + 1;
+    verifySignature('EnrollVoter', wallet, {
+      voter: wallet,
+      electionId,
+      nonce: data.nonce,
+      deadline: data.deadline
+    }, data.signature);
 
-    // Crear candidato
-    const candidate = {
+    // en elecciones abiertas la inscripción es automática; en whitelist la aprueba un admin
+    const status = mode === voterRoll.ELIGIBILITY.OPEN ? voterRoll.VOTER_STATUS.APPROVED : voterRoll.VOTER_STATUS.PENDING;
+    const entry = {
       electionId,
-      candidateId,
-      name,
-      party,
-      votes: 0,
-      percentage: '0%',
-      addedAt: new Date().toISOString()
+      walletAddress: wallet,
+      status,
+      source: 'self',
+      addedAt: nowISO(),
+      statusHistory: [{ status, at: nowISO(), by: wallet }]
     };
 
-    DATABASE.candidates.push(candidate);
-    logBlockchain('addCandidate', { electionId, candidateId, name, party });
-    logAudit('addCandidate', 'system', { electionId, name }, 'success');
-    saveDatabase();
+    insertRecord('voterRolls', entry);
+    logBlockchain('enrollVoter', { wallet, electionId, status });
+    logAudit('enrollVoter', wallet, { electionId, status }, 'success');
 
-    return {
-      success: true,
-      message: '✅ Candidato agregado',
-      candidateId
-    };
+    afterCommit(() => {
+      logger.info('Inscripción en padrón', { wallet, electionId, status });
+      emit('roll:enrolled', { walletAddress: wallet, electionId, status });
+    });
+
+    return { success: true, message: `✅ Inscripción ${status === voterRoll.VOTER_STATUS.PENDING ? 'pendiente de aprobación' : 'aprobada'}`, entry };
   } catch (err) {
-    logAudit('addCandidate', 'system', data, 'error', err.message);
+    logAudit('enrollVoter', data.walletAddress || 'unknown', data, 'error', err.message);
     return { success: false, error: err.message };
   }
 }
 
-// --- REGISTRAR VOTO ---
-function recordVote(data) {
+// Alta de wallets en el padrón por un admin (whitelist manual o importación masiva)
+function addToRoll(data, source) {
   try {
-    const txHash = data.txHash || data.transactionHash || '';
-    const wallet = (data.walletAddress || data.voter || data.from || '').toLowerCase().trim();
+    const admin = (data.adminAddress || '').toLowerCase().trim();
     const electionId = parseInt(data.electionId);
-    const candidateId = parseInt(data.candidateId);
-    const blockNumber = data.blockNumber || 0;
-    const gasUsed = data.gasUsed || 0;
+    if (!electionId) {
+      throw new Error('electionId es obligatorio');
+    }
+    assertRole(admin, rbac.ROLES.ELECTION_ADMIN, electionId);
 
-    // Validaciones
-    if (!wallet || !electionId || !candidateId) {
-      throw new Error('Datos incompletos para registrar voto');
+    const election = findElection(electionId);
+    const status = lifecycle.effectiveStatus(election, nowMs());
+    if (!lifecycle.ENROLLING.includes(status)) {
+      throw new Error(`No se puede modificar el padrón de una elección en estado ${status}`);
     }
 
-    // Verificar que no haya votado antes
-    const hasVoted = DATABASE.votes.some(v => 
-      v.walletAddress.toLowerCase() === wallet && v.electionId === electionId
-    );
+    const wallets = voterRoll.parseWalletList(data.wallets || data.walletAddress || data.roll || data.csv);
+    if (!wallets.length) {
+      throw new Error('No se indicaron wallets');
+    }
 
-    if (hasVoted) {
-      throw new Error('El votante ya emitió su voto en esta elección');
+    const report = { added: [], approved: [], skipped: [], invalid: [] };
+    const at = nowISO();
+    withTransaction(() => {
+      new Set(wallets).forEach(wallet => {
+        if (!/^0x[a-f0-9]{40}$/.test(wallet)) {
+          report.invalid.push(wallet);
+          return;
+        }
+        const existing = voterRoll.findRollEntry(DATABASE.voterRolls, electionId, wallet);
+        if (existing) {
+          // una solicitud pendiente queda aprobada al agregarla a la whitelist
+          if (existing.status === voterRoll.VOTER_STATUS.PENDING) {
+            applyVoterStatus(existing, voterRoll.VOTER_STATUS.APPROVED, admin);
+            report.approved.push(wallet);
+          } else {
+            report.skipped.push(wallet);
+          }
+          return;
+        }
+        insertRecord('voterRolls', {
+          electionId,
+          walletAddress: wallet,
+          status: voterRoll.VOTER_STATUS.APPROVED,
+          source,
+          addedAt: at,
+          statusHistory: [{ status: voterRoll.VOTER_STATUS.APPROVED, at, by: admin }]
+        });
+        report.added.push(wallet);
+      });
+
+      logBlockchain('voterRoll', { electionId, source, added: report.added.length, approved: report.approved.length, by: admin });
+      logAudit(source === 'import' ? 'importVoterRoll' : 'addToRoll', admin, {
+        electionId,
+        added: report.added.length,
+        approved: report.approved.length,
+        skipped: report.skipped.length,
+        invalid: report.invalid.length
+      }, 'success');
+    });
+
+    afterCommit(() => {
+      logger.info('Padrón actualizado', { electionId, source, added: report.added.length });
+      emit('roll:updated', { electionId, added: report.added.length, approved: report.approved.length });
+    });
+
+    return { success: true, message: `✅ Padrón actualizado: ${report.added.length} wallets agregadas`, electionId, ...report };
+  } catch (err) {
+    logAudit(source === 'import' ? 'importVoterRoll' : 'addToRoll', data.adminAddress || 'unknown', { electionId: data.electionId }, 'error', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+// Aprobar, suspender o revocar la inscripción de una wallet en una elección
+function setRollStatus(data) {
+  try {
+    const admin = (data.adminAddress || '').toLowerCase().trim();
+    const wallet = (data.walletAddress || data.wallet || '').toLowerCase().trim();
+    const electionId = parseInt(data.electionId);
+    const status = data.status;
+    const reason = (data.reason || '').trim();
+    assertRole(admin, rbac.ROLES.ELECTION_ADMIN, electionId);
+
+    const election = findElection(electionId);
+    let entry = voterRoll.findRollEntry(DATABASE.voterRolls, electionId, wallet);
+    if (!entry && voterRoll.electionEligibility(election) !== voterRoll.ELIGIBILITY.OPEN) {
+      throw new Error('La wallet no figura en el padrón de esta elección');
+    }
+
+    const from = withTransaction(() => {
+      // en elecciones abiertas se puede excluir a alguien que nunca se inscribió
+      if (!entry) {
+        if (!/^0x[a-f0-9]{40}$/.test(wallet)) {
+          throw new Error('Dirección de wallet inválida');
+        }
+        entry = insertRecord('voterRolls', {
+          electionId,
+          walletAddress: wallet,
+          status: voterRoll.VOTER_STATUS.APPROVED,
+          source: 'open',
+          addedAt: nowISO(),
+          statusHistory: []
+        });
+      }
+      const previous = applyVoterStatus(entry, status, admin, reason);
+      logBlockchain('rollStatus', { electionId, wallet, from: previous, to: status, by: admin });
+      return previous;
+    });
+    logAudit('setRollStatus', admin, { electionId, wallet, from, to: status, reason }, 'success');
+
+    afterCommit(() => {
+      logger.info('Estado en padrón actualizado', { electionId, wallet, from, to: status });
+      emit('roll:status', { electionId, walletAddress: wallet, from, to: status });
+    });
+
+    return { success: true, message: `✅ ${wallet} en elección ${electionId}: ${status}`, entry };
+  } catch (err) {
+    logAudit('setRollStatus', data.adminAddress || 'unknown', data, 'error', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+// El modo de elegibilidad solo cambia antes de abrir la elección
+function setElectionEligibility(data) {
+  try {
+    const admin = (data.adminAddress || '').toLowerCase().trim();
+    const electionId = parseInt(data.electionId);
+    assertRole(admin, rbac.ROLES.ELECTION_ADMIN, electionId);
+
+    const election = findElection(electionId);
+    const status = lifecycle.effectiveStatus(election, nowMs());
+    if (![lifecycle.STATUS.DRAFT, lifecycle.STATUS.SCHEDULED].includes(status)) {
+      throw new Error(`No se puede cambiar la elegibilidad de una elección en estado ${status}`);
     }
 
-    // Verificar que el candidato existe
-    const candidate = DATABASE.candidates.find(c => 
-      c.electionId === electionId && c.candidateId === candidateId
+    const from = voterRoll.electionEligibility(election);
+    election.eligibility = voterRoll.parseEligibility(data.eligibility);
+    logBlockchain('electionEligibility', { electionId, from, to: election.eligibility, by: admin });
+    logAudit('setElectionEligibility', admin, { electionId, from, to: election.eligibility }, 'success');
+
+    return { success: true, message: `✅ Elección ${electionId}: elegibilidad ${election.eligibility}`, election };
+  } catch (err) {
+    logAudit('setElectionEligibility', data.adminAddress || 'unknown', data, 'error', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+function getVoterRoll(data) {
+  try {
+    const electionId = parseInt(data.electionId);
+    const election = findElection(electionId);
+    const roll = DATABASE.voterRolls
+      .filter(r => r.electionId === electionId)
+      .filter(r => !data.status || r.status === data.status);
+    return { success: true, electionId, eligibility: voterRoll.electionEligibility(election), roll };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+function getEligibility(data) {
+  try {
+    const wallet = (data.walletAddress || data.wallet || '').toLowerCase().trim();
+    const election = findElection(parseInt(data.electionId));
+    return {
+      success: true,
+      walletAddress: wallet,
+      electionId: election.electionId,
+      ...getVoterEligibility(wallet, election),
+      ...(election.weighting && { weight: weightOf(election, wallet) })
+    };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+// --- IDENTIDADES DUPLICADAS ---
+// Abre (o amplía) una revisión con los pares sospechosos; los pares ya resueltos no se vuelven a marcar
+function flagIdentityMatches(pairs) {
+  const isResolved = wallets => DATABASE.identityReviews.some(r =>
+    r.status !== 'open' && wallets.every(w => r.wallets.includes(w))
+  );
+  const pending = pairs.filter(pair => !isResolved(pair.wallets));
+  if (!pending.length) return [];
+
+  const touched = new Set();
+  pending.forEach(pair => {
+    let review = DATABASE.identityReviews.find(r =>
+      r.status === 'open' && pair.wallets.some(w => r.wallets.includes(w))
     );
+    if (!review) {
+      review = {
+        reviewId: DATABASE.identityReviews.reduce((max, r) => Math.max(max, r.reviewId), 0) + 1,
+        status: 'open',
+        wallets: [],
+        matches: [],
+        createdAt: nowISO()
+      };
+      DATABASE.identityReviews.push(review);
+    }
+    const key = [...pair.wallets].sort().join(':');
+    if (review.matches.some(m => [...m.wallets].sort().join(':') === key)) return;
+    review.wallets = [...new Set([...review.wallets, ...pair.wallets])];
+    review.matches.push(pair);
+    review.updatedAt = nowISO();
+    touched.add(review);
+  });
+
+  touched.forEach(review => {
+    logAudit('identityFlag', 'system', { reviewId: review.reviewId, wallets: review.wallets }, 'success');
+    afterCommit(() => {
+      logger.warn('Posible identidad duplicada', { reviewId: review.reviewId, wallets: review.wallets });
+      emit('identity:flagged', { reviewId: review.reviewId, wallets: review.wallets });
+    });
+  });
+  return [...touched];
+}
+
+// Revisa toda la base (p. ej. datos importados antes de exigir DNI único)
+function scanIdentities(data) {
+  try {
+    const admin = (data.adminAddress || '').toLowerCase().trim();
+    assertRole(admin, rbac.ROLES.SUPERADMIN);
+
+    const pairs = identity.findClusters(DATABASE.voters, { nameThreshold: CONFIG.IDENTITY_NAME_THRESHOLD })
+      .filter(pair => CONFIG.IDENTITY_FUZZY_MATCH || pair.reasons.some(r => r.type === 'idNumber'));
+    const reviews = flagIdentityMatches(pairs);
+    logAudit('scanIdentities', admin, { pairs: pairs.length, reviews: reviews.length }, 'success');
+
+    return { success: true, pairs: pairs.length, reviews: reviews.map(r => r.reviewId) };
+  } catch (err) {
+    logAudit('scanIdentities', data.adminAddress || 'unknown', {}, 'error', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+function getIdentityReviews(data) {
+  const reviews = DATABASE.identityReviews.filter(r => !data.status || r.status === data.status);
+  return { success: true, reviews };
+}
+
+// Invalida los votos de una wallet en elecciones todavía sin escrutar
+function invalidateVotes(wallet, by, reason) {
+  const result = { invalidated: 0, skipped: 0 };
+  const touched = new Set();
+  DATABASE.votes
+    .filter(v => v.walletAddress === wallet && v.status !== 'Invalidado')
+    .forEach(vote => {
+      const election = DATABASE.elections.find(e => e.electionId === vote.electionId);
+      const status = election ? lifecycle.effectiveStatus(election, nowMs()) : null;
+      if ([lifecycle.STATUS.TALLIED, lifecycle.STATUS.ARCHIVED].includes(status)) {
+        result.skipped++;
+        return;
+      }
+      vote.status = 'Invalidado';
+      vote.invalidatedAt = nowISO();
+      vote.invalidatedBy = by;
+      vote.invalidationReason = reason;
+      touched.add(vote.electionId);
+      result.invalidated++;
+    });
+  // tampoco cuenta su poder en la papeleta de un delegado
+  DATABASE.votes
+    .filter(v => (v.proxies || []).includes(wallet) && isCountedVote(v))
+    .forEach(vote => {
+      const election = DATABASE.elections.find(e => e.electionId === vote.electionId);
+      if (![lifecycle.STATUS.TALLIED, lifecycle.STATUS.ARCHIVED].includes(lifecycle.effectiveStatus(election, nowMs()))) {
+        vote.proxies = vote.proxies.filter(p => p !== wallet);
+        touched.add(vote.electionId);
+      }
+    });
+  touched.forEach(id => {
+    updateCandidateVotes(id);
+    updateElectionTotalVotes(id);
+  });
+  return result;
+}
+
+/**
+ * Decisión sobre una revisión:
+ *  - dismiss: no son la misma persona
+ *  - merge: se conserva keepWallet y se revocan las demás wallets del grupo
+ *  - revoke: se revocan las wallets indicadas
+ * Los votos de las wallets revocadas se invalidan.
+ */
+function resolveIdentityReview(data) {
+  try {
+    const admin = (data.adminAddress || '').toLowerCase().trim();
+    const reviewId = parseInt(data.reviewId);
+    const decision = data.decision;
+    const reason = (data.reason || '').trim() || 'Identidad duplicada';
+    assertRole(admin, rbac.ROLES.SUPERADMIN);
+
+    const review = DATABASE.identityReviews.find(r => r.reviewId === reviewId);
+    if (!review) {
+      throw new Error('Revisión no encontrada');
+    }
+    if (review.status !== 'open') {
+      throw new Error(`La revisión ya fue resuelta (${review.status})`);
+    }
+
+    let keepWallet = null;
+    let revoked = [];
+    if (decision === 'merge') {
+      keepWallet = (data.keepWallet || '').toLowerCase().trim();
+      if (!review.wallets.includes(keepWallet)) {
+        throw new Error('keepWallet debe ser una de las wallets de la revisión');
+      }
+      revoked = review.wallets.filter(w => w !== keepWallet);
+    } else if (decision === 'revoke') {
+      revoked = voterRoll.parseWalletList(data.wallets);
+      if (!revoked.length || revoked.some(w => !review.wallets.includes(w))) {
+        throw new Error('Indica qué wallets de la revisión se revocan');
+      }
+    } else if (decision !== 'dismiss') {
+      throw new Error('Decisión desconocida: ' + decision);
+    }
+
+    const votes = { invalidated: 0, skipped: 0 };
+    revoked.forEach(wallet => {
+      const voter = DATABASE.voters.find(v => v.walletAddress === wallet);
+      if (voter && voter.status !== voterRoll.VOTER_STATUS.REVOKED) {
+        applyVoterStatus(voter, voterRoll.VOTER_STATUS.REVOKED, admin, reason);
+      }
+      if (voter && keepWallet) voter.mergedInto = keepWallet;
+      const result = invalidateVotes(wallet, admin, reason);
+      votes.invalidated += result.invalidated;
+      votes.skipped += result.skipped;
+    });
+
+    review.status = { dismiss: 'dismissed', merge: 'merged', revoke: 'revoked' }[decision];
+    review.decision = { decision, keepWallet, revoked, reason, by: admin, at: nowISO(), votes };
+
+    logBlockchain('identityDecision', { reviewId, decision, keepWallet, revoked, by: admin });
+    logAudit('resolveIdentityReview', admin, { reviewId, decision, keepWallet, revoked, reason, votes }, 'success');
+    updateStats();
+
+    afterCommit(() => {
+      logger.info('Revisión de identidad resuelta', { reviewId, decision, revoked: revoked.length });
+      emit('identity:resolved', { reviewId, decision, revoked });
+    });
+
+    return { success: true, message: `✅ Revisión ${reviewId}: ${review.status}`, review };
+  } catch (err) {
+    logAudit('resolveIdentityReview', data.adminAddress || 'unknown', data, 'error', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+// --- CREAR ELECCIÓN ---
+function nextElectionId() {
+  return DATABASE.elections.reduce((max, e) => Math.max(max, e.electionId), 0) + 1;
+}
+
+// Guarda una elección ya validada (createElection y segundas vueltas)
+function insertElection(election, by) {
+  const { electionId, title } = election;
+  if (election.ballotMode === ballot.BALLOT_MODE.ANONYMOUS) {
+    // la fecha de creación distingue la clave si se reutiliza el ID tras un reset
+    const keyLabel = `${electionId}:${election.createdAt}`;
+    election.registrar = { keyLabel, publicKey: getRegistrarKeys().ensure(keyLabel) };
+  }
+
+  insertRecord('elections', election);
+  logBlockchain('createElection', { admin: by, title, electionId, ...(election.parentElectionId && { parentElectionId: election.parentElectionId }) });
+  logAudit('createElection', by, { title, electionId }, 'success');
+  updateStats();
+
+  afterCommit(() => {
+    sheets.appendToSheet('Elecciones', [electionId, title, election.description, election.startDate, election.endDate, election.status, 0, election.createdAt, election.contractAddress, election.round, election.parentElectionId || '']);
+    logger.success('Elección creada', { electionId, title });
+    emit('election:created', election);
+  });
+}
+
+function createElection(data) {
+  try {
+    const admin = (data.adminAddress || '').toLowerCase().trim();
+    const title = (data.title || '').trim();
+    const description = (data.description || '').trim();
+    const startDate = data.startDate || '';
+    const endDate = data.endDate || '';
+
+    // Validaciones
+    if (!admin || !title) {
+      throw new Error('Dirección de admin y título son obligatorios');
+    }
+
+    // crear elecciones requiere electionAdmin sin alcance restringido
+    assertRole(admin, rbac.ROLES.ELECTION_ADMIN);
+
+    if ([startDate, endDate].some(d => d && Number.isNaN(new Date(d).getTime()))) {
+      throw new Error('Fechas inválidas');
+    }
+    if (startDate && endDate && new Date(endDate) <= new Date(startDate)) {
+      throw new Error('endDate debe ser posterior a startDate');
+    }
+    const ballotMode = ballot.parseBallotMode(data.ballotMode);
+    const revealEndDate = ballotMode === ballot.BALLOT_MODE.COMMIT_REVEAL ? (data.revealEndDate || '') : '';
+    if (revealEndDate && Number.isNaN(new Date(revealEndDate).getTime())) {
+      throw new Error('Fechas inválidas');
+    }
+    if (revealEndDate && (!endDate || new Date(revealEndDate) <= new Date(endDate))) {
+      throw new Error('revealEndDate debe ser posterior a endDate');
+    }
+    const method = votingMethods.parseMethod(data.method);
+    const seats = votingMethods.parseSeats(method, data.seats);
+    const rules = electionRules.parseRules(data, { method, seats });
+    // el compromiso y la papeleta cifrada solo admiten un candidato
+    if (method !== votingMethods.METHOD.PLURALITY &&
+      [ballot.BALLOT_MODE.COMMIT_REVEAL, ballot.BALLOT_MODE.HOMOMORPHIC].includes(ballotMode)) {
+      throw new Error(`El método ${method} solo admite voto público o anónimo`);
+    }
+    // re-voto: hasta el cierre cuenta la última papeleta de cada votante
+    const revoting = data.revoting === true || data.revoting === 'true';
+    if (revoting && ballotMode !== ballot.BALLOT_MODE.PUBLIC) {
+      throw new Error('El re-voto solo está disponible con voto público');
+    }
+    // voto delegado: maxProxies limita los poderes por delegado (0 = sin límite)
+    const proxyVoting = data.proxyVoting === true || data.proxyVoting === 'true';
+    const maxProxies = data.maxProxies === undefined || data.maxProxies === '' ? 0 : parseInt(data.maxProxies);
+    if (proxyVoting && ballotMode !== ballot.BALLOT_MODE.PUBLIC) {
+      throw new Error('El voto delegado solo está disponible con voto público');
+    }
+    if (!(maxProxies >= 0)) {
+      throw new Error('maxProxies debe ser un entero mayor o igual que 0');
+    }
+    // voto ponderado: el recuento necesita saber qué wallet emitió cada papeleta
+    const weighting = voterWeights.parseWeighting(data);
+    if (weighting && ![ballot.BALLOT_MODE.PUBLIC, ballot.BALLOT_MODE.COMMIT_REVEAL].includes(ballotMode)) {
+      throw new Error('El voto ponderado necesita papeletas con wallet (voto público o secreto)');
+    }
+    // varias preguntas (contiendas y referendos) en una misma papeleta firmada
+    const questions = ballotQuestions.parseQuestions(data);
+    if (questions && ballotMode !== ballot.BALLOT_MODE.PUBLIC) {
+      throw new Error('Las papeletas de varias preguntas solo están disponibles con voto público');
+    }
+    if (questions && (rules.runoff || data.method || data.seats || rules.majority !== electionRules.MAJORITY.RELATIVE)) {
+      throw new Error('Con varias preguntas, método, puestos y mayoría se indican en cada pregunta (sin segunda vuelta)');
+    }
+    // voto en blanco y abstención como opciones de la papeleta (se cuentan aparte)
+    const blankBallots = data.blankBallots === true || data.blankBallots === 'true';
+    if (blankBallots && ballotMode === ballot.BALLOT_MODE.HOMOMORPHIC) {
+      throw new Error('El voto en blanco no está disponible con voto cifrado');
+    }
+    const encryption = ballotMode === ballot.BALLOT_MODE.HOMOMORPHIC ? parseTrustees(data) : null;
+    let status = lifecycle.initialStatus({ startDate, draft: data.draft === true || data.draft === 'true' }, nowMs());
+    // sin clave conjunta no se puede abrir: queda en borrador hasta la ceremonia de trustees
+    if (encryption && status === lifecycle.STATUS.OPEN) status = lifecycle.STATUS.DRAFT;
+    // ni sin pesos: queda en borrador hasta importarlos o tomar la foto de saldos
+    if (weighting && status === lifecycle.STATUS.OPEN) status = lifecycle.STATUS.DRAFT;
+    const eligibility = voterRoll.parseEligibility(data.eligibility);
+
+    // Crear elección
+    const electionId = nextElectionId();
+    const createdAt = nowISO();
+    const election = {
+      electionId,
+      title,
+      description,
+      startDate,
+      endDate,
+      status,
+      statusHistory: [{ status, at: nowISO(), by: admin }],
+      eligibility,
+      ballotMode,
+      revealEndDate,
+      // fechas previstas: abrir o cerrar a mano cambia startDate / endDate, no estas
+      schedule: { startDate, endDate, revealEndDate },
+      method,
+      seats,
+      rules,
+      revoting,
+      ...(proxyVoting && { proxyVoting, maxProxies }),
+      ...(weighting && { weighting }),
+      ...(questions && { questions }),
+      ...(blankBallots && { blankBallots }),
+      round: 1,
+      parentElectionId: null,
+      runoffElectionId: null,
+      totalVotes: 0,
+      createdAt,
+      contractAddress: CONFIG.VOTING_CONTRACT_ADDRESS
+    };
+    if (encryption) election.encryption = encryption;
+
+    withTransaction(() => {
+      insertElection(election, admin);
+      // los referendos traen sus opciones
+      (questions || [])
+        .filter(q => q.kind === ballotQuestions.KIND.REFERENDUM)
+        .forEach(q => ballotQuestions.REFERENDUM_CHOICES.forEach(({ choice, name }) =>
+          insertCandidate(election, { name, party: '', questionId: q.questionId, choice }, admin)));
+      if (blankBallots) addBlankOptions(election, admin);
+    });
+
+    return {
+      success: true,
+      message: `✅ Elección "${title}" creada con ID: ${electionId}`,
+      electionId,
+      election
+    };
+  } catch (err) {
+    logAudit('createElection', data.adminAddress || 'unknown', data, 'error', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+// --- AGREGAR CANDIDATO ---
+function addCandidate(data) {
+  try {
+    const electionId = parseInt(data.electionId || data.election);
+    const name = (data.name || '').trim();
+    const party = (data.party || data.proposal || '').trim();
+    const admin = (data.adminAddress || '').toLowerCase().trim();
+
+    // Validaciones
+    if (!electionId || !name) {
+      throw new Error('Election ID y nombre son obligatorios');
+    }
+    assertRole(admin, rbac.ROLES.ELECTION_ADMIN, electionId);
+
+    const election = DATABASE.elections.find(e => e.electionId === electionId);
+    if (!election) {
+      throw new Error('Elección no encontrada');
+    }
+
+    const status = lifecycle.effectiveStatus(election, nowMs());
+    if (!lifecycle.EDITABLE.includes(status)) {
+      throw new Error(`No se pueden agregar candidatos a una elección en estado ${status}`);
+    }
+    // cada papeleta cifrada lleva un cifrado por candidato: la lista queda fija con la clave
+    if (election.encryption && election.encryption.publicKey) {
+      throw new Error('La clave de la elección ya está generada: no se pueden agregar candidatos');
+    }
+
+    // en las elecciones de varias preguntas cada candidato pertenece a una contienda
+    let questionId;
+    if (election.questions) {
+      if (!data.questionId) {
+        throw new Error('Indica la pregunta (questionId) a la que se presenta el candidato');
+      }
+      const question = ballotQuestions.findQuestion(election, parseInt(data.questionId));
+      if (question.kind === ballotQuestions.KIND.REFERENDUM) {
+        throw new Error('Las opciones de un referendo son fijas (sí, no, abstención)');
+      }
+      questionId = question.questionId;
+    }
+
+    const candidate = insertCandidate(election, { name, party, ...(questionId && { questionId }) }, admin);
+    const { candidateId } = candidate;
+
+    return {
+      success: true,
+      message: '✅ Candidato agregado',
+      candidateId,
+      candidate
+    };
+  } catch (err) {
+    logAudit('addCandidate', data.adminAddress || 'unknown', data, 'error', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+// máximo + 1: los datos importados de backend.js usan IDs globales
+function insertCandidate(election, fields, by) {
+  const { electionId } = election;
+  const candidateId = DATABASE.candidates
+    .filter(c => c.electionId === electionId)
+    .reduce((max, c) => Math.max(max, c.candidateId), 0) + 1;
+  const candidate = {
+    electionId,
+    candidateId,
+    ...fields,
+    votes: 0,
+    percentage: '0%',
+    addedAt: nowISO()
+  };
+
+  insertRecord('candidates', candidate);
+  logBlockchain('addCandidate', { electionId, candidateId, name: fields.name, party: fields.party, ...(fields.questionId && { questionId: fields.questionId }) });
+  logAudit('addCandidate', by, { electionId, name: fields.name }, 'success');
+
+  afterCommit(() => {
+    sheets.appendToSheet('Candidatos', [candidateId, electionId, fields.name, fields.party, 0, '0%', candidate.addedAt]);
+    logger.success('Candidato agregado', { electionId, candidateId, name: fields.name });
+    emit('candidate:added', candidate);
+  });
+  return candidate;
+}
+
+// Candidatos de la elección sin las opciones de voto en blanco / abstención
+function candidateIdsOf(electionId) {
+  return DATABASE.candidates
+    .filter(c => c.electionId === electionId && !votingMethods.isBlankChoice(c))
+    .map(c => c.candidateId);
+}
+
+function blankIdsOf(electionId) {
+  return DATABASE.candidates
+    .filter(c => c.electionId === electionId && votingMethods.isBlankChoice(c))
+    .map(c => c.candidateId);
+}
+
+// blank / abstain si candidateId es una de esas opciones
+function blankChoiceOf(electionId, candidateId) {
+  const option = DATABASE.candidates.find(c => c.electionId === electionId && c.candidateId === candidateId);
+  return votingMethods.isBlankChoice(option) ? option.choice : null;
+}
+
+// Añade "Voto en blanco" y "Abstención" a cada contienda que aún no los tenga
+// (los referendos ya traen la abstención)
+function addBlankOptions(election, by) {
+  const contests = election.questions ? election.questions.map(q => q.questionId) : [null];
+  contests.forEach(questionId => {
+    const existing = DATABASE.candidates.filter(c => c.electionId === election.electionId &&
+      (questionId === null || c.questionId === questionId));
+    votingMethods.BLANK_OPTIONS
+      .filter(({ choice }) => !existing.some(c => c.choice === choice))
+      .forEach(({ choice, name }) => insertCandidate(election, { name, party: '', ...(questionId && { questionId }), choice }, by));
+  });
+}
+
+// --- REGISTRAR VOTO ---
+function recordVote(data) {
+  try {
+    const txHash = data.txHash || data.transactionHash || '';
+    const wallet = (data.walletAddress || data.voter || data.from || '').toLowerCase().trim();
+    const electionId = parseInt(data.electionId);
+    const blockNumber = data.blockNumber || 0;
+    const gasUsed = data.gasUsed || 0;
+
+    // Validaciones
+    if (!wallet || !electionId || (!parseInt(data.candidateId) && data.candidateIds === undefined && data.answers === undefined)) {
+      throw new Error('Datos incompletos para registrar voto');
+    }
+
+    const election = DATABASE.elections.find(e => e.electionId === electionId);
+    if (!election) {
+      throw new Error('Elección no encontrada');
+    }
+
+    // Verificar que no haya votado antes (con re-voto, la papeleta vigente se reemplaza)
+    const previous = currentBallot(wallet, electionId);
+    if (previous && !election.revoting) {
+      throw new Error('El votante ya emitió su voto en esta elección');
+    }
+    if (commitReveal.isSecret(election)) {
+      throw new Error('Esta elección es de voto secreto: envía commitVote con el compromiso');
+    }
+    if (ballot.isAnonymous(election)) {
+      throw new Error('Esta elección es de voto anónimo: pide un token (requestVotingToken) y vota con castAnonymousVote');
+    }
+    if (ballot.isHomomorphic(election)) {
+      throw new Error('Esta elección es de voto cifrado: envía la papeleta cifrada con castEncryptedVote');
+    }
+    if (!lifecycle.isOpen(election, nowMs())) {
+      throw new Error(`La elección no está abierta para votar (estado: ${lifecycle.effectiveStatus(election, nowMs())})`);
+    }
+
+    const eligibility = getVoterEligibility(wallet, election);
+    if (!eligibility.eligible) {
+      throw new Error(eligibility.reason);
+    }
+
+    // Verificar que los candidatos existen y que la papeleta vale para el método de la elección
+    // (con varias preguntas: una respuesta válida por pregunta, todas bajo la misma firma)
+    const method = votingMethods.methodOf(election);
+    const answers = election.questions
+      ? ballotQuestions.parseAnswers(election.questions, DATABASE.candidates.filter(c => c.electionId === electionId), data.answers)
+      : null;
+    const selection = answers ? null : votingMethods.parseSelection(method, data, candidateIdsOf(electionId), blankIdsOf(electionId));
+    const candidateId = answers ? null : selection[0];
+    const choice = answers ? null : blankChoiceOf(electionId, candidateId);
+
+    if (answers) {
+      verifySignature('MultiVote', wallet, {
+        voter: wallet,
+        electionId,
+        answers,
+        nonce: data.nonce,
+        deadline: data.deadline
+      }, data.signature);
+    } else if (method === votingMethods.METHOD.PLURALITY) {
+      verifySignature('Vote', wallet, {
+        voter: wallet,
+        electionId,
+        candidateId,
+        nonce: data.nonce,
+        deadline: data.deadline
+      }, data.signature);
+    } else {
+      verifySignature('PreferenceVote', wallet, {
+        voter: wallet,
+        electionId,
+        candidateIds: selection,
+        nonce: data.nonce,
+        deadline: data.deadline
+      }, data.signature);
+    }
+
+    // Registrar voto (candidateId es la primera preferencia; selection, la papeleta completa;
+    // en las de varias preguntas, answers lleva todas las respuestas y candidateId queda vacío)
+    const revision = previous ? (previous.revision || 1) + 1 : 1;
+    const proxies = election.proxyVoting ? carriedProxies(election, wallet) : [];
+    const vote = {
+      txHash,
+      walletAddress: wallet,
+      electionId,
+      candidateId,
+      ...(selection && method !== votingMethods.METHOD.PLURALITY && !choice && { selection }),
+      ...(choice && { choice }),
+      ...(answers && { answers }),
+      ...(election.revoting && { revision }),
+      ...(election.proxyVoting && { proxies }),
+      timestamp: nowISO(),
+      blockNumber,
+      gasUsed,
+      nonce: String(data.nonce),
+      signature: data.signature,
+      status: 'Confirmado'
+    };
+
+    withTransaction(() => {
+      insertRecord('votes', vote);
+      if (previous) supersedeVote(previous, vote);
+      // el voto directo prevalece sobre la delegación
+      if (election.proxyVoting) releaseProxy(election, wallet, 'voto directo');
+
+      // Actualizar conteos
+      updateCandidateVotes(electionId, candidateId);
+      updateElectionTotalVotes(electionId);
+
+      logBlockchain('castVote', { wallet, electionId, candidateId, txHash, ...(answers && { answers }), ...(proxies.length && { proxies }) }, [vote]);
+      logAudit('castVote', wallet, { electionId, candidateId }, 'success');
+    });
+    DATABASE.sysActivity.push({ time: vote.timestamp, type: 'vote', data: JSON.stringify({ electionId, candidateId }) });
+    updateStats();
+
+    afterCommit(() => {
+      sheets.appendToSheet('Votos', [vote.timestamp, wallet, electionId, candidateId, txHash, blockNumber, gasUsed]);
+      logger.action(previous ? 'Voto reemplazado' : 'Voto registrado', { wallet, electionId, candidateId, revision });
+      emit('vote:cast', { walletAddress: wallet, electionId, candidateId, txHash, timestamp: vote.timestamp, ...(previous && { revision }) });
+    });
+
+    return {
+      success: true,
+      message: previous ? '🗳️ Voto reemplazado: solo cuenta la última papeleta' : '🗳️ Voto registrado correctamente',
+      txHash,
+      ...(election.revoting && { revision }),
+      ...((election.proxyVoting || election.weighting) && { weight: ballotWeight(vote, election) }),
+      ...(election.proxyVoting && { proxies })
+    };
+  } catch (err) {
+    logAudit('recordVote', data.walletAddress || 'unknown', data, 'error', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+// --- RE-VOTO ---
+// Papeleta vigente de una wallet en una elección (la de mayor revisión sin reemplazar)
+function currentBallot(wallet, electionId) {
+  return DATABASE.votes
+    .filter(v => v.walletAddress === wallet && v.electionId === electionId && v.status !== 'Reemplazado')
+    .sort((a, b) => (b.revision || 1) - (a.revision || 1))[0];
+}
+
+// La papeleta anterior deja de contar pero se conserva para auditoría
+function supersedeVote(previous, vote) {
+  if (previous.status !== 'Invalidado') previous.status = 'Reemplazado';
+  previous.supersededAt = vote.timestamp;
+  previous.supersededBy = vote.revision;
+  logBlockchain('supersedeVote', {
+    wallet: vote.walletAddress,
+    electionId: vote.electionId,
+    revision: previous.revision || 1,
+    supersededBy: vote.revision
+  }, [previous]);
+  logAudit('supersedeVote', vote.walletAddress, { electionId: vote.electionId, revision: previous.revision || 1 }, 'success');
+  afterCommit(() => emit('vote:superseded', {
+    walletAddress: vote.walletAddress,
+    electionId: vote.electionId,
+    revision: previous.revision || 1,
+    supersededBy: vote.revision,
+    timestamp: vote.timestamp
+  }));
+}
+
+// --- VOTO DELEGADO ---
+// Con proxyVoting, un votante firma antes de la apertura un poder a otra wallet
+// (DelegateVote) y puede revocarlo (RevokeDelegation) mientras la elección no abra.
+// Reglas: no hay cadenas (quien delega no recibe poderes y quien los recibe no delega),
+// maxProxies limita los poderes por delegado y el voto directo del delegante prevalece:
+// su poder deja de contar, vote antes o después que el delegado. La papeleta del delegado
+// lleva en `proxies` los delegantes que representa y cuenta por 1 + proxies.length
+// (en una elección ponderada, por la suma de sus pesos: ver ballotWeight).
+
+function activeDelegations(electionId) {
+  return DATABASE.delegations.filter(d => d.electionId === electionId && d.status === 'active');
+}
+
+function findDelegation(electionId, delegator) {
+  return activeDelegations(electionId).find(d => d.delegator === delegator);
+}
+
+// Votantes que representa una papeleta: el propio y sus delegantes
+function ballotHeadcount(v) {
+  return 1 + (v.proxies ? v.proxies.length : 0);
+}
+
+// Delegantes que representa hoy un delegado: los que no votaron y siguen habilitados
+function carriedProxies(election, delegate) {
+  return activeDelegations(election.electionId)
+    .filter(d => d.delegate === delegate &&
+      !currentBallot(d.delegator, election.electionId) &&
+      getVoterEligibility(d.delegator, election).eligible)
+    .map(d => d.delegator);
+}
+
+// Quita al delegante de la papeleta de su delegado (voto directo o wallet revocada)
+function releaseProxy(election, delegator, reason) {
+  const delegation = findDelegation(election.electionId, delegator);
+  const carrier = delegation && currentBallot(delegation.delegate, election.electionId);
+  if (!carrier || !(carrier.proxies || []).includes(delegator)) return false;
+  carrier.proxies = carrier.proxies.filter(p => p !== delegator);
+  logBlockchain('releaseProxy', { electionId: election.electionId, delegator, delegate: delegation.delegate, reason });
+  return true;
+}
+
+// Los poderes se dan y se revocan antes de la apertura
+function assertDelegationOpen(election) {
+  if (!election.proxyVoting) {
+    throw new Error('Esta elección no admite voto delegado');
+  }
+  const status = lifecycle.effectiveStatus(election, nowMs());
+  if (![lifecycle.STATUS.DRAFT, lifecycle.STATUS.SCHEDULED].includes(status)) {
+    throw new Error(`Los poderes solo se gestionan antes de la apertura (estado: ${status})`);
+  }
+}
+
+function delegateVote(data) {
+  try {
+    const wallet = (data.walletAddress || data.voter || '').toLowerCase().trim();
+    const delegate = (data.delegate || '').toLowerCase().trim();
+    const electionId = parseInt(data.electionId);
+    if (!wallet || !delegate || !electionId) {
+      throw new Error('Wallet, delegate y electionId son obligatorios');
+    }
+    if (!/^0x[a-f0-9]{40}$/.test(delegate)) {
+      throw new Error('Dirección de delegado inválida');
+    }
+    if (wallet === delegate) {
+      throw new Error('No puedes delegar el voto en ti mismo');
+    }
+
+    const election = findElection(electionId);
+    assertDelegationOpen(election);
+    [[wallet, 'delegante'], [delegate, 'delegado']].forEach(([address, role]) => {
+      const eligibility = getVoterEligibility(address, election);
+      if (!eligibility.eligible) throw new Error(`El ${role} no puede votar en esta elección: ${eligibility.reason}`);
+    });
+
+    if (findDelegation(electionId, wallet)) {
+      throw new Error('Ya delegaste tu voto en esta elección: revoca el poder antes de otorgar otro');
+    }
+    const delegations = activeDelegations(electionId);
+    if (delegations.some(d => d.delegate === wallet)) {
+      throw new Error('Tienes poderes de otros votantes: no puedes delegar (no se admiten cadenas)');
+    }
+    if (findDelegation(electionId, delegate)) {
+      throw new Error('El delegado ya delegó su voto: no se admiten cadenas de poderes');
+    }
+    const held = delegations.filter(d => d.delegate === delegate).length;
+    if (election.maxProxies && held >= election.maxProxies) {
+      throw new Error(`El delegado ya tiene el máximo de ${election.maxProxies} poderes`);
+    }
+
+    verifySignature('DelegateVote', wallet, {
+      voter: wallet,
+      electionId,
+      delegate,
+      nonce: data.nonce,
+      deadline: data.deadline
+    }, data.signature);
+
+    const delegation = {
+      electionId,
+      delegator: wallet,
+      delegate,
+      status: 'active',
+      source: 'signed',
+      createdAt: nowISO(),
+      nonce: String(data.nonce),
+      signature: data.signature
+    };
+    DATABASE.delegations.push(delegation);
+    logBlockchain('delegateVote', { electionId, delegator: wallet, delegate });
+    logAudit('delegateVote', wallet, { electionId, delegate }, 'success');
+    afterCommit(() => emit('delegation:created', { electionId, delegator: wallet, delegate }));
+
+    return { success: true, message: '🤝 Poder otorgado', delegation, proxies: held + 1 };
+  } catch (err) {
+    logAudit('delegateVote', data.walletAddress || 'unknown', data, 'error', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+function revokeDelegation(data) {
+  try {
+    const wallet = (data.walletAddress || data.voter || '').toLowerCase().trim();
+    const electionId = parseInt(data.electionId);
+    if (!wallet || !electionId) {
+      throw new Error('Wallet y electionId son obligatorios');
+    }
+
+    const election = findElection(electionId);
+    assertDelegationOpen(election);
+    const delegation = findDelegation(electionId, wallet);
+    if (!delegation) {
+      throw new Error('No tienes un poder vigente en esta elección');
+    }
+
+    verifySignature('RevokeDelegation', wallet, {
+      voter: wallet,
+      electionId,
+      nonce: data.nonce,
+      deadline: data.deadline
+    }, data.signature);
+
+    delegation.status = 'revoked';
+    delegation.revokedAt = nowISO();
+    logBlockchain('revokeDelegation', { electionId, delegator: wallet, delegate: delegation.delegate });
+    logAudit('revokeDelegation', wallet, { electionId }, 'success');
+    afterCommit(() => emit('delegation:revoked', { electionId, delegator: wallet, delegate: delegation.delegate }));
+
+    return { success: true, message: '↩️ Poder revocado', delegation };
+  } catch (err) {
+    logAudit('revokeDelegation', data.walletAddress || 'unknown', data, 'error', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+// Poderes vigentes de una elección, agrupados por delegado
+function getDelegations(data) {
+  try {
+    const electionId = parseInt(data.electionId);
+    const election = findElection(electionId);
+    const wallet = (data.walletAddress || '').toLowerCase().trim();
+    const delegations = activeDelegations(electionId)
+      .filter(d => !wallet || d.delegator === wallet || d.delegate === wallet);
+
+    const byDelegate = {};
+    delegations.forEach(d => {
+      byDelegate[d.delegate] = byDelegate[d.delegate] || { delegate: d.delegate, delegators: [], carried: [] };
+      byDelegate[d.delegate].delegators.push(d.delegator);
+    });
+    // lo que lleva cada papeleta ya emitida
+    DATABASE.votes
+      .filter(v => v.electionId === electionId && byDelegate[v.walletAddress] && isCountedVote(v))
+      .forEach(v => { byDelegate[v.walletAddress].carried = v.proxies || []; });
+
+    return {
+      success: true,
+      proxyVoting: Boolean(election.proxyVoting),
+      maxProxies: election.maxProxies || 0,
+      delegations: delegations.map(({ signature, nonce, ...d }) => d),
+      delegates: Object.values(byDelegate)
+    };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+// --- VOTO PONDERADO ---
+// Con weighting, cada votante pesa lo que diga una lista importada (source 'list') o su
+// saldo de un token ERC-20 / ERC-721 en un bloque (foto vía RPC). Los pesos se fijan
+// antes de la apertura y la elección no abre sin ellos; quien no figura pesa 0.
+// Se guardan como texto decimal exacto y weightOf los pasa a número para el recuento.
+
+function weightOf(election, wallet) {
+  if (!election || !election.weighting) return 1;
+  return Number(election.weighting.weights[wallet] || 0);
+}
+
+// Peso de una papeleta en el recuento: el de su votante más el de los poderes que lleva
+function ballotWeight(v, election) {
+  return [v.walletAddress, ...(v.proxies || [])].reduce((sum, wallet) => sum + weightOf(election, wallet), 0);
+}
+
+// Los pesos se importan o se fotografían con la elección en borrador o programada
+function assertWeightsEditable(election) {
+  if (!election.weighting) {
+    throw new Error('Esta elección no es ponderada');
+  }
+  const status = lifecycle.effectiveStatus(election, nowMs());
+  if (![lifecycle.STATUS.DRAFT, lifecycle.STATUS.SCHEDULED].includes(status)) {
+    throw new Error(`Los pesos solo se fijan antes de la apertura (estado: ${status})`);
+  }
+}
+
+// Fija los pesos y deja su huella en el ledger
+function applyWeights(election, weights, by, extra = {}) {
+  const weighting = election.weighting;
+  weighting.weights = weights;
+  weighting.total = voterWeights.sumWeights(weights);
+  weighting.takenAt = nowISO();
+  weighting.takenBy = by;
+  Object.assign(weighting, extra);
+
+  const summary = {
+    electionId: election.electionId,
+    source: weighting.source,
+    voters: Object.keys(weights).length,
+    total: weighting.total,
+    digest: voterWeights.weightsDigest(weights),
+    ...extra
+  };
+  logBlockchain('voterWeights', { ...summary, by });
+  logAudit('voterWeights', by, summary, 'success');
+  afterCommit(() => {
+    logger.action('Pesos de votantes fijados', summary);
+    emit('election:weights', summary);
+  });
+  return summary;
+}
+
+// Lista de pesos: weights ({ wallet: peso } o [{ walletAddress, weight }]) o csv ("wallet,peso")
+function importVoterWeights(data) {
+  try {
+    const admin = (data.adminAddress || '').toLowerCase().trim();
+    const electionId = parseInt(data.electionId);
+    assertRole(admin, rbac.ROLES.ELECTION_ADMIN, electionId);
+    const election = findElection(electionId);
+    assertWeightsEditable(election);
+    if (election.weighting.source !== voterWeights.WEIGHTING.LIST) {
+      throw new Error(`Los pesos de esta elección salen del saldo del token (${election.weighting.source}): usa snapshotVoterWeights`);
+    }
+
+    const weights = voterWeights.parseWeightList(data.weights !== undefined ? data.weights : data.csv);
+    const summary = applyWeights(election, weights, admin);
+    return { success: true, message: `⚖️ Pesos importados para ${summary.voters} votantes (total ${summary.total})`, weighting: summary };
+  } catch (err) {
+    logAudit('importVoterWeights', data.adminAddress || 'unknown', { electionId: data.electionId }, 'error', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+// Foto de saldos del censo en el bloque de la elección (o el último). La lectura del RPC
+// queda fuera del lock; lo leído se aplica como acción journaled (applyWeightSnapshot)
+async function snapshotVoterWeights(data) {
+  try {
+    const admin = (data.adminAddress || '').toLowerCase().trim();
+    const electionId = parseInt(data.electionId);
+    assertRole(admin, rbac.ROLES.ELECTION_ADMIN, electionId);
+    const election = findElection(electionId);
+    assertWeightsEditable(election);
+    const weighting = election.weighting;
+    if (weighting.source === voterWeights.WEIGHTING.LIST) {
+      throw new Error('Los pesos de esta elección salen de una lista: usa importVoterWeights');
+    }
+    const wallets = electorateWallets(election);
+    if (!wallets.length) {
+      throw new Error('La elección no tiene censo del que tomar la foto');
+    }
+
+    const snapshot = await voterWeights.snapshotBalances({
+      rpcUrl: CONFIG.RPC_URL,
+      source: weighting.source,
+      token: weighting.token,
+      block: weighting.snapshotBlock,
+      wallets
+    });
+    return handleAction('applyWeightSnapshot', { adminAddress: admin, electionId, ...snapshot });
+  } catch (err) {
+    const message = err.shortMessage || err.message;
+    logAudit('snapshotVoterWeights', data.adminAddress || 'unknown', { electionId: data.electionId }, 'error', message);
+    return { success: false, error: message };
+  }
+}
+
+function applyWeightSnapshot(data) {
+  try {
+    const admin = (data.adminAddress || '').toLowerCase().trim();
+    const electionId = parseInt(data.electionId);
+    assertRole(admin, rbac.ROLES.ELECTION_ADMIN, electionId);
+    const election = findElection(electionId);
+    assertWeightsEditable(election);
+    if (election.weighting.source === voterWeights.WEIGHTING.LIST) {
+      throw new Error('Los pesos de esta elección salen de una lista');
+    }
+
+    const summary = applyWeights(election, voterWeights.parseWeightList(data.weights), admin, {
+      snapshotBlock: parseInt(data.block),
+      decimals: parseInt(data.decimals) || 0
+    });
+    return { success: true, message: `📸 Foto de saldos en el bloque ${summary.snapshotBlock}: ${summary.voters} votantes (total ${summary.total})`, weighting: summary };
+  } catch (err) {
+    logAudit('applyWeightSnapshot', data.adminAddress || 'unknown', { electionId: data.electionId }, 'error', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+// Pesos de una elección (o de una wallet)
+function getVoterWeights(data) {
+  try {
+    const election = findElection(parseInt(data.electionId));
+    if (!election.weighting) {
+      throw new Error('Esta elección no es ponderada');
+    }
+    const wallet = (data.walletAddress || '').toLowerCase().trim();
+    const { weights, ...weighting } = election.weighting;
+    return {
+      success: true,
+      weighting: { ...weighting, voters: Object.keys(weights).length },
+      weights: wallet ? { [wallet]: weights[wallet] || '0' } : weights
+    };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+// --- VOTO SECRETO (COMMIT-REVEAL) ---
+// Durante Open se guarda solo el compromiso; el candidato se conoce al revelar
+function commitVote(data) {
+  try {
+    const txHash = data.txHash || data.transactionHash || '';
+    const wallet = (data.walletAddress || data.voter || data.from || '').toLowerCase().trim();
+    const electionId = parseInt(data.electionId);
+    const commitment = String(data.commitment || '').toLowerCase();
+
+    if (!wallet || !electionId || !commitment) {
+      throw new Error('Datos incompletos: wallet, electionId y commitment son obligatorios');
+    }
+    if (!commitReveal.isBytes32(commitment)) {
+      throw new Error('commitment debe ser un hash de 32 bytes (0x...)');
+    }
+
+    const hasVoted = DATABASE.votes.some(v => v.walletAddress === wallet && v.electionId === electionId);
+    if (hasVoted) {
+      throw new Error('El votante ya emitió su voto en esta elección');
+    }
+
+    const election = findElection(electionId);
+    if (!commitReveal.isSecret(election)) {
+      throw new Error('Esta elección no es de voto secreto: usa castVote');
+    }
+    if (!lifecycle.isOpen(election, nowMs())) {
+      throw new Error(`La elección no está abierta para votar (estado: ${lifecycle.effectiveStatus(election, nowMs())})`);
+    }
+
+    const eligibility = getVoterEligibility(wallet, election);
+    if (!eligibility.eligible) {
+      throw new Error(eligibility.reason);
+    }
+
+    verifySignature('CommitVote', wallet, {
+      voter: wallet,
+      electionId,
+      commitment,
+      nonce: data.nonce,
+      deadline: data.deadline
+    }, data.signature);
+
+    const vote = {
+      txHash,
+      walletAddress: wallet,
+      electionId,
+      candidateId: null,
+      commitment,
+      timestamp: nowISO(),
+      blockNumber: data.blockNumber || 0,
+      gasUsed: data.gasUsed || 0,
+      nonce: String(data.nonce),
+      signature: data.signature,
+      status: 'Comprometido'
+    };
+
+    withTransaction(() => {
+      insertRecord('votes', vote);
+      updateElectionTotalVotes(electionId);
+
+      logBlockchain('commitVote', { wallet, electionId, commitment, txHash }, [vote]);
+      logAudit('commitVote', wallet, { electionId }, 'success');
+    });
+    DATABASE.sysActivity.push({ time: vote.timestamp, type: 'vote', data: JSON.stringify({ electionId }) });
+    updateStats();
+
+    afterCommit(() => {
+      sheets.appendToSheet('Votos', [vote.timestamp, wallet, electionId, '', txHash, vote.blockNumber, vote.gasUsed]);
+      logger.action('Voto secreto comprometido', { electionId });
+      // sin wallet ni candidato: solo se publica que hubo un voto
+      emit('vote:committed', { electionId, timestamp: vote.timestamp });
+    });
+
+    return {
+      success: true,
+      message: '🔒 Voto secreto registrado: guarda el salt para revelarlo al cerrar la votación',
+      txHash
+    };
+  } catch (err) {
+    logAudit('commitVote', data.walletAddress || 'unknown', data, 'error', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+// En la fase Reveal el votante muestra candidateId + salt y se comprueba contra su compromiso
+function revealVote(data) {
+  try {
+    const wallet = (data.walletAddress || data.voter || data.from || '').toLowerCase().trim();
+    const electionId = parseInt(data.electionId);
+    const candidateId = parseInt(data.candidateId);
+    const salt = String(data.salt || '').toLowerCase();
+
+    if (!wallet || !electionId || !candidateId || !salt) {
+      throw new Error('Datos incompletos: wallet, electionId, candidateId y salt son obligatorios');
+    }
+    if (!commitReveal.isBytes32(salt)) {
+      throw new Error('salt debe ser de 32 bytes (0x...)');
+    }
+
+    const election = findElection(electionId);
+    if (!commitReveal.isSecret(election)) {
+      throw new Error('Esta elección no es de voto secreto');
+    }
+    if (!lifecycle.isRevealing(election, nowMs())) {
+      throw new Error(`La fase de revelado no está abierta (estado: ${lifecycle.effectiveStatus(election, nowMs())})`);
+    }
+
+    const vote = DATABASE.votes.find(v => v.walletAddress === wallet && v.electionId === electionId);
+    if (!vote || !vote.commitment) {
+      throw new Error('No hay un voto secreto de esta wallet en la elección');
+    }
+    if (vote.status === 'Invalidado') {
+      throw new Error('El voto fue invalidado');
+    }
+    if (vote.revealedAt) {
+      throw new Error('El voto ya fue revelado');
+    }
+    if (!DATABASE.candidates.some(c => c.electionId === electionId && c.candidateId === candidateId)) {
+      throw new Error('Candidato no encontrado');
+    }
+    if (commitReveal.computeCommitment({ electionId, candidateId, salt, voter: wallet }) !== vote.commitment) {
+      throw new Error('La revelación no coincide con el voto comprometido');
+    }
+
+    verifySignature('RevealVote', wallet, {
+      voter: wallet,
+      electionId,
+      candidateId,
+      salt,
+      nonce: data.nonce,
+      deadline: data.deadline
+    }, data.signature);
+
+    vote.candidateId = candidateId;
+    const choice = blankChoiceOf(electionId, candidateId);
+    if (choice) vote.choice = choice;
+    vote.salt = salt;
+    vote.revealedAt = nowISO();
+    vote.revealTxHash = data.txHash || '';
+    vote.status = 'Confirmado';
+
+    // los conteos siguen ocultos hasta que termina el revelado (ver updateCandidateVotes)
+    updateCandidateVotes(electionId);
+    updateElectionTotalVotes(electionId);
+    // durante el revelado la cadena solo recibe el compromiso; la opción se publica al cerrar (publishReveals)
+    logBlockchain('revealVote', { wallet, electionId, commitment: vote.commitment, txHash: vote.revealTxHash });
+    logAudit('revealVote', wallet, { electionId }, 'success');
+    updateStats();
+
+    afterCommit(() => {
+      logger.action('Voto secreto revelado', { electionId });
+      emit('vote:revealed', { electionId, timestamp: vote.revealedAt });
+    });
+
+    return { success: true, message: '🗳️ Voto revelado correctamente' };
+  } catch (err) {
+    // sin candidateId ni salt: el error no debe adelantar el voto
+    logAudit('revealVote', data.walletAddress || 'unknown', { electionId: data.electionId }, 'error', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+// --- VOTO ANÓNIMO (FIRMAS CIEGAS) ---
+// 1) el votante elegible pide con su wallet la firma ciega de un token (requestVotingToken)
+// 2) desciega la firma y vota sin wallet con (token, firma) (castAnonymousVote)
+// El doble voto se controla con el nullifier del token, no con la wallet.
+function requestVotingToken(data) {
+  try {
+    const wallet = (data.walletAddress || data.voter || '').toLowerCase().trim();
+    const electionId = parseInt(data.electionId);
+    const blindedToken = String(data.blindedToken || '').toLowerCase();
+
+    if (!wallet || !electionId || !blindedToken) {
+      throw new Error('Datos incompletos: wallet, electionId y blindedToken son obligatorios');
+    }
+    if (!/^0x[0-9a-f]+$/.test(blindedToken)) {
+      throw new Error('blindedToken debe ser hexadecimal (0x...)');
+    }
+
+    const election = findElection(electionId);
+    if (!ballot.isAnonymous(election)) {
+      throw new Error('Esta elección no es de voto anónimo');
+    }
+    const status = lifecycle.effectiveStatus(election, nowMs());
+    if (![lifecycle.STATUS.SCHEDULED, lifecycle.STATUS.OPEN].includes(status)) {
+      throw new Error(`No se emiten tokens en una elección en estado ${status}`);
+    }
+
+    const eligibility = getVoterEligibility(wallet, election);
+    if (!eligibility.eligible) {
+      throw new Error(eligibility.reason);
+    }
+
+    // un token por wallet; si se repite la misma petición se devuelve la misma firma
+    const issued = DATABASE.votingTokens.find(t => t.electionId === electionId && t.walletAddress === wallet);
+    if (issued && issued.blindedToken !== blindedToken) {
+      throw new Error('Ya se emitió un token de voto para esta wallet en esta elección');
+    }
+
+    verifySignature('RequestVotingToken', wallet, {
+      voter: wallet,
+      electionId,
+      blindedToken,
+      nonce: data.nonce,
+      deadline: data.deadline
+    }, data.signature);
+    if (issued) {
+      return { success: true, message: 'Token ya emitido', blindSignature: issued.blindSignature, publicKey: election.registrar.publicKey };
+    }
+
+    const blindSig = blindSignature.signBlinded(blindedToken, getRegistrarKeys().privateKey(election.registrar.keyLabel));
+    DATABASE.votingTokens.push({
+      electionId,
+      walletAddress: wallet,
+      blindedToken,
+      blindSignature: blindSig,
+      issuedAt: nowISO()
+    });
+
+    logBlockchain('issueVotingToken', { wallet, electionId });
+    logAudit('requestVotingToken', wallet, { electionId }, 'success');
+
+    afterCommit(() => logger.info('Token de voto anónimo emitido', { electionId }));
+
+    return { success: true, message: '🎟️ Token emitido: desciégalo y vota con castAnonymousVote', blindSignature: blindSig, publicKey: election.registrar.publicKey };
+  } catch (err) {
+    logAudit('requestVotingToken', data.walletAddress || 'unknown', { electionId: data.electionId }, 'error', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+function castAnonymousVote(data) {
+  try {
+    const electionId = parseInt(data.electionId);
+    const token = String(data.token || '').toLowerCase();
+    const tokenSignature = String(data.tokenSignature || '').toLowerCase();
+
+    if (!electionId || (!parseInt(data.candidateId) && data.candidateIds === undefined) || !token || !tokenSignature) {
+      throw new Error('Datos incompletos: electionId, candidateId, token y tokenSignature son obligatorios');
+    }
+    if (!blindSignature.isToken(token)) {
+      throw new Error('token debe ser de 32 bytes (0x...)');
+    }
+
+    const election = findElection(electionId);
+    if (!ballot.isAnonymous(election)) {
+      throw new Error('Esta elección no es de voto anónimo');
+    }
+    if (!lifecycle.isOpen(election, nowMs())) {
+      throw new Error(`La elección no está abierta para votar (estado: ${lifecycle.effectiveStatus(election, nowMs())})`);
+    }
+    const method = votingMethods.methodOf(election);
+    const selection = votingMethods.parseSelection(method, data, candidateIdsOf(electionId), blankIdsOf(electionId));
+    const candidateId = selection[0];
+    const choice = blankChoiceOf(electionId, candidateId);
+    if (!blindSignature.verify(blindSignature.tokenMessage(electionId, token), tokenSignature, election.registrar.publicKey)) {
+      throw new Error('Firma del token inválida');
+    }
+
+    const nullifier = blindSignature.nullifier(electionId, token);
+    if (DATABASE.votes.some(v => v.electionId === electionId && v.nullifier === nullifier)) {
+      throw new Error('Este token ya fue usado para votar');
+    }
+
+    // sin wallet: walletAddress guarda el nullifier (mantiene la clave única wallet + elección)
+    const vote = {
+      txHash: '',
+      walletAddress: nullifier,
+      nullifier,
+      electionId,
+      candidateId,
+      ...(method !== votingMethods.METHOD.PLURALITY && !choice && { selection }),
+      ...(choice && { choice }),
+      token,
+      tokenSignature,
+      timestamp: nowISO(),
+      blockNumber: 0,
+      gasUsed: 0,
+      status: 'Confirmado',
+      source: 'anonymous'
+    };
+
+    withTransaction(() => {
+      insertRecord('votes', vote);
+      updateCandidateVotes(electionId);
+      updateElectionTotalVotes(electionId);
+
+      logBlockchain('anonymousVote', { nullifier, electionId, candidateId }, [vote]);
+      logAudit('castAnonymousVote', 'anonymous', { electionId, nullifier }, 'success');
+    });
+    DATABASE.sysActivity.push({ time: vote.timestamp, type: 'vote', data: JSON.stringify({ electionId, candidateId }) });
+    updateStats();
+
+    afterCommit(() => {
+      sheets.appendToSheet('Votos', [vote.timestamp, nullifier, electionId, candidateId, '', 0, 0]);
+      logger.action('Voto anónimo registrado', { electionId, candidateId });
+      emit('vote:cast', { electionId, candidateId, timestamp: vote.timestamp });
+    });
+
+    return { success: true, message: '🗳️ Voto anónimo registrado', nullifier };
+  } catch (err) {
+    logAudit('castAnonymousVote', 'anonymous', { electionId: data.electionId }, 'error', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+// Prueba pública del conteo: cada papeleta lleva un token firmado por el registrador,
+// ningún nullifier se repite, no hay más votos que tokens emitidos y el recuento coincide
+function getAnonymousAudit(data) {
+  try {
+    const electionId = parseInt(data.electionId);
+    const election = findElection(electionId);
+    if (!ballot.isAnonymous(election)) {
+      throw new Error('Esta elección no es de voto anónimo');
+    }
+
+    const { publicKey } = election.registrar;
+    const votes = DATABASE.votes.filter(v => v.electionId === electionId && v.nullifier);
+    const invalidSignatures = votes.filter(v =>
+      v.nullifier !== blindSignature.nullifier(electionId, v.token) ||
+      !blindSignature.verify(blindSignature.tokenMessage(electionId, v.token), v.tokenSignature, publicKey)
+    ).length;
+    const duplicateNullifiers = votes.length - new Set(votes.map(v => v.nullifier)).size;
+    const issued = DATABASE.votingTokens.filter(t => t.electionId === electionId).length;
+
+    const counted = votes.filter(isCountedVote);
+    const recount = votingMethods.tally(votingMethods.methodOf(election), {
+      candidateIds: candidateIdsOf(electionId),
+      ballots: counted.filter(v => !v.choice).map(ballotSelection),
+      seats: election.seats,
+      tieOrder: electionRules.tieOrder(election, candidateIdsOf(electionId))
+    }).counts;
+    // el voto en blanco y la abstención se cuentan aparte
+    blankIdsOf(electionId).forEach(id => { recount[id] = counted.filter(v => v.candidateId === id).length; });
+    const matchesStoredCounts = DATABASE.candidates
+      .filter(c => c.electionId === electionId)
+      .every(c => c.votes === (recount[c.candidateId] || 0));
+
+    return {
+      success: true,
+      electionId,
+      publicKey,
+      issued,
+      cast: votes.length,
+      invalidSignatures,
+      duplicateNullifiers,
+      recount,
+      matchesStoredCounts,
+      valid: invalidSignatures === 0 && duplicateNullifiers === 0 && votes.length <= issued && matchesStoredCounts,
+      ballots: votes.map(v => ({ nullifier: v.nullifier, token: v.token, tokenSignature: v.tokenSignature, candidateId: v.candidateId, selection: v.selection, status: v.status }))
+    };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+// --- RECUENTO HOMOMÓRFICO (ELGAMAL CON TRUSTEES) ---
+// Ceremonia de clave, antes de abrir la elección:
+// 1) cada trustee registra una clave de transporte (registerTrusteeKey)
+// 2) cada trustee publica su reparto Feldman: compromisos + participaciones cifradas
+//    para los demás (submitKeyDealing); con todos los repartos queda la clave conjunta
+// Los votantes envían papeletas cifradas con pruebas 0/1 (castEncryptedVote) y el servidor
+// solo las multiplica. Tras el cierre, `threshold` trustees envían su participación de
+// descifrado de los totales agregados (submitDecryptionShare); nunca se descifra una papeleta.
+
+// trustees (lista o texto separado por comas) y threshold (por defecto todos)
+function parseTrustees(data) {
+  const list = Array.isArray(data.trustees) ? data.trustees : String(data.trustees || '').split(',');
+  const addresses = list.map(a => String(a).toLowerCase().trim()).filter(Boolean);
+  if (!addresses.length) {
+    throw new Error('Una elección cifrada necesita al menos un trustee');
+  }
+  if (addresses.some(a => !/^0x[a-f0-9]{40}$/.test(a))) {
+    throw new Error('Dirección de trustee inválida');
+  }
+  if (new Set(addresses).size !== addresses.length) {
+    throw new Error('Trustees duplicados');
+  }
+  const threshold = data.threshold ? parseInt(data.threshold) : addresses.length;
+  if (!(threshold >= 1 && threshold <= addresses.length)) {
+    throw new Error(`threshold debe estar entre 1 y ${addresses.length}`);
+  }
+  return {
+    threshold,
+    trustees: addresses.map((address, i) => ({ index: i + 1, address, transportKey: null })),
+    dealings: [],
+    publicKey: null,
+    verificationKeys: {},
+    aggregate: null,
+    decryptionShares: {},
+    result: null
+  };
+}
+
+function keyCeremonyPhase(encryption) {
+  if (encryption.result) return 'decrypted';
+  if (encryption.publicKey) return 'ready';
+  if (encryption.trustees.some(t => !t.transportKey)) return 'transport';
+  return 'dealing';
+}
+
+// Elección cifrada y trustee que hace la petición (adminAddress = wallet de la sesión)
+function findTrustee(data) {
+  const address = (data.adminAddress || '').toLowerCase().trim();
+  const election = findElection(parseInt(data.electionId));
+  if (!ballot.isHomomorphic(election)) {
+    throw new Error('Esta elección no es de voto cifrado');
+  }
+  const trustee = election.encryption.trustees.find(t => t.address === address);
+  if (!trustee) {
+    throw new Error('No eres trustee de esta elección');
+  }
+  return { election, trustee, encryption: election.encryption };
+}
+
+function assertBeforeOpening(election) {
+  const status = lifecycle.effectiveStatus(election, nowMs());
+  if (![lifecycle.STATUS.DRAFT, lifecycle.STATUS.SCHEDULED].includes(status)) {
+    throw new Error(`La ceremonia de clave ya terminó (estado: ${status})`);
+  }
+}
+
+function registerTrusteeKey(data) {
+  try {
+    const { election, trustee, encryption } = findTrustee(data);
+    assertBeforeOpening(election);
+    if (encryption.dealings.length) {
+      throw new Error('Ya hay repartos cifrados con las claves actuales: no se pueden cambiar');
+    }
+    trustee.transportKey = elgamal.toHex(elgamal.parseElement(data.transportKey, 'transportKey'));
+
+    logBlockchain('trusteeKey', { electionId: election.electionId, trustee: trustee.index });
+    logAudit('registerTrusteeKey', trustee.address, { electionId: election.electionId }, 'success');
+    afterCommit(() => emit('election:keyCeremony', { electionId: election.electionId, phase: keyCeremonyPhase(encryption) }));
+
+    return { success: true, message: '🔑 Clave de transporte registrada', phase: keyCeremonyPhase(encryption) };
+  } catch (err) {
+    logAudit('registerTrusteeKey', data.adminAddress || 'unknown', { electionId: data.electionId }, 'error', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+// El servidor solo comprueba la forma del reparto; cada trustee comprueba su participación
+// contra los compromisos al calcular su clave (elgamal.trusteeSecret)
+function submitKeyDealing(data) {
+  try {
+    const { election, trustee, encryption } = findTrustee(data);
+    assertBeforeOpening(election);
+    if (keyCeremonyPhase(encryption) !== 'dealing') {
+      throw new Error('Todavía faltan claves de transporte de otros trustees');
+    }
+    if (encryption.dealings.some(d => d.from === trustee.index)) {
+      throw new Error('Ya enviaste tu reparto');
+    }
+
+    const commitments = Array.isArray(data.commitments) ? data.commitments : [];
+    if (commitments.length !== encryption.threshold) {
+      throw new Error(`Se esperan ${encryption.threshold} compromisos`);
+    }
+    const shares = {};
+    encryption.trustees.forEach(t => {
+      const share = (data.shares || {})[t.index];
+      if (!share || !/^0x[0-9a-f]{64}$/.test(String(share.c2).toLowerCase())) {
+        throw new Error(`Falta la participación cifrada del trustee ${t.index}`);
+      }
+      shares[t.index] = { c1: elgamal.toHex(elgamal.parseElement(share.c1, 'c1')), c2: String(share.c2).toLowerCase() };
+    });
+    encryption.dealings.push({
+      from: trustee.index,
+      commitments: commitments.map(c => elgamal.toHex(elgamal.parseElement(c, 'Compromiso'))),
+      shares,
+      submittedAt: nowISO()
+    });
+
+    if (encryption.dealings.length === encryption.trustees.length) {
+      encryption.publicKey = elgamal.jointPublicKey(encryption.dealings);
+      encryption.trustees.forEach(t => {
+        encryption.verificationKeys[t.index] = elgamal.verificationKey(encryption.dealings, t.index);
+      });
+      logBlockchain('electionKey', { electionId: election.electionId, publicKey: encryption.publicKey });
+    }
+    logAudit('submitKeyDealing', trustee.address, { electionId: election.electionId }, 'success');
+    afterCommit(() => emit('election:keyCeremony', { electionId: election.electionId, phase: keyCeremonyPhase(encryption) }));
+
+    return { success: true, message: '🔑 Reparto registrado', phase: keyCeremonyPhase(encryption), publicKey: encryption.publicKey };
+  } catch (err) {
+    logAudit('submitKeyDealing', data.adminAddress || 'unknown', { electionId: data.electionId }, 'error', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+function getKeyCeremony(data) {
+  try {
+    const election = findElection(parseInt(data.electionId));
+    if (!ballot.isHomomorphic(election)) {
+      throw new Error('Esta elección no es de voto cifrado');
+    }
+    const candidateIds = DATABASE.candidates.filter(c => c.electionId === election.electionId).map(c => c.candidateId);
+    return { success: true, electionId: election.electionId, phase: keyCeremonyPhase(election.encryption), candidateIds, group: elgamal.GROUP, ...election.encryption };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+function castEncryptedVote(data) {
+  try {
+    const wallet = (data.walletAddress || data.voter || '').toLowerCase().trim();
+    const electionId = parseInt(data.electionId);
+
+    if (!wallet || !electionId || !data.ballot) {
+      throw new Error('Datos incompletos: wallet, electionId y ballot son obligatorios');
+    }
+
+    const election = findElection(electionId);
+    if (!ballot.isHomomorphic(election)) {
+      throw new Error('Esta elección no es de voto cifrado');
+    }
+    if (!lifecycle.isOpen(election, nowMs())) {
+      throw new Error(`La elección no está abierta para votar (estado: ${lifecycle.effectiveStatus(election, nowMs())})`);
+    }
+    if (DATABASE.votes.some(v => v.walletAddress === wallet && v.electionId === electionId)) {
+      throw new Error('El votante ya emitió su voto en esta elección');
+    }
+
+    const eligibility = getVoterEligibility(wallet, election);
+    if (!eligibility.eligible) {
+      throw new Error(eligibility.reason);
+    }
+
+    const candidateIds = DATABASE.candidates.filter(c => c.electionId === electionId).map(c => c.candidateId);
+    const parsed = elgamal.verifyBallot({ publicKey: election.encryption.publicKey, electionId, voter: wallet, candidateIds, ballot: data.ballot });
+    const ballotHash = elgamal.ballotDigest(data.ballot);
+
+    verifySignature('EncryptedVote', wallet, {
+      voter: wallet,
+      electionId,
+      ballotHash,
+      nonce: data.nonce,
+      deadline: data.deadline
+    }, data.signature);
+
+    // se guarda la papeleta normalizada (hex en minúsculas) tal como se verificó
+    const vote = {
+      txHash: '',
+      walletAddress: wallet,
+      electionId,
+      candidateId: null,
+      ballot: {
+        ciphertexts: parsed.map(ct => ({
+          candidateId: ct.candidateId,
+          a: elgamal.toHex(ct.a),
+          b: elgamal.toHex(ct.b),
+          proof: data.ballot.ciphertexts.find(c => Number(c.candidateId) === ct.candidateId).proof
+        })),
+        sumProof: data.ballot.sumProof
+      },
+      ballotHash,
+      timestamp: nowISO(),
+      blockNumber: 0,
+      gasUsed: 0,
+      nonce: String(data.nonce),
+      signature: data.signature,
+      status: 'Confirmado',
+      source: 'encrypted'
+    };
+
+    withTransaction(() => {
+      insertRecord('votes', vote);
+      updateCandidateVotes(electionId);
+      updateElectionTotalVotes(electionId);
+
+      logBlockchain('encryptedVote', { wallet, electionId, ballotHash }, [vote]);
+      logAudit('castEncryptedVote', wallet, { electionId, ballotHash }, 'success');
+    });
+    DATABASE.sysActivity.push({ time: vote.timestamp, type: 'vote', data: JSON.stringify({ electionId }) });
+    updateStats();
+
+    afterCommit(() => {
+      sheets.appendToSheet('Votos', [vote.timestamp, wallet, electionId, '', '', 0, 0]);
+      logger.action('Voto cifrado registrado', { wallet, electionId });
+      emit('vote:cast', { walletAddress: wallet, electionId, ballotHash, timestamp: vote.timestamp });
+    });
+
+    return { success: true, message: '🗳️ Voto cifrado registrado', ballotHash };
+  } catch (err) {
+    logAudit('castEncryptedVote', data.walletAddress || 'unknown', { electionId: data.electionId }, 'error', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+// Etiqueta de las pruebas de descifrado: ata cada participación a su elección y candidato
+function decryptionLabel(electionId, candidateId) {
+  return `${electionId}:${candidateId}`;
+}
+
+// Totales a partir de las primeras `threshold` participaciones válidas
+function combineDecryptionShares(electionId, encryption) {
+  const indexes = Object.keys(encryption.decryptionShares).map(Number).sort((a, b) => a - b).slice(0, encryption.threshold);
+  const totals = {};
+  Object.entries(encryption.aggregate.totals).forEach(([candidateId, ct]) => {
+    const shares = indexes.map(index => ({ index, d: encryption.decryptionShares[index][candidateId].d }));
+    totals[candidateId] = elgamal.combineTally(ct.b, shares, encryption.aggregate.ballots);
+  });
+  return { totals, ballots: encryption.aggregate.ballots, combinedFrom: indexes };
+}
+
+function submitDecryptionShare(data) {
+  try {
+    const { election, trustee, encryption } = findTrustee(data);
+    const electionId = election.electionId;
+    const status = lifecycle.effectiveStatus(election, nowMs());
+    if (status !== lifecycle.STATUS.CLOSED) {
+      throw new Error(`Solo se descifra el recuento de una elección cerrada (estado: ${status})`);
+    }
+    if (encryption.result) {
+      return { success: true, message: 'El recuento ya está descifrado', result: encryption.result };
+    }
+    if (!encryption.aggregate) {
+      throw new Error('La elección no tiene recuento cifrado');
+    }
+
+    const submitted = {};
+    Object.entries(encryption.aggregate.totals).forEach(([candidateId, ct]) => {
+      const share = (data.shares || {})[candidateId];
+      if (!share || !elgamal.verifyDecryptionShare(ct.a, share, encryption.verificationKeys[trustee.index], decryptionLabel(electionId, candidateId))) {
+        throw new Error(`Participación de descifrado inválida para el candidato ${candidateId}`);
+      }
+      submitted[candidateId] = { d: String(share.d).toLowerCase(), proof: share.proof };
+    });
+    encryption.decryptionShares[trustee.index] = submitted;
+
+    if (Object.keys(encryption.decryptionShares).length >= encryption.threshold) {
+      encryption.result = { ...combineDecryptionShares(electionId, encryption), decryptedAt: nowISO() };
+      updateCandidateVotes(electionId);
+      logBlockchain('decryptTally', { electionId, totals: encryption.result.totals, trustees: encryption.result.combinedFrom });
+      checkRunoff(election, trustee.address);
+    }
+    logAudit('submitDecryptionShare', trustee.address, { electionId }, 'success');
+    afterCommit(() => emit('election:keyCeremony', { electionId, phase: keyCeremonyPhase(encryption) }));
+
+    return {
+      success: true,
+      message: encryption.result ? '🔓 Recuento descifrado' : '🔑 Participación registrada',
+      received: Object.keys(encryption.decryptionShares).length,
+      threshold: encryption.threshold,
+      result: encryption.result
+    };
+  } catch (err) {
+    logAudit('submitDecryptionShare', data.adminAddress || 'unknown', { electionId: data.electionId }, 'error', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+// Cifrados agregados por candidato de las papeletas que cuentan (null sin clave)
+function aggregateBallots(election) {
+  if (!election.encryption.publicKey) return null;
+  const ballots = DATABASE.votes.filter(v => v.electionId === election.electionId && v.ballot && isCountedVote(v));
+  const totals = {};
+  DATABASE.candidates
+    .filter(c => c.electionId === election.electionId)
+    .forEach(c => {
+      const sum = elgamal.aggregate(ballots.map(v => v.ballot.ciphertexts.find(ct => ct.candidateId === c.candidateId)));
+      totals[c.candidateId] = { a: elgamal.toHex(sum.a), b: elgamal.toHex(sum.b) };
+    });
+  return { ballots: ballots.length, totals };
+}
+
+// Verificación pública: pruebas de cada papeleta, agregado, participaciones y totales
+function verifyEncryptedTally(data) {
+  try {
+    const election = findElection(parseInt(data.electionId));
+    if (!ballot.isHomomorphic(election)) {
+      throw new Error('Esta elección no es de voto cifrado');
+    }
+    const encryption = election.encryption;
+    const electionId = election.electionId;
+    if (!encryption.publicKey) {
+      throw new Error('La elección todavía no tiene clave');
+    }
+
+    const candidateIds = DATABASE.candidates.filter(c => c.electionId === electionId).map(c => c.candidateId);
+    const invalidBallots = DATABASE.votes
+      .filter(v => v.electionId === electionId && v.ballot && isCountedVote(v))
+      .filter(v => {
+        try {
+          elgamal.verifyBallot({ publicKey: encryption.publicKey, electionId, voter: v.walletAddress, candidateIds, ballot: v.ballot });
+          return v.ballotHash !== elgamal.ballotDigest(v.ballot);
+        } catch (err) {
+          return true;
+        }
+      })
+      .map(v => v.walletAddress);
+
+    const aggregate = aggregateBallots(election);
+    const aggregateMatches = JSON.stringify(aggregate) === JSON.stringify(encryption.aggregate);
+    const shares = {};
+    Object.entries(encryption.decryptionShares).forEach(([index, byCandidate]) => {
+      shares[index] = Object.entries(aggregate.totals).every(([candidateId, ct]) => Boolean(byCandidate[candidateId]) &&
+        elgamal.verifyDecryptionShare(ct.a, byCandidate[candidateId], encryption.verificationKeys[index], decryptionLabel(electionId, candidateId)));
+    });
+
+    let resultMatches = null;
+    if (encryption.result) {
+      const recount = combineDecryptionShares(electionId, encryption);
+      const sum = Object.values(recount.totals).reduce((a, b) => a + b, 0);
+      resultMatches = JSON.stringify(recount.totals) === JSON.stringify(encryption.result.totals) && sum === aggregate.ballots;
+    }
+
+    return {
+      success: true,
+      electionId,
+      publicKey: encryption.publicKey,
+      ballots: aggregate.ballots,
+      invalidBallots,
+      aggregateMatches,
+      shares,
+      result: encryption.result,
+      resultMatches,
+      valid: invalidBallots.length === 0 && aggregateMatches && Object.values(shares).every(Boolean) && resultMatches !== false
+    };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+// No se cuentan los votos reportados que el indexer no encontró on-chain,
+// los invalidados por identidad duplicada ni los secretos sin revelar. En una elección
+// anónima solo cuentan los votos con token, nunca uno atribuido a una wallet
+function isCountedVote(v) {
+  if (v.reconciliation === 'db_only' || ['Invalidado', 'Comprometido', 'Reemplazado'].includes(v.status)) return false;
+  return Boolean(v.nullifier) || !ballot.isAnonymous(DATABASE.elections.find(e => e.electionId === v.electionId));
+}
+
+// Papeleta de un voto: ranking o aprobados si el método los usa, si no solo candidateId
+function ballotSelection(v) {
+  return v.selection || [v.candidateId];
+}
+
+// --- ACTUALIZAR CONTEO DE VOTOS DEL CANDIDATO ---
+function updateCandidateVotes(electionId) {
+  const election = DATABASE.elections.find(e => e.electionId === electionId);
+  if (ballot.isHomomorphic(election)) return updateEncryptedTally(election);
+  const hidden = Boolean(election) && commitReveal.resultsHidden(election);
+
+  // Recuento según el método de la elección (voto secreto: en 0 hasta cerrar el revelado);
+  // cada papeleta cuenta por lo que pesa (poderes y, si la elección es ponderada, pesos)
+  const counted = DATABASE.votes.filter(v => !hidden && v.electionId === electionId && isCountedVote(v));
+  const outcomes = contestsOf(election, electionId).map(contest => tallyContest(election, contest, counted));
+  if (!election) return;
+  if (election.questions) {
+    // un recuento por pregunta
+    election.outcome = null;
+    election.outcomes = hidden ? null : Object.fromEntries(election.questions.map((q, i) => [q.questionId, outcomes[i]]));
+  } else {
+    election.outcome = hidden ? null : outcomes[0];
+  }
+}
+
+// Contiendas que se cuentan por separado: la elección entera o, con varias preguntas, cada una.
+// blank: { candidateId: choice } de sus opciones de voto en blanco / abstención
+function contestsOf(election, electionId) {
+  const contest = (options, rest) => ({
+    electionId,
+    candidateIds: options.filter(c => !votingMethods.isBlankChoice(c)).map(c => c.candidateId),
+    blank: Object.fromEntries(options.filter(votingMethods.isBlankChoice).map(c => [c.candidateId, c.choice])),
+    ...rest
+  });
+  const options = DATABASE.candidates.filter(c => c.electionId === electionId);
+  if (election && election.questions) {
+    return election.questions.map(q => contest(options.filter(c => c.questionId === q.questionId), {
+      method: q.method,
+      seats: q.seats,
+      selectionOf: v => ballotQuestions.answerOf(v, q.questionId)
+    }));
+  }
+  return [contest(options, {
+    method: votingMethods.methodOf(election),
+    seats: election ? election.seats : 1,
+    selectionOf: ballotSelection
+  })];
+}
+
+// Recuenta una contienda y actualiza sus candidatos. El voto en blanco y la abstención
+// quedan fuera del recuento (y de los porcentajes): outcome.ballots los informa aparte
+function tallyContest(election, contest, counted) {
+  const choiceOf = v => contest.blank[contest.selectionOf(v)[0]];
+  const valid = counted.filter(v => !choiceOf(v));
+  const tallyWith = weight => votingMethods.tally(contest.method, {
+    candidateIds: contest.candidateIds,
+    ballots: valid.map(contest.selectionOf),
+    weights: valid.map(weight),
+    seats: contest.seats,
+    tieOrder: election ? electionRules.tieOrder(election, contest.candidateIds) : null
+  });
+  const outcome = tallyWith(v => ballotWeight(v, election));
+  // lo aportado por los poderes es la diferencia con el recuento sin ellos
+  const direct = election && election.proxyVoting ? tallyWith(v => weightOf(election, v.walletAddress)) : null;
+  // en las ponderadas se informa también el recuento por cabezas
+  const headcount = election && election.weighting ? tallyWith(ballotHeadcount) : null;
+
+  const weightOfChoice = choice => voterWeights.totalWeight(counted
+    .filter(v => choiceOf(v) === choice)
+    .map(v => ballotWeight(v, election)));
+  outcome.ballots = {
+    valid: voterWeights.totalWeight(valid.map(v => ballotWeight(v, election))),
+    blank: weightOfChoice(votingMethods.BALLOT_CHOICE.BLANK),
+    abstain: weightOfChoice(votingMethods.BALLOT_CHOICE.ABSTAIN)
+  };
+  DATABASE.candidates
+    .filter(c => c.electionId === contest.electionId && c.candidateId in contest.blank)
+    .forEach(option => {
+      option.votes = outcome.ballots[option.choice];
+      option.percentage = '';
+    });
+
+  // Actualizar cada candidato
+  DATABASE.candidates
+    .filter(c => c.electionId === contest.electionId && contest.candidateIds.includes(c.candidateId))
+    .forEach(candidate => {
+      const count = outcome.counts[candidate.candidateId] || 0;
+      const percentage = outcome.total > 0 ? ((count / outcome.total) * 100).toFixed(2) : '0';
+      
+      candidate.votes = count;
+      candidate.percentage = percentage + '%';
+      if (direct) candidate.proxyVotes = voterWeights.totalWeight([count, -(direct.counts[candidate.candidateId] || 0)]);
+      if (headcount) {
+        const heads = headcount.counts[candidate.candidateId] || 0;
+        candidate.headcount = heads;
+        candidate.headcountPercentage = (headcount.total > 0 ? ((heads / headcount.total) * 100).toFixed(2) : '0') + '%';
+      }
+    });
+  return outcome;
+}
+
+// Voto cifrado: solo se agregan cifrados; los conteos salen del descifrado por umbral.
+// Si el agregado cambia (votos invalidados tras el cierre) hay que volver a descifrar.
+function updateEncryptedTally(election) {
+  const encryption = election.encryption;
+  const aggregate = aggregateBallots(election);
+  if (JSON.stringify(aggregate) !== JSON.stringify(encryption.aggregate)) {
+    encryption.aggregate = aggregate;
+    encryption.decryptionShares = {};
+    encryption.result = null;
+  }
+
+  const totals = encryption.result ? encryption.result.totals : {};
+  const totalVotes = Object.values(totals).reduce((a, b) => a + b, 0);
+  const counts = {};
+  candidateIdsOf(election.electionId).forEach(id => { counts[id] = totals[id] || 0; });
+  election.outcome = encryption.result
+    ? votingMethods.fromCounts(votingMethods.METHOD.PLURALITY, counts, election.seats || 1, totalVotes,
+      electionRules.tieOrder(election, candidateIdsOf(election.electionId)))
+    : null;
+  DATABASE.candidates
+    .filter(c => c.electionId === election.electionId)
+    .forEach(candidate => {
+      const count = totals[candidate.candidateId] || 0;
+      candidate.votes = count;
+      candidate.percentage = (totalVotes > 0 ? ((count / totalVotes) * 100).toFixed(2) : '0') + '%';
+    });
+}
+
+// --- ACTUALIZAR TOTAL DE VOTOS DE ELECCIÓN ---
+// Voto secreto: mientras los resultados están ocultos cuenta los votos emitidos (comprometidos o no).
+// totalVotes cuenta votantes (poderes incluidos); en las ponderadas, totalWeight suma sus pesos
+function updateElectionTotalVotes(electionId) {
+  const election = DATABASE.elections.find(e => e.electionId === electionId);
+  const hidden = Boolean(election) && commitReveal.resultsHidden(election);
+  const votes = DATABASE.votes
+    .filter(v => v.electionId === electionId &&
+      (hidden ? v.reconciliation !== 'db_only' && v.status !== 'Invalidado' : isCountedVote(v)));
+
+  if (election) {
+    election.totalVotes = votes.reduce((sum, v) => sum + ballotHeadcount(v), 0);
+    if (election.weighting) election.totalWeight = voterWeights.totalWeight(votes.map(v => ballotWeight(v, election)));
+  }
+}
+
+// --- RESULTADO FORMAL (QUÓRUM, MAYORÍA, SEGUNDA VUELTA Y DESEMPATE) ---
+// Censo: votantes que hoy pueden votar en la elección más, si tiene padrón, las
+// inscripciones aprobadas de wallets que aún no se registraron
+function electorateWallets(election) {
+  const eligible = DATABASE.voters.filter(voter => voterRoll.checkEligibility({
+    voter,
+    entry: voterRoll.findRollEntry(DATABASE.voterRolls, election.electionId, voter.walletAddress),
+    election
+  }).eligible).map(v => v.walletAddress);
+  if (voterRoll.electionEligibility(election) === voterRoll.ELIGIBILITY.OPEN) return eligible;
+  const pending = DATABASE.voterRolls.filter(r => r.electionId === election.electionId &&
+    r.status === voterRoll.VOTER_STATUS.APPROVED && !DATABASE.voters.some(v => v.walletAddress === r.walletAddress))
+    .map(r => r.walletAddress);
+  return [...eligible, ...pending];
+}
+
+// En una elección ponderada el censo se mide en peso (todo el peso repartido)
+function electionElectorate(election) {
+  if (election.weighting) return Number(election.weighting.total);
+  return electorateWallets(election).length;
+}
+
+// Recuento + reglas de la elección → { ...recuento, status, winners, runoffCandidates, turnout, reasoning }.
+// Con varias preguntas, el de la pregunta indicada con sus reglas (el quórum es el de la elección)
+function formalOutcome(election, question = null) {
+  const outcome = question ? (election.outcomes || {})[question.questionId] : election.outcome;
+  if (!outcome) return null;
+  const rules = question ? question.rules : electionRules.rulesOf(election);
+  const candidates = DATABASE.candidates.filter(c => c.electionId === election.electionId &&
+    (!question || c.questionId === question.questionId));
+  // participación: papeletas válidas y, si las reglas lo dicen, en blanco; la abstención no cuenta
+  // (recuentos anteriores a este desglose y voto cifrado: todas las papeletas contadas)
+  const { ballots } = outcome;
+  const decision = electionRules.decide(outcome, {
+    rules,
+    turnout: {
+      voted: ballots
+        ? voterWeights.totalWeight([ballots.valid, rules.blankInQuorum !== false ? ballots.blank : 0])
+        : voterWeights.totalWeight(DATABASE.votes
+          .filter(v => v.electionId === election.electionId && isCountedVote(v))
+          .map(v => ballotWeight(v, election))),
+      electorate: electionElectorate(election),
+      blank: ballots ? ballots.blank : 0
+    },
+    order: electionRules.tieOrder(election, candidates.map(c => c.candidateId)),
+    label: id => (candidates.find(c => c.candidateId === id) || { name: `#${id}` }).name
+  });
+  return {
+    ...outcome,
+    leaders: outcome.winners,
+    ...decision,
+    rules,
+    final: [lifecycle.STATUS.CLOSED, lifecycle.STATUS.TALLIED, lifecycle.STATUS.ARCHIVED].includes(lifecycle.effectiveStatus(election, nowMs()))
+  };
+}
+
+// Resultado formal de cada pregunta
+function questionOutcomes(election) {
+  return election.questions.map(q => ({ questionId: q.questionId, outcome: formalOutcome(election, q) }));
+}
+
+// --- SEGUNDA VUELTA ---
+// Una elección cerrada cuyo resultado formal pide segunda vuelta genera otra elección
+// enlazada (parentElectionId / runoffElectionId) con los candidatos que pasan, el mismo
+// padrón, modo de voto y quórum, y la duración prevista de la primera empezando
+// RUNOFF_DELAY_MS después (con voto por poder, al menos RUNOFF_DELEGATION_MS: los poderes
+// solo se otorgan antes de la apertura). La segunda vuelta se decide por mayoría relativa y sin otra
+// vuelta (ver runoffRules): si no, un umbral que nadie alcanza repetiría la elección sin fin.
+function createRunoffElection(parent, candidateIds, by) {
+  const now = nowMs();
+  const planned = parent.schedule || parent;
+  const span = (from, to) => (from && to ? new Date(to).getTime() - new Date(from).getTime() : 0);
+  const duration = span(planned.startDate, planned.endDate);
+  const revealWindow = span(planned.endDate, planned.revealEndDate);
+  const delay = Math.max(CONFIG.RUNOFF_DELAY_MS, parent.proxyVoting ? CONFIG.RUNOFF_DELEGATION_MS : 0);
+  const start = now + delay;
+  const startDate = new Date(start).toISOString();
+  const endDate = duration > 0 ? new Date(start + duration).toISOString() : '';
+  const revealEndDate = endDate && revealWindow > 0 ? new Date(start + duration + revealWindow).toISOString() : '';
+  const round = (parent.round || 1) + 1;
+
+  // misma ceremonia de trustees (con clave nueva) en el voto cifrado
+  const encryption = parent.encryption
+    ? parseTrustees({ trustees: parent.encryption.trustees.map(t => t.address), threshold: parent.encryption.threshold })
+    : null;
+  let status = lifecycle.initialStatus({ startDate }, now);
+  if (encryption && status === lifecycle.STATUS.OPEN) status = lifecycle.STATUS.DRAFT;
+
+  const electionId = nextElectionId();
+  const election = {
+    electionId,
+    title: `${parent.title.replace(/ \(vuelta \d+\)$/, '')} (vuelta ${round})`,
+    description: parent.description,
+    startDate,
+    endDate,
+    status,
+    statusHistory: [{ status, at: nowISO(), by }],
+    eligibility: parent.eligibility,
+    ballotMode: parent.ballotMode || ballot.BALLOT_MODE.PUBLIC,
+    revealEndDate,
+    schedule: { startDate, endDate, revealEndDate },
+    method: votingMethods.METHOD.PLURALITY,
+    seats: 1,
+    rules: runoffRules(parent),
+    revoting: Boolean(parent.revoting),
+    ...(parent.proxyVoting && { proxyVoting: true, maxProxies: parent.maxProxies || 0 }),
+    // los mismos pesos (la misma foto de saldos) que en la primera vuelta
+    ...(parent.weighting && { weighting: { ...parent.weighting, weights: { ...parent.weighting.weights } } }),
+    ...(parent.blankBallots && { blankBallots: true }),
+    round,
+    parentElectionId: parent.electionId,
+    runoffElectionId: null,
+    totalVotes: 0,
+    createdAt: nowISO(),
+    contractAddress: parent.contractAddress
+  };
+  if (encryption) election.encryption = encryption;
+
+  withTransaction(() => {
+    insertElection(election, by);
+    candidateIds.forEach((sourceId, i) => {
+      const source = DATABASE.candidates.find(c => c.electionId === parent.electionId && c.candidateId === sourceId);
+      insertRecord('candidates', {
+        electionId,
+        candidateId: i + 1,
+        name: source.name,
+        party: source.party,
+        votes: 0,
+        percentage: '0%',
+        addedAt: election.createdAt,
+        sourceCandidateId: sourceId
+      });
+    });
+    if (election.blankBallots) {
+      votingMethods.BLANK_OPTIONS.forEach(({ choice, name }, i) => insertRecord('candidates', {
+        electionId,
+        candidateId: candidateIds.length + i + 1,
+        name,
+        party: '',
+        choice,
+        votes: 0,
+        percentage: '',
+        addedAt: election.createdAt
+      }));
+    }
+    DATABASE.voterRolls
+      .filter(r => r.electionId === parent.electionId)
+      .forEach(r => insertRecord('voterRolls', {
+        ...r,
+        electionId,
+        source: 'runoff',
+        addedAt: election.createdAt,
+        statusHistory: [{ status: r.status, at: election.createdAt, by }]
+      }));
+    // los poderes vigentes valen también para la segunda vuelta
+    activeDelegations(parent.electionId).forEach(d => DATABASE.delegations.push({
+      ...d,
+      electionId,
+      source: 'runoff',
+      createdAt: election.createdAt
+    }));
+    parent.runoffElectionId = electionId;
+
+    logBlockchain('createRunoff', { parentElectionId: parent.electionId, electionId, round, candidates: candidateIds, by });
+    logAudit('createRunoff', by, { parentElectionId: parent.electionId, electionId, candidates: candidateIds }, 'success');
+  });
+
+  afterCommit(() => emit('election:runoff', { parentElectionId: parent.electionId, electionId, round }));
+  return election;
+}
+
+// Reglas de la vuelta siguiente: quórum de la primera, mayoría relativa, sin segunda vuelta
+// y, si la primera desempataba con otra vuelta, por sorteo
+function runoffRules(parent) {
+  const rules = electionRules.rulesOf(parent);
+  return {
+    ...rules,
+    majority: electionRules.MAJORITY.RELATIVE,
+    runoff: false,
+    tieBreak: rules.tieBreak === electionRules.TIE_BREAK.RUNOFF ? electionRules.TIE_BREAK.LOT : rules.tieBreak
+  };
+}
+
+// Una vuelta con todos los candidatos repetiría la misma elección
+function advancesEveryone(election, candidateIds) {
+  return candidateIdsOf(election.electionId).every(id => candidateIds.includes(id));
+}
+
+// Automática: al cerrar, escrutar o descifrar el recuento
+function checkRunoff(election, by) {
+  if (election.runoffElectionId) return null;
+  const outcome = formalOutcome(election);
+  if (!outcome || outcome.status !== electionRules.OUTCOME.RUNOFF || outcome.runoffCandidates.length < 2) return null;
+  if (advancesEveryone(election, outcome.runoffCandidates)) return null;
+  return createRunoffElection(election, outcome.runoffCandidates, by);
+}
+
+// Manual (admin): con los candidatos indicados, los que pide el resultado formal
+// o los `top` (2 por defecto) más votados
+function createRunoff(data) {
+  try {
+    const admin = (data.adminAddress || '').toLowerCase().trim();
+    const electionId = parseInt(data.electionId);
+    assertRole(admin, rbac.ROLES.ELECTION_ADMIN, electionId);
+
+    const election = findElection(electionId);
+    const status = lifecycle.effectiveStatus(election, nowMs());
+    if (![lifecycle.STATUS.CLOSED, lifecycle.STATUS.TALLIED].includes(status)) {
+      throw new Error(`Solo se crea segunda vuelta de una elección cerrada (estado: ${status})`);
+    }
+    if (election.runoffElectionId) {
+      throw new Error(`La elección ya tiene segunda vuelta (elección ${election.runoffElectionId})`);
+    }
+    if (election.questions) {
+      throw new Error('La segunda vuelta no está disponible en elecciones con varias preguntas');
+    }
+    if (!election.outcome) updateCandidateVotes(electionId);
+    const outcome = formalOutcome(election);
+    if (!outcome) {
+      throw new Error('La elección todavía no tiene resultados');
+    }
+    if (outcome.status === electionRules.OUTCOME.WINNER && data.force !== true && data.force !== 'true') {
+      throw new Error('La elección ya tiene ganador (usa force para crear la segunda vuelta igualmente)');
+    }
+
+    const ids = candidateIdsOf(electionId);
+    let candidateIds;
+    if (data.candidateIds !== undefined) {
+      candidateIds = votingMethods.parseSelection(votingMethods.METHOD.APPROVAL, { candidateIds: data.candidateIds }, ids);
+    } else if (outcome.runoffCandidates.length) {
+      candidateIds = outcome.runoffCandidates;
+    } else {
+      const top = data.top ? parseInt(data.top) : 2;
+      candidateIds = votingMethods.rankIds(ids, outcome.counts, [], electionRules.tieOrder(election, ids)).slice(0, top);
+    }
+    if (candidateIds.length < 2) {
+      throw new Error('La segunda vuelta necesita al menos dos candidatos');
+    }
+    if (advancesEveryone(election, candidateIds)) {
+      throw new Error('La segunda vuelta debe dejar fuera al menos a un candidato');
+    }
+
+    const runoff = createRunoffElection(election, candidateIds, admin);
+    return { success: true, message: `🔁 Segunda vuelta creada con ID: ${runoff.electionId}`, electionId: runoff.electionId, election: runoff };
+  } catch (err) {
+    logAudit('createRunoff', data.adminAddress || 'unknown', data, 'error', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+// Vueltas de una elección, de la primera a la última
+function electionChain(election) {
+  let first = election;
+  while (first.parentElectionId) {
+    const parent = DATABASE.elections.find(e => e.electionId === first.parentElectionId);
+    if (!parent) break;
+    first = parent;
+  }
+  const chain = [];
+  for (let current = first; current; current = DATABASE.elections.find(e => e.electionId === current.runoffElectionId)) {
+    const outcome = current.electionId === election.electionId || !current.runoffElectionId ? null : formalOutcome(current);
+    chain.push({
+      electionId: current.electionId,
+      title: current.title,
+      round: current.round || 1,
+      status: lifecycle.effectiveStatus(current),
+      ...(outcome && { outcome: outcome.status, runoffCandidates: outcome.runoffCandidates })
+    });
+    if (!current.runoffElectionId) break;
+  }
+  return chain;
+}
+
+// --- OBTENER ELECCIONES ACTIVAS ---
+function getActiveElections() {
+  try {
+    const now = Date.now();
+    const activeElections = DATABASE.elections
+      .filter(e => lifecycle.isOpen(e, now))
+      .map(e => schema.toLegacyElection({ ...e, status: lifecycle.STATUS.OPEN }));
+
+    return { success: true, elections: activeElections };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+// --- LISTAR ELECCIONES (todas, con su estado efectivo) ---
+function getElections(data) {
+  try {
+    const now = Date.now();
+    const elections = DATABASE.elections
+      .map(e => ({ ...e, status: lifecycle.effectiveStatus(e, now) }))
+      .filter(e => !data.status || e.status === data.status);
+    return { success: true, elections };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+// --- CICLO DE VIDA DE LA ELECCIÓN ---
+// Aplica una transición ya validada y la deja registrada en el historial y en la cadena
+function applyElectionStatus(election, status, by) {
+  const at = nowISO();
+  const from = election.status;
+
+  if (status === lifecycle.STATUS.OPEN && election.startDate && new Date(election.startDate) > new Date(at)) {
+    election.startDate = at;
+  }
+  // endDate cierra la emisión de votos; en voto secreto revealEndDate cierra el revelado
+  const closesVoting = status === lifecycle.STATUS.REVEAL ||
+    (status === lifecycle.STATUS.CLOSED && !lifecycle.hasRevealPhase(election));
+  if (closesVoting && (!election.endDate || new Date(election.endDate) > new Date(at))) {
+    election.endDate = at;
+  }
+  if (status === lifecycle.STATUS.CLOSED && lifecycle.hasRevealPhase(election) &&
+    (!election.revealEndDate || new Date(election.revealEndDate) > new Date(at))) {
+    election.revealEndDate = at;
+  }
+  if (status === lifecycle.STATUS.TALLIED) {
+    updateCandidateVotes(election.electionId);
+    updateElectionTotalVotes(election.electionId);
+    election.tally = {
+      talliedAt: at,
+      totalVotes: election.totalVotes,
+      results: DATABASE.candidates
+        .filter(c => c.electionId === election.electionId)
+        .map(c => ({ candidateId: c.candidateId, name: c.name, votes: c.votes, percentage: c.percentage, ...(c.questionId && { questionId: c.questionId }) })),
+      outcome: formalOutcome({ ...election, status }),
+      ...(election.questions && { questions: questionOutcomes({ ...election, status }) })
+    };
+  }
+
+  election.status = status;
+  election.statusHistory = [...(election.statusHistory || []), { status, at, by }];
+  if (commitReveal.isSecret(election)) {
+    // al terminar el revelado se publican los conteos
+    updateCandidateVotes(election.electionId);
+    updateElectionTotalVotes(election.electionId);
+  }
+
+  if (commitReveal.isSecret(election) && [lifecycle.STATUS.CLOSED, lifecycle.STATUS.TALLIED].includes(status) &&
+    !election.revealsPublishedAt) {
+    publishReveals(election, at);
+  }
+
+  logBlockchain('electionStatus', { electionId: election.electionId, from, to: status, by });
+  logAudit('electionStatus', by, { electionId: election.electionId, from, to: status }, 'success');
+  if ([lifecycle.STATUS.CLOSED, lifecycle.STATUS.TALLIED].includes(status)) checkRunoff(election, by);
+  afterCommit(() => {
+    logger.info('Estado de elección actualizado', { electionId: election.electionId, from, to: status });
+    emit('election:status', { electionId: election.electionId, from, to: status });
+  });
+}
+
+// Al cerrar el revelado pasan a la cadena las opciones reveladas, que hasta entonces
+// solo constaban por su compromiso
+function publishReveals(election, at) {
+  const revealed = DATABASE.votes.filter(v => v.electionId === election.electionId && v.revealedAt && v.status === 'Confirmado');
+  election.revealsPublishedAt = at;
+  logBlockchain('publishReveals', { electionId: election.electionId, revealed: revealed.length }, revealed);
+}
+
+function setElectionStatus(data) {
+  try {
+    const admin = (data.adminAddress || '').toLowerCase().trim();
+    const electionId = parseInt(data.electionId);
+    const status = data.status;
 
-    if (!candidate) {
-      throw new Error('Candidato no encontrado');
+    if (!admin || !electionId || !status) {
+      throw new Error('Dirección de admin, electionId y status son obligatorios');
     }
+    assertRole(admin, rbac.ROLES.ELECTION_ADMIN, electionId);
 
-    // Registrar voto
-    const vote = {
-      txHash,
-      walletAddress: wallet,
-      electionId,
-      candidateId,
-      timestamp: new Date().toISOString(),
-      blockNumber,
-      gasUsed,
-      status: 'Confirmado'
-    };
+    const election = DATABASE.elections.find(e => e.electionId === electionId);
+    if (!election) {
+      throw new Error('Elección no encontrada');
+    }
 
-    DATABASE.votes.push(vote);
-    
-    // Actualizar conteos
-    updateCandidateVotes(electionId, candidateId);
-    updateElectionTotalVotes(electionId);
+    // primero lo que el scheduler ya debería haber hecho
+    lifecycle.dueTransitions(election, nowMs()).forEach(step => applyElectionStatus(election, step, 'scheduler'));
+    if (election.status === status) {
+      return { success: true, message: `La elección ya está en estado ${status}`, election };
+    }
 
-    logBlockchain('castVote', { wallet, electionId, candidateId, txHash });
-    logAudit('castVote', wallet, { electionId, candidateId }, 'success');
+    lifecycle.assertTransition(election, status);
+    applyElectionStatus(election, status, admin);
     updateStats();
-    saveDatabase();
 
-    return {
-      success: true,
-      message: '🗳️ Voto registrado correctamente',
-      txHash
-    };
+    return { success: true, message: `✅ Elección ${electionId}: ${status}`, election };
   } catch (err) {
-    logAudit('recordVote', data.walletAddress || 'unknown', data, 'error', err.message);
+    logAudit('setElectionStatus', data.adminAddress || 'unknown', data, 'error', err.message);
     return { success: false, error: err.message };
   }
 }
 
-// --- ACTUALIZAR CONTEO DE VOTOS DEL CANDIDATO ---
-function updateCandidateVotes(electionId) {
-  // Contar votos por candidato en esta elección
-  const voteCounts = {};
-  DATABASE.votes
-    .filter(v => v.electionId === electionId)
-    .forEach(v => {
-      voteCounts[v.candidateId] = (voteCounts[v.candidateId] || 0) + 1;
-    });
+// --- SCHEDULER: abre y cierra elecciones en sus fechas ---
+let schedulerTimer = null;
 
-  const totalVotes = Object.values(voteCounts).reduce((a, b) => a + b, 0);
-
-  // Actualizar cada candidato
-  DATABASE.candidates
-    .filter(c => c.electionId === electionId)
-    .forEach(candidate => {
-      const count = voteCounts[candidate.candidateId] || 0;
-      const percentage = totalVotes > 0 ? ((count / totalVotes) * 100).toFixed(2) : '0';
-      
-      candidate.votes = count;
-      candidate.percentage = percentage + '%';
+function runScheduler() {
+  const now = nowMs();
+  let changed = 0;
+  DATABASE.elections.forEach(election => {
+    lifecycle.dueTransitions(election, now).forEach(step => {
+      applyElectionStatus(election, step, 'scheduler');
+      changed++;
     });
+  });
+  if (changed) updateStats();
+  return { success: true, changed };
 }
 
-// --- ACTUALIZAR TOTAL DE VOTOS DE ELECCIÓN ---
-function updateElectionTotalVotes(electionId) {
-  const totalVotes = DATABASE.votes.filter(v => v.electionId === electionId).length;
-  
-  const election = DATABASE.elections.find(e => e.electionId === electionId);
-  if (election) {
-    election.totalVotes = totalVotes;
-  }
+// Las transiciones del scheduler (y las segundas vueltas que crean) van al journal como
+// cualquier otra acción; solo se registra el tick si hay alguna transición pendiente
+function startScheduler() {
+  if (schedulerTimer) return schedulerTimer;
+  const tick = () => {
+    if (!DATABASE.elections.some(e => lifecycle.dueTransitions(e, Date.now()).length)) return;
+    runMutation('runScheduler', {}, runScheduler).catch(err => console.error('Error en scheduler:', err.message));
+  };
+  tick();
+  schedulerTimer = setInterval(tick, CONFIG.SCHEDULER_INTERVAL_MS);
+  return schedulerTimer;
 }
 
-// --- OBTENER ELECCIONES ACTIVAS ---
-function getActiveElections() {
-  try {
-    const activeElections = DATABASE.elections
-      .filter(e => e.status === 'Activa')
-      .map(e => ({
-        ElectionID: e.electionId,
-        Title: e.title,
-        Description: e.description,
-        StartDate: e.startDate,
-        EndDate: e.endDate,
-        Status: e.status,
-        TotalVotes: e.totalVotes,
-        ContractAddress: e.contractAddress
-      }));
-
-    return { success: true, elections: activeElections };
-  } catch (err) {
-    return { success: false, error: err.message };
-  }
+function stopScheduler() {
+  if (schedulerTimer) clearInterval(schedulerTimer);
+  schedulerTimer = null;
 }
 
 // --- OBTENER CANDIDATOS DE UNA ELECCIÓN ---
@@ -369,13 +3138,7 @@ function getCandidates(data) {
 
     const electionCandidates = DATABASE.candidates
       .filter(c => c.electionId === electionId)
-      .map(c => ({
-        CandidateID: c.candidateId,
-        Name: c.name,
-        Party: c.party,
-        Votes: c.votes,
-        Percentage: c.percentage
-      }));
+      .map(schema.toLegacyCandidate);
 
     return { success: true, candidates: electionCandidates };
   } catch (err) {
@@ -383,6 +3146,45 @@ function getCandidates(data) {
   }
 }
 
+// Una fila por elección, pregunta y candidato (exportación "Resultados")
+function resultRows() {
+  return DATABASE.elections.flatMap(e => {
+    const results = getResults({ electionId: e.electionId });
+    if (!results.success) return [];
+    const contests = results.questions ||
+      [{ questionId: null, title: '', method: results.election.method, candidates: results.candidates, outcome: results.outcome, totals: results.totals }];
+    return contests.flatMap(q => q.candidates.map(c => ({
+      electionId: e.electionId,
+      election: e.title,
+      questionId: q.questionId || '',
+      question: q.title,
+      method: q.method,
+      candidateId: c.candidateId,
+      name: c.name,
+      votes: c.votes,
+      percentage: c.percentage,
+      elected: Boolean(q.outcome && q.outcome.winners.includes(c.candidateId)),
+      outcome: q.outcome ? q.outcome.status : '',
+      // totales de la contienda (se repiten en cada fila)
+      valid: q.totals ? q.totals.valid : '',
+      blank: q.totals ? q.totals.blank : '',
+      abstain: q.totals ? q.totals.abstain : '',
+      null: q.totals ? q.totals.null : ''
+    })));
+  });
+}
+
+// Papeletas válidas, en blanco, abstenciones y nulas (invalidadas) de una contienda, en las
+// mismas unidades que el recuento (peso en las ponderadas). Sin desglose (voto cifrado o
+// recuentos congelados antes de él) todas las contadas son válidas
+function ballotTotals(election, outcome) {
+  const votes = DATABASE.votes.filter(v => v.electionId === election.electionId);
+  const sum = list => voterWeights.totalWeight(list.map(v => ballotWeight(v, election)));
+  const ballots = (outcome && outcome.ballots) ||
+    { valid: election.weighting ? election.totalWeight || 0 : election.totalVotes, blank: 0, abstain: 0 };
+  return { ...ballots, null: sum(votes.filter(v => v.status === 'Invalidado')) };
+}
+
 // --- OBTENER RESULTADOS ---
 function getResults(data) {
   try {
@@ -398,37 +3200,153 @@ function getResults(data) {
       throw new Error('Elección no encontrada');
     }
 
+    const status = lifecycle.effectiveStatus(election);
+    const hidden = commitReveal.resultsHidden(election, status) ||
+      (ballot.isHomomorphic(election) && !election.encryption.result);
+    // el voto en blanco y la abstención van en totals, no como candidatos
     const results = DATABASE.candidates
-      .filter(c => c.electionId === electionId)
+      .filter(c => c.electionId === electionId && !votingMethods.isBlankChoice(c))
       .map(c => ({
+        candidateId: c.candidateId,
         name: c.name,
         party: c.party,
-        votes: c.votes,
-        percentage: parseFloat(c.percentage) || 0
+        ...(c.questionId && { questionId: c.questionId }),
+        votes: hidden ? null : c.votes,
+        percentage: hidden ? null : parseFloat(c.percentage) || 0,
+        ...(election.proxyVoting && { proxyVotes: hidden ? null : c.proxyVotes || 0 }),
+        // ponderada: votes y percentage van en peso; headcount, en votantes
+        ...(election.weighting && {
+          headcount: hidden ? null : c.headcount || 0,
+          headcountPercentage: hidden ? null : parseFloat(c.headcountPercentage) || 0
+        })
       }))
-      .sort((a, b) => b.votes - a.votes);
+      .sort((a, b) => (b.votes || 0) - (a.votes || 0));
 
-    return {
+    const response = {
       success: true,
       election: {
         id: election.electionId,
         title: election.title,
-        totalVotes: election.totalVotes
+        status,
+        totalVotes: election.totalVotes,
+        method: votingMethods.methodOf(election),
+        seats: election.seats || 1,
+        revoting: Boolean(election.revoting),
+        ...(election.weighting && { totalWeight: election.totalWeight || 0 }),
+        round: election.round || 1,
+        parentElectionId: election.parentElectionId || null,
+        runoffElectionId: election.runoffElectionId || null
       },
-      candidates: results
+      candidates: results,
+      // vueltas de la elección (primera vuelta y segundas vueltas enlazadas)
+      chain: electionChain(election),
+      // resultado formal con su justificación y, en irv / stv, las rondas; al escrutar queda congelado
+      outcome: hidden ? null : (election.tally && election.tally.outcome) || formalOutcome(election)
     };
+    if (!election.questions) response.totals = hidden ? null : ballotTotals(election, response.outcome);
+    if (election.questions) {
+      // desglose por pregunta: candidatos, porcentajes y resultado formal de cada contienda
+      const frozen = election.tally && election.tally.questions;
+      response.questions = election.questions.map(q => ({
+        questionId: q.questionId,
+        title: q.title,
+        kind: q.kind,
+        method: q.method,
+        seats: q.seats,
+        minChoices: q.minChoices,
+        maxChoices: q.maxChoices,
+        candidates: results.filter(r => r.questionId === q.questionId),
+        outcome: hidden ? null : frozen
+          ? frozen.find(f => f.questionId === q.questionId).outcome
+          : formalOutcome(election, q)
+      }));
+      response.questions.forEach(q => { q.totals = hidden ? null : ballotTotals(election, q.outcome); });
+    }
+    if (election.weighting) {
+      const { weights, ...weighting } = election.weighting;
+      response.weighting = { ...weighting, voters: Object.keys(weights).length };
+    }
+    if (election.proxyVoting) {
+      // parte del recuento que procede de poderes (en peso si la elección es ponderada)
+      const carried = voterWeights.totalWeight(DATABASE.votes
+        .filter(v => v.electionId === electionId && isCountedVote(v))
+        .map(v => ballotWeight(v, election) - weightOf(election, v.walletAddress)));
+      const total = election.weighting ? election.totalWeight || 0 : election.totalVotes;
+      response.proxies = {
+        maxProxies: election.maxProxies || 0,
+        delegations: activeDelegations(electionId).length,
+        carried,
+        direct: voterWeights.totalWeight([total, -carried])
+      };
+    }
+    if (commitReveal.isSecret(election)) {
+      const votes = DATABASE.votes.filter(v => v.electionId === electionId && v.commitment);
+      response.ballot = {
+        mode: election.ballotMode,
+        resultsHidden: hidden,
+        endDate: election.endDate,
+        revealEndDate: election.revealEndDate,
+        committed: votes.length,
+        revealed: votes.filter(v => v.revealedAt).length
+      };
+    }
+    if (ballot.isAnonymous(election)) {
+      // el votante ciega su token con la clave pública del registrador
+      response.ballot = { mode: election.ballotMode, registrarKey: election.registrar.publicKey };
+    }
+    if (ballot.isHomomorphic(election)) {
+      const { encryption } = election;
+      response.ballot = {
+        mode: election.ballotMode,
+        resultsHidden: hidden,
+        keyCeremony: keyCeremonyPhase(encryption),
+        threshold: encryption.threshold,
+        decryptionShares: Object.keys(encryption.decryptionShares).length,
+        ballots: encryption.aggregate ? encryption.aggregate.ballots : 0
+      };
+    }
+    return response;
   } catch (err) {
     return { success: false, error: err.message };
   }
 }
 
+// --- VERIFICAR TRANSACCIÓN DE VOTO ---
+async function verifyTx(data) {
+  try {
+    const txHash = (data.txHash || '').trim();
+    if (!txHash) {
+      throw new Error('txHash es obligatorio');
+    }
+
+    const votes = DATABASE.votes.map(v => ({
+      txHash: v.txHash,
+      wallet: v.walletAddress,
+      electionId: v.electionId,
+      candidateId: v.candidateId
+    }));
+
+    const result = await verifyVoteTx({
+      rpcUrl: CONFIG.RPC_URL,
+      contractAddress: CONFIG.VOTING_CONTRACT_ADDRESS,
+      txHash,
+      votes,
+      minConfirmations: CONFIG.MIN_CONFIRMATIONS
+    });
+
+    return { success: true, ...result };
+  } catch (err) {
+    return { success: false, error: err.shortMessage || err.message };
+  }
+}
+
 // --- OBTENER ESTADÍSTICAS ---
 function getStats() {
   try {
     const stats = {
       totalVoters: DATABASE.voters.length,
       totalElections: DATABASE.elections.length,
-      totalVotes: DATABASE.votes.length,
+      totalVotes: DATABASE.votes.filter(v => v.status !== 'Reemplazado').length,
       totalCandidates: DATABASE.candidates.length,
       lastUpdate: new Date().toISOString()
     };
@@ -439,29 +3357,158 @@ function getStats() {
   }
 }
 
+// --- DATOS PARA GRÁFICAS ---
+// type: votersByDay | candidatesByElection | participation | votesHistory | activityPerMinute
+function countByDay(items, field) {
+  const map = {};
+  items.forEach(item => {
+    const day = (item[field] ? new Date(item[field]) : new Date()).toISOString().slice(0, 10);
+    map[day] = (map[day] || 0) + 1;
+  });
+  const labels = Object.keys(map).sort();
+  return { labels, data: labels.map(l => map[l]) };
+}
+
+function minuteLabel(date) {
+  return `${date.getHours().toString().padStart(2, '0')}:${date.getMinutes().toString().padStart(2, '0')}`;
+}
+
+function getChartData(data) {
+  try {
+    const type = data.type;
+
+    if (type === 'votersByDay') {
+      return { success: true, ...countByDay(DATABASE.voters, 'registeredAt') };
+    }
+
+    if (type === 'votesHistory') {
+      return { success: true, ...countByDay(DATABASE.votes.filter(isCountedVote), 'timestamp') };
+    }
+
+    if (type === 'candidatesByElection') {
+      const out = DATABASE.elections.map(e => ({
+        electionId: e.electionId,
+        title: e.title,
+        candidates: DATABASE.candidates
+          .filter(c => c.electionId === e.electionId && !votingMethods.isBlankChoice(c))
+          .map(c => ({
+            name: c.name,
+            votes: c.votes,
+            ...(c.questionId && { questionId: c.questionId }),
+            ...(e.weighting && { headcount: c.headcount || 0 })
+          })),
+        // válidos, en blanco, abstenciones y nulos (por pregunta si hay varias)
+        ...(!e.questions && { totals: ballotTotals(e, e.outcome) }),
+        ...(e.questions && {
+          questions: e.questions.map(q => ({
+            questionId: q.questionId,
+            title: q.title,
+            totals: ballotTotals(e, (e.outcomes || {})[q.questionId])
+          }))
+        })
+      }));
+      return { success: true, data: out };
+    }
+
+    if (type === 'participation') {
+      const votersCount = DATABASE.voters.length;
+      const out = DATABASE.elections.map(e => ({
+        electionId: e.electionId,
+        title: e.title,
+        participation: votersCount ? (e.totalVotes / votersCount) * 100 : 0,
+        // ponderada: peso emitido sobre el peso repartido
+        ...(e.weighting && {
+          weightParticipation: Number(e.weighting.total) ? ((e.totalWeight || 0) / Number(e.weighting.total)) * 100 : 0
+        })
+      }));
+      return { success: true, data: out };
+    }
+
+    if (type === 'activityPerMinute') {
+      // últimos 60 minutos a partir de sysActivity
+      const now = Date.now();
+      const buckets = {};
+      for (let i = 0; i < 60; i++) {
+        buckets[minuteLabel(new Date(now - (59 - i) * 60000))] = 0;
+      }
+      DATABASE.sysActivity.forEach(a => {
+        const label = minuteLabel(new Date(a.time));
+        if (label in buckets) buckets[label] += 1;
+      });
+      const labels = Object.keys(buckets);
+      return { success: true, labels, data: labels.map(l => buckets[l]) };
+    }
+
+    throw new Error('Tipo de gráfica no soportado');
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+// --- SINCRONIZAR CON GOOGLE SHEETS ---
+async function syncToSheets() {
+  if (!sheets.isEnabled()) {
+    return { success: false, error: 'Google Sheets no configurado' };
+  }
+  try {
+    await sheets.writeSheet('Votantes', DATABASE.voters);
+    await sheets.writeSheet('Elecciones', DATABASE.elections);
+    await sheets.writeSheet('Candidatos', DATABASE.candidates);
+    await sheets.writeSheet('Votos', DATABASE.votes);
+    await sheets.writeSheet('SysActivity', DATABASE.sysActivity);
+
+    const counts = {
+      voters: DATABASE.voters.length,
+      elections: DATABASE.elections.length,
+      candidates: DATABASE.candidates.length,
+      votes: DATABASE.votes.length
+    };
+    logger.success('Sync completo a Google Sheets', { counts });
+    return { success: true, counts };
+  } catch (err) {
+    logger.error('syncToSheets falló', { error: err.message });
+    return { success: false, error: err.message };
+  }
+}
+
 // --- LOGGING DE BLOCKCHAIN ---
-function logBlockchain(action, details) {
+// Cada bloque enlaza el hash del anterior y lleva la raíz Merkle de sus votos
+function logBlockchain(action, details, votes = []) {
   try {
-    const hash = uuidv4();
-    const blockNumber = DATABASE.blockchain.length;
-    
-    DATABASE.blockchain.push({
-      timestamp: new Date().toISOString(),
-      action,
-      details,
-      hash,
-      blockNumber
-    });
+    const prev = DATABASE.blockchain[DATABASE.blockchain.length - 1] || null;
+    insertRecord('blockchain', ledger.createBlock(prev, action, details, votes, nowISO()));
   } catch (err) {
     console.error('Error en logBlockchain:', err);
   }
 }
 
+// --- VERIFICAR INTEGRIDAD DE LA CADENA ---
+function verifyChain() {
+  try {
+    const result = ledger.verifyChain(DATABASE.blockchain);
+    const brokenBlock = result.valid ? null : DATABASE.blockchain[result.brokenAt];
+
+    return {
+      success: true,
+      valid: result.valid,
+      length: result.length,
+      brokenAt: result.brokenAt,
+      reason: result.reason,
+      block: brokenBlock,
+      message: result.valid
+        ? `✅ Cadena íntegra (${result.length} bloques)`
+        : `❌ Enlace roto en el bloque #${result.brokenAt}: ${result.reason}`
+    };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
 // --- LOGGING DE AUDITORÍA ---
 function logAudit(action, user, details, status, error = '') {
   try {
-    DATABASE.audit.push({
-      timestamp: new Date().toISOString(),
+    insertRecord('audit', {
+      timestamp: nowISO(),
       action,
       user,
       details,
@@ -476,20 +3523,354 @@ function logAudit(action, user, details, status, error = '') {
 // --- REGISTRAR LOG DEL RELAYER ---
 function logRelayer(data) {
   try {
-    DATABASE.relayerLog.push({
+    const entry = {
+      relayId: data.relayId || `relay-${Date.now()}-${DATABASE.relayerLog.length}`,
       timestamp: new Date().toISOString(),
       from: data.from || '',
       action: data.action || '',
       status: data.status || '',
       txHash: data.txHash || '',
-      gasUsed: data.gasUsed || 0
-    });
-    saveDatabase();
+      gasUsed: data.gasUsed || 0,
+      nonce: data.nonce !== undefined ? String(data.nonce) : '',
+      blockNumber: data.blockNumber || 0,
+      error: data.error || ''
+    };
+    DATABASE.relayerLog.push(entry);
+    return entry;
   } catch (err) {
     console.error('Error en logRelayer:', err);
   }
 }
 
+function updateRelayerLog(relayId, changes) {
+  const entry = DATABASE.relayerLog.find(r => r.relayId === relayId);
+  if (!entry) return null;
+  Object.assign(entry, changes, { updatedAt: new Date().toISOString() });
+  return entry;
+}
+
+// --- RELAYER GASLESS (EIP-2771) ---
+let relayer = null;
+function getRelayer() {
+  if (!relayer) {
+    relayer = createRelayer({
+      rpcUrl: CONFIG.RELAYER_RPC_URL,
+      privateKey: CONFIG.RELAYER_PRIVATE_KEY,
+      forwarderAddress: CONFIG.FORWARDER_ADDRESS,
+      forwarderName: CONFIG.FORWARDER_NAME
+    });
+  }
+  return relayer;
+}
+
+// Valida y envía un ForwardRequest firmado; la confirmación se registra en segundo plano
+async function relayRequest(data) {
+  const request = data.request || data;
+  const from = String(request.from || '').toLowerCase();
+  try {
+    const inFlight = DATABASE.relayerLog.some(r =>
+      r.status === 'pending' && r.from === from && r.nonce === String(request.nonce)
+    );
+    if (inFlight) {
+      throw new Error('Ya hay una solicitud pendiente con este nonce');
+    }
+
+    const tx = await getRelayer().submit(request);
+    const entry = logRelayer({
+      from,
+      action: data.relayAction || 'forward',
+      status: 'pending',
+      txHash: tx.hash,
+      nonce: request.nonce
+    });
+    logAudit('relay', from, { txHash: tx.hash, to: request.to }, 'success');
+
+    tx.wait()
+      .then(receipt => mutate(() => updateRelayerLog(entry.relayId, {
+        status: receipt && receipt.status === 1 ? 'confirmed' : 'failed',
+        blockNumber: receipt ? receipt.blockNumber : 0,
+        gasUsed: receipt ? receipt.gasUsed.toString() : 0
+      })))
+      .catch(err => mutate(() => updateRelayerLog(entry.relayId, { status: 'failed', error: err.shortMessage || err.message })));
+
+    return { success: true, relayId: entry.relayId, txHash: tx.hash, status: 'pending' };
+  } catch (err) {
+    const message = err.shortMessage || err.message;
+    logRelayer({ from, action: data.relayAction || 'forward', status: 'failed', nonce: request.nonce, error: message });
+    logAudit('relay', from || 'unknown', { to: request.to }, 'error', message);
+    return { success: false, error: message };
+  }
+}
+
+function getRelayStatus(data) {
+  try {
+    const { relayId, txHash } = data;
+    const from = (data.from || '').toLowerCase();
+
+    if (relayId || txHash) {
+      const entry = DATABASE.relayerLog.find(r =>
+        (relayId && r.relayId === relayId) || (txHash && r.txHash === txHash)
+      );
+      if (!entry) throw new Error('Solicitud de relayer no encontrada');
+      return { success: true, relay: entry };
+    }
+
+    if (!from) {
+      throw new Error('relayId, txHash o from es obligatorio');
+    }
+    return { success: true, relays: DATABASE.relayerLog.filter(r => r.from === from) };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+// Datos que el cliente necesita para firmar un ForwardRequest
+async function getForwarderInfo(data) {
+  try {
+    const r = getRelayer();
+    const domain = await r.getDomain();
+    const nonce = data.from ? (await r.getNonce(data.from)).toString() : null;
+    return {
+      success: true,
+      domain: { ...domain, chainId: domain.chainId.toString() },
+      types: FORWARD_REQUEST_TYPES,
+      nonce,
+      relayer: r.wallet.address,
+      votingContract: CONFIG.VOTING_CONTRACT_ADDRESS
+    };
+  } catch (err) {
+    return { success: false, error: err.shortMessage || err.message };
+  }
+}
+
+// --- INDEXER DE EVENTOS ON-CHAIN ---
+let indexer = null;
+
+// Papeleta vigente a la que corresponde un evento: la de su txHash o, si no, la vigente de la
+// wallet (con re-voto, nunca una reemplazada)
+function findVoteForEvent(event) {
+  const hash = event.txHash.toLowerCase();
+  return DATABASE.votes.find(v => v.status !== 'Reemplazado' && (v.txHash || '').toLowerCase() === hash) ||
+    currentBallot(event.voter, event.electionId);
+}
+
+// El evento es de una papeleta que el votante ya reemplazó
+function isSupersededEvent(event) {
+  const hash = event.txHash.toLowerCase();
+  return DATABASE.votes.some(v => v.status === 'Reemplazado' && (v.txHash || '').toLowerCase() === hash);
+}
+
+// Un voto emitido directamente en el contrato pasa por las mismas reglas que recordVote:
+// elección existente y pública, abierta a la hora del bloque y votante habilitado.
+// Devuelve el motivo por el que no se cuenta, o null si es válido
+function chainVoteRejection(event) {
+  const election = DATABASE.elections.find(e => e.electionId === event.electionId);
+  if (!election) return 'Elección no encontrada';
+  if (commitReveal.isSecret(election)) return 'Voto secreto: solo cuentan los votos comprometidos y revelados';
+  if (ballot.isAnonymous(election)) return 'Voto anónimo: solo cuentan los votos con token';
+  if (ballot.isHomomorphic(election)) return 'Voto cifrado: solo cuentan las papeletas cifradas';
+  const at = event.blockTime ? new Date(event.blockTime).getTime() : nowMs();
+  if (!wasOpenAt(election, at)) return 'La elección no estaba abierta en el bloque del voto';
+  if (!candidateIdsOf(election.electionId).includes(event.candidateId)) return 'Candidato no encontrado';
+  const eligibility = getVoterEligibility(event.voter, election);
+  return eligibility.eligible ? null : eligibility.reason;
+}
+
+// Open en un instante pasado: el último estado del historial hasta entonces y las fechas
+function wasOpenAt(election, at) {
+  const past = (election.statusHistory || []).filter(h => new Date(h.at).getTime() <= at).pop();
+  return Boolean(past) && lifecycle.isOpen({ ...election, status: past.status }, at);
+}
+
+// Inserta o actualiza votos a partir de eventos VoteCast y VoteRevealed
+function indexChainVotes(events) {
+  const touched = new Set();
+
+  for (const event of events) {
+    const exists = DATABASE.chainVotes.some(c => c.txHash === event.txHash && c.logIndex === event.logIndex);
+    if (!exists) DATABASE.chainVotes.push({ ...event, indexedAt: new Date().toISOString() });
+    // re-voto: el evento queda en chainVotes pero no se atribuye a la papeleta vigente
+    if (isSupersededEvent(event)) continue;
+
+    if (event.revealed) {
+      // revelado on-chain de un voto secreto: el contrato ya comprobó el compromiso,
+      // pero la opción solo llega al backend con revealVote
+      const committed = currentBallot(event.voter, event.electionId);
+      if (committed && committed.commitment) {
+        committed.revealTxHash = committed.revealTxHash || event.txHash;
+        committed.blockNumber = event.blockNumber;
+        committed.onChain = true;
+        touched.add(event.electionId);
+      }
+      continue;
+    }
+
+    const vote = findVoteForEvent(event);
+    if (vote) {
+      vote.txHash = vote.txHash || event.txHash;
+      vote.blockNumber = event.blockNumber;
+      vote.onChain = true;
+    } else {
+      const chainVote = {
+        txHash: event.txHash,
+        walletAddress: event.voter,
+        electionId: event.electionId,
+        candidateId: event.candidateId,
+        timestamp: new Date().toISOString(),
+        blockNumber: event.blockNumber,
+        gasUsed: 0,
+        status: 'Confirmado',
+        source: 'chain',
+        onChain: true
+      };
+      // un voto on-chain que no cumple las reglas del backend queda registrado pero no se cuenta
+      const rejection = chainVoteRejection(event);
+      if (rejection) {
+        chainVote.status = 'Invalidado';
+        chainVote.invalidationReason = rejection;
+      }
+      insertRecord('votes', chainVote);
+      logBlockchain('indexVote', { wallet: event.voter, electionId: event.electionId, candidateId: event.candidateId, txHash: event.txHash }, [chainVote]);
+      logAudit('indexVote', event.voter, { electionId: event.electionId, txHash: event.txHash }, rejection ? 'error' : 'success', rejection || '');
+    }
+    touched.add(event.electionId);
+  }
+
+  touched.forEach(id => {
+    updateCandidateVotes(id);
+    updateElectionTotalVotes(id);
+  });
+}
+
+// Descarta lo indexado desde fromBlock (reorg)
+function rollbackChainVotes(fromBlock) {
+  const dropped = DATABASE.chainVotes.filter(c => c.blockNumber >= fromBlock);
+  DATABASE.chainVotes = DATABASE.chainVotes.filter(c => c.blockNumber < fromBlock);
+
+  const touched = new Set();
+  DATABASE.votes = DATABASE.votes.filter(v => {
+    if (!v.onChain || v.blockNumber < fromBlock) return true;
+    touched.add(v.electionId);
+    if (v.source === 'chain') return false;
+    v.onChain = false;
+    v.reconciliation = 'pending';
+    return true;
+  });
+
+  touched.forEach(id => {
+    updateCandidateVotes(id);
+    updateElectionTotalVotes(id);
+  });
+
+  logBlockchain('reorgRollback', { fromBlock, droppedEvents: dropped.length });
+  logAudit('reorgRollback', 'indexer', { fromBlock, droppedEvents: dropped.length }, 'success');
+}
+
+// Marca cada voto según si existe en la base de datos, on-chain o en ambos
+function reconcileVotes() {
+  const now = Date.now();
+  const checkpoint = DATABASE.indexer.checkpointBlock;
+  const touched = new Set();
+
+  DATABASE.votes.forEach(v => {
+    // los votos anónimos y los cifrados no pasan por el contrato
+    if (v.nullifier || v.ballot) return;
+    // con re-voto el contrato solo admite el primero: la papeleta vigente vive en el backend
+    if (v.revision) return;
+    // ni las papeletas de varias preguntas (el contrato vota un solo candidato)
+    if (v.answers) return;
+    // ni el voto en blanco o la abstención (el contrato no los conoce)
+    if (v.choice) return;
+    const before = v.reconciliation;
+    const event = DATABASE.chainVotes.find(c =>
+      (v.txHash && c.txHash.toLowerCase() === v.txHash.toLowerCase()) ||
+      (c.voter === v.walletAddress && c.electionId === v.electionId)
+    );
+
+    if (event) {
+      v.reconciliation = v.source === 'chain'
+        ? 'chain_only'
+        : (event.revealed || event.candidateId === v.candidateId ? 'matched' : 'mismatch');
+    } else if (now - new Date(v.timestamp).getTime() < CONFIG.INDEXER_GRACE_MS ||
+      (v.blockNumber && v.blockNumber > checkpoint)) {
+      v.reconciliation = 'pending';
+    } else {
+      v.reconciliation = 'db_only';
+    }
+
+    if (before !== v.reconciliation) touched.add(v.electionId);
+  });
+
+  touched.forEach(id => {
+    updateCandidateVotes(id);
+    updateElectionTotalVotes(id);
+  });
+}
+
+function startIndexer() {
+  if (!CONFIG.INDEXER_ENABLED || !CONFIG.VOTING_CONTRACT_ADDRESS) return null;
+
+  indexer = createIndexer({
+    rpcUrl: CONFIG.RPC_URL,
+    contractAddress: CONFIG.VOTING_CONTRACT_ADDRESS,
+    getState: () => DATABASE.indexer,
+    startBlock: CONFIG.INDEXER_START_BLOCK,
+    reorgDepth: CONFIG.INDEXER_REORG_DEPTH,
+    pollInterval: CONFIG.INDEXER_POLL_MS,
+    onEvents: events => mutate(() => indexChainVotes(events)),
+    onRollback: fromBlock => mutate(() => rollbackChainVotes(fromBlock)),
+    onSynced: () => mutate(() => {
+      reconcileVotes();
+      updateStats();
+    })
+  });
+  indexer.start();
+  console.log('🔎 Indexer de eventos iniciado');
+  return indexer;
+}
+
+// --- ESTADO DE RECONCILIACIÓN ---
+function getReconciliation(data) {
+  try {
+    const electionId = parseInt(data.electionId) || null;
+    const votes = DATABASE.votes.filter(v => !electionId || v.electionId === electionId);
+    const pick = flag => votes
+      .filter(v => v.reconciliation === flag)
+      .map(v => ({
+        txHash: v.txHash,
+        walletAddress: v.walletAddress,
+        electionId: v.electionId,
+        candidateId: v.candidateId,
+        blockNumber: v.blockNumber
+      }));
+
+    const { checkpointBlock, headBlock, lastRunAt, lastError, rollbacks } = DATABASE.indexer;
+    return {
+      success: true,
+      indexer: {
+        running: !!(indexer && indexer.isRunning()),
+        checkpointBlock,
+        headBlock,
+        lastRunAt,
+        lastError,
+        rollbacks: rollbacks || 0
+      },
+      summary: {
+        matched: pick('matched').length,
+        pending: pick('pending').length,
+        mismatch: pick('mismatch').length,
+        chainOnly: pick('chain_only').length,
+        dbOnly: pick('db_only').length
+      },
+      mismatch: pick('mismatch'),
+      chainOnly: pick('chain_only'),
+      dbOnly: pick('db_only')
+    };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
 // --- ACTUALIZAR ESTADÍSTICAS ---
 function updateStats() {
   try {
@@ -503,34 +3884,98 @@ function updateStats() {
 }
 
 // --- DESPACHADOR DE ACCIONES ---
-function handleAction(action, data) {
-  const actions = {
+function getActions(data) {
+  return {
     'init': initializeSystem,
     'registerVoter': () => registerVoter(data),
     'createElection': () => createElection(data),
     'addCandidate': () => addCandidate(data),
     'recordVote': () => recordVote(data),
     'castVote': () => recordVote(data), // Alias
+    'commitVote': () => commitVote(data),
+    'revealVote': () => revealVote(data),
+    'requestVotingToken': () => requestVotingToken(data),
+    'castAnonymousVote': () => castAnonymousVote(data),
+    'getAnonymousAudit': () => getAnonymousAudit(data),
+    'registerTrusteeKey': () => registerTrusteeKey(data),
+    'submitKeyDealing': () => submitKeyDealing(data),
+    'getKeyCeremony': () => getKeyCeremony(data),
+    'castEncryptedVote': () => castEncryptedVote(data),
+    'submitDecryptionShare': () => submitDecryptionShare(data),
+    'verifyEncryptedTally': () => verifyEncryptedTally(data),
+    'setVoterStatus': () => setVoterStatus(data),
+    'enrollVoter': () => enrollVoter(data),
+    'addToRoll': () => addToRoll(data, 'whitelist'),
+    'importVoterRoll': () => addToRoll(data, 'import'),
+    'setRollStatus': () => setRollStatus(data),
+    'setElectionEligibility': () => setElectionEligibility(data),
+    'getVoterRoll': () => getVoterRoll(data),
+    'grantRole': () => grantRole(data),
+    'revokeRole': () => revokeRole(data),
+    'listRoles': () => listRoles(data),
+    'rotatePiiKey': rotatePiiKey,
+    'scanIdentities': () => scanIdentities(data),
+    'getIdentityReviews': () => getIdentityReviews(data),
+    'resolveIdentityReview': () => resolveIdentityReview(data),
+    'getEligibility': () => getEligibility(data),
     'getActiveElections': getActiveElections,
+    'getElections': () => getElections(data),
+    'setElectionStatus': () => setElectionStatus(data),
+    'createRunoff': () => createRunoff(data),
+    'delegateVote': () => delegateVote(data),
+    'revokeDelegation': () => revokeDelegation(data),
+    'getDelegations': () => getDelegations(data),
+    'importVoterWeights': () => importVoterWeights(data),
+    'snapshotVoterWeights': () => snapshotVoterWeights(data),
+    'applyWeightSnapshot': () => applyWeightSnapshot(data),
+    'getVoterWeights': () => getVoterWeights(data),
+    'openElection': () => setElectionStatus({ ...data, status: lifecycle.STATUS.OPEN }),
+    'startReveal': () => setElectionStatus({ ...data, status: lifecycle.STATUS.REVEAL }),
+    'closeElection': () => setElectionStatus({ ...data, status: lifecycle.STATUS.CLOSED }),
+    'tallyElection': () => setElectionStatus({ ...data, status: lifecycle.STATUS.TALLIED }),
+    'archiveElection': () => setElectionStatus({ ...data, status: lifecycle.STATUS.ARCHIVED }),
     'getCandidates': () => getCandidates(data),
     'getResults': () => getResults(data),
     'getStats': getStats,
-    'logRelayer': () => logRelayer(data)
+    'getChartData': () => getChartData(data),
+    'syncToSheets': syncToSheets,
+    'getTypedData': () => getTypedData(data),
+    'verifyChain': verifyChain,
+    'verifyTx': () => verifyTx(data),
+    'logRelayer': () => logRelayer(data),
+    'relay': () => relayRequest(data),
+    'getRelayStatus': () => getRelayStatus(data),
+    'getForwarderInfo': () => getForwarderInfo(data),
+    'getReconciliation': () => getReconciliation(data),
+    'runScheduler': runScheduler
   };
+}
 
-  if (actions[action]) {
-    return actions[action]();
-  } else {
+function handleAction(action, data) {
+  if (ANONYMOUS_FIELDS[action]) {
+    data = Object.fromEntries(ANONYMOUS_FIELDS[action].filter(f => data[f] !== undefined).map(f => [f, data[f]]));
+  }
+  const actions = getActions(data);
+  if (!actions[action]) {
     throw new Error('Acción desconocida: ' + action);
   }
+
+  if (JOURNALED_ACTIONS.has(action)) return runMutation(action, data, actions[action]);
+  if (LOCKED_ACTIONS.has(action)) return mutate(actions[action]);
+  return actions[action]();
 }
 
 // ============================================================
 // 🌐 RUTAS HTTP
 // ============================================================
 
+// Sesiones SIWE/JWT y autorización por rol: un solo middleware delante de todas las rutas
+const sessions = createSessions({ secret: CONFIG.JWT_SECRET, ttlSeconds: CONFIG.SESSION_TTL_SECONDS });
+if (sessions.ephemeral) console.warn('JWT_SECRET no definido en .env — las sesiones se invalidan al reiniciar');
+app.use(rbac.createAuthorizer({ sessions, config: CONFIG, getDb: () => DATABASE }));
+
 // GET - Health check
-app.get('/', (req, res) => {
+app.get('/health', (req, res) => {
   res.json({
     success: true,
     message: 'API Online',
@@ -539,68 +3984,67 @@ app.get('/', (req, res) => {
   });
 });
 
-// GET - Con parámetros de query
-app.get('/api', (req, res) => {
-  try {
-    const action = req.query.action;
-    
-    if (!action) {
-      return res.json({
-        success: true,
-        message: 'API Online',
-        timestamp: new Date().toISOString()
-      });
-    }
-
-    const result = handleAction(action, req.query);
-    res.json(result);
-  } catch (err) {
-    console.error('Error en GET:', err);
-    res.status(500).json({ success: false, error: err.message });
-  }
-});
-
-// POST - Recibir datos
-app.post('/api', async (req, res) => {
-  try {
-    const data = req.body;
-    const action = data.action;
-
-    if (!action) {
-      return res.status(400).json({
-        success: false,
-        error: 'Action es requerido'
-      });
-    }
+// Contexto compartido con los routers de routes/
+const store = {
+  get db() { return DATABASE; },
+  config: CONFIG,
+  save: saveDatabase,
+  mutate,
+  reset: resetDatabase,
+  handleAction,
+  logBlockchain,
+  logAudit,
+  resultRows,
+  sessions
+};
+app.set('store', store);
 
-    const result = await handleAction(action, data);
-    res.json(result);
-  } catch (err) {
-    console.error('Error en POST:', err);
-    res.status(500).json({ success: false, error: err.message });
-  }
-});
+app.use('/auth', require('./routes/auth'));
+app.use('/api', require('./routes/api'));
+app.use('/', require('./routes/db'));
+app.use('/wallet', require('./routes/wallet'));
+app.use('/signature', require('./routes/signature'));
 
-// Exportar base de datos (solo para desarrollo)
+// Exportar base de datos (auditor; datos personales en claro solo para superadmin)
 app.get('/export', (req, res) => {
+  const reveal = rbac.canRevealPII(req.auth.grants);
   res.json({
     success: true,
-    data: DATABASE,
+    data: { ...DATABASE, voters: DATABASE.voters.map(v => pii.viewVoter(v, reveal)) },
     timestamp: new Date().toISOString()
   });
 });
 
-// Importar base de datos (solo para desarrollo)
-app.post('/import', (req, res) => {
+// Importar base de datos (superadmin)
+app.post('/import', async (req, res) => {
   try {
-    DATABASE = req.body;
-    saveDatabase();
+    await mutate(() => {
+      replaceDatabase(req.body);
+      logAudit('import', req.auth.address, {}, 'success');
+    });
     res.json({ success: true, message: 'Base de datos importada' });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
+// ABI de los contratos para el frontend: el mismo módulo que usa el backend (abi/votingAbi.js)
+app.get('/votingAbi.js', (req, res) => {
+  res.type('application/javascript').sendFile(path.join(__dirname, 'abi', 'votingAbi.js'));
+});
+
+// Frontend estático: solo páginas, scripts, estilos e imágenes. Credenciales, copias de la
+// base de datos o package.json que acaben en la carpeta no se sirven
+const STATIC_EXTENSIONS = ['.html', '.js', '.css', '.png', '.jpg', '.svg', '.ico'];
+if (fsSync.existsSync(CONFIG.PUBLIC_DIR)) {
+  app.use((req, res, next) => {
+    const ext = path.extname(req.path).toLowerCase();
+    if (ext && !STATIC_EXTENSIONS.includes(ext)) return res.status(404).json({ success: false, error: 'No encontrado' });
+    next();
+  });
+  app.use(express.static(CONFIG.PUBLIC_DIR, { dotfiles: 'deny' }));
+}
+
 // Error handler global
 app.use((err, req, res, next) => {
   console.error('Error no manejado:', err);
@@ -615,11 +4059,24 @@ app.use((err, req, res, next) => {
 // 🚀 INICIAR SERVIDOR
 // ============================================================
 
+const server = http.createServer(app);
+const io = new Server(server, { cors: { origin: '*' } });
+attachIO(io);
+app.set('io', io);
+
+io.on('connection', (socket) => {
+  logger.info('Nuevo cliente conectado', { id: socket.id });
+  socket.on('disconnect', () => logger.warn('Cliente desconectado', { id: socket.id }));
+});
+
 async function startServer() {
   try {
-    await initializeSystem();
+    const init = await initializeSystem();
+    if (!init.success) throw new Error(init.error);
+    startIndexer();
+    startScheduler();
     
-    app.listen(PORT, () => {
+    server.listen(PORT, () => {
       console.log(`
 ╔═══════════════════════════════════════════════════════════╗
 ║                                                           ║
@@ -628,7 +4085,8 @@ async function startServer() {
 ╠═══════════════════════════════════════════════════════════╣
 ║  Puerto:          ${PORT}                                    ║
 ║  Modo:            Node.js Backend                         ║
-║  Base de datos:   ${CONFIG.DATA_DIR}                         ║
+║  Base de datos:   ${storage.driver} → ${storage.location}            ║
+║  Google Sheets:   ${sheets.isEnabled() ? 'habilitado' : 'deshabilitado'}                           ║
 ║  Admins:          ${CONFIG.ADMIN_ADDRESSES.length} configurados            ║
 ╚═══════════════════════════════════════════════════════════╝
 
@@ -639,9 +4097,13 @@ async function startServer() {
    - Candidatos:  ${DATABASE.candidates.length}
 
 🌐 Endpoints disponibles:
-   - GET  http://localhost:${PORT}/
+   - GET  http://localhost:${PORT}/health
+   - POST http://localhost:${PORT}/auth/login   (SIWE → JWT)
    - GET  http://localhost:${PORT}/api?action=getStats
    - POST http://localhost:${PORT}/api
+   - GET  http://localhost:${PORT}/db/all
+   - GET  http://localhost:${PORT}/export/csv/:sheet
+   - GET  http://localhost:${PORT}/          (interfaz web de frontend/)
 
 ✨ Backend iniciado correctamente!
       `);
@@ -655,13 +4117,15 @@ async function startServer() {
 // Manejar cierre graceful
 process.on('SIGINT', async () => {
   console.log('\n🛑 Cerrando servidor...');
-  await saveDatabase();
+  await mutate(() => {});
+  if (storage) await storage.close();
   console.log('💾 Base de datos guardada');
   process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
-  await saveDatabase();
+  await mutate(() => {});
+  if (storage) await storage.close();
   process.exit(0);
 });
 
@@ -670,4 +4134,4 @@ if (require.main === module) {
   startServer();
 }
 
-module.exports = { app, DATABASE, handleAction };
\ No newline at end of file
+module.exports = { app, server, store, handleAction, startIndexer, indexChainVotes, rollbackChainVotes, startScheduler, stopScheduler };
\ No newline at end of file
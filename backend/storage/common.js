@@ -0,0 +1,49 @@
+// Definiciones compartidas por los adaptadores de almacenamiento
+
+// Colecciones con tabla propia en SQLite; el resto de claves va a la tabla meta
+const COLLECTIONS = ['voters', 'voterRolls', 'elections', 'candidates', 'votes', 'audit', 'blockchain'];
+
+// Claves únicas por colección (las mismas que impone SQLite)
+const UNIQUE_KEYS = {
+  voters: [r => r.walletAddress],
+  voterRolls: [r => `${r.electionId}:${r.walletAddress}`],
+  elections: [r => r.electionId],
+  candidates: [r => `${r.electionId}:${r.candidateId}`],
+  // con re-voto, cada papeleta nueva de la wallet lleva la siguiente revisión
+  votes: [r => `${r.walletAddress}:${r.electionId}:${r.revision || 1}`],
+  blockchain: [r => r.blockNumber, r => r.hash]
+};
+
+function duplicateError(collection) {
+  const err = new Error(`Registro duplicado en ${collection}`);
+  err.code = 'DUPLICATE_RECORD';
+  return err;
+}
+
+function findConflict(db, collection, record) {
+  const keys = UNIQUE_KEYS[collection] || [];
+  return keys.some(key => {
+    const value = key(record);
+    return (db[collection] || []).some(r => key(r) === value);
+  });
+}
+
+// Deshace los push hechos dentro de una transacción fallida
+function createInsertTracker() {
+  let tracked = null;
+  return {
+    begin() { tracked = []; },
+    track(list, record) { if (tracked) tracked.push([list, record]); },
+    rollback() {
+      (tracked || []).reverse().forEach(([list, record]) => {
+        const i = list.lastIndexOf(record);
+        if (i !== -1) list.splice(i, 1);
+      });
+      tracked = null;
+    },
+    end() { tracked = null; },
+    get active() { return tracked !== null; }
+  };
+}
+
+module.exports = { COLLECTIONS, UNIQUE_KEYS, duplicateError, findConflict, createInsertTracker };
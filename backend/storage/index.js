@@ -0,0 +1,25 @@
+// ============================================================
+// 💾 Capa de almacenamiento
+// Interfaz común de los adaptadores:
+//   load()                         → { data, source } (data = null si está vacío)
+//   insert(db, collection, record) → inserta respetando claves únicas y lo agrega a db
+//   transaction(fn)                → ejecuta fn de forma atómica
+//   persist(db)                    → Promise, guarda los cambios hechos en memoria
+//   close()                        → Promise
+// ============================================================
+const { COLLECTIONS, UNIQUE_KEYS } = require('./common');
+const { createJsonAdapter } = require('./jsonAdapter');
+const { createSqliteAdapter } = require('./sqliteAdapter');
+
+function createStorage({ driver = 'json', jsonFile, fallbackFiles, sqliteFile }) {
+  switch (driver) {
+    case 'json':
+      return createJsonAdapter({ file: jsonFile, fallbackFiles });
+    case 'sqlite':
+      return createSqliteAdapter({ file: sqliteFile });
+    default:
+      throw new Error('STORAGE_DRIVER no soportado: ' + driver);
+  }
+}
+
+module.exports = { COLLECTIONS, UNIQUE_KEYS, createStorage, createJsonAdapter, createSqliteAdapter };
@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+const { duplicateError, findConflict, createInsertTracker } = require('./common');
+
+/**
+ * Adaptador JSON: toda la base en un archivo. Las escrituras se agrupan:
+ * mientras hay una en curso, las siguientes llamadas esperan y se resuelven
+ * con una única escritura posterior.
+ */
+function createJsonAdapter({ file, fallbackFiles = [] }) {
+  const tx = createInsertTracker();
+  let writing = null;
+  let queued = null;
+  let latest = null;
+
+  function load() {
+    const source = [file, ...fallbackFiles].find(f => f && fs.existsSync(f));
+    if (!source) return { data: null, source: null };
+    return { data: JSON.parse(fs.readFileSync(source, 'utf8')), source };
+  }
+
+  function insert(db, collection, record) {
+    if (findConflict(db, collection, record)) throw duplicateError(collection);
+    db[collection].push(record);
+    tx.track(db[collection], record);
+    return record;
+  }
+
+  function transaction(fn) {
+    if (tx.active) return fn();
+    tx.begin();
+    try {
+      const result = fn();
+      tx.end();
+      return result;
+    } catch (err) {
+      tx.rollback();
+      throw err;
+    }
+  }
+
+  // Archivo temporal + fsync + rename: un corte nunca deja el JSON a medias
+  async function write(db) {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    const handle = await fs.promises.open(tmp, 'w');
+    try {
+      await handle.writeFile(JSON.stringify(db, null, 2));
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.promises.rename(tmp, file);
+  }
+
+  function persist(db) {
+    latest = db;
+    if (!writing) {
+      writing = write(latest).finally(() => { writing = null; });
+      return writing;
+    }
+    if (!queued) {
+      queued = writing.then(() => {
+        queued = null;
+        return persist(latest);
+      });
+    }
+    return queued;
+  }
+
+  async function close() {
+    if (queued) await queued;
+    else if (writing) await writing;
+  }
+
+  return { driver: 'json', location: file, load, insert, transaction, persist, close };
+}
+
+module.exports = { createJsonAdapter };
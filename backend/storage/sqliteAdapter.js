@@ -0,0 +1,299 @@
+const fs = require('fs');
+const path = require('path');
+const { COLLECTIONS, duplicateError, createInsertTracker } = require('./common');
+
+// Columnas indexadas de cada tabla; el registro completo se guarda en data (JSON)
+const TABLES = {
+  voters: {
+    table: 'voters',
+    columns: { wallet_address: r => r.walletAddress, registered_at: r => r.registeredAt }
+  },
+  voterRolls: {
+    table: 'voter_rolls',
+    columns: { election_id: r => r.electionId, wallet_address: r => r.walletAddress, status: r => r.status }
+  },
+  elections: {
+    table: 'elections',
+    columns: { election_id: r => r.electionId, status: r => r.status }
+  },
+  candidates: {
+    table: 'candidates',
+    columns: { election_id: r => r.electionId, candidate_id: r => r.candidateId }
+  },
+  votes: {
+    table: 'votes',
+    columns: {
+      wallet_address: r => r.walletAddress,
+      election_id: r => r.electionId,
+      // 0 = voto secreto todavía sin revelar (candidateId null en data)
+      candidate_id: r => r.candidateId || 0,
+      tx_hash: r => r.txHash || null,
+      timestamp: r => r.timestamp,
+      revision: r => r.revision || 1
+    }
+  },
+  audit: {
+    table: 'audit',
+    columns: { timestamp: r => r.timestamp, action: r => r.action, user: r => r.user }
+  },
+  blockchain: {
+    table: 'blocks',
+    columns: { block_number: r => r.blockNumber, hash: r => r.hash, prev_hash: r => r.prevHash }
+  }
+};
+
+function votesTable(name) {
+  return `CREATE TABLE IF NOT EXISTS ${name} (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    wallet_address TEXT NOT NULL,
+    election_id INTEGER NOT NULL,
+    candidate_id INTEGER NOT NULL,
+    tx_hash TEXT,
+    timestamp TEXT,
+    revision INTEGER NOT NULL DEFAULT 1,
+    data TEXT NOT NULL,
+    UNIQUE (wallet_address, election_id, revision)
+  );`;
+}
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS voters (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    wallet_address TEXT NOT NULL UNIQUE,
+    registered_at TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS voter_rolls (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    election_id INTEGER NOT NULL,
+    wallet_address TEXT NOT NULL,
+    status TEXT,
+    data TEXT NOT NULL,
+    UNIQUE (election_id, wallet_address)
+  );
+  CREATE TABLE IF NOT EXISTS elections (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    election_id INTEGER NOT NULL UNIQUE,
+    status TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS candidates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    election_id INTEGER NOT NULL,
+    candidate_id INTEGER NOT NULL,
+    data TEXT NOT NULL,
+    UNIQUE (election_id, candidate_id)
+  );
+  ${votesTable('votes')}
+  CREATE INDEX IF NOT EXISTS idx_votes_tx_hash ON votes (tx_hash);
+  CREATE TABLE IF NOT EXISTS audit (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    timestamp TEXT,
+    action TEXT,
+    user TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS blocks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    block_number INTEGER NOT NULL UNIQUE,
+    hash TEXT NOT NULL UNIQUE,
+    prev_hash TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+`;
+
+// Bases creadas antes del re-voto: la clave única de votes pasa a incluir la revisión
+function migrate(sql) {
+  const columns = sql.prepare('PRAGMA table_info(votes)').all().map(c => c.name);
+  if (columns.includes('revision')) return;
+  sql.exec(`
+    BEGIN;
+    ${votesTable('votes_new')}
+    INSERT INTO votes_new (id, wallet_address, election_id, candidate_id, tx_hash, timestamp, data)
+      SELECT id, wallet_address, election_id, candidate_id, tx_hash, timestamp, data FROM votes;
+    DROP TABLE votes;
+    ALTER TABLE votes_new RENAME TO votes;
+    CREATE INDEX IF NOT EXISTS idx_votes_tx_hash ON votes (tx_hash);
+    COMMIT;
+  `);
+}
+
+function isUniqueViolation(err) {
+  return err && /^SQLITE_CONSTRAINT_(UNIQUE|PRIMARYKEY)$/.test(err.code);
+}
+
+/**
+ * Adaptador SQLite (better-sqlite3, síncrono). Los datos se mantienen también
+ * en memoria; persist() solo escribe las filas que cambiaron desde la última
+ * escritura, dentro de una transacción.
+ */
+function createSqliteAdapter({ file }) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (err) {
+    throw new Error('STORAGE_DRIVER=sqlite requiere el paquete better-sqlite3 (npm install better-sqlite3)');
+  }
+
+  if (file !== ':memory:') fs.mkdirSync(path.dirname(file), { recursive: true });
+  const sql = new Database(file);
+  sql.pragma('journal_mode = WAL');
+  sql.exec(SCHEMA);
+  migrate(sql);
+
+  const tx = createInsertTracker();
+  // registro en memoria → id de fila, y último JSON escrito de cada fila
+  const rowIds = new WeakMap();
+  const written = {};
+  const writtenMeta = new Map();
+  COLLECTIONS.forEach(c => { written[c] = new Map(); });
+
+  const statements = {};
+  COLLECTIONS.forEach(collection => {
+    const { table, columns } = TABLES[collection];
+    const cols = Object.keys(columns);
+    statements[collection] = {
+      select: sql.prepare(`SELECT id, data FROM ${table} ORDER BY id`),
+      insert: sql.prepare(`INSERT INTO ${table} (${cols.join(', ')}, data) VALUES (${cols.map(() => '?').join(', ')}, ?)`),
+      update: sql.prepare(`UPDATE ${table} SET ${cols.map(c => c + ' = ?').join(', ')}, data = ? WHERE id = ?`),
+      remove: sql.prepare(`DELETE FROM ${table} WHERE id = ?`)
+    };
+  });
+  const selectMeta = sql.prepare('SELECT key, value FROM meta');
+  const upsertMeta = sql.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value');
+
+  function values(collection, record, json) {
+    return [...Object.values(TABLES[collection].columns).map(fn => {
+      const v = fn(record);
+      return v === undefined ? null : v;
+    }), json];
+  }
+
+  function load() {
+    const isEmpty = COLLECTIONS.every(c => !statements[c].select.get()) && !selectMeta.get();
+    if (isEmpty) return { data: null, source: null };
+
+    const data = {};
+    COLLECTIONS.forEach(collection => {
+      data[collection] = statements[collection].select.all().map(row => {
+        const record = JSON.parse(row.data);
+        rowIds.set(record, row.id);
+        written[collection].set(row.id, row.data);
+        return record;
+      });
+    });
+    selectMeta.all().forEach(row => {
+      data[row.key] = JSON.parse(row.value);
+      writtenMeta.set(row.key, row.value);
+    });
+    return { data, source: file };
+  }
+
+  function insertRow(collection, record) {
+    const json = JSON.stringify(record);
+    try {
+      const { lastInsertRowid } = statements[collection].insert.run(...values(collection, record, json));
+      const id = Number(lastInsertRowid);
+      rowIds.set(record, id);
+      written[collection].set(id, json);
+    } catch (err) {
+      if (isUniqueViolation(err)) throw duplicateError(collection);
+      throw err;
+    }
+  }
+
+  function insert(db, collection, record) {
+    if (!TABLES[collection]) throw new Error('Colección desconocida: ' + collection);
+    insertRow(collection, record);
+    db[collection].push(record);
+    tx.track(db[collection], record);
+    return record;
+  }
+
+  const runInTransaction = sql.transaction(fn => fn());
+
+  function transaction(fn) {
+    if (tx.active) return fn();
+    tx.begin();
+    try {
+      const result = runInTransaction(fn);
+      tx.end();
+      return result;
+    } catch (err) {
+      // SQLite ya deshizo las filas; se deshace también la memoria
+      tx.rollback();
+      COLLECTIONS.forEach(c => written[c].clear());
+      resync();
+      throw err;
+    }
+  }
+
+  // Tras un rollback se vuelve a leer el estado escrito de cada fila
+  function resync() {
+    COLLECTIONS.forEach(collection => {
+      statements[collection].select.all().forEach(row => written[collection].set(row.id, row.data));
+    });
+    selectMeta.all().forEach(row => writtenMeta.set(row.key, row.value));
+  }
+
+  // Borra, actualiza e inserta solo lo que cambió respecto a lo escrito
+  const syncAll = sql.transaction(db => {
+    COLLECTIONS.forEach(collection => {
+      const list = Array.isArray(db[collection]) ? db[collection] : [];
+      const stmts = statements[collection];
+      const seen = new Set(list.map(r => rowIds.get(r)).filter(id => id !== undefined));
+
+      for (const id of [...written[collection].keys()]) {
+        if (!seen.has(id)) {
+          stmts.remove.run(id);
+          written[collection].delete(id);
+        }
+      }
+
+      list.forEach(record => {
+        const id = rowIds.get(record);
+        if (id === undefined || !written[collection].has(id)) {
+          insertRow(collection, record);
+          return;
+        }
+        const json = JSON.stringify(record);
+        if (written[collection].get(id) !== json) {
+          stmts.update.run(...values(collection, record, json), id);
+          written[collection].set(id, json);
+        }
+      });
+    });
+
+    Object.keys(db).filter(key => !TABLES[key]).forEach(key => {
+      const json = JSON.stringify(db[key]);
+      if (writtenMeta.get(key) !== json) {
+        upsertMeta.run(key, json);
+        writtenMeta.set(key, json);
+      }
+    });
+  });
+
+  function persist(db) {
+    try {
+      syncAll(db);
+      return Promise.resolve();
+    } catch (err) {
+      COLLECTIONS.forEach(c => written[c].clear());
+      writtenMeta.clear();
+      resync();
+      return Promise.reject(isUniqueViolation(err) ? duplicateError('sqlite') : err);
+    }
+  }
+
+  async function close() {
+    sql.close();
+  }
+
+  return { driver: 'sqlite', location: file, sql, load, insert, transaction, persist, close };
+}
+
+module.exports = { TABLES, createSqliteAdapter };
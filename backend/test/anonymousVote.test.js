@@ -0,0 +1,116 @@
+// Voto anónimo con firmas ciegas: el registrador firma el token cegado, el votante lo
+// desciega y vota sin wallet; el nullifier impide reutilizar el token.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const blindSignature = require('../utils/blindSignature');
+const { startBackend } = require('./harness');
+
+const backend = startBackend();
+const { handleAction } = backend;
+
+before(() => handleAction('init', {}));
+after(() => backend.stop());
+
+const newToken = () => '0x' + crypto.randomBytes(32).toString('hex');
+
+test('la firma descegada verifica el token original y solo ese', () => {
+  const { publicKey, privateKey } = blindSignature.generateKeyPair();
+  const message = blindSignature.tokenMessage(1, newToken());
+  const { blinded, r } = blindSignature.blind(message, publicKey);
+  const signature = blindSignature.unblind(blindSignature.signBlinded(blinded, privateKey), r, publicKey);
+
+  assert.strictEqual(blindSignature.verify(message, signature, publicKey), true);
+  assert.strictEqual(blindSignature.verify(blindSignature.tokenMessage(2, newToken()), signature, publicKey), false);
+  // el registrador no ve el token: lo que firma no es el mensaje
+  assert.notStrictEqual(blindSignature.signBlinded(blinded, privateKey), signature);
+});
+
+test('token ciego, voto sin wallet y un solo uso por token', async () => {
+  const electionId = await backend.createElection({ ballotMode: 'anonymous' }, ['A', 'B']);
+  const voter = await backend.registerVoter(1);
+  const { registrarKey } = handleAction('getResults', { electionId }).ballot;
+
+  const token = newToken();
+  const { blinded, r } = blindSignature.blind(blindSignature.tokenMessage(electionId, token), registrarKey);
+  const issued = await handleAction('requestVotingToken', await backend.sign(voter, 'RequestVotingToken', {
+    voter: voter.address.toLowerCase(),
+    electionId,
+    blindedToken: blinded
+  }));
+  assert.strictEqual(issued.success, true, issued.error);
+  const tokenSignature = blindSignature.unblind(issued.blindSignature, r, registrarKey);
+
+  // la sesión y la IP que añada la petición no llegan al voto
+  const cast = await handleAction('castAnonymousVote', {
+    electionId, candidateId: 2, token, tokenSignature, adminAddress: voter.address, ipAddress: '10.0.0.1'
+  });
+  assert.strictEqual(cast.success, true, cast.error);
+  assert.deepStrictEqual(backend.votesOf(electionId), { A: 0, B: 1 });
+
+  const stored = backend.store.db.votes.find(v => v.electionId === electionId);
+  assert.strictEqual(stored.walletAddress, blindSignature.nullifier(electionId, token));
+  const serialized = JSON.stringify([stored, backend.store.db.audit.filter(a => a.action === 'castAnonymousVote')]);
+  assert.ok(!serialized.includes(voter.address.toLowerCase().slice(2)), 'el voto no guarda la wallet');
+  assert.ok(!serialized.includes('10.0.0.1'), 'el voto no guarda la IP');
+
+  const reused = await handleAction('castAnonymousVote', { electionId, candidateId: 1, token, tokenSignature });
+  assert.strictEqual(reused.success, false);
+  assert.match(reused.error, /ya fue usado/);
+
+  const forged = await handleAction('castAnonymousVote', { electionId, candidateId: 1, token: newToken(), tokenSignature });
+  assert.strictEqual(forged.success, false);
+  assert.match(forged.error, /Firma del token inválida/);
+});
+
+test('una wallet recibe un solo token por elección', async () => {
+  const electionId = await backend.createElection({ ballotMode: 'anonymous' }, ['A', 'B']);
+  const voter = await backend.registerVoter(2);
+  const { registrarKey } = handleAction('getResults', { electionId }).ballot;
+
+  const request = () => {
+    const { blinded } = blindSignature.blind(blindSignature.tokenMessage(electionId, newToken()), registrarKey);
+    return backend.sign(voter, 'RequestVotingToken', { voter: voter.address.toLowerCase(), electionId, blindedToken: blinded })
+      .then(message => handleAction('requestVotingToken', message));
+  };
+  assert.strictEqual((await request()).success, true);
+  const second = await request();
+  assert.strictEqual(second.success, false);
+  assert.match(second.error, /Ya se emitió un token/);
+});
+
+test('los votos atribuidos a una wallet no cuentan en una elección anónima', async () => {
+  const electionId = await backend.createElection({ ballotMode: 'anonymous' }, ['A', 'B']);
+  const voter = await backend.registerVoter(3);
+
+  backend.indexChainVotes([{
+    txHash: newToken(), logIndex: 0, blockNumber: 1, blockHash: newToken(),
+    electionId, candidateId: 1, voter: voter.address.toLowerCase()
+  }]);
+  const chainVote = backend.store.db.votes.find(v => v.electionId === electionId);
+  assert.strictEqual(chainVote.status, 'Invalidado');
+  assert.match(chainVote.invalidationReason, /solo cuentan los votos con token/);
+  assert.deepStrictEqual(backend.votesOf(electionId), { A: 0, B: 0 });
+});
+
+test('la participación cuenta aparte los votos anónimos', async () => {
+  const electionId = await backend.createElection({}, ['A', 'B']);
+  const voter = await backend.registerVoter(4);
+  const cast = await handleAction('castVote', await backend.sign(voter, 'Vote', { voter: voter.address.toLowerCase(), electionId, candidateId: 1 }));
+  assert.strictEqual(cast.success, true, cast.error);
+
+  const { server } = backend;
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/api?action=getParticipation`);
+    const participation = await response.json();
+    const anonymous = backend.store.db.votes.filter(v => v.nullifier).length;
+    assert.ok(anonymous > 0);
+    assert.strictEqual(participation.anonymous, anonymous);
+    // solo wallets: el voto público y el on-chain invalidado de la prueba anterior
+    assert.strictEqual(participation.voted, 2);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
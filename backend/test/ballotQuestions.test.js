@@ -0,0 +1,102 @@
+// Varias preguntas en una papeleta: una contienda por aprobación y un referendo, firmados
+// juntos con MultiVote; falta de respuestas o límites de elección rechazan la papeleta entera.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startBackend } = require('./harness');
+
+const backend = startBackend();
+const { handleAction, admin } = backend;
+
+before(() => handleAction('init', {}));
+after(() => backend.stop());
+
+const QUESTIONS = [
+  { title: 'Junta', method: 'approval', maxChoices: 2 },
+  { title: '¿Aprueba el presupuesto?', kind: 'referendum' }
+];
+
+async function createMultiElection() {
+  const created = await handleAction('createElection', { adminAddress: admin.address, title: 'Asamblea', draft: true, questions: QUESTIONS });
+  assert.strictEqual(created.success, true, created.error);
+  const { electionId } = created;
+  for (const name of ['Ana', 'Beto', 'Caro']) {
+    const added = await handleAction('addCandidate', { adminAddress: admin.address, electionId, name, questionId: 1 });
+    assert.strictEqual(added.success, true, added.error);
+  }
+  assert.strictEqual((await handleAction('openElection', { adminAddress: admin.address, electionId })).success, true);
+  return electionId;
+}
+
+function optionId(electionId, questionId, label) {
+  return backend.store.db.candidates
+    .find(c => c.electionId === electionId && c.questionId === questionId && (c.name === label || c.choice === label))
+    .candidateId;
+}
+
+async function vote(wallet, electionId, answers) {
+  const message = await backend.sign(wallet, 'MultiVote', { voter: wallet.address.toLowerCase(), electionId, answers });
+  return handleAction('castVote', message);
+}
+
+test('cada pregunta se cuenta con su método y sus opciones', async () => {
+  const electionId = await createMultiElection();
+  const id = (q, label) => optionId(electionId, q, label);
+  const ballots = [
+    [[id(1, 'Ana'), id(1, 'Beto')], [id(2, 'yes')]],
+    [[id(1, 'Ana')], [id(2, 'no')]],
+    [[id(1, 'Caro')], [id(2, 'yes')]]
+  ];
+  for (const [i, [race, referendum]] of ballots.entries()) {
+    const voter = await backend.registerVoter(i + 1);
+    const result = await vote(voter, electionId, [
+      { questionId: 1, candidateIds: race },
+      { questionId: 2, candidateIds: referendum }
+    ]);
+    assert.strictEqual(result.success, true, result.error);
+  }
+
+  const results = handleAction('getResults', { electionId });
+  assert.strictEqual(results.election.totalVotes, 3);
+  const counts = q => Object.fromEntries(results.questions.find(r => r.questionId === q).candidates.map(c => [c.name, c.votes]));
+  assert.deepStrictEqual(counts(1), { Ana: 2, Beto: 1, Caro: 1 });
+  assert.deepStrictEqual(counts(2), { 'Sí': 2, No: 1 });
+  assert.deepStrictEqual(results.questions.map(q => [q.kind, q.method]), [['race', 'approval'], ['referendum', 'plurality']]);
+});
+
+test('la papeleta se rechaza entera si falta una respuesta o se pasa del límite', async () => {
+  const electionId = await createMultiElection();
+  const id = (q, label) => optionId(electionId, q, label);
+  const voter = await backend.registerVoter(10);
+
+  const missing = await vote(voter, electionId, [{ questionId: 1, candidateIds: [id(1, 'Ana')] }]);
+  assert.match(missing.error, /Falta la respuesta a la pregunta 2/);
+
+  const tooMany = await vote(voter, electionId, [
+    { questionId: 1, candidateIds: [id(1, 'Ana'), id(1, 'Beto'), id(1, 'Caro')] },
+    { questionId: 2, candidateIds: [id(2, 'yes')] }
+  ]);
+  assert.match(tooMany.error, /Pregunta 1: marca como mucho 2 opciones/);
+
+  const wrongQuestion = await vote(voter, electionId, [
+    { questionId: 1, candidateIds: [id(2, 'yes')] },
+    { questionId: 2, candidateIds: [id(2, 'no')] }
+  ]);
+  assert.strictEqual(wrongQuestion.success, false);
+  assert.strictEqual(backend.store.db.votes.filter(v => v.electionId === electionId).length, 0);
+});
+
+test('candidatos y reglas se validan por pregunta', async () => {
+  const created = await handleAction('createElection', { adminAddress: admin.address, title: 'Borrador', draft: true, questions: QUESTIONS });
+  const { electionId } = created;
+
+  const noQuestion = await handleAction('addCandidate', { adminAddress: admin.address, electionId, name: 'Sin pregunta' });
+  assert.match(noQuestion.error, /Indica la pregunta \(questionId\)/);
+  const referendum = await handleAction('addCandidate', { adminAddress: admin.address, electionId, name: 'Tal vez', questionId: 2 });
+  assert.match(referendum.error, /Las opciones de un referendo son fijas/);
+
+  const runoff = await handleAction('createElection', { adminAddress: admin.address, title: 'X', draft: true, questions: QUESTIONS, tieBreak: 'runoff' });
+  assert.match(runoff.error, /segunda vuelta no está disponible/);
+  const secret = await handleAction('createElection', { adminAddress: admin.address, title: 'X', draft: true, questions: QUESTIONS, ballotMode: 'commitReveal' });
+  assert.match(secret.error, /solo están disponibles con voto público/);
+});
@@ -0,0 +1,70 @@
+// Voto en blanco y abstención: opciones propias de la papeleta que se cuentan aparte de los
+// candidatos; el blanco entra en el quórum salvo blankInQuorum: false y la abstención nunca.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startBackend } = require('./harness');
+
+const backend = startBackend();
+const { handleAction } = backend;
+const voters = [];
+
+before(async () => {
+  await handleAction('init', {});
+  for (let i = 1; i <= 5; i++) voters.push(await backend.registerVoter(i));
+});
+after(() => backend.stop());
+
+function optionId(electionId, label) {
+  return backend.store.db.candidates.find(c => c.electionId === electionId && (c.name === label || c.choice === label)).candidateId;
+}
+
+function vote(wallet, electionId, candidateId) {
+  return backend.sign(wallet, 'Vote', { voter: wallet.address.toLowerCase(), electionId, candidateId })
+    .then(message => handleAction('castVote', message));
+}
+
+// A, A, B, en blanco y abstención
+async function castBallots(electionId) {
+  const choices = ['A', 'A', 'B', 'blank', 'abstain'];
+  for (const [i, label] of choices.entries()) {
+    const result = await vote(voters[i], electionId, optionId(electionId, label));
+    assert.strictEqual(result.success, true, result.error);
+  }
+}
+
+test('blanco y abstención se informan aparte y no son candidatos', async () => {
+  const electionId = await backend.createElection({ blankBallots: true, quorum: 70 }, ['A', 'B']);
+  await castBallots(electionId);
+
+  const results = handleAction('getResults', { electionId });
+  assert.deepStrictEqual(results.candidates.map(c => [c.name, c.votes]), [['A', 2], ['B', 1]]);
+  assert.deepStrictEqual(results.totals, { valid: 3, blank: 1, abstain: 1, null: 0 });
+  assert.deepStrictEqual(results.outcome.winners, [optionId(electionId, 'A')]);
+  // 3 válidos + 1 en blanco de 5 votantes = 80 %
+  assert.strictEqual(results.outcome.turnout.quorumMet, true);
+});
+
+test('con blankInQuorum: false el blanco no cuenta para el quórum', async () => {
+  const electionId = await backend.createElection({ blankBallots: true, quorum: 70, blankInQuorum: false }, ['A', 'B']);
+  await castBallots(electionId);
+
+  // 3 válidos de 5 votantes = 60 %
+  const { outcome } = handleAction('getResults', { electionId });
+  assert.strictEqual(outcome.turnout.quorumMet, false);
+  assert.deepStrictEqual(outcome.winners, []);
+});
+
+test('el blanco no se combina con candidatos y solo existe si la elección lo habilita', async () => {
+  const approval = await backend.createElection({ blankBallots: true, method: 'approval' }, ['A', 'B']);
+  const mixed = await backend.sign(voters[0], 'PreferenceVote', {
+    voter: voters[0].address.toLowerCase(), electionId: approval, candidateIds: [optionId(approval, 'A'), optionId(approval, 'blank')]
+  });
+  const result = await handleAction('castVote', mixed);
+  assert.match(result.error, /El voto en blanco y la abstención no se combinan con candidatos/);
+
+  const plain = await backend.createElection({}, ['A', 'B']);
+  assert.ok(!backend.store.db.candidates.some(c => c.electionId === plain && c.choice));
+  const missing = await vote(voters[0], plain, 3);
+  assert.match(missing.error, /Candidato no encontrado/);
+});
@@ -0,0 +1,88 @@
+// Voto secreto commit-reveal: durante Open solo se guarda el compromiso, en Reveal se
+// comprueba candidato + salt y los conteos (y las opciones en el ledger) siguen ocultos
+// hasta cerrar el revelado.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const { computeCommitment } = require('../utils/commitReveal');
+const { startBackend } = require('./harness');
+
+const backend = startBackend();
+const { handleAction, admin } = backend;
+
+before(() => handleAction('init', {}));
+after(() => backend.stop());
+
+test('compromiso en Open, revelado en Reveal y conteo al cerrar', async () => {
+  const electionId = await backend.createElection({ ballotMode: 'commitReveal' }, ['A', 'B']);
+  const voters = [await backend.registerVoter(1), await backend.registerVoter(2)];
+  const picks = voters.map((wallet, i) => ({
+    wallet,
+    voter: wallet.address.toLowerCase(),
+    candidateId: i + 1,
+    salt: ethers.hexlify(ethers.randomBytes(32))
+  }));
+
+  for (const { wallet, voter, candidateId, salt } of picks) {
+    const commitment = computeCommitment({ electionId, candidateId, salt, voter });
+    const committed = await handleAction('commitVote', await backend.sign(wallet, 'CommitVote', { voter, electionId, commitment }));
+    assert.strictEqual(committed.success, true, committed.error);
+  }
+  assert.strictEqual(handleAction('getResults', { electionId }).ballot.resultsHidden, true);
+
+  const early = picks[0];
+  const tooSoon = await handleAction('revealVote', await backend.sign(early.wallet, 'RevealVote', {
+    voter: early.voter, electionId, candidateId: early.candidateId, salt: early.salt
+  }));
+  assert.match(tooSoon.error, /fase de revelado no está abierta/);
+
+  assert.strictEqual((await handleAction('startReveal', { adminAddress: admin.address, electionId })).success, true);
+
+  // otro candidato con el mismo salt no coincide con el compromiso
+  const lie = await handleAction('revealVote', await backend.sign(early.wallet, 'RevealVote', {
+    voter: early.voter, electionId, candidateId: 2, salt: early.salt
+  }));
+  assert.match(lie.error, /no coincide/);
+
+  for (const { wallet, voter, candidateId, salt } of picks) {
+    const revealed = await handleAction('revealVote', await backend.sign(wallet, 'RevealVote', { voter, electionId, candidateId, salt }));
+    assert.strictEqual(revealed.success, true, revealed.error);
+  }
+  assert.strictEqual(handleAction('getResults', { electionId }).ballot.revealed, 2);
+  // mientras dura el revelado el ledger solo guarda el compromiso
+  const ledger = () => backend.store.db.blockchain.filter(b => b.details.electionId === electionId);
+  const reveals = ledger().filter(b => b.action === 'revealVote');
+  assert.strictEqual(reveals.length, 2);
+  assert.ok(reveals.every(b => !('candidateId' in b.details) && !b.votes.length));
+
+  assert.strictEqual((await handleAction('closeElection', { adminAddress: admin.address, electionId })).success, true);
+  assert.deepStrictEqual(backend.votesOf(electionId), { A: 1, B: 1 });
+  const published = ledger().find(b => b.action === 'publishReveals');
+  assert.deepStrictEqual(published.votes.map(v => v.candidateId).sort(), [1, 2]);
+});
+
+test('el revelado on-chain no trae la opción y un VoteCast directo no cuenta', async () => {
+  const electionId = await backend.createElection({ ballotMode: 'commitReveal' }, ['A', 'B']);
+  const wallet = await backend.registerVoter(3);
+  const voter = wallet.address.toLowerCase();
+  const salt = ethers.hexlify(ethers.randomBytes(32));
+  const commitment = computeCommitment({ electionId, candidateId: 2, salt, voter });
+  assert.strictEqual((await handleAction('commitVote', await backend.sign(wallet, 'CommitVote', { voter, electionId, commitment }))).success, true);
+  assert.strictEqual((await handleAction('startReveal', { adminAddress: admin.address, electionId })).success, true);
+
+  const event = { logIndex: 0, blockNumber: 1, blockHash: ethers.ZeroHash, electionId, voter };
+  backend.indexChainVotes([
+    { ...event, txHash: ethers.hexlify(ethers.randomBytes(32)), candidateId: null, revealed: true },
+    { ...event, txHash: ethers.hexlify(ethers.randomBytes(32)), candidateId: 1, voter: (await backend.registerVoter(4)).address.toLowerCase() }
+  ]);
+  const [committed, direct] = backend.store.db.votes.filter(v => v.electionId === electionId);
+  assert.strictEqual(committed.status, 'Comprometido');
+  assert.strictEqual(committed.onChain, true);
+  assert.strictEqual(direct.status, 'Invalidado');
+
+  const revealed = await handleAction('revealVote', await backend.sign(wallet, 'RevealVote', { voter, electionId, candidateId: 2, salt }));
+  assert.strictEqual(revealed.success, true, revealed.error);
+  assert.strictEqual((await handleAction('closeElection', { adminAddress: admin.address, electionId })).success, true);
+  assert.deepStrictEqual(backend.votesOf(electionId), { A: 0, B: 1 });
+});
@@ -0,0 +1,100 @@
+// Escrituras serializadas: cientos de castVote en paralelo, dos por votante. Solo entra
+// uno de cada par y los conteos son exactos en memoria y tras recargar desde disco; lo
+// que quedó en el journal sin persistir se re-aplica al arrancar.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMutex } = require('../utils/mutex');
+const { createJournal } = require('../utils/journal');
+const { startBackend } = require('./harness');
+
+const VOTERS = 300;
+const CANDIDATES = ['A', 'B', 'C'];
+
+const backend = startBackend();
+const { handleAction } = backend;
+
+before(() => handleAction('init', {}));
+after(() => backend.stop());
+
+function checkCounts(electionId, expected) {
+  const votes = backend.store.db.votes.filter(v => v.electionId === electionId);
+  assert.strictEqual(votes.length, VOTERS);
+  assert.strictEqual(new Set(votes.map(v => v.walletAddress)).size, VOTERS, 'un voto por wallet');
+  assert.strictEqual(backend.store.db.elections.find(e => e.electionId === electionId).totalVotes, VOTERS);
+  assert.deepStrictEqual(backend.votesOf(electionId), expected);
+}
+
+test('votos concurrentes: uno por votante y conteos exactos tras recargar', async () => {
+  const electionId = await backend.createElection({}, CANDIDATES);
+  const expected = { A: 0, B: 0, C: 0 };
+  const requests = [];
+  for (let i = 0; i < VOTERS; i++) {
+    const wallet = await backend.registerVoter(i);
+    const voter = wallet.address.toLowerCase();
+    expected[CANDIDATES[i % 3]]++;
+    // dos votos distintos del mismo votante: la cola es FIFO y entra el primero
+    requests.push(await backend.sign(wallet, 'Vote', { voter, electionId, candidateId: (i % 3) + 1 }));
+    requests.push(await backend.sign(wallet, 'Vote', { voter, electionId, candidateId: ((i + 1) % 3) + 1 }));
+  }
+
+  const results = await Promise.all(requests.map(message => handleAction('castVote', message)));
+  assert.strictEqual(results.filter(r => r.success).length, VOTERS, 'votos aceptados');
+  assert.ok(results.filter((r, i) => i % 2 === 1).every(r => !r.success), 'el segundo de cada par se rechaza');
+  checkCounts(electionId, expected);
+
+  // recarga desde disco: lo persistido coincide y el journal quedó vacío
+  await handleAction('init', {});
+  checkCounts(electionId, expected);
+  assert.strictEqual(handleAction('verifyChain', {}).valid, true);
+  assert.strictEqual(fs.readFileSync(process.env.JOURNAL_FILE, 'utf8'), '');
+});
+
+test('el mutex ejecuta en orden de llegada y un error no bloquea la cola', async () => {
+  const mutex = createMutex();
+  const order = [];
+  const slow = mutex.run(() => new Promise(resolve => setTimeout(() => { order.push(1); resolve(); }, 20)));
+  const failing = mutex.run(() => { order.push(2); throw new Error('falla'); });
+  const last = mutex.run(() => { order.push(3); return 'ok'; });
+  assert.strictEqual(mutex.pending, 3);
+  await slow;
+  await assert.rejects(failing, /falla/);
+  assert.strictEqual(await last, 'ok');
+  assert.deepStrictEqual(order, [1, 2, 3]);
+});
+
+test('el journal descarta abortadas y líneas a medias', () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'votacion-journal-')), 'journal.log');
+  const journal = createJournal(file);
+  journal.append('castVote', { n: 1 });
+  const failed = journal.append('castVote', { n: 2 });
+  journal.abort(failed.seq);
+  journal.append('castVote', { n: 3 });
+  journal.close();
+  fs.appendFileSync(file, '{"seq":4,"action":"cast');
+
+  const reopened = createJournal(file);
+  assert.deepStrictEqual(reopened.read().map(e => e.data.n), [1, 3]);
+  assert.deepStrictEqual(reopened.read(1).map(e => e.data.n), [3]);
+  assert.strictEqual(reopened.append('castVote', { n: 4 }).seq, 4);
+  assert.strictEqual(reopened.truncate(3), false, 'no se vacía con entradas sin persistir');
+  assert.strictEqual(reopened.truncate(4), true);
+  assert.deepStrictEqual(reopened.read(), []);
+  reopened.close();
+  fs.rmSync(path.dirname(file), { recursive: true, force: true });
+});
+
+test('al arrancar se re-aplica lo que quedó en el journal', async () => {
+  const { admin } = backend;
+  // una mutación registrada en el journal que no llegó a persistirse antes de un corte
+  const journal = createJournal(process.env.JOURNAL_FILE);
+  journal.setSeq(backend.store.db.journalSeq);
+  journal.append('createElection', { adminAddress: admin.address, title: 'Tras el corte' });
+  journal.close();
+
+  await handleAction('init', {});
+  assert.ok(backend.store.db.elections.some(e => e.title === 'Tras el corte'));
+});
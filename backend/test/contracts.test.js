@@ -0,0 +1,26 @@
+// Contratos: compilan con solc y abi/votingAbi.js (el módulo que usan backend y frontend)
+// coincide con lo que sale de compilar las fuentes actuales.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const VotingABI = require('../abi/votingAbi');
+const { compile } = require('../scripts/compile-contracts');
+
+test('abi/votingAbi.js está al día con los contratos', () => {
+  const artifacts = compile();
+  for (const name of ['Voting', 'VotingForwarder']) {
+    assert.deepStrictEqual(VotingABI[name], artifacts[name].abi, `regenerar con npm run compile:contracts (${name})`);
+    assert.match(artifacts[name].bytecode, /^0x[0-9a-f]{100,}$/);
+  }
+});
+
+test('el ABI expone lo que consumen el backend y el relayer', () => {
+  const voting = new ethers.Interface(VotingABI.Voting);
+  assert.ok(voting.getEvent('VoteCast'));
+  assert.ok(voting.getFunction('getElection'));
+  assert.ok(voting.getFunction('isTrustedForwarder'));
+
+  const forwarder = new ethers.Interface(VotingABI.VotingForwarder);
+  ['execute', 'verify', 'nonces'].forEach(name => assert.ok(forwarder.getFunction(name), name));
+});
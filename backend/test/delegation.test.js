@@ -0,0 +1,80 @@
+// Voto delegado: los poderes se otorgan antes de la apertura, la papeleta del delegado
+// cuenta por él y sus delegantes, y el voto directo del delegante prevalece. Una segunda
+// vuelta con voto por poder empieza programada para dar tiempo a delegar.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startBackend } = require('./harness');
+
+const backend = startBackend();
+const { handleAction, admin } = backend;
+
+before(() => handleAction('init', {}));
+after(() => backend.stop());
+
+const voterOf = wallet => wallet.address.toLowerCase();
+
+async function delegate(wallet, electionId, to) {
+  return handleAction('delegateVote', await backend.sign(wallet, 'DelegateVote', {
+    voter: voterOf(wallet),
+    electionId,
+    delegate: voterOf(to)
+  }));
+}
+
+async function vote(wallet, electionId, candidateId) {
+  return handleAction('castVote', await backend.sign(wallet, 'Vote', { voter: voterOf(wallet), electionId, candidateId }));
+}
+
+test('el delegado vota por sus delegantes y el voto directo del delegante prevalece', async () => {
+  const electionId = await backend.createElection({ proxyVoting: true, draft: true }, ['A', 'B']);
+  const [holder, first, second] = [await backend.registerVoter(1), await backend.registerVoter(2), await backend.registerVoter(3)];
+
+  assert.strictEqual((await delegate(first, electionId, holder)).success, true);
+  assert.strictEqual((await delegate(second, electionId, holder)).success, true);
+  // no se admiten cadenas: quien tiene poderes no puede delegar
+  const chained = await delegate(holder, electionId, first);
+  assert.strictEqual(chained.success, false);
+
+  assert.strictEqual((await handleAction('openElection', { adminAddress: admin.address, electionId })).success, true);
+  const cast = await vote(holder, electionId, 1);
+  assert.strictEqual(cast.success, true, cast.error);
+  assert.deepStrictEqual(cast.proxies.sort(), [voterOf(first), voterOf(second)].sort());
+  assert.deepStrictEqual(backend.votesOf(electionId), { A: 3, B: 0 });
+
+  assert.strictEqual((await vote(second, electionId, 2)).success, true);
+  assert.deepStrictEqual(backend.votesOf(electionId), { A: 2, B: 1 });
+  assert.deepStrictEqual(handleAction('getResults', { electionId }).proxies, { maxProxies: 0, delegations: 2, carried: 1, direct: 2 });
+});
+
+test('los poderes solo se gestionan antes de la apertura', async () => {
+  const electionId = await backend.createElection({ proxyVoting: true, draft: true }, ['A', 'B']);
+  const [holder, delegator] = [await backend.registerVoter(4), await backend.registerVoter(5)];
+
+  assert.strictEqual((await delegate(delegator, electionId, holder)).success, true);
+  const revoked = await handleAction('revokeDelegation', await backend.sign(delegator, 'RevokeDelegation', { voter: voterOf(delegator), electionId }));
+  assert.strictEqual(revoked.success, true, revoked.error);
+
+  await handleAction('openElection', { adminAddress: admin.address, electionId });
+  const late = await delegate(delegator, electionId, holder);
+  assert.strictEqual(late.success, false);
+  assert.match(late.error, /antes de la apertura/);
+
+  assert.strictEqual((await vote(holder, electionId, 1)).success, true);
+  assert.deepStrictEqual(backend.votesOf(electionId), { A: 1, B: 0 });
+});
+
+test('la segunda vuelta con voto por poder queda programada para poder delegar', async () => {
+  const electionId = await backend.createElection({ proxyVoting: true, draft: true, majority: 60, runoff: true }, ['A', 'B', 'C']);
+  await handleAction('openElection', { adminAddress: admin.address, electionId });
+  const voters = [await backend.registerVoter(6), await backend.registerVoter(7), await backend.registerVoter(8)];
+  for (const [i, wallet] of voters.entries()) assert.strictEqual((await vote(wallet, electionId, i + 1)).success, true);
+  assert.strictEqual((await handleAction('closeElection', { adminAddress: admin.address, electionId })).success, true);
+
+  const { runoffElectionId } = backend.store.db.elections.find(e => e.electionId === electionId);
+  const runoff = backend.store.db.elections.find(e => e.electionId === runoffElectionId);
+  assert.strictEqual(runoff.status, 'Scheduled');
+  assert.ok(new Date(runoff.startDate) > new Date());
+  const delegated = await delegate(voters[1], runoffElectionId, voters[0]);
+  assert.strictEqual(delegated.success, true, delegated.error);
+});
@@ -0,0 +1,76 @@
+// Firmas EIP-712: la petición solo vale firmada por la wallet que la emite, con un nonce
+// sin usar, antes del deadline, en el mismo dominio y sobre el mismo contenido firmado.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const eip712 = require('../utils/eip712');
+
+const DOMAIN = { chainId: 31337, verifyingContract: ethers.Wallet.createRandom().address };
+const voter = ethers.Wallet.createRandom();
+
+async function signedVote(overrides = {}, wallet = voter, domainConfig = DOMAIN) {
+  const { domain, types } = eip712.getTypedData('Vote', domainConfig);
+  const message = {
+    voter: voter.address.toLowerCase(),
+    electionId: 1,
+    candidateId: 2,
+    nonce: 1,
+    deadline: Math.floor(Date.now() / 1000) + 600,
+    ...overrides
+  };
+  return { message, signature: await wallet.signTypedData(domain, types, message) };
+}
+
+function verify({ message, signature }, extra = {}) {
+  return eip712.verifySignedRequest({ primaryType: 'Vote', domainConfig: DOMAIN, message, signature, expected: voter.address, ...extra });
+}
+
+test('getTypedData devuelve el dominio y el tipo pedido', () => {
+  const { domain, types, primaryType } = eip712.getTypedData('Vote', DOMAIN);
+  assert.strictEqual(primaryType, 'Vote');
+  assert.deepStrictEqual(domain, { name: 'VotacionBlockchain', version: '1', ...DOMAIN });
+  assert.deepStrictEqual(types.Vote.map(f => f.name), ['voter', 'electionId', 'candidateId', 'nonce', 'deadline']);
+  assert.throws(() => eip712.getTypedData('Inexistente', DOMAIN), /Tipo EIP-712 desconocido/);
+});
+
+test('una firma válida devuelve la wallet firmante', async () => {
+  assert.strictEqual(verify(await signedVote()), voter.address.toLowerCase());
+});
+
+test('otra wallet o un contenido cambiado no pasan', async () => {
+  const forged = await signedVote({}, ethers.Wallet.createRandom());
+  assert.throws(() => verify(forged), /La firma no corresponde a la wallet/);
+
+  const signed = await signedVote();
+  assert.throws(() => verify({ ...signed, message: { ...signed.message, candidateId: 3 } }), /La firma no corresponde a la wallet/);
+  assert.throws(() => verify({ ...signed, signature: '0x1234' }), /Firma EIP-712 inválida/);
+  assert.throws(() => verify({ ...signed, signature: '' }), /Firma EIP-712 requerida/);
+});
+
+test('un nonce ya usado no se acepta de nuevo', async () => {
+  const used = new Set();
+  const isNonceUsed = nonce => used.has(nonce);
+  const signed = await signedVote({ nonce: 7 });
+
+  verify(signed, { isNonceUsed });
+  used.add('7');
+  assert.throws(() => verify(signed, { isNonceUsed }), /Nonce ya utilizado/);
+});
+
+test('una firma vencida o sin deadline se rechaza', async () => {
+  const expired = await signedVote({ deadline: Math.floor(Date.now() / 1000) - 60 });
+  assert.throws(() => verify(expired), /Firma expirada/);
+
+  const signed = await signedVote();
+  assert.throws(() => verify({ ...signed, message: { ...signed.message, deadline: undefined } }), /Nonce y deadline son obligatorios/);
+  assert.throws(() => verify({ ...signed, message: { ...signed.message, nonce: '' } }), /Nonce y deadline son obligatorios/);
+});
+
+test('una firma para otra red o contrato no sirve', async () => {
+  const otherChain = await signedVote({}, voter, { ...DOMAIN, chainId: 1 });
+  assert.throws(() => verify(otherChain), /La firma no corresponde a la wallet/);
+
+  const otherContract = await signedVote({}, voter, { ...DOMAIN, verifyingContract: ethers.Wallet.createRandom().address });
+  assert.throws(() => verify(otherContract), /La firma no corresponde a la wallet/);
+});
@@ -0,0 +1,56 @@
+// Ciclo de vida: transiciones permitidas, estado efectivo según fechas y qué se puede
+// hacer en cada estado (candidatos solo antes de abrir, votos solo mientras está abierta).
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const lifecycle = require('../utils/electionLifecycle');
+const { startBackend } = require('./harness');
+
+const backend = startBackend();
+const { handleAction, admin } = backend;
+
+before(() => handleAction('init', {}));
+after(() => backend.stop());
+
+const { STATUS } = lifecycle;
+const HOUR = 3600 * 1000;
+
+test('transiciones y estado efectivo por fechas', () => {
+  const now = Date.now();
+  assert.strictEqual(lifecycle.initialStatus({ draft: true }, now), STATUS.DRAFT);
+  assert.strictEqual(lifecycle.initialStatus({ startDate: new Date(now + HOUR).toISOString() }, now), STATUS.SCHEDULED);
+  assert.strictEqual(lifecycle.initialStatus({}, now), STATUS.OPEN);
+  assert.throws(() => lifecycle.assertTransition({ status: STATUS.CLOSED }, STATUS.OPEN), /Transición no permitida/);
+  assert.throws(() => lifecycle.assertTransition({ status: STATUS.DRAFT }, STATUS.SCHEDULED), /startDate/);
+
+  // programada que ya empezó y terminó: el estado efectivo recorre Open y Closed
+  const election = {
+    status: STATUS.SCHEDULED,
+    startDate: new Date(now - 2 * HOUR).toISOString(),
+    endDate: new Date(now - HOUR).toISOString()
+  };
+  assert.deepStrictEqual(lifecycle.dueTransitions(election, now), [STATUS.OPEN, STATUS.CLOSED]);
+  assert.strictEqual(lifecycle.effectiveStatus(election, now), STATUS.CLOSED);
+  assert.strictEqual(lifecycle.isOpen(election, now - 1.5 * HOUR), true);
+  assert.strictEqual(lifecycle.isOpen(election, now), false);
+});
+
+test('candidatos antes de abrir y votos solo con la elección abierta', async () => {
+  const electionId = await backend.createElection({ draft: true }, ['A', 'B']);
+  const voter = await backend.registerVoter(1);
+  const vote = () => backend.sign(voter, 'Vote', { voter: voter.address.toLowerCase(), electionId, candidateId: 1 })
+    .then(message => handleAction('castVote', message));
+
+  assert.strictEqual((await vote()).success, false);
+  assert.strictEqual((await handleAction('openElection', { adminAddress: admin.address, electionId })).success, true);
+
+  const late = await handleAction('addCandidate', { adminAddress: admin.address, electionId, name: 'C' });
+  assert.match(late.error, /No se pueden agregar candidatos a una elección en estado Open/);
+
+  assert.strictEqual((await handleAction('closeElection', { adminAddress: admin.address, electionId })).success, true);
+  assert.strictEqual((await vote()).success, false);
+  assert.deepStrictEqual(backend.votesOf(electionId), { A: 0, B: 0 });
+
+  const reopened = await handleAction('openElection', { adminAddress: admin.address, electionId });
+  assert.match(reopened.error, /Transición no permitida: Closed → Open/);
+});
@@ -0,0 +1,75 @@
+// Resultado formal (electionRules.decide): quórum, umbral de mayoría, segunda vuelta y desempates
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { METHOD, tally } = require('../utils/votingMethods');
+const { OUTCOME, TIE_BREAK, MAJORITY, parseRules, decide } = require('../utils/electionRules');
+
+const plurality = { method: METHOD.PLURALITY, seats: 1 };
+
+// Recuento de mayoría simple con counts[i] votos para el candidato i + 1
+function decideCounts(counts, ruleData, electorate = 100) {
+  const candidateIds = counts.map((_, i) => i + 1);
+  const ballots = counts.flatMap((n, i) => Array.from({ length: n }, () => [i + 1]));
+  const outcome = tally(METHOD.PLURALITY, { candidateIds, ballots });
+  const voted = ballots.length;
+  return decide(outcome, { rules: parseRules(ruleData, plurality), turnout: { voted, electorate, blank: 0 }, order: candidateIds });
+}
+
+test('sin alcanzar el quórum la elección es inválida', () => {
+  const result = decideCounts([3, 1], { quorum: 50 }, 10);
+  assert.strictEqual(result.status, OUTCOME.NO_QUORUM);
+  assert.strictEqual(result.turnout.quorumMet, false);
+
+  assert.strictEqual(decideCounts([4, 1], { quorum: 50 }, 10).status, OUTCOME.WINNER);
+});
+
+test('la mayoría absoluta exige más del 50% de las papeletas válidas', () => {
+  assert.strictEqual(decideCounts([5, 5, 0], { majority: MAJORITY.ABSOLUTE, tieBreak: TIE_BREAK.CANDIDATE_ORDER }).status, OUTCOME.NO_WINNER);
+  const result = decideCounts([6, 4], { majority: MAJORITY.ABSOLUTE });
+  assert.strictEqual(result.status, OUTCOME.WINNER);
+  assert.deepStrictEqual(result.winners, [1]);
+});
+
+test('en irv el umbral se mide sobre las papeletas que siguen en juego', () => {
+  // las dos papeletas de 3 no tienen segunda preferencia: se agotan al eliminarlo
+  const ballots = [[1], [1], [1], [1], [2], [2], [2], [3], [3]];
+  const outcome = tally(METHOD.IRV, { candidateIds: [1, 2, 3], ballots });
+  const result = decide(outcome, {
+    rules: parseRules({ majority: MAJORITY.ABSOLUTE }, { method: METHOD.IRV, seats: 1 }),
+    turnout: { voted: ballots.length, electorate: 100, blank: 0 },
+    order: [1, 2, 3]
+  });
+  assert.strictEqual(result.status, OUTCOME.WINNER);
+  assert.deepStrictEqual(result.winners, [1]);
+  assert.ok(result.reasoning.some(line => /57\.14% de 7 papeletas que siguen en juego/.test(line)), result.reasoning.join('\n'));
+});
+
+test('con umbral y segunda vuelta pasan los runoffSize más votados', () => {
+  const result = decideCounts([3, 3, 1], { majority: 60, runoff: true });
+  assert.strictEqual(result.status, OUTCOME.RUNOFF);
+  assert.deepStrictEqual(result.runoffCandidates, [1, 2]);
+});
+
+test('no hay segunda vuelta si pasarían todos los candidatos', () => {
+  const result = decideCounts([4, 3], { majority: 60, runoff: true });
+  assert.strictEqual(result.status, OUTCOME.NO_WINNER);
+  assert.deepStrictEqual(result.runoffCandidates, []);
+});
+
+test('políticas de desempate en cabeza', () => {
+  assert.deepStrictEqual(decideCounts([2, 2, 1], {}).winners, [1]);
+  assert.strictEqual(decideCounts([2, 2, 1], { tieBreak: TIE_BREAK.NONE }).status, OUTCOME.TIE);
+
+  const runoff = decideCounts([2, 2, 1], { tieBreak: TIE_BREAK.RUNOFF });
+  assert.strictEqual(runoff.status, OUTCOME.RUNOFF);
+  assert.deepStrictEqual(runoff.runoffCandidates, [1, 2]);
+  // empate entre todos: una segunda vuelta repetiría la elección
+  assert.strictEqual(decideCounts([2, 2], { tieBreak: TIE_BREAK.RUNOFF }).status, OUTCOME.TIE);
+});
+
+test('parseRules rechaza combinaciones sin sentido', () => {
+  assert.throws(() => parseRules({ runoff: true }, plurality), /segunda vuelta requiere un umbral/);
+  assert.throws(() => parseRules({ majority: 60 }, { method: METHOD.BORDA, seats: 1 }), /umbral de mayoría/);
+  assert.throws(() => parseRules({ quorum: 150 }, plurality), /quorum/);
+});
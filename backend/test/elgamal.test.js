@@ -0,0 +1,108 @@
+// Recuento homomórfico: clave repartida entre trustees, papeletas cifradas con pruebas
+// 0/1 y de suma, agregado de cifrados y descifrado por umbral solo de los totales; con la
+// clave generada la elección ya no admite candidatos ni votos en claro.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const elgamal = require('../utils/elgamal');
+const { startBackend } = require('./harness');
+
+const backend = startBackend();
+const { handleAction, admin } = backend;
+
+before(() => handleAction('init', {}));
+after(() => backend.stop());
+
+const CANDIDATES = [1, 2, 3];
+const ELECTION = 5;
+
+// Ceremonia con 3 trustees y umbral 2
+function keyCeremony() {
+  const transport = [1, 2, 3].map(index => ({ index, ...elgamal.generateTransportKey() }));
+  const dealings = transport.map(() => elgamal.createDealing(2, transport));
+  return {
+    publicKey: elgamal.jointPublicKey(dealings),
+    trustees: transport.map(t => ({
+      index: t.index,
+      secret: elgamal.trusteeSecret(dealings, t.index, t.secret),
+      verificationKey: elgamal.verificationKey(dealings, t.index)
+    }))
+  };
+}
+
+test('dos de tres trustees descifran los totales y nadie ve las papeletas', () => {
+  const { publicKey, trustees } = keyCeremony();
+  const choices = { '0x01': 1, '0x02': 3, '0x03': 1, '0x04': 1 };
+
+  const ballots = Object.entries(choices).map(([voter, choice]) => {
+    const ballot = elgamal.encryptBallot({ publicKey, electionId: ELECTION, voter, candidateIds: CANDIDATES, choice });
+    return elgamal.verifyBallot({ publicKey, electionId: ELECTION, voter, candidateIds: CANDIDATES, ballot });
+  });
+
+  const totals = {};
+  CANDIDATES.forEach(candidateId => {
+    const sum = elgamal.aggregate(ballots.map(b => b.find(ct => ct.candidateId === candidateId)));
+    const label = `${ELECTION}:${candidateId}`;
+    const shares = [trustees[0], trustees[2]].map(t => {
+      const share = elgamal.decryptionShare(elgamal.toHex(sum.a), t.secret, label);
+      assert.strictEqual(elgamal.verifyDecryptionShare(elgamal.toHex(sum.a), share, t.verificationKey, label), true);
+      return { index: t.index, d: share.d };
+    });
+    totals[candidateId] = elgamal.combineTally(elgamal.toHex(sum.b), shares, ballots.length);
+  });
+  assert.deepStrictEqual(totals, { 1: 3, 2: 0, 3: 1 });
+});
+
+test('se rechazan las papeletas que marcan dos candidatos o se reutilizan', () => {
+  const { publicKey } = keyCeremony();
+  const encrypt = (voter, choice) => elgamal.encryptBallot({ publicKey, electionId: ELECTION, voter, candidateIds: CANDIDATES, choice });
+  const verify = (voter, ballot) => elgamal.verifyBallot({ publicKey, electionId: ELECTION, voter, candidateIds: CANDIDATES, ballot });
+
+  // cada cifrado sigue siendo un 0/1 válido, pero la papeleta suma 2
+  const first = encrypt('0x01', 1);
+  const second = encrypt('0x01', 2);
+  const doubled = { ...first, ciphertexts: first.ciphertexts.map(ct => (ct.candidateId === 2 ? second.ciphertexts[1] : ct)) };
+  assert.throws(() => verify('0x01', doubled), /Prueba de suma inválida/);
+
+  // las pruebas están atadas a la wallet: copiar la papeleta de otro no sirve
+  assert.throws(() => verify('0x02', first), /Prueba 0\/1 inválida/);
+  assert.throws(() => verify('0x01', { ...first, ciphertexts: first.ciphertexts.slice(1) }), /un cifrado por cada candidato/);
+});
+
+test('un trustee no puede falsear su participación de descifrado', () => {
+  const { publicKey, trustees } = keyCeremony();
+  const ballot = elgamal.verifyBallot({
+    publicKey, electionId: ELECTION, voter: '0x01', candidateIds: CANDIDATES,
+    ballot: elgamal.encryptBallot({ publicKey, electionId: ELECTION, voter: '0x01', candidateIds: CANDIDATES, choice: 2 })
+  });
+  const a = elgamal.toHex(ballot[0].a);
+  const share = elgamal.decryptionShare(a, trustees[0].secret, `${ELECTION}:1`);
+
+  assert.strictEqual(elgamal.verifyDecryptionShare(a, share, trustees[1].verificationKey, `${ELECTION}:1`), false);
+  assert.strictEqual(elgamal.verifyDecryptionShare(a, share, trustees[0].verificationKey, `${ELECTION}:2`), false);
+});
+
+test('con la clave generada la lista de candidatos queda fija y un VoteCast directo no cuenta', async () => {
+  const trustee = ethers.Wallet.createRandom().address.toLowerCase();
+  const electionId = await backend.createElection({ ballotMode: 'homomorphic', trustees: trustee, draft: true }, ['A', 'B']);
+  const transport = elgamal.generateTransportKey();
+  const registered = await handleAction('registerTrusteeKey', { adminAddress: trustee, electionId, transportKey: transport.publicKey });
+  assert.strictEqual(registered.success, true, registered.error);
+  const dealing = elgamal.createDealing(1, [{ index: 1, publicKey: transport.publicKey }]);
+  const dealt = await handleAction('submitKeyDealing', { adminAddress: trustee, electionId, ...dealing });
+  assert.strictEqual(dealt.phase, 'ready', dealt.error);
+
+  const late = await handleAction('addCandidate', { adminAddress: admin.address, electionId, name: 'C' });
+  assert.match(late.error, /clave de la elección ya está generada/);
+  assert.strictEqual((await handleAction('openElection', { adminAddress: admin.address, electionId })).success, true);
+
+  const voter = await backend.registerVoter(1);
+  backend.indexChainVotes([{
+    txHash: ethers.hexlify(ethers.randomBytes(32)), logIndex: 0, blockNumber: 1, blockHash: ethers.ZeroHash,
+    electionId, candidateId: 1, voter: voter.address.toLowerCase()
+  }]);
+  const chainVote = backend.store.db.votes.find(v => v.electionId === electionId);
+  assert.strictEqual(chainVote.status, 'Invalidado');
+  assert.match(chainVote.invalidationReason, /solo cuentan las papeletas cifradas/);
+});
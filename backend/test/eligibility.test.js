@@ -0,0 +1,102 @@
+// Elegibilidad: solo votan las wallets registradas, aprobadas y, según el modo de la
+// elección, inscritas en su padrón. Los votos emitidos directamente en el contrato
+// pasan por las mismas reglas y, si no las cumplen, quedan registrados sin contar;
+// un reorg descarta lo indexado desde el bloque bifurcado.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const { startBackend } = require('./harness');
+
+const backend = startBackend();
+const { handleAction, admin } = backend;
+
+before(() => handleAction('init', {}));
+after(() => backend.stop());
+
+function vote(wallet, electionId, candidateId) {
+  return backend.sign(wallet, 'Vote', { voter: wallet.address.toLowerCase(), electionId, candidateId })
+    .then(message => handleAction('castVote', message));
+}
+
+function voteCast(electionId, candidateId, wallet, blockTime, blockNumber = 1) {
+  return {
+    txHash: ethers.hexlify(ethers.randomBytes(32)),
+    logIndex: 0,
+    blockNumber,
+    blockHash: ethers.hexlify(ethers.randomBytes(32)),
+    blockTime,
+    electionId,
+    candidateId,
+    voter: wallet.address.toLowerCase()
+  };
+}
+
+test('recordVote rechaza wallets sin registrar, fuera del padrón o revocadas', async () => {
+  const electionId = await backend.createElection({ eligibility: 'whitelist' }, ['A', 'B']);
+  const listed = await backend.registerVoter(1);
+  const unlisted = await backend.registerVoter(2);
+
+  assert.match((await vote(ethers.Wallet.createRandom(), electionId, 1)).error, /no está registrada/);
+  assert.match((await vote(unlisted, electionId, 1)).error, /padrón/);
+
+  const added = await handleAction('addToRoll', { adminAddress: admin.address, electionId, wallets: listed.address });
+  assert.strictEqual(added.success, true, added.error);
+  const accepted = await vote(listed, electionId, 2);
+  assert.strictEqual(accepted.success, true, accepted.error);
+
+  const revoked = await handleAction('setVoterStatus', { adminAddress: admin.address, wallet: unlisted.address, status: 'Revoked' });
+  assert.strictEqual(revoked.success, true, revoked.error);
+  assert.match((await vote(unlisted, electionId, 1)).error, /Revoked/);
+  assert.deepStrictEqual(backend.votesOf(electionId), { A: 0, B: 1 });
+});
+
+test('los votos on-chain que no cumplen las reglas quedan invalidados', async () => {
+  const electionId = await backend.createElection({}, ['A', 'B']);
+  const voter = await backend.registerVoter(3);
+  const early = await backend.registerVoter(4);
+  const now = new Date().toISOString();
+  const beforeOpening = new Date(Date.now() - 3600 * 1000).toISOString();
+
+  backend.indexChainVotes([
+    voteCast(electionId, 1, voter, now),
+    voteCast(electionId, 1, ethers.Wallet.createRandom(), now),
+    voteCast(electionId, 2, early, beforeOpening),
+    voteCast(electionId, 9, await backend.registerVoter(5), now)
+  ]);
+
+  const chainVotes = backend.store.db.votes.filter(v => v.electionId === electionId);
+  assert.deepStrictEqual(chainVotes.map(v => v.status), ['Confirmado', 'Invalidado', 'Invalidado', 'Invalidado']);
+  assert.match(chainVotes[1].invalidationReason, /no está registrada/);
+  assert.match(chainVotes[2].invalidationReason, /no estaba abierta/);
+  assert.match(chainVotes[3].invalidationReason, /Candidato no encontrado/);
+  assert.deepStrictEqual(backend.votesOf(electionId), { A: 1, B: 0 });
+});
+
+test('un reorg descarta los votos indexados desde el bloque bifurcado', async () => {
+  const electionId = await backend.createElection({}, ['A', 'B']);
+  const relayed = await backend.registerVoter(6);
+  const direct = await backend.registerVoter(7);
+  const now = new Date().toISOString();
+
+  const cast = await vote(relayed, electionId, 1);
+  assert.strictEqual(cast.success, true, cast.error);
+
+  backend.indexChainVotes([voteCast(electionId, 1, relayed, now, 10), voteCast(electionId, 2, direct, now, 12)]);
+  const votes = () => backend.store.db.votes.filter(v => v.electionId === electionId);
+  assert.deepStrictEqual(votes().map(v => [v.source || 'backend', v.onChain, v.blockNumber]),
+    [['backend', true, 10], ['chain', true, 12]]);
+  assert.deepStrictEqual(backend.votesOf(electionId), { A: 1, B: 1 });
+
+  // reorg desde el bloque 11: desaparece el voto que solo existía on-chain
+  backend.rollbackChainVotes(11);
+  assert.deepStrictEqual(votes().map(v => v.blockNumber), [10]);
+  assert.deepStrictEqual(backend.votesOf(electionId), { A: 1, B: 0 });
+
+  // reorg más profundo: el voto del backend vuelve a esperar confirmación
+  backend.rollbackChainVotes(5);
+  assert.strictEqual(votes()[0].onChain, false);
+  assert.strictEqual(votes()[0].reconciliation, 'pending');
+  assert.ok(backend.store.db.chainVotes.every(c => c.blockNumber < 5));
+  assert.strictEqual(backend.store.db.blockchain.filter(b => b.action === 'reorgRollback').length, 2);
+});
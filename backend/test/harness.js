@@ -0,0 +1,80 @@
+// Backend de prueba: datos, journal y claves del registrador en un directorio temporal,
+// sin indexer ni Google Sheets. Cada archivo de test corre en su propio proceso
+// (node --test), así que cada uno tiene su propia base de datos. driver elige el
+// almacenamiento (json o sqlite).
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+
+function startBackend({ driver = 'json' } = {}) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'votacion-test-'));
+  const admin = ethers.Wallet.createRandom();
+  Object.assign(process.env, {
+    STORAGE_DRIVER: driver,
+    DATA_FILE: path.join(tmpDir, 'database.json'),
+    SQLITE_FILE: path.join(tmpDir, 'database.sqlite'),
+    JOURNAL_FILE: path.join(tmpDir, 'journal.log'),
+    REGISTRAR_KEYS_FILE: path.join(tmpDir, 'registrar-keys.json'),
+    INDEXER_ENABLED: '0',
+    ADMIN_ADDRESSES: admin.address.toLowerCase(),
+    GOOGLE_SHEET_ID: ''
+  });
+
+  const backend = require('../server');
+  let nonce = 0;
+
+  // Mensaje EIP-712 firmado por wallet, listo para la acción (nonce único y deadline a 1 h)
+  async function sign(wallet, primaryType, message) {
+    const { typedData } = backend.handleAction('getTypedData', { primaryType });
+    const full = { ...message, nonce: ++nonce, deadline: Math.floor(Date.now() / 1000) + 3600 };
+    const signature = await wallet.signTypedData(typedData.domain, typedData.types, full);
+    return { walletAddress: wallet.address, ...full, signature };
+  }
+
+  // Votante registrado y aprobado
+  async function registerVoter(index) {
+    const wallet = ethers.Wallet.createRandom();
+    const result = await backend.handleAction('registerVoter', await sign(wallet, 'RegisterVoter', {
+      voter: wallet.address.toLowerCase(),
+      name: `Votante ${index}`,
+      idNumber: String(10000000 + index)
+    }));
+    if (!result.success) throw new Error(`registro del votante ${index}: ${result.error}`);
+    return wallet;
+  }
+
+  // Los candidatos se agregan en borrador; salvo que se pida draft o startDate, la elección se abre después
+  async function createElection(data, candidates) {
+    const openNow = !data.draft && !data.startDate;
+    const created = await backend.handleAction('createElection', { adminAddress: admin.address, title: 'Prueba', ...data, draft: data.draft || openNow });
+    if (!created.success) throw new Error(created.error);
+    for (const name of candidates) {
+      const added = await backend.handleAction('addCandidate', { adminAddress: admin.address, electionId: created.electionId, name });
+      if (!added.success) throw new Error(added.error);
+    }
+    if (openNow) {
+      const opened = await backend.handleAction('openElection', { adminAddress: admin.address, electionId: created.electionId });
+      if (!opened.success) throw new Error(opened.error);
+    }
+    return created.electionId;
+  }
+
+  function votesOf(electionId) {
+    const counts = {};
+    backend.store.db.candidates
+      .filter(c => c.electionId === electionId)
+      .forEach(c => { counts[c.name] = c.votes; });
+    return counts;
+  }
+
+  function stop() {
+    backend.stopScheduler();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  return { ...backend, admin, sign, registerVoter, createElection, votesOf, stop };
+}
+
+module.exports = { startBackend };
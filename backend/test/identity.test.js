@@ -0,0 +1,55 @@
+// Identidad: un DNI normalizado por votante, la firma antes de cualquier búsqueda y
+// revisión de coincidencias por nombre/email con revocación de las wallets duplicadas.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const { startBackend } = require('./harness');
+
+const backend = startBackend();
+const { handleAction, admin } = backend;
+
+before(() => handleAction('init', {}));
+after(() => backend.stop());
+
+function register(wallet, fields, signer = wallet) {
+  return backend.sign(signer, 'RegisterVoter', { voter: wallet.address.toLowerCase(), ...fields })
+    .then(message => handleAction('registerVoter', { ...message, walletAddress: wallet.address }));
+}
+
+test('el DNI normalizado no se repite y sin firma válida no se revela si existe', async () => {
+  const first = await register(ethers.Wallet.createRandom(), { name: 'Ana Pérez', idNumber: '30.111.222' });
+  assert.strictEqual(first.success, true, first.error);
+
+  const duplicate = await register(ethers.Wallet.createRandom(), { name: 'Ana Perez', idNumber: '30111222' });
+  assert.match(duplicate.error, /Ya existe un votante registrado con ese DNI/);
+
+  // firmado por otra wallet: falla la firma antes de consultar el DNI
+  const forged = await register(ethers.Wallet.createRandom(), { name: 'Ana Pérez', idNumber: '30111222' }, ethers.Wallet.createRandom());
+  assert.strictEqual(forged.success, false);
+  assert.doesNotMatch(forged.error, /DNI/);
+});
+
+test('coincidencias por nombre y email pasan a revisión; revocar invalida los votos', async () => {
+  const electionId = await backend.createElection({}, ['A', 'B']);
+  const wallets = [ethers.Wallet.createRandom(), ethers.Wallet.createRandom()];
+  for (const [i, wallet] of wallets.entries()) {
+    const registered = await register(wallet, { name: 'Juan Gómez', idNumber: String(40000000 + i) });
+    assert.strictEqual(registered.success, true, registered.error);
+    const voted = await handleAction('castVote', await backend.sign(wallet, 'Vote', { voter: wallet.address.toLowerCase(), electionId, candidateId: 1 }));
+    assert.strictEqual(voted.success, true, voted.error);
+  }
+  assert.deepStrictEqual(backend.votesOf(electionId), { A: 2, B: 0 });
+
+  const duplicate = wallets[1].address.toLowerCase();
+  const review = backend.store.db.identityReviews.find(r => r.status === 'open' && r.wallets.includes(duplicate));
+  assert.ok(review, 'se abre una revisión para las dos wallets');
+
+  const resolved = await handleAction('resolveIdentityReview', {
+    adminAddress: admin.address, reviewId: review.reviewId, decision: 'revoke', wallets: duplicate
+  });
+  assert.strictEqual(resolved.success, true, resolved.error);
+  assert.strictEqual(resolved.review.decision.votes.invalidated, 1);
+  assert.deepStrictEqual(backend.votesOf(electionId), { A: 1, B: 0 });
+  assert.ok(backend.store.db.audit.some(a => a.action === 'resolveIdentityReview' && a.status === 'success'));
+});
@@ -0,0 +1,127 @@
+// Indexer: lee los eventos VoteCast por lotes desde el checkpoint y, si un reorg cambia
+// el hash de un bloque ya leído, avisa desde qué bloque descartar y vuelve a leerlo.
+// La red es un nodo JSON-RPC mínimo en memoria.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { ethers } = require('ethers');
+const VotingABI = require('../abi/votingAbi');
+const { createIndexer } = require('../utils/indexer');
+
+const CONTRACT = ethers.Wallet.createRandom().address;
+const iface = new ethers.Interface(VotingABI.Voting);
+const hex = n => '0x' + n.toString(16);
+
+// cadena en memoria: bloque → { hash, logs }
+const chain = [];
+let fork = 0;
+
+function mine(votes = []) {
+  const number = chain.length;
+  const hash = ethers.id(`bloque ${number} rama ${fork}`);
+  const logs = votes.map(([electionId, candidateId, voter], index) => {
+    const { data, topics } = iface.encodeEventLog('VoteCast', [electionId, candidateId, voter]);
+    return {
+      address: CONTRACT, data, topics, blockNumber: hex(number), blockHash: hash,
+      transactionHash: ethers.id(`tx ${number} ${index} ${fork}`), transactionIndex: hex(index), logIndex: hex(index), removed: false
+    };
+  });
+  chain.push({ hash, logs });
+}
+
+function reorgFrom(number, blocks) {
+  chain.length = number;
+  fork++;
+  blocks.forEach(votes => mine(votes));
+}
+
+function block(number) {
+  const b = chain[number];
+  if (!b) return null;
+  return {
+    number: hex(number), hash: b.hash, parentHash: number ? chain[number - 1].hash : ethers.ZeroHash,
+    timestamp: hex(1700000000 + number * 12), nonce: '0x0000000000000000', difficulty: '0x0',
+    gasLimit: '0x1c9c380', gasUsed: '0x0', miner: ethers.ZeroAddress, extraData: '0x', transactions: []
+  };
+}
+
+function answer({ method, params }) {
+  switch (method) {
+    case 'eth_chainId': return '0x7a69';
+    case 'eth_blockNumber': return hex(chain.length - 1);
+    case 'eth_getBlockByNumber': return block(Number(params[0]));
+    case 'eth_getLogs': {
+      const { fromBlock, toBlock, topics = [] } = params[0];
+      return chain.slice(Number(fromBlock), Number(toBlock) + 1)
+        .flatMap(b => b.logs)
+        .filter(log => !topics[0] || log.topics[0] === topics[0]);
+    }
+    default: throw new Error('método no soportado: ' + method);
+  }
+}
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const payload = JSON.parse(body);
+    const reply = request => {
+      try {
+        return { jsonrpc: '2.0', id: request.id, result: answer(request) };
+      } catch (err) {
+        return { jsonrpc: '2.0', id: request.id, error: { code: -32601, message: err.message } };
+      }
+    };
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(Array.isArray(payload) ? payload.map(reply) : reply(payload)));
+  });
+});
+
+let rpcUrl;
+before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  rpcUrl = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('indexa desde el checkpoint y retrocede ante un reorg', async () => {
+  const [alice, bob, carol] = [1, 2, 3].map(() => ethers.Wallet.createRandom().address);
+  mine();
+  mine([[1, 2, alice]]);
+  mine();
+  mine([[1, 1, bob]]);
+
+  const state = { checkpointBlock: null, recentBlocks: [] };
+  const seen = [];
+  const rollbacks = [];
+  const indexer = createIndexer({
+    rpcUrl,
+    contractAddress: CONTRACT,
+    getState: () => state,
+    reorgDepth: 3,
+    batchSize: 2,
+    onEvents: events => { seen.push(...events); },
+    onRollback: fromBlock => { rollbacks.push(fromBlock); }
+  });
+  const summary = events => events.map(e => [e.blockNumber, e.electionId, e.candidateId, e.voter]);
+
+  await indexer.poll();
+  assert.deepStrictEqual(summary(seen), [[1, 1, 2, alice.toLowerCase()], [3, 1, 1, bob.toLowerCase()]]);
+  assert.strictEqual(state.checkpointBlock, 3);
+  assert.deepStrictEqual(state.recentBlocks.map(b => b.number), [1, 2, 3]);
+
+  // sin bloques nuevos no se repite nada
+  await indexer.poll();
+  assert.strictEqual(seen.length, 2);
+
+  // el bloque 3 cambia de rama: el voto de bob desaparece y entra el de carol
+  reorgFrom(3, [[[1, 2, carol]], []]);
+  seen.length = 0;
+  await indexer.poll();
+  assert.deepStrictEqual(rollbacks, [3]);
+  assert.strictEqual(state.rollbacks, 1);
+  assert.deepStrictEqual(summary(seen), [[3, 1, 2, carol.toLowerCase()]]);
+  assert.strictEqual(state.checkpointBlock, 4);
+  assert.strictEqual(state.recentBlocks.find(b => b.number === 3).hash, chain[3].hash);
+});
@@ -0,0 +1,47 @@
+// Ledger: bloques encadenados por hash con raíz Merkle de los votos; verifyChain
+// señala el primer bloque alterado.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ledger = require('../utils/ledger');
+
+function chainOf(...votesPerBlock) {
+  const chain = [];
+  votesPerBlock.forEach((votes, i) => {
+    chain.push(ledger.createBlock(chain[i - 1] || null, 'castVote', { n: i }, votes, `2024-01-0${i + 1}T00:00:00.000Z`));
+  });
+  return chain;
+}
+
+test('la cadena íntegra verifica y cada bloque apunta al anterior', () => {
+  const chain = chainOf([], [{ wallet: '0x01', candidateId: 1 }], [{ wallet: '0x02', candidateId: 2 }]);
+  assert.deepStrictEqual(ledger.verifyChain(chain), { valid: true, length: 3, brokenAt: null, reason: null });
+  assert.strictEqual(chain[0].prevHash, ledger.ZERO_HASH);
+  assert.strictEqual(chain[2].prevHash, chain[1].hash);
+});
+
+test('verifyChain detecta votos, detalles o enlaces alterados', () => {
+  const votes = chainOf([{ wallet: '0x01', candidateId: 1 }], [{ wallet: '0x02', candidateId: 2 }]);
+  votes[0].votes[0].candidateId = 2;
+  assert.deepStrictEqual(ledger.verifyChain(votes), { valid: false, length: 2, brokenAt: 0, reason: 'merkleRoot no coincide con los votos' });
+
+  const details = chainOf([], []);
+  details[1].details.n = 7;
+  assert.strictEqual(ledger.verifyChain(details).reason, 'hash del bloque alterado');
+
+  const relinked = chainOf([], [], []);
+  relinked.splice(1, 1);
+  relinked[1].blockNumber = 1;
+  assert.strictEqual(ledger.verifyChain(relinked).brokenAt, 1);
+});
+
+test('la raíz Merkle no admite repetir el último voto de un nivel impar', () => {
+  const [a, b, c] = [{ v: 'a' }, { v: 'b' }, { v: 'c' }];
+  assert.notStrictEqual(ledger.merkleRoot([a, b, c]), ledger.merkleRoot([a, b, c, c]));
+  assert.notStrictEqual(ledger.merkleRoot([a, b, c, c, c]), ledger.merkleRoot([a, b, c, c, c, c]));
+  // el nodo impar sube sin cambios
+  const h = item => ledger.sha256(ledger.canonicalize(item));
+  assert.strictEqual(ledger.merkleRoot([a, b, c]), ledger.sha256(ledger.sha256(h(a) + h(b)) + h(c)));
+  // el orden de las claves no cambia la raíz
+  assert.strictEqual(ledger.merkleRoot([{ x: 1, y: 2 }]), ledger.merkleRoot([{ y: 2, x: 1 }]));
+});
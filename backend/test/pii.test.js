@@ -0,0 +1,96 @@
+// Datos personales: se guardan cifrados con AES-256-GCM (también en el journal), el DNI se
+// busca por índice ciego, un cifrado alterado no se descifra y la clave se puede rotar.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const nodeCrypto = require('crypto');
+const { ethers } = require('ethers');
+
+const OLD_KEY = nodeCrypto.randomBytes(32).toString('hex');
+const NEW_KEY = nodeCrypto.randomBytes(32).toString('hex');
+Object.assign(process.env, { CRYPTO_SECRET: OLD_KEY, CRYPTO_PREVIOUS_SECRETS: '', BLIND_INDEX_SECRET: 'indice-de-prueba' });
+
+const crypto = require('../utils/crypto');
+const pii = require('../utils/pii');
+const { startBackend } = require('./harness');
+
+const backend = startBackend();
+const { handleAction } = backend;
+
+before(() => handleAction('init', {}));
+after(() => {
+  delete process.env.CRYPTO_SECRET;
+  delete process.env.CRYPTO_PREVIOUS_SECRETS;
+  delete process.env.BLIND_INDEX_SECRET;
+  backend.stop();
+});
+
+function register(wallet, idNumber) {
+  return backend.sign(wallet, 'RegisterVoter', { voter: wallet.address.toLowerCase(), name: 'María López', idNumber })
+    .then(message => handleAction('registerVoter', { ...message, email: 'maria@example.com' }));
+}
+
+const voterOf = wallet => backend.store.db.voters.find(v => v.walletAddress === wallet.address.toLowerCase());
+
+test('los datos personales quedan cifrados en la base y en el journal', async () => {
+  const wallet = ethers.Wallet.createRandom();
+  const registered = await register(wallet, '27.333.444');
+  assert.strictEqual(registered.success, true, registered.error);
+
+  const voter = voterOf(wallet);
+  ['name', 'idNumber', 'email'].forEach(field => assert.ok(crypto.isEncrypted(voter[field]), field));
+  assert.strictEqual(crypto.decrypt(voter.name), 'María López');
+  assert.strictEqual(voter.idNumberHash, pii.idNumberIndex('27333444'));
+
+  const stored = fs.readFileSync(process.env.DATA_FILE, 'utf8');
+  assert.ok(!stored.includes('María López') && !stored.includes('27.333.444'), 'sin datos en claro en disco');
+  assert.ok(backend.store.db.audit.filter(a => a.action === 'registerVoter').every(a => a.details.name !== 'María López'));
+
+  // la petición se escribe en el journal con los mismos campos cifrados
+  const sealed = pii.sealRequest('registerVoter', { name: 'María López', idNumber: '27.333.444', nonce: 1 });
+  assert.ok(crypto.isEncrypted(sealed.idNumber));
+  assert.strictEqual(sealed.nonce, 1);
+  assert.strictEqual(pii.openRequest('registerVoter', sealed).idNumber, '27.333.444');
+});
+
+test('un valor cifrado alterado no se descifra', () => {
+  const value = crypto.encrypt('30111222');
+  const parts = value.split(':');
+  const body = Buffer.from(parts[4], 'base64url');
+  body[0] ^= 1;
+  parts[4] = body.toString('base64url');
+  assert.throws(() => crypto.decrypt(parts.join(':')), /Dato cifrado alterado o clave incorrecta/);
+  assert.strictEqual(pii.revealVoter({ name: parts.join(':') }).name, '[no descifrable]');
+});
+
+test('las vistas sin permiso ocultan los datos personales', () => {
+  const voter = { walletAddress: '0xabc', name: crypto.encrypt('Ana'), idNumber: crypto.encrypt('1'), email: '' };
+  assert.deepStrictEqual(pii.viewVoter(voter, false), { ...voter, name: pii.MASK, idNumber: pii.MASK });
+  assert.strictEqual(pii.viewVoter(voter, true).name, 'Ana');
+  assert.deepStrictEqual(pii.viewRows([{ Wallet: '0xabc', Nombre: voter.name, name: 'Ana' }], false),
+    [{ Wallet: '0xabc', Nombre: pii.MASK, name: pii.MASK }]);
+});
+
+test('rotar la clave re-cifra todo y el índice del DNI sigue funcionando', async () => {
+  const wallet = ethers.Wallet.createRandom();
+  assert.strictEqual((await register(wallet, '28.555.666')).success, true);
+  const oldKeyId = voterOf(wallet).name.split(':')[1];
+
+  Object.assign(process.env, { CRYPTO_SECRET: NEW_KEY, CRYPTO_PREVIOUS_SECRETS: OLD_KEY });
+  crypto.reloadKeys();
+  const rotated = await handleAction('rotatePiiKey', {});
+  assert.strictEqual(rotated.success, true, rotated.error);
+  assert.ok(rotated.sealed >= 2);
+
+  // sin la clave anterior todo sigue legible
+  process.env.CRYPTO_PREVIOUS_SECRETS = '';
+  crypto.reloadKeys();
+  const voter = voterOf(wallet);
+  assert.notStrictEqual(voter.name.split(':')[1], oldKeyId);
+  assert.strictEqual(crypto.decrypt(voter.idNumber), '28.555.666');
+  assert.ok(backend.store.db.voters.every(v => !crypto.needsReencrypt(v.name)));
+
+  const duplicate = await register(ethers.Wallet.createRandom(), '28555666');
+  assert.match(duplicate.error, /Ya existe un votante registrado con ese DNI/);
+});
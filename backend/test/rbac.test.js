@@ -0,0 +1,84 @@
+// Autenticación y roles: sesión SIWE con JWT, el admin es siempre el de la sesión,
+// electionAdmin con alcance por elección y exportaciones solo de hojas permitidas.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const { startBackend } = require('./harness');
+
+const backend = startBackend();
+const { handleAction, admin, server } = backend;
+let base;
+
+before(async () => {
+  await handleAction('init', {});
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  backend.stop();
+});
+
+async function login(wallet) {
+  const { message } = await (await fetch(`${base}/auth/nonce?address=${wallet.address}`)).json();
+  const response = await fetch(`${base}/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ message, signature: await wallet.signMessage(message) })
+  });
+  const session = await response.json();
+  assert.strictEqual(session.success, true, session.error);
+  return session.token;
+}
+
+function api(token, body) {
+  return fetch(`${base}/api`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) },
+    body: JSON.stringify(body)
+  });
+}
+
+test('las acciones de admin exigen sesión y rol, no el adminAddress del cuerpo', async () => {
+  const create = { action: 'createElection', title: 'Con sesión', draft: true, adminAddress: admin.address };
+  assert.strictEqual((await api(null, create)).status, 401);
+
+  const voterToken = await login(await backend.registerVoter(1));
+  assert.strictEqual((await api(voterToken, create)).status, 403);
+
+  const adminToken = await login(admin);
+  const created = await (await api(adminToken, create)).json();
+  assert.strictEqual(created.success, true, created.error);
+
+  await fetch(`${base}/auth/logout`, { method: 'POST', headers: { Authorization: `Bearer ${adminToken}` } });
+  assert.strictEqual((await api(adminToken, create)).status, 401);
+});
+
+test('electionAdmin solo administra las elecciones de su alcance', async () => {
+  const scoped = ethers.Wallet.createRandom();
+  const own = await backend.createElection({ draft: true }, []);
+  const other = await backend.createElection({ draft: true }, []);
+  const granted = await handleAction('grantRole', { adminAddress: admin.address, address: scoped.address, role: 'electionAdmin', electionId: own });
+  assert.strictEqual(granted.success, true, granted.error);
+
+  const token = await login(scoped);
+  const added = await (await api(token, { action: 'addCandidate', electionId: own, name: 'A' })).json();
+  assert.strictEqual(added.success, true, added.error);
+  assert.strictEqual((await api(token, { action: 'addCandidate', electionId: other, name: 'A' })).status, 403);
+});
+
+test('la exportación de /api solo sirve hojas permitidas y sin datos personales para el auditor', async () => {
+  const auditor = ethers.Wallet.createRandom();
+  await handleAction('grantRole', { adminAddress: admin.address, address: auditor.address, role: 'auditor' });
+  const headers = { Authorization: `Bearer ${await login(auditor)}` };
+
+  const csv = await fetch(`${base}/api/db/export/csv?sheet=Votantes`, { headers });
+  assert.strictEqual(csv.status, 200);
+  const text = await csv.text();
+  assert.match(text, /walletAddress/);
+  assert.doesNotMatch(text, /10000001/, 'el DNI sale enmascarado');
+
+  assert.strictEqual((await fetch(`${base}/api/db/export/csv?sheet=roleAssignments`, { headers })).status, 404);
+  assert.strictEqual((await fetch(`${base}/api/db/export/csv?sheet=Votantes`)).status, 401);
+});
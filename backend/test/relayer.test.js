@@ -0,0 +1,52 @@
+// Relayer EIP-2771: el ForwardRequest se normaliza y valida antes de tocar la red, y el
+// relayer no arranca sin forwarder ni clave.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const { normalizeRequest, createRelayer } = require('../utils/relayer');
+
+function forwardRequest(overrides = {}) {
+  return {
+    from: ethers.Wallet.createRandom().address,
+    to: ethers.Wallet.createRandom().address,
+    gas: 200000,
+    nonce: 0,
+    deadline: Math.floor(Date.now() / 1000) + 600,
+    data: '0x1234',
+    signature: '0x' + '11'.repeat(65),
+    ...overrides
+  };
+}
+
+test('normalizeRequest exige los campos y direcciones válidas', () => {
+  const req = normalizeRequest(forwardRequest({ from: '0x' + 'ab'.repeat(20) }));
+  assert.strictEqual(req.from, ethers.getAddress('0x' + 'ab'.repeat(20)));
+  assert.strictEqual(req.value, 0n);
+  assert.strictEqual(req.gas, 200000n);
+  assert.strictEqual(req.nonce, 0n);
+
+  assert.throws(() => normalizeRequest(forwardRequest({ signature: undefined })), /ForwardRequest incompleto/);
+  assert.throws(() => normalizeRequest(forwardRequest({ data: '' })), /ForwardRequest incompleto/);
+  assert.throws(() => normalizeRequest(forwardRequest({ to: '0x1234' })), /Dirección inválida en ForwardRequest/);
+  assert.strictEqual(normalizeRequest(forwardRequest({ nonce: undefined })).nonce, -1n, 'sin nonce nunca coincide con el del forwarder');
+});
+
+test('createRelayer exige forwarder y clave del relayer', () => {
+  assert.throws(() => createRelayer({ rpcUrl: 'http://127.0.0.1:8545', privateKey: '0x' + '01'.repeat(32) }), /FORWARDER_ADDRESS no configurado/);
+  assert.throws(() => createRelayer({ rpcUrl: 'http://127.0.0.1:8545', forwarderAddress: ethers.ZeroAddress }), /RELAYER_PRIVATE_KEY no configurada/);
+});
+
+test('un ForwardRequest vencido o incompleto se rechaza sin consultar el forwarder', async () => {
+  // nada escucha en este puerto: si validate llegara a la red, fallaría con otro error
+  const relayer = createRelayer({
+    rpcUrl: 'http://127.0.0.1:9',
+    privateKey: ethers.Wallet.createRandom().privateKey,
+    forwarderAddress: ethers.Wallet.createRandom().address,
+    forwarderName: 'VotingForwarder'
+  });
+  await assert.rejects(relayer.validate(forwardRequest({ deadline: Math.floor(Date.now() / 1000) - 1 })), /ForwardRequest expirado/);
+  await assert.rejects(relayer.submit(forwardRequest({ deadline: 0 })), /ForwardRequest expirado/);
+  await assert.rejects(relayer.validate(forwardRequest({ from: 'nadie' })), /Dirección inválida en ForwardRequest/);
+  relayer.provider.destroy();
+});
@@ -0,0 +1,42 @@
+// Re-voto: con revoting cuenta la última papeleta de cada wallet y las anteriores
+// quedan reemplazadas; sin revoting el segundo voto se rechaza.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startBackend } = require('./harness');
+
+const backend = startBackend();
+const { handleAction } = backend;
+
+before(() => handleAction('init', {}));
+after(() => backend.stop());
+
+function vote(wallet, electionId, candidateId) {
+  return backend.sign(wallet, 'Vote', { voter: wallet.address.toLowerCase(), electionId, candidateId })
+    .then(message => handleAction('castVote', message));
+}
+
+test('con revoting cuenta solo la última papeleta', async () => {
+  const electionId = await backend.createElection({ revoting: true }, ['A', 'B']);
+  const voter = await backend.registerVoter(1);
+
+  assert.strictEqual((await vote(voter, electionId, 1)).success, true);
+  const second = await vote(voter, electionId, 2);
+  assert.strictEqual(second.success, true, second.error);
+  assert.strictEqual(second.revision, 2);
+
+  assert.deepStrictEqual(backend.votesOf(electionId), { A: 0, B: 1 });
+  const ballots = backend.store.db.votes.filter(v => v.electionId === electionId);
+  assert.deepStrictEqual(ballots.map(v => v.status), ['Reemplazado', 'Confirmado']);
+  assert.strictEqual(backend.store.db.elections.find(e => e.electionId === electionId).totalVotes, 1);
+});
+
+test('sin revoting el segundo voto se rechaza', async () => {
+  const electionId = await backend.createElection({}, ['A', 'B']);
+  const voter = await backend.registerVoter(2);
+
+  assert.strictEqual((await vote(voter, electionId, 1)).success, true);
+  const second = await vote(voter, electionId, 2);
+  assert.strictEqual(second.success, false);
+  assert.deepStrictEqual(backend.votesOf(electionId), { A: 1, B: 0 });
+});
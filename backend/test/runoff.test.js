@@ -0,0 +1,81 @@
+// Segunda vuelta: se crea al cerrar si nadie alcanza el umbral, se decide por mayoría
+// relativa y nunca encadena otra vuelta con los mismos candidatos.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startBackend } = require('./harness');
+
+const backend = startBackend();
+const { handleAction, admin } = backend;
+
+before(() => handleAction('init', {}));
+after(() => backend.stop());
+
+const electionOf = id => backend.store.db.elections.find(e => e.electionId === id);
+const candidateId = (electionId, name) =>
+  backend.store.db.candidates.find(c => c.electionId === electionId && c.name === name).candidateId;
+
+async function vote(wallet, electionId, name) {
+  const message = await backend.sign(wallet, 'Vote', {
+    voter: wallet.address.toLowerCase(),
+    electionId,
+    candidateId: candidateId(electionId, name)
+  });
+  const result = await handleAction('castVote', message);
+  assert.strictEqual(result.success, true, result.error);
+}
+
+test('la segunda vuelta por umbral se decide por mayoría relativa sin otra vuelta', async () => {
+  const electionId = await backend.createElection({ majority: 60, runoff: true }, ['A', 'B', 'C']);
+  const voters = [];
+  for (let i = 0; i < 7; i++) voters.push(await backend.registerVoter(i));
+
+  const firstRound = ['A', 'A', 'A', 'B', 'B', 'B', 'C'];
+  for (let i = 0; i < voters.length; i++) await vote(voters[i], electionId, firstRound[i]);
+  assert.strictEqual((await handleAction('closeElection', { adminAddress: admin.address, electionId })).success, true);
+
+  const runoffId = electionOf(electionId).runoffElectionId;
+  assert.ok(runoffId, 'se crea la segunda vuelta');
+  const runoff = electionOf(runoffId);
+  assert.strictEqual(runoff.round, 2);
+  assert.strictEqual(runoff.rules.majority, 'relative');
+  assert.strictEqual(runoff.rules.runoff, false);
+  assert.deepStrictEqual(backend.store.db.candidates.filter(c => c.electionId === runoffId).map(c => c.name), ['A', 'B']);
+
+  // 4-3 no llega al 60% de la primera vuelta, pero en la segunda basta la mayoría relativa
+  const secondRound = ['A', 'A', 'A', 'B', 'B', 'B', 'A'];
+  for (let i = 0; i < voters.length; i++) await vote(voters[i], runoffId, secondRound[i]);
+  assert.strictEqual((await handleAction('closeElection', { adminAddress: admin.address, electionId: runoffId })).success, true);
+
+  assert.strictEqual(electionOf(runoffId).runoffElectionId, null);
+  const results = handleAction('getResults', { electionId: runoffId });
+  assert.strictEqual(results.outcome.status, 'winner');
+  assert.deepStrictEqual(results.outcome.winners, [candidateId(runoffId, 'A')]);
+});
+
+test('no se crea a mano una segunda vuelta con todos los candidatos', async () => {
+  const electionId = await backend.createElection({}, ['A', 'B']);
+  const voters = [await backend.registerVoter(10), await backend.registerVoter(11)];
+  await vote(voters[0], electionId, 'A');
+  await vote(voters[1], electionId, 'B');
+  await handleAction('closeElection', { adminAddress: admin.address, electionId });
+
+  const result = await handleAction('createRunoff', { adminAddress: admin.address, electionId, force: true });
+  assert.strictEqual(result.success, false);
+  assert.match(result.error, /dejar fuera al menos a un candidato/);
+});
+
+test('el scheduler cierra la elección vencida y crea la segunda vuelta', async () => {
+  const endDate = new Date(Date.now() + 1000).toISOString();
+  const electionId = await backend.createElection({ majority: 60, runoff: true, endDate }, ['A', 'B', 'C']);
+  const voters = [await backend.registerVoter(20), await backend.registerVoter(21), await backend.registerVoter(22)];
+  for (const [i, name] of ['A', 'B', 'C'].entries()) await vote(voters[i], electionId, name);
+
+  await new Promise(resolve => setTimeout(resolve, 1100));
+  const seq = backend.store.db.journalSeq;
+  const tick = await handleAction('runScheduler', {});
+  assert.strictEqual(tick.changed, 1);
+  assert.strictEqual(backend.store.db.journalSeq, seq + 1, 'el tick pasa por el journal');
+  assert.strictEqual(electionOf(electionId).status, 'Closed');
+  assert.ok(electionOf(electionOf(electionId).runoffElectionId), 'se crea la segunda vuelta');
+});
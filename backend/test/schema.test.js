@@ -0,0 +1,65 @@
+// Backend unificado: una base guardada por el antiguo backend.js (PascalCase) se convierte
+// al esquema canónico al arrancar y /api sigue respondiendo con los nombres que usa el frontend.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const schema = require('../utils/schema');
+const { startBackend } = require('./harness');
+
+const backend = startBackend();
+const { handleAction, server } = backend;
+const WALLETS = ['0xAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA', '0xBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBB'];
+let base;
+
+before(async () => {
+  // base escrita por backend.js: sin porcentajes ni totales al día
+  fs.writeFileSync(process.env.DATA_FILE, JSON.stringify({
+    voters: WALLETS.map((w, i) => ({ Wallet: w, Name: `Votante ${i}`, IDNumber: String(20000000 + i), Status: 'Activo' })),
+    elections: [{ ElectionID: 1, Title: 'Heredada', StartDate: '2000-01-01T00:00:00.000Z', EndDate: '2999-01-01T00:00:00.000Z', Status: 'Activa', TotalVotes: 0 }],
+    candidates: [
+      { ElectionID: 1, CandidateID: 1, Name: 'A', Votes: 0 },
+      { ElectionID: 1, CandidateID: 2, Name: 'B', Votes: 0 }
+    ],
+    votes: WALLETS.map(w => ({ Wallet: w, ElectionID: 1, CandidateID: 2, TxHash: '', Timestamp: '2024-05-01T12:00:00.000Z' }))
+  }));
+  await handleAction('init', {});
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  backend.stop();
+});
+
+test('normalizeDatabase convierte solo los registros con formato antiguo', () => {
+  const db = { elections: [{ ElectionID: '3', Title: 'X', Status: 'Activa' }], votes: [] };
+  assert.strictEqual(schema.normalizeDatabase(db), true);
+  assert.strictEqual(db.elections[0].electionId, 3);
+  assert.strictEqual(db.elections[0].title, 'X');
+  schema.COLLECTIONS.forEach(k => assert.ok(Array.isArray(db[k]), k));
+  assert.strictEqual(schema.normalizeDatabase(db), false, 'una segunda pasada no cambia nada');
+});
+
+test('al cargar una base de backend.js se normaliza y se recuentan los votos', () => {
+  const { db } = backend.store;
+  assert.deepStrictEqual(db.voters.map(v => v.walletAddress), WALLETS.map(w => w.toLowerCase()));
+  assert.deepStrictEqual(db.votes.map(v => [v.walletAddress, v.candidateId, v.status]),
+    WALLETS.map(w => [w.toLowerCase(), 2, 'Confirmado']));
+  assert.deepStrictEqual(backend.votesOf(1), { A: 0, B: 2 });
+  assert.strictEqual(db.elections[0].totalVotes, 2);
+});
+
+test('/api mantiene las acciones y los nombres de campo del frontend', async () => {
+  const active = await (await fetch(`${base}/api?action=getActiveElections`)).json();
+  assert.deepStrictEqual(active.elections.map(e => [e.ElectionID, e.Title, e.TotalVotes]), [[1, 'Heredada', 2]]);
+
+  const candidates = await (await fetch(`${base}/api?action=getCandidates&electionId=1`)).json();
+  assert.deepStrictEqual(candidates.candidates.map(c => [c.CandidateID, c.Name, c.Votes]), [[1, 'A', 0], [2, 'B', 2]]);
+
+  const perElection = await (await fetch(`${base}/api?action=getCandidatesCountPerElection`)).json();
+  assert.deepStrictEqual(perElection.data, [{ electionId: 1, title: 'Heredada', candidatesCount: 2 }]);
+
+  const online = await (await fetch(`${base}/api`)).json();
+  assert.strictEqual(online.message, 'API Online');
+});
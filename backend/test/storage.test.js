@@ -0,0 +1,78 @@
+// Almacenamiento SQLite: el backend guarda y recarga desde SQLite, las claves únicas se
+// imponen en la base y migrate:sqlite importa varios database.json omitiendo duplicados.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSqliteAdapter } = require('../storage');
+const { migrate } = require('../scripts/migrate-json-to-sqlite');
+const { startBackend } = require('./harness');
+
+const backend = startBackend({ driver: 'sqlite' });
+const { handleAction } = backend;
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'votacion-sqlite-'));
+
+before(() => handleAction('init', {}));
+after(() => {
+  backend.stop();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('el backend persiste en SQLite y recarga lo mismo', async () => {
+  const electionId = await backend.createElection({}, ['A', 'B']);
+  const voter = await backend.registerVoter(1);
+  const cast = await handleAction('castVote', await backend.sign(voter, 'Vote', {
+    voter: voter.address.toLowerCase(), electionId, candidateId: 2
+  }));
+  assert.strictEqual(cast.success, true, cast.error);
+  assert.ok(fs.existsSync(process.env.SQLITE_FILE));
+  assert.ok(!fs.existsSync(process.env.DATA_FILE), 'con sqlite no se escribe database.json');
+
+  await handleAction('init', {});
+  assert.deepStrictEqual(backend.votesOf(electionId), { A: 0, B: 1 });
+  assert.strictEqual(backend.store.db.votes.find(v => v.electionId === electionId).walletAddress, voter.address.toLowerCase());
+  assert.strictEqual(handleAction('verifyChain', {}).valid, true);
+});
+
+test('SQLite rechaza un registro duplicado y deshace la transacción', () => {
+  const store = createSqliteAdapter({ file: ':memory:' });
+  const db = { voters: [], votes: [] };
+  store.insert(db, 'votes', { walletAddress: '0xa', electionId: 1, candidateId: 1 });
+
+  assert.throws(() => store.transaction(() => {
+    store.insert(db, 'voters', { walletAddress: '0xa' });
+    store.insert(db, 'votes', { walletAddress: '0xa', electionId: 1, candidateId: 2 });
+  }), err => err.code === 'DUPLICATE_RECORD');
+  assert.deepStrictEqual(db.voters, [], 'lo insertado antes del duplicado se deshace');
+  assert.strictEqual(db.votes.length, 1);
+  store.close();
+});
+
+test('migrate:sqlite importa varios archivos y omite los duplicados', async () => {
+  const legacy = path.join(tmpDir, 'legacy.json');
+  const current = path.join(tmpDir, 'current.json');
+  fs.writeFileSync(legacy, JSON.stringify({
+    votes: [{ Wallet: '0xA1', ElectionID: 1, CandidateID: 1 }],
+    elections: [{ ElectionID: 1, Title: 'Heredada' }]
+  }));
+  fs.writeFileSync(current, JSON.stringify({
+    votes: [{ walletAddress: '0xa1', electionId: 1, candidateId: 2 }, { walletAddress: '0xb2', electionId: 1, candidateId: 2 }],
+    usedNonces: [{ wallet: '0xb2', nonce: '1' }]
+  }));
+  const out = path.join(tmpDir, 'database.sqlite');
+
+  const report = await migrate({ out, merge: false, inputs: [legacy, current] });
+  assert.strictEqual(report.imported.votes, 2);
+  assert.strictEqual(report.skipped.votes, 1);
+  assert.strictEqual(report.imported.elections, 1);
+
+  const store = createSqliteAdapter({ file: out });
+  const { data } = store.load();
+  assert.deepStrictEqual(data.votes.map(v => [v.walletAddress, v.candidateId]), [['0xa1', 1], ['0xb2', 2]]);
+  assert.deepStrictEqual(data.usedNonces, [{ wallet: '0xb2', nonce: '1' }]);
+  store.close();
+
+  await assert.rejects(async () => migrate({ out, merge: false, inputs: [current] }), /ya contiene datos/);
+});
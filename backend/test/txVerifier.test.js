@@ -0,0 +1,41 @@
+// verifyTx: decodifica el evento VoteCast del recibo y rechaza un txHash mal formado
+// antes de consultar el RPC.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const { decodeVoteEvent, verifyVoteTx } = require('../utils/txVerifier');
+
+const iface = new ethers.Interface([
+  'event VoteCast(uint256 indexed electionId, uint256 indexed candidateId, address indexed voter)'
+]);
+const CONTRACT = ethers.Wallet.createRandom().address;
+
+function voteCastLog(address, electionId, candidateId, voter, index) {
+  const { data, topics } = iface.encodeEventLog('VoteCast', [electionId, candidateId, voter]);
+  return { address, data, topics, index };
+}
+
+test('decodeVoteEvent toma el VoteCast del contrato configurado', () => {
+  const voter = ethers.Wallet.createRandom().address;
+  const other = ethers.Wallet.createRandom().address;
+  const receipt = {
+    logs: [
+      { address: CONTRACT, data: '0x', topics: [ethers.id('Otro(uint256)')], index: 0 },
+      voteCastLog(other, 9, 9, voter, 1),
+      voteCastLog(CONTRACT, 3, 2, voter, 2)
+    ]
+  };
+
+  assert.deepStrictEqual(decodeVoteEvent(receipt, CONTRACT), {
+    electionId: 3, candidateId: 2, voter: voter.toLowerCase(), logIndex: 2
+  });
+  assert.strictEqual(decodeVoteEvent({ logs: receipt.logs.slice(0, 1) }, CONTRACT), null);
+  assert.strictEqual(decodeVoteEvent({}, CONTRACT), null);
+});
+
+test('un txHash mal formado se rechaza sin ir a la red', async () => {
+  await assert.rejects(verifyVoteTx({ rpcUrl: 'http://127.0.0.1:1', txHash: '0x1234' }), /txHash inválido/);
+  await assert.rejects(verifyVoteTx({ rpcUrl: 'http://127.0.0.1:1' }), /txHash inválido/);
+  await assert.rejects(verifyVoteTx({ rpcUrl: '', txHash: '0x' + 'ab'.repeat(32) }), /RPC_URL no configurado/);
+});
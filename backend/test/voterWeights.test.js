@@ -0,0 +1,56 @@
+// Voto ponderado: los pesos se guardan como texto decimal exacto y solo se pasan a número
+// al hacer el recuento.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const voterWeights = require('../utils/voterWeights');
+const { startBackend } = require('./harness');
+
+const backend = startBackend();
+const { handleAction, admin } = backend;
+
+before(() => handleAction('init', {}));
+after(() => backend.stop());
+
+const wallet = n => '0x' + String(n).repeat(40);
+
+test('parseWeightList normaliza los pesos sin perder precisión', () => {
+  const weights = voterWeights.parseWeightList(`wallet,peso\n${wallet(1)},1.50\n${wallet(2)},${ethers.formatUnits(123456789012345678901234567n, 18)}\n${wallet(3)},2e3`);
+  assert.deepStrictEqual(weights, {
+    [wallet(1)]: '1.5',
+    [wallet(2)]: '123456789.012345678901234567',
+    [wallet(3)]: '2000'
+  });
+  assert.strictEqual(voterWeights.sumWeights(weights), '123458790.512345678901234567');
+  assert.strictEqual(voterWeights.sumWeights({ [wallet(1)]: '0.1', [wallet(2)]: '0.2' }), '0.3');
+
+  assert.throws(() => voterWeights.parseWeightList({ [wallet(1)]: '-1' }), /Peso inválido/);
+  assert.throws(() => voterWeights.parseWeightList({ [wallet(1)]: 'diez' }), /Peso inválido/);
+  // exponentes desmesurados se rechazan sin expandirlos
+  assert.throws(() => voterWeights.parseWeightList({ [wallet(1)]: '1e500000000' }), /Peso inválido/);
+  assert.throws(() => voterWeights.parseWeightList({ [wallet(1)]: '1e-500000000' }), /Peso inválido/);
+  assert.deepStrictEqual(voterWeights.parseWeightList({ [wallet(1)]: '0.00e900000000' }), { [wallet(1)]: '0' });
+  assert.throws(() => voterWeights.parseWeightList(`${wallet(1)},1\n${wallet(1)},2`), /repetida/);
+});
+
+test('cada papeleta pesa lo que su votante en la lista importada', async () => {
+  const electionId = await backend.createElection({ weighting: 'list', draft: true }, ['A', 'B']);
+  const voters = [await backend.registerVoter(1), await backend.registerVoter(2), await backend.registerVoter(3)];
+  const list = voters.map((v, i) => `${v.address.toLowerCase()},${['2.5', '1', '1'][i]}`).join('\n');
+
+  const imported = await handleAction('importVoterWeights', { adminAddress: admin.address, electionId, csv: list });
+  assert.strictEqual(imported.success, true, imported.error);
+  assert.strictEqual((await handleAction('openElection', { adminAddress: admin.address, electionId })).success, true);
+
+  for (const [i, candidateId] of [1, 2, 2].entries()) {
+    const message = await backend.sign(voters[i], 'Vote', { voter: voters[i].address.toLowerCase(), electionId, candidateId });
+    assert.strictEqual((await handleAction('castVote', message)).success, true);
+  }
+
+  const results = handleAction('getResults', { electionId });
+  assert.strictEqual(results.weighting.total, '4.5');
+  assert.strictEqual(results.election.totalWeight, 4.5);
+  assert.deepStrictEqual(results.outcome.winners, [1]);
+  assert.deepStrictEqual(results.candidates.map(c => c.votes), [2.5, 2]);
+});
@@ -0,0 +1,57 @@
+// Motor de recuento por método (votingMethods.tally) y validación de la papeleta
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { METHOD, tally, parseSelection } = require('../utils/votingMethods');
+
+const repeat = (ballot, times) => Array.from({ length: times }, () => ballot);
+
+test('irv elimina al último y transfiere sus papeletas', () => {
+  const ballots = [...repeat([1], 4), ...repeat([2], 3), ...repeat([3, 2], 2)];
+  const outcome = tally(METHOD.IRV, { candidateIds: [1, 2, 3], ballots });
+
+  assert.deepStrictEqual(outcome.winners, [2]);
+  assert.strictEqual(outcome.rounds[0].eliminated, 3);
+  assert.deepStrictEqual(outcome.rounds[1].counts, { 1: 4, 2: 5 });
+});
+
+test('stv elige con cuota Droop y transfiere el excedente', () => {
+  const ballots = [...repeat([1, 2], 6), ...repeat([2], 2), ...repeat([3], 2)];
+  const outcome = tally(METHOD.STV, { candidateIds: [1, 2, 3], ballots, seats: 2 });
+
+  assert.strictEqual(outcome.quota, 4);
+  assert.deepStrictEqual(outcome.winners, [1, 2]);
+  assert.deepStrictEqual(outcome.rounds[1].counts, { 2: 4, 3: 2 });
+});
+
+test('borda reparte n-1 puntos al primero y 0 al último', () => {
+  const ballots = [...repeat([1, 2, 3], 2), ...repeat([2, 3, 1], 2)];
+  const outcome = tally(METHOD.BORDA, { candidateIds: [1, 2, 3], ballots });
+
+  assert.deepStrictEqual(outcome.counts, { 1: 4, 2: 6, 3: 2 });
+  assert.deepStrictEqual(outcome.winners, [2]);
+});
+
+test('approval resuelve el empate por orden de registro', () => {
+  const outcome = tally(METHOD.APPROVAL, { candidateIds: [1, 2, 3], ballots: [[1, 2], [2], [1, 3]] });
+
+  assert.deepStrictEqual(outcome.counts, { 1: 2, 2: 2, 3: 1 });
+  assert.deepStrictEqual(outcome.winners, [1]);
+  assert.strictEqual(outcome.tieBreak, true);
+});
+
+test('los pesos cambian el ganador de la mayoría simple', () => {
+  const outcome = tally(METHOD.PLURALITY, { candidateIds: [1, 2], ballots: [[1], [2], [2]], weights: [5, 1, 1] });
+
+  assert.deepStrictEqual(outcome.counts, { 1: 5, 2: 2 });
+  assert.strictEqual(outcome.total, 7);
+  assert.deepStrictEqual(outcome.winners, [1]);
+});
+
+test('parseSelection valida la papeleta según el método', () => {
+  assert.deepStrictEqual(parseSelection(METHOD.APPROVAL, { candidateIds: [3, 1] }, [1, 2, 3]), [1, 3]);
+  assert.throws(() => parseSelection(METHOD.PLURALITY, { candidateIds: [1, 2] }, [1, 2]), /marca un solo candidato/);
+  assert.throws(() => parseSelection(METHOD.BORDA, { candidateIds: [1] }, [1, 2]), /ordenar todos/);
+  assert.throws(() => parseSelection(METHOD.IRV, { candidateIds: [1, 1] }, [1, 2]), /repite/);
+  assert.throws(() => parseSelection(METHOD.IRV, { candidateIds: [9, 1] }, [1, 2], [9]), /no se combinan/);
+});
@@ -0,0 +1,27 @@
+// Modo de voto de una elección: público, secreto (commit-reveal), anónimo (tokens con firma ciega)
+// o cifrado con recuento homomórfico (ElGamal con clave repartida entre trustees)
+
+const BALLOT_MODE = {
+  PUBLIC: 'public',
+  COMMIT_REVEAL: 'commitReveal',
+  ANONYMOUS: 'anonymous',
+  HOMOMORPHIC: 'homomorphic'
+};
+
+function parseBallotMode(value) {
+  if (!value || value === BALLOT_MODE.PUBLIC) return BALLOT_MODE.PUBLIC;
+  if (value === BALLOT_MODE.COMMIT_REVEAL || value === 'secret') return BALLOT_MODE.COMMIT_REVEAL;
+  if (value === BALLOT_MODE.ANONYMOUS) return BALLOT_MODE.ANONYMOUS;
+  if (value === BALLOT_MODE.HOMOMORPHIC || value === 'encrypted') return BALLOT_MODE.HOMOMORPHIC;
+  throw new Error('Modo de voto desconocido: ' + value);
+}
+
+function isAnonymous(election) {
+  return Boolean(election) && election.ballotMode === BALLOT_MODE.ANONYMOUS;
+}
+
+function isHomomorphic(election) {
+  return Boolean(election) && election.ballotMode === BALLOT_MODE.HOMOMORPHIC;
+}
+
+module.exports = { BALLOT_MODE, parseBallotMode, isAnonymous, isHomomorphic };
@@ -0,0 +1,139 @@
+// Papeletas de varias preguntas: una elección puede reunir varias contiendas, p. ej. un
+// puesto de la junta y dos referendos sí / no / abstención. Cada pregunta tiene su método,
+// sus puestos, su mayoría y sus límites de elección; una sola firma (MultiVote) cubre
+// todas las respuestas y la papeleta se registra entera o no se registra.
+
+const { METHOD, BALLOT_CHOICE, isBlankChoice, parseMethod, parseSeats, parseSelection } = require('./votingMethods');
+const { TIE_BREAK, parseRules } = require('./electionRules');
+
+const KIND = {
+  RACE: 'race', // candidatos que añade el admin (addCandidate con questionId)
+  REFERENDUM: 'referendum' // opciones fijas: sí, no y abstención
+};
+
+const REFERENDUM_CHOICES = [
+  { choice: 'yes', name: 'Sí' },
+  { choice: 'no', name: 'No' },
+  { choice: BALLOT_CHOICE.ABSTAIN, name: 'Abstención' }
+];
+
+function toList(value, label) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    throw new Error(`${label} debe ser JSON válido`);
+  }
+}
+
+function optionalInt(value) {
+  return value === undefined || value === null || value === '' ? null : parseInt(value);
+}
+
+// minChoices / maxChoices: cuántos candidatos puede marcar (aprobados) u ordenar (ranking)
+function parseChoiceLimits(method, q) {
+  const min = optionalInt(q.minChoices);
+  const max = optionalInt(q.maxChoices);
+  if (method === METHOD.PLURALITY || method === METHOD.BORDA) {
+    if (min !== null || max !== null) {
+      throw new Error(`minChoices / maxChoices no se aplican al método ${method}`);
+    }
+    return method === METHOD.PLURALITY ? { minChoices: 1, maxChoices: 1 } : { minChoices: null, maxChoices: null };
+  }
+  const minChoices = min === null ? 1 : min;
+  if (!(minChoices >= 1)) throw new Error('minChoices debe ser un entero mayor que 0');
+  if (max !== null && !(max >= minChoices)) throw new Error('maxChoices debe ser un entero no menor que minChoices');
+  return { minChoices, maxChoices: max };
+}
+
+function parseQuestion(q, questionId, data) {
+  const title = String(q.title || '').trim();
+  if (!title) throw new Error(`La pregunta ${questionId} necesita título`);
+  const kind = q.kind || KIND.RACE;
+  if (!Object.values(KIND).includes(kind)) throw new Error('Tipo de pregunta desconocido: ' + kind);
+
+  const method = kind === KIND.REFERENDUM ? METHOD.PLURALITY : parseMethod(q.method);
+  if (kind === KIND.REFERENDUM && q.method && parseMethod(q.method) !== METHOD.PLURALITY) {
+    throw new Error('Un referendo se vota por mayoría simple');
+  }
+  const seats = kind === KIND.REFERENDUM ? 1 : parseSeats(method, q.seats);
+  // quórum, desempate y cómputo del blanco son de la elección; la mayoría exigida, de cada pregunta
+  const rules = parseRules(
+    { quorum: data.quorum, tieBreak: data.tieBreak, blankInQuorum: data.blankInQuorum, majority: q.majority },
+    { method, seats }
+  );
+  if (rules.tieBreak === TIE_BREAK.RUNOFF) {
+    throw new Error('La segunda vuelta no está disponible en elecciones con varias preguntas');
+  }
+  return { questionId, title, kind, method, seats, ...parseChoiceLimits(method, q), rules };
+}
+
+/**
+ * questions: lista (o JSON) de { title, kind, method, seats, majority, minChoices, maxChoices }.
+ * Devuelve null si la elección es de una sola contienda.
+ */
+function parseQuestions(data) {
+  if (data.questions === undefined || data.questions === null || data.questions === '') return null;
+  const list = toList(data.questions, 'questions');
+  if (!Array.isArray(list) || !list.length) {
+    throw new Error('questions debe ser una lista con al menos una pregunta');
+  }
+  return list.map((q, i) => parseQuestion(q || {}, i + 1, data));
+}
+
+function findQuestion(election, questionId) {
+  const question = (election.questions || []).find(q => q.questionId === questionId);
+  if (!question) throw new Error('Pregunta no encontrada: ' + questionId);
+  return question;
+}
+
+/**
+ * Respuestas de una papeleta: [{ questionId, candidateIds }] o { questionId: candidateIds }.
+ * Exige una respuesta por pregunta y devuelve la lista validada en el orden de las preguntas
+ * (la misma que se firma en MultiVote).
+ */
+function parseAnswers(questions, candidates, input) {
+  const list = toList(input, 'answers');
+  const entries = Array.isArray(list)
+    ? list.map(a => [(a || {}).questionId, (a || {}).candidateIds ?? (a || {}).candidateId])
+    : Object.entries(list || {});
+
+  const byQuestion = new Map();
+  entries.forEach(([id, selection]) => {
+    const questionId = parseInt(id);
+    if (!questions.some(q => q.questionId === questionId)) throw new Error('Pregunta no encontrada: ' + id);
+    if (byQuestion.has(questionId)) throw new Error(`La papeleta responde dos veces a la pregunta ${questionId}`);
+    byQuestion.set(questionId, selection);
+  });
+
+  return questions.map(q => {
+    if (!byQuestion.has(q.questionId)) {
+      throw new Error(`Falta la respuesta a la pregunta ${q.questionId} (${q.title})`);
+    }
+    const options = candidates.filter(c => c.questionId === q.questionId);
+    const ids = options.filter(c => !isBlankChoice(c)).map(c => c.candidateId);
+    const blankIds = options.filter(isBlankChoice).map(c => c.candidateId);
+    let selection;
+    try {
+      selection = parseSelection(q.method, { candidateIds: byQuestion.get(q.questionId) }, ids, blankIds);
+    } catch (err) {
+      throw new Error(`Pregunta ${q.questionId}: ${err.message}`);
+    }
+    if (blankIds.includes(selection[0])) return { questionId: q.questionId, candidateIds: selection };
+    if (q.minChoices && selection.length < q.minChoices) {
+      throw new Error(`Pregunta ${q.questionId}: marca al menos ${q.minChoices} opciones`);
+    }
+    if (q.maxChoices && selection.length > q.maxChoices) {
+      throw new Error(`Pregunta ${q.questionId}: marca como mucho ${q.maxChoices} opciones`);
+    }
+    return { questionId: q.questionId, candidateIds: selection };
+  });
+}
+
+// Respuesta de un voto a una pregunta (lista de candidateId)
+function answerOf(vote, questionId) {
+  const answer = (vote.answers || []).find(a => a.questionId === questionId);
+  return answer ? answer.candidateIds : [];
+}
+
+module.exports = { KIND, REFERENDUM_CHOICES, parseQuestions, findQuestion, parseAnswers, answerOf };
@@ -0,0 +1,127 @@
+// Firmas ciegas RSA con hash de dominio completo (RSA-FDH) para el voto anónimo.
+// El registrador firma el token cegado sin verlo; el votante lo desciega y vota con
+// (token, firma) sin wallet, así el voto no se puede vincular con su registro.
+// Mensaje firmado: "voting-token:<electionId>:<token>" (token = 32 bytes aleatorios en hex).
+// Todos los números viajan como hex con prefijo 0x.
+
+const crypto = require('crypto');
+
+const MODULUS_BITS = 2048;
+const TOKEN = /^0x[0-9a-f]{64}$/;
+
+function toBigInt(value) {
+  const hex = Buffer.isBuffer(value) ? value.toString('hex') : String(value).replace(/^0x/, '');
+  return BigInt('0x' + (hex || '0'));
+}
+
+function toHex(n, bytes) {
+  return '0x' + n.toString(16).padStart(bytes * 2, '0');
+}
+
+function modPow(base, exp, mod) {
+  let result = 1n;
+  base %= mod;
+  while (exp > 0n) {
+    if (exp & 1n) result = (result * base) % mod;
+    base = (base * base) % mod;
+    exp >>= 1n;
+  }
+  return result;
+}
+
+function modInverse(a, m) {
+  let [oldR, r] = [a % m, m];
+  let [oldS, s] = [1n, 0n];
+  while (r !== 0n) {
+    const q = oldR / r;
+    [oldR, r] = [r, oldR - q * r];
+    [oldS, s] = [s, oldS - q * s];
+  }
+  if (oldR !== 1n) throw new Error('Factor de cegado no invertible');
+  return ((oldS % m) + m) % m;
+}
+
+// { n, e } en base64url (JWK) → BigInt
+function parsePublicKey(publicKey) {
+  const n = toBigInt(Buffer.from(publicKey.n, 'base64url'));
+  const e = toBigInt(Buffer.from(publicKey.e, 'base64url'));
+  return { n, e, bytes: Math.ceil(n.toString(16).length / 2) };
+}
+
+function generateKeyPair() {
+  const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: MODULUS_BITS });
+  const jwk = privateKey.export({ format: 'jwk' });
+  return { publicKey: { kty: 'RSA', n: jwk.n, e: jwk.e }, privateKey: jwk };
+}
+
+function tokenMessage(electionId, token) {
+  return `voting-token:${electionId}:${String(token).toLowerCase()}`;
+}
+
+// SHA-256 en modo contador hasta el tamaño del módulo, reducido mod n
+function hashToInt(message, n, bytes) {
+  const blocks = [];
+  for (let i = 0; blocks.length * 32 < bytes; i++) {
+    const counter = Buffer.alloc(4);
+    counter.writeUInt32BE(i);
+    blocks.push(crypto.createHash('sha256').update(counter).update(message).digest());
+  }
+  return toBigInt(Buffer.concat(blocks).subarray(0, bytes)) % n;
+}
+
+// Lado del votante: ciega el mensaje con un factor r aleatorio
+function blind(message, publicKey) {
+  const { n, e, bytes } = parsePublicKey(publicKey);
+  let r;
+  do {
+    r = toBigInt(crypto.randomBytes(bytes)) % n;
+  } while (r < 2n);
+  const blinded = (hashToInt(message, n, bytes) * modPow(r, e, n)) % n;
+  return { blinded: toHex(blinded, bytes), r: toHex(r, bytes) };
+}
+
+// Lado del registrador: blinded^d mod n (RSA sin padding con la clave privada JWK)
+function signBlinded(blinded, privateJwk) {
+  const { n, bytes } = parsePublicKey(privateJwk);
+  const value = toBigInt(blinded);
+  if (value <= 0n || value >= n) throw new Error('Token cegado fuera de rango');
+  const key = crypto.createPrivateKey({ key: privateJwk, format: 'jwk' });
+  const signature = crypto.privateDecrypt(
+    { key, padding: crypto.constants.RSA_NO_PADDING },
+    Buffer.from(toHex(value, bytes).slice(2), 'hex')
+  );
+  return '0x' + signature.toString('hex');
+}
+
+// Lado del votante: firma del mensaje original = firma ciega · r⁻¹ mod n
+function unblind(blindSignature, r, publicKey) {
+  const { n, bytes } = parsePublicKey(publicKey);
+  return toHex((toBigInt(blindSignature) * modInverse(toBigInt(r), n)) % n, bytes);
+}
+
+function verify(message, signature, publicKey) {
+  const { n, e, bytes } = parsePublicKey(publicKey);
+  const s = toBigInt(signature);
+  if (s <= 0n || s >= n) return false;
+  return modPow(s, e, n) === hashToInt(message, n, bytes);
+}
+
+// Identificador de un solo uso del token: impide votar dos veces sin revelar quién votó
+function nullifier(electionId, token) {
+  return '0x' + crypto.createHash('sha256').update(`nullifier:${electionId}:${String(token).toLowerCase()}`).digest('hex');
+}
+
+function isToken(value) {
+  return typeof value === 'string' && TOKEN.test(value.toLowerCase());
+}
+
+module.exports = {
+  generateKeyPair,
+  tokenMessage,
+  blind,
+  signBlinded,
+  unblind,
+  verify,
+  nullifier,
+  isToken
+};
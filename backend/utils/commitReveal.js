@@ -0,0 +1,37 @@
+// Voto secreto commit-reveal: mientras la elección está abierta solo se guarda
+// keccak256(abi.encode(electionId, candidateId, salt, votante)); al terminar la votación
+// cada votante revela candidateId + salt. Es el mismo compromiso que comprueba Voting.sol.
+
+const { ethers } = require('ethers');
+const lifecycle = require('./electionLifecycle');
+const { BALLOT_MODE } = require('./ballotMode');
+
+const BYTES32 = /^0x[0-9a-fA-F]{64}$/;
+
+function isSecret(election) {
+  return Boolean(election) && election.ballotMode === BALLOT_MODE.COMMIT_REVEAL;
+}
+
+function isBytes32(value) {
+  return typeof value === 'string' && BYTES32.test(value);
+}
+
+function computeCommitment({ electionId, candidateId, salt, voter }) {
+  const encoded = ethers.AbiCoder.defaultAbiCoder().encode(
+    ['uint256', 'uint256', 'bytes32', 'address'],
+    [electionId, candidateId, salt, voter]
+  );
+  return ethers.keccak256(encoded).toLowerCase();
+}
+
+// Los conteos no se publican hasta que termina la fase de revelado
+function resultsHidden(election, status = election.status) {
+  return isSecret(election) && [
+    lifecycle.STATUS.DRAFT,
+    lifecycle.STATUS.SCHEDULED,
+    lifecycle.STATUS.OPEN,
+    lifecycle.STATUS.REVEAL
+  ].includes(status);
+}
+
+module.exports = { isSecret, isBytes32, computeCommitment, resultsHidden };
@@ -1,30 +1,98 @@
 const crypto = require('crypto');
 
-const ALGO = 'aes-256-ctr';
-const SECRET_HEX = process.env.CRYPTO_SECRET || null;
-if (!SECRET_HEX) {
+// Cifrado por campo con AES-256-GCM (AEAD): v2:<keyId>:<iv>:<tag>:<cifrado> en base64url.
+// keyId identifica la clave usada, así se puede rotar CRYPTO_SECRET y seguir leyendo
+// lo cifrado con claves anteriores (CRYPTO_PREVIOUS_SECRETS, separadas por coma).
+// El formato anterior (aes-256-ctr, iv:cifrado en hex) se sigue leyendo para migrarlo.
+const ALGO = 'aes-256-gcm';
+const LEGACY_ALGO = 'aes-256-ctr';
+const PREFIX = 'v2';
+const LEGACY_FORMAT = /^[0-9a-f]{32}:[0-9a-f]+$/;
+
+function parseKey(hex) {
+  const key = Buffer.from(String(hex).trim(), 'hex');
+  if (key.length !== 32) throw new Error('Las claves de cifrado deben ser de 32 bytes (64 caracteres hex)');
+  return key;
+}
+
+function keyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+}
+
+function loadKeys(env) {
+  const current = env.CRYPTO_SECRET ? parseKey(env.CRYPTO_SECRET) : null;
+  const previous = (env.CRYPTO_PREVIOUS_SECRETS || '').split(',').filter(s => s.trim()).map(parseKey);
+  const ring = new Map();
+  [current, ...previous].filter(Boolean).forEach(key => ring.set(keyId(key), key));
+  // el índice ciego conviene fijarlo aparte para que no cambie al rotar CRYPTO_SECRET
+  const blindKey = env.BLIND_INDEX_SECRET
+    ? Buffer.from(env.BLIND_INDEX_SECRET)
+    : Buffer.from(crypto.hkdfSync('sha256', current || Buffer.alloc(32), '', 'blind-index', 32));
+  return { current, currentId: current ? keyId(current) : null, ring, blindKey };
+}
+
+let keys = loadKeys(process.env);
+if (!keys.current) {
   console.warn('CRYPTO_SECRET no definido en .env — encriptación deshabilitada');
 }
 
+// Vuelve a leer las claves (tras cambiar process.env en scripts)
+function reloadKeys(env = process.env) {
+  keys = loadKeys(env);
+}
+
+function isEnabled() {
+  return Boolean(keys.current);
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX + ':');
+}
+
 function encrypt(text) {
-  if (!SECRET_HEX) return text;
-  const iv = crypto.randomBytes(16);
-  const key = Buffer.from(SECRET_HEX, 'hex');
-  const cipher = crypto.createCipheriv(ALGO, key, iv);
-  const encrypted = Buffer.concat([cipher.update(String(text)), cipher.final()]);
-  return iv.toString('hex') + ':' + encrypted.toString('hex');
+  if (!keys.current || text === undefined || text === null || text === '') return text;
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGO, keys.current, iv);
+  const encrypted = Buffer.concat([cipher.update(String(text), 'utf8'), cipher.final()]);
+  return [PREFIX, keys.currentId, iv, cipher.getAuthTag(), encrypted]
+    .map(part => Buffer.isBuffer(part) ? part.toString('base64url') : part)
+    .join(':');
+}
+
+function decryptLegacy(payload) {
+  const [ivHex, encHex] = payload.split(':');
+  const decipher = crypto.createDecipheriv(LEGACY_ALGO, keys.current, Buffer.from(ivHex, 'hex'));
+  return Buffer.concat([decipher.update(Buffer.from(encHex, 'hex')), decipher.final()]).toString();
 }
 
+// Texto plano tal cual; lo cifrado se descifra y se verifica su integridad
 function decrypt(payload) {
-  if (!SECRET_HEX) return payload;
-  const [ivHex, encHex] = String(payload).split(':');
-  if (!ivHex || !encHex) return payload;
-  const iv = Buffer.from(ivHex, 'hex');
-  const encrypted = Buffer.from(encHex, 'hex');
-  const key = Buffer.from(SECRET_HEX, 'hex');
-  const decipher = crypto.createDecipheriv(ALGO, key, iv);
-  const decr = Buffer.concat([decipher.update(encrypted), decipher.final()]);
-  return decr.toString();
-}
-
-module.exports = { encrypt, decrypt };
+  if (typeof payload !== 'string') return payload;
+  if (!isEncrypted(payload)) {
+    return keys.current && LEGACY_FORMAT.test(payload) ? decryptLegacy(payload) : payload;
+  }
+
+  const [, id, iv, tag, encrypted] = payload.split(':');
+  const key = keys.ring.get(id);
+  if (!key) throw new Error('Clave de cifrado desconocida: ' + id);
+  try {
+    const decipher = crypto.createDecipheriv(ALGO, key, Buffer.from(iv, 'base64url'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+    return Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64url')), decipher.final()]).toString('utf8');
+  } catch (err) {
+    throw new Error('Dato cifrado alterado o clave incorrecta');
+  }
+}
+
+// true si el valor está en claro, en el formato anterior o con una clave que no es la actual
+function needsReencrypt(value) {
+  if (!keys.current || value === undefined || value === null || value === '') return false;
+  return !isEncrypted(value) || value.split(':')[1] !== keys.currentId;
+}
+
+// Índice ciego (HMAC-SHA256): permite buscar iguales sin descifrar
+function blindIndex(value) {
+  return crypto.createHmac('sha256', keys.blindKey).update(String(value)).digest('hex');
+}
+
+module.exports = { encrypt, decrypt, isEncrypted, isEnabled, needsReencrypt, blindIndex, reloadKeys };
@@ -0,0 +1,158 @@
+const { ethers } = require('ethers');
+
+const DOMAIN_NAME = 'VotacionBlockchain';
+const DOMAIN_VERSION = '1';
+
+const TYPES = {
+  Vote: [
+    { name: 'voter', type: 'address' },
+    { name: 'electionId', type: 'uint256' },
+    { name: 'candidateId', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ],
+  PreferenceVote: [
+    { name: 'voter', type: 'address' },
+    { name: 'electionId', type: 'uint256' },
+    { name: 'candidateIds', type: 'uint256[]' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ],
+  // papeleta de varias preguntas: una respuesta (Answer) por pregunta
+  MultiVote: [
+    { name: 'voter', type: 'address' },
+    { name: 'electionId', type: 'uint256' },
+    { name: 'answers', type: 'Answer[]' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ],
+  CommitVote: [
+    { name: 'voter', type: 'address' },
+    { name: 'electionId', type: 'uint256' },
+    { name: 'commitment', type: 'bytes32' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ],
+  RevealVote: [
+    { name: 'voter', type: 'address' },
+    { name: 'electionId', type: 'uint256' },
+    { name: 'candidateId', type: 'uint256' },
+    { name: 'salt', type: 'bytes32' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ],
+  RequestVotingToken: [
+    { name: 'voter', type: 'address' },
+    { name: 'electionId', type: 'uint256' },
+    { name: 'blindedToken', type: 'bytes' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ],
+  EncryptedVote: [
+    { name: 'voter', type: 'address' },
+    { name: 'electionId', type: 'uint256' },
+    { name: 'ballotHash', type: 'bytes32' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ],
+  DelegateVote: [
+    { name: 'voter', type: 'address' },
+    { name: 'electionId', type: 'uint256' },
+    { name: 'delegate', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ],
+  RevokeDelegation: [
+    { name: 'voter', type: 'address' },
+    { name: 'electionId', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ],
+  EnrollVoter: [
+    { name: 'voter', type: 'address' },
+    { name: 'electionId', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ],
+  RegisterVoter: [
+    { name: 'voter', type: 'address' },
+    { name: 'name', type: 'string' },
+    { name: 'idNumber', type: 'string' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+// Structs que usan los tipos de arriba (no se firman solos)
+const STRUCTS = {
+  Answer: [
+    { name: 'questionId', type: 'uint256' },
+    { name: 'candidateIds', type: 'uint256[]' }
+  ]
+};
+
+function buildDomain({ chainId, verifyingContract }) {
+  const domain = { name: DOMAIN_NAME, version: DOMAIN_VERSION, chainId: Number(chainId) };
+  if (verifyingContract) domain.verifyingContract = verifyingContract;
+  return domain;
+}
+
+function structsOf(fields) {
+  const out = {};
+  fields.forEach(f => {
+    const name = f.type.replace(/\[\]$/, '');
+    if (STRUCTS[name]) Object.assign(out, { [name]: STRUCTS[name] }, structsOf(STRUCTS[name]));
+  });
+  return out;
+}
+
+// Estructura que el cliente debe firmar con signTypedData
+function getTypedData(primaryType, domainConfig) {
+  if (!TYPES[primaryType]) throw new Error('Tipo EIP-712 desconocido: ' + primaryType);
+  return {
+    domain: buildDomain(domainConfig),
+    types: { [primaryType]: TYPES[primaryType], ...structsOf(TYPES[primaryType]) },
+    primaryType
+  };
+}
+
+// ethers no acepta EIP712Domain dentro de types
+function stripDomainType(types = {}) {
+  const { EIP712Domain, ...rest } = types;
+  return rest;
+}
+
+function recoverSigner(domain, types, message, signature) {
+  try {
+    return ethers.verifyTypedData(domain, stripDomainType(types), message, signature).toLowerCase();
+  } catch (err) {
+    throw new Error('Firma EIP-712 inválida');
+  }
+}
+
+// Valida firma, expiración y nonce. isNonceUsed(nonce) lo provee quien guarda los nonces.
+// now (segundos) permite validar el deadline contra otra fecha, p. ej. al re-aplicar el journal.
+function verifySignedRequest({ primaryType, domainConfig, message, signature, expected, isNonceUsed, now = Math.floor(Date.now() / 1000) }) {
+  if (!signature) throw new Error('Firma EIP-712 requerida');
+  if (message.nonce === undefined || message.nonce === '' || !message.deadline) {
+    throw new Error('Nonce y deadline son obligatorios');
+  }
+
+  if (Number(message.deadline) < now) {
+    throw new Error('Firma expirada');
+  }
+
+  if (isNonceUsed && isNonceUsed(String(message.nonce))) {
+    throw new Error('Nonce ya utilizado');
+  }
+
+  const { domain, types } = getTypedData(primaryType, domainConfig);
+  const signer = recoverSigner(domain, types, message, signature);
+
+  if (signer !== String(expected || '').toLowerCase()) {
+    throw new Error('La firma no corresponde a la wallet');
+  }
+  return signer;
+}
+
+module.exports = { TYPES, buildDomain, getTypedData, recoverSigner, verifySignedRequest };
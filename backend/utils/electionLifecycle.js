@@ -0,0 +1,157 @@
+// Ciclo de vida de una elección: estados, transiciones permitidas y estado efectivo según fechas
+
+const STATUS = {
+  DRAFT: 'Draft',
+  SCHEDULED: 'Scheduled',
+  OPEN: 'Open',
+  REVEAL: 'Reveal',
+  CLOSED: 'Closed',
+  TALLIED: 'Tallied',
+  ARCHIVED: 'Archived'
+};
+
+const TRANSITIONS = {
+  Draft: ['Scheduled', 'Open', 'Archived'],
+  Scheduled: ['Draft', 'Open'],
+  Open: ['Closed', 'Reveal'],
+  Reveal: ['Closed'],
+  Closed: ['Tallied'],
+  Tallied: ['Archived'],
+  Archived: []
+};
+
+// Estados del formato anterior ('Activa' del server.js y backend.js originales)
+const LEGACY_STATUS = {
+  Activa: STATUS.OPEN,
+  Cerrada: STATUS.CLOSED,
+  Finalizada: STATUS.CLOSED
+};
+
+// Estados en los que todavía se pueden agregar candidatos: con la votación abierta
+// ya hay papeletas emitidas contra la lista
+const EDITABLE = [STATUS.DRAFT, STATUS.SCHEDULED];
+
+// Estados en los que se pueden inscribir votantes o modificar el padrón
+const ENROLLING = [STATUS.DRAFT, STATUS.SCHEDULED, STATUS.OPEN];
+
+function toTime(date, fallback) {
+  if (!date) return fallback;
+  const t = new Date(date).getTime();
+  return Number.isNaN(t) ? fallback : t;
+}
+
+function normalizeStatus(status) {
+  if (TRANSITIONS[status]) return status;
+  return LEGACY_STATUS[status] || STATUS.OPEN;
+}
+
+// Estado inicial: programada si empieza en el futuro, abierta si no
+function initialStatus({ startDate, draft }, now = Date.now()) {
+  if (draft) return STATUS.DRAFT;
+  return toTime(startDate, -Infinity) > now ? STATUS.SCHEDULED : STATUS.OPEN;
+}
+
+// Las elecciones de voto secreto (commit-reveal) pasan por Reveal entre Open y Closed
+function hasRevealPhase(election) {
+  return election.ballotMode === 'commitReveal';
+}
+
+// Recuento homomórfico: no se abre sin la clave conjunta de los trustees
+// ni se escruta sin los totales descifrados
+function awaitingKey(election) {
+  return Boolean(election.encryption) && !election.encryption.publicKey;
+}
+
+function awaitingDecryption(election) {
+  return Boolean(election.encryption) && !election.encryption.result;
+}
+
+// Voto ponderado: no se abre hasta importar los pesos o tomar la foto de saldos
+function awaitingWeights(election) {
+  return Boolean(election.weighting) && !election.weighting.takenAt;
+}
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+function assertTransition(election, to) {
+  if (!TRANSITIONS[to]) throw new Error('Estado desconocido: ' + to);
+  if (!canTransition(election.status, to)) {
+    throw new Error(`Transición no permitida: ${election.status} → ${to}`);
+  }
+  if (to === STATUS.SCHEDULED && !election.startDate) {
+    throw new Error('Para programar la elección se necesita startDate');
+  }
+  if (to === STATUS.REVEAL && !hasRevealPhase(election)) {
+    throw new Error('Solo las elecciones de voto secreto tienen fase de revelado');
+  }
+  if (election.status === STATUS.OPEN && to === STATUS.CLOSED && hasRevealPhase(election)) {
+    throw new Error('Una elección de voto secreto pasa por la fase de revelado (Reveal) antes de cerrarse');
+  }
+  if (to === STATUS.OPEN && awaitingKey(election)) {
+    throw new Error('La clave de la elección no está lista: faltan trustees por completar la ceremonia');
+  }
+  if (to === STATUS.OPEN && awaitingWeights(election)) {
+    throw new Error('Faltan los pesos de voto: importa la lista o toma la foto de saldos antes de abrir');
+  }
+  if (to === STATUS.TALLIED && awaitingDecryption(election)) {
+    throw new Error('Faltan participaciones de descifrado de los trustees para escrutar');
+  }
+}
+
+// Estado que corresponde ahora mismo aunque el scheduler todavía no haya corrido
+function effectiveStatus(election, now = Date.now()) {
+  const steps = dueTransitions(election, now);
+  return steps.length ? steps[steps.length - 1] : election.status;
+}
+
+// Solo se vota en Open y dentro de la ventana [startDate, endDate)
+function isOpen(election, now = Date.now()) {
+  const start = toTime(election.startDate, -Infinity);
+  return effectiveStatus(election, now) === STATUS.OPEN && start <= now;
+}
+
+// En Reveal solo se aceptan revelaciones de votos secretos
+function isRevealing(election, now = Date.now()) {
+  return effectiveStatus(election, now) === STATUS.REVEAL;
+}
+
+// Transiciones automáticas pendientes (Scheduled → Open → [Reveal →] Closed) para el scheduler;
+// una elección cifrada sigue Scheduled hasta que su clave está lista, y una ponderada hasta tener pesos
+function dueTransitions(election, now = Date.now()) {
+  const steps = [];
+  let status = election.status;
+  if (status === STATUS.SCHEDULED && toTime(election.startDate, -Infinity) <= now &&
+    !awaitingKey(election) && !awaitingWeights(election)) {
+    status = STATUS.OPEN;
+    steps.push(status);
+  }
+  if (status === STATUS.OPEN && toTime(election.endDate, Infinity) <= now) {
+    status = hasRevealPhase(election) ? STATUS.REVEAL : STATUS.CLOSED;
+    steps.push(status);
+  }
+  if (status === STATUS.REVEAL && toTime(election.revealEndDate, Infinity) <= now) {
+    steps.push(STATUS.CLOSED);
+  }
+  return steps;
+}
+
+module.exports = {
+  STATUS,
+  TRANSITIONS,
+  EDITABLE,
+  ENROLLING,
+  normalizeStatus,
+  initialStatus,
+  hasRevealPhase,
+  awaitingKey,
+  awaitingDecryption,
+  awaitingWeights,
+  canTransition,
+  assertTransition,
+  effectiveStatus,
+  isOpen,
+  isRevealing,
+  dueTransitions
+};
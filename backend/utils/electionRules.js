@@ -0,0 +1,210 @@
+// Reglas de decisión por elección: quórum de participación, mayoría exigida, segunda
+// vuelta y política de desempate. decide() convierte el recuento del método de votación
+// en un resultado formal con su justificación.
+
+const crypto = require('crypto');
+const { METHOD, rankIds } = require('./votingMethods');
+
+const MAJORITY = {
+  RELATIVE: 'relative', // gana quien más votos tiene
+  ABSOLUTE: 'absolute' // más del 50% de las papeletas válidas
+};
+
+const TIE_BREAK = {
+  CANDIDATE_ORDER: 'candidateOrder', // el candidato registrado antes (candidateId menor)
+  LOT: 'lot', // sorteo reproducible con semilla pública (elección + fecha de creación)
+  RUNOFF: 'runoff', // empate en cabeza → segunda vuelta entre los empatados
+  NONE: 'none' // empate en cabeza → sin ganador
+};
+
+const OUTCOME = {
+  WINNER: 'winner',
+  RUNOFF: 'runoffRequired',
+  NO_QUORUM: 'invalidQuorum',
+  TIE: 'tie',
+  NO_WINNER: 'noWinner',
+  NO_VOTES: 'noVotes'
+};
+
+// Métodos en los que tiene sentido exigir un porcentaje al ganador
+const THRESHOLD_METHODS = [METHOD.PLURALITY, METHOD.APPROVAL, METHOD.IRV];
+
+// blankInQuorum: los votos en blanco cuentan como participación (las abstenciones nunca)
+const DEFAULT_RULES = { quorum: 0, majority: MAJORITY.RELATIVE, runoff: false, runoffSize: 2, tieBreak: TIE_BREAK.CANDIDATE_ORDER, blankInQuorum: true };
+
+// Elecciones anteriores a las reglas: mayoría relativa, sin quórum ni segunda vuelta
+function rulesOf(election) {
+  return { ...DEFAULT_RULES, ...((election && election.rules) || {}) };
+}
+
+// majority: 'relative', 'absolute' o un porcentaje (p. ej. 60 = al menos el 60%)
+function parseMajority(value) {
+  if (value === undefined || value === null || value === '') return MAJORITY.RELATIVE;
+  if (Object.values(MAJORITY).includes(value)) return value;
+  const percent = Number(value);
+  if (!(percent > 0 && percent <= 100)) {
+    throw new Error('majority debe ser relative, absolute o un porcentaje entre 0 y 100');
+  }
+  return percent;
+}
+
+function parseRules(data, { method, seats }) {
+  const quorum = data.quorum === undefined || data.quorum === '' ? 0 : Number(data.quorum);
+  if (!(quorum >= 0 && quorum <= 100)) {
+    throw new Error('quorum debe ser un porcentaje entre 0 y 100');
+  }
+  const majority = parseMajority(data.majority);
+  const runoff = data.runoff === true || data.runoff === 'true';
+  // candidatos que pasan a la segunda vuelta (los más votados)
+  const runoffSize = data.runoffSize === undefined || data.runoffSize === '' ? 2 : parseInt(data.runoffSize);
+  if (!(runoffSize >= 2)) {
+    throw new Error('runoffSize debe ser un entero mayor que 1');
+  }
+  const tieBreak = data.tieBreak || TIE_BREAK.CANDIDATE_ORDER;
+  if (!Object.values(TIE_BREAK).includes(tieBreak)) {
+    throw new Error('Política de desempate desconocida: ' + tieBreak);
+  }
+
+  if (majority !== MAJORITY.RELATIVE && (!THRESHOLD_METHODS.includes(method) || seats !== 1)) {
+    throw new Error(`El umbral de mayoría solo se aplica a ${THRESHOLD_METHODS.join(', ')} con un puesto`);
+  }
+  if (runoff && majority === MAJORITY.RELATIVE) {
+    throw new Error('La segunda vuelta requiere un umbral de mayoría (absolute o un porcentaje)');
+  }
+  const blankInQuorum = data.blankInQuorum === undefined || data.blankInQuorum === '' ||
+    data.blankInQuorum === true || data.blankInQuorum === 'true';
+  return { quorum, majority, runoff, runoffSize, tieBreak, blankInQuorum };
+}
+
+/**
+ * Orden de desempate entre candidatos (el primero queda por delante). El sorteo usa
+ * como semilla la elección y su fecha de creación: cualquiera puede reproducirlo.
+ */
+function tieOrder(election, candidateIds) {
+  const ids = [...candidateIds].sort((a, b) => a - b);
+  if (rulesOf(election).tieBreak !== TIE_BREAK.LOT) return ids;
+  const key = id => crypto.createHash('sha256').update(`sorteo:${election.electionId}:${election.createdAt}:${id}`).digest('hex');
+  return ids.sort((a, b) => key(a).localeCompare(key(b)));
+}
+
+const pct = n => Math.round(n * 100) / 100;
+
+function majorityLabel(majority) {
+  if (majority === MAJORITY.ABSOLUTE) return 'mayoría absoluta (más del 50%)';
+  if (majority === MAJORITY.RELATIVE) return 'mayoría relativa';
+  return `al menos el ${majority}%`;
+}
+
+// Recuentos con los que se compara a los candidatos. En irv, los de la ronda final y, para
+// el resto, los de la última ronda en la que seguían en juego
+function finalCounts(outcome) {
+  if (outcome.method !== METHOD.IRV || !outcome.rounds.length) return outcome.counts;
+  return outcome.rounds.reduce((counts, round) => ({ ...counts, ...round.counts }), {});
+}
+
+// Papeletas sobre las que se mide el umbral. En irv, las que siguen en juego en la ronda
+// final: una papeleta agotada (sin más preferencias) ya no apoya a nadie
+function thresholdBase(outcome) {
+  if (outcome.method !== METHOD.IRV || !outcome.rounds.length) return outcome.total;
+  return Math.round((outcome.total - outcome.rounds[outcome.rounds.length - 1].exhausted) * 10000) / 10000;
+}
+
+/**
+ * Resultado formal a partir del recuento (votingMethods.tally):
+ * { status, winners, runoffCandidates, turnout, reasoning }.
+ * turnout = { voted, electorate, blank } (participación según blankInQuorum, censo de la
+ * elección y votos en blanco);
+ * label(candidateId) da el nombre para la justificación.
+ */
+function decide(outcome, { rules, turnout, order, label = id => `#${id}` }) {
+  const reasoning = [];
+  const participation = turnout.electorate > 0 ? pct((turnout.voted / turnout.electorate) * 100) : 0;
+  const result = {
+    status: null,
+    winners: [],
+    runoffCandidates: [],
+    turnout: { ...turnout, percentage: participation, quorum: rules.quorum, quorumMet: true },
+    reasoning
+  };
+
+  if (rules.quorum > 0) {
+    result.turnout.quorumMet = participation >= rules.quorum;
+    const blankNote = turnout.blank
+      ? (rules.blankInQuorum !== false ? `, con ${turnout.blank} en blanco` : `, sin contar ${turnout.blank} en blanco`)
+      : '';
+    reasoning.push(`Participación ${participation}% (${turnout.voted} de ${turnout.electorate}${blankNote}) ` +
+      `${result.turnout.quorumMet ? '≥' : '<'} quórum ${rules.quorum}%`);
+    if (!result.turnout.quorumMet) {
+      result.status = OUTCOME.NO_QUORUM;
+      reasoning.push('Elección inválida por no alcanzar el quórum');
+      return result;
+    }
+  }
+  if (!outcome.total) {
+    result.status = OUTCOME.NO_VOTES;
+    reasoning.push('No hay papeletas válidas (los votos en blanco y las abstenciones no eligen a nadie)');
+    return result;
+  }
+
+  const counts = finalCounts(outcome);
+  const ranking = rankIds(Object.keys(counts).map(Number), counts, [], order);
+  const leader = ranking[0];
+
+  // empate en cabeza (o en el último puesto) en los métodos de puntuación directa
+  const lastSeat = outcome.winners[outcome.winners.length - 1];
+  const tied = [METHOD.IRV, METHOD.STV].includes(outcome.method) ? [] : ranking.filter(id => counts[id] === counts[lastSeat]);
+  if (tied.length > 1 && tied.some(id => !outcome.winners.includes(id))) {
+    const names = tied.map(label).join(', ');
+    // una segunda vuelta con todos los candidatos repetiría la elección
+    if (rules.tieBreak === TIE_BREAK.RUNOFF && tied.length === ranking.length) {
+      result.status = OUTCOME.TIE;
+      reasoning.push(`Empate a ${counts[lastSeat]} entre todos los candidatos (${names}): sin ganador`);
+      return result;
+    }
+    if (rules.tieBreak === TIE_BREAK.RUNOFF) {
+      result.status = OUTCOME.RUNOFF;
+      result.runoffCandidates = tied;
+      reasoning.push(`Empate a ${counts[lastSeat]} entre ${names}: se requiere segunda vuelta`);
+      return result;
+    }
+    if (rules.tieBreak === TIE_BREAK.NONE) {
+      result.status = OUTCOME.TIE;
+      reasoning.push(`Empate a ${counts[lastSeat]} entre ${names}: sin ganador`);
+      return result;
+    }
+    reasoning.push(`Empate a ${counts[lastSeat]} entre ${names} resuelto por ` +
+      (rules.tieBreak === TIE_BREAK.LOT ? 'sorteo' : 'orden de registro'));
+  } else if (outcome.tieBreak) {
+    reasoning.push('Empates en rondas de eliminación resueltos por rondas anteriores y, después, ' +
+      (rules.tieBreak === TIE_BREAK.LOT ? 'por sorteo' : 'por orden de registro'));
+  }
+
+  if (rules.majority !== MAJORITY.RELATIVE) {
+    const base = thresholdBase(outcome);
+    const share = (counts[leader] / base) * 100;
+    const passes = rules.majority === MAJORITY.ABSOLUTE ? share > 50 : share >= rules.majority;
+    reasoning.push(`${label(leader)} obtiene ${pct(share)}% de ${base} papeletas` +
+      `${base !== outcome.total ? ' que siguen en juego' : ''}; se exige ${majorityLabel(rules.majority)}`);
+    if (!passes) {
+      if (rules.runoff && rules.runoffSize < ranking.length) {
+        result.status = OUTCOME.RUNOFF;
+        result.runoffCandidates = ranking.slice(0, rules.runoffSize);
+        reasoning.push(`Nadie alcanza el umbral: segunda vuelta entre ${result.runoffCandidates.map(label).join(', ')}`);
+      } else {
+        result.status = OUTCOME.NO_WINNER;
+        reasoning.push(rules.runoff
+          ? 'Nadie alcanza el umbral y una segunda vuelta no dejaría fuera a ningún candidato'
+          : 'Nadie alcanza el umbral y la elección no prevé segunda vuelta');
+      }
+      return result;
+    }
+  }
+
+  result.status = OUTCOME.WINNER;
+  result.winners = outcome.winners;
+  reasoning.push(`${outcome.winners.length > 1 ? 'Elegidos' : 'Ganador'}: ${outcome.winners.map(label).join(', ')} ` +
+    `(${outcome.method}${outcome.seats > 1 ? `, ${outcome.seats} puestos` : ''})`);
+  return result;
+}
+
+module.exports = { MAJORITY, TIE_BREAK, OUTCOME, rulesOf, parseRules, tieOrder, decide };
@@ -0,0 +1,341 @@
+// Recuento homomórfico con ElGamal exponencial y clave repartida entre trustees.
+// Cada papeleta cifra un 0/1 por candidato, con pruebas de que cada cifrado es 0 o 1
+// y de que suman 1; el producto de los cifrados es el cifrado del total, así que el
+// servidor solo agrega y nunca ve una elección. La clave se genera de forma
+// distribuida (Feldman/Pedersen): nadie, ni el servidor, conoce la clave privada
+// completa, y con `threshold` participaciones de descifrado se obtienen solo los totales.
+// Números en hex con prefijo 0x; las pruebas son Chaum-Pedersen no interactivas (SHA-256).
+
+const crypto = require('crypto');
+
+// Grupo de Schnorr: P primo de 2048 bits, Q primo de 256 bits que divide P - 1 y
+// G = h^((P-1)/Q) de orden Q. Generado con crypto.generatePrimeSync/checkPrimeSync (40 rondas).
+const P = BigInt('0x' +
+  'cb600d38795150bcda1f9b95e1abb007632264114468c25152ad561f19b471da' +
+  '557df1f1d3ea554814bc796044bd16a9d3467e8f91025b79e3fbfb5dfa92c906' +
+  '5a3a6068d424419d4d7b6a605fb33244b927dca00c6f8be8f25f2b562ae5abd0' +
+  'b383b9be2667113d0f28a6483d3eaab91b482331b86715450e81a001380ee0f8' +
+  '9e1026cbb58cfec3b04212dcf481fe87c6251156a073cf7a296a08123a2ac776' +
+  'e00500bcf02f1721d868ad1159661e2bc6312a31091e1db45c8e904eb69926d7' +
+  '2669d6e523116dbe0866429a2532dcdd3d0147d61425316db11280321ea4c513' +
+  'fa5ce0099278d3909d7bbc3a5942ea49ab3f193b46a9fa3af2d2a1f91b3d5313');
+const Q = BigInt('0x' +
+  'e3022aa8d41776670a71532ecf908adefb153144dbf7bd61a24c7c6762b1da6b');
+const G = BigInt('0x' +
+  '6afa9b2222d9f6d875fbec4b6fc7912fe6c3343a21abdc6e96c46921ef95e0f4' +
+  '0b8572dda6acfbe69fbb1195b6c4dfb456272c335ac7b4b12a39e0275fa202fe' +
+  '375e9f95acb557ff741939367f5485ccffef8a2b398bcfb24993aef3bf85acf6' +
+  '854199951b9ef8a23accac5879ed3f492e1f412468f5abcd9c708bec31fcdee3' +
+  '05077d590c66ffecd1e9d26ff291548c49637501e455a75885b9749c8e8dbcc7' +
+  '5e16340d49d0a3807096befeae722e4b3e8b1809a52c108163acbdd7b0255ee1' +
+  'd5d5ac54a8d4e9d5f5370d3da1a4f20488e69a893910e78d70eddde289e655de' +
+  '15c7fd612db029f32c71359e7e419be318eb68ae546ada05fac9500a28b41847');
+
+const HEX = /^0x[0-9a-f]+$/;
+
+function modPow(base, exp, mod) {
+  let result = 1n;
+  base %= mod;
+  while (exp > 0n) {
+    if (exp & 1n) result = (result * base) % mod;
+    base = (base * base) % mod;
+    exp >>= 1n;
+  }
+  return result;
+}
+
+const mulP = (a, b) => (a * b) % P;
+const pow = (base, exp) => modPow(base, ((exp % Q) + Q) % Q, P);
+// En el subgrupo de orden Q: x⁻¹ = x^(Q-1)
+const inv = x => modPow(x, Q - 1n, P);
+
+function toHex(n) {
+  return '0x' + n.toString(16);
+}
+
+function parseHex(value, label) {
+  const hex = String(value || '').toLowerCase();
+  if (!HEX.test(hex)) throw new Error(`${label} debe ser hexadecimal (0x...)`);
+  return BigInt(hex);
+}
+
+// Elemento del subgrupo (evita ataques con elementos de orden pequeño); 1 es el
+// agregado de cero papeletas
+function parseElement(value, label = 'Elemento') {
+  const x = parseHex(value, label);
+  if (x < 1n || x >= P || modPow(x, Q, P) !== 1n) throw new Error(`${label} no pertenece al grupo`);
+  return x;
+}
+
+function parseScalar(value, label = 'Escalar') {
+  const x = parseHex(value, label);
+  if (x >= Q) throw new Error(`${label} fuera de rango`);
+  return x;
+}
+
+function randomScalar() {
+  return (BigInt('0x' + crypto.randomBytes(40).toString('hex')) % (Q - 1n)) + 1n;
+}
+
+function hashToScalar(...parts) {
+  const h = crypto.createHash('sha256');
+  parts.forEach(p => h.update(typeof p === 'bigint' ? toHex(p) : String(p)).update('|'));
+  return BigInt('0x' + h.digest('hex')) % Q;
+}
+
+// --- Cifrado y pruebas de la papeleta ---
+
+function encrypt(m, h, r = randomScalar()) {
+  return { a: pow(G, r), b: mulP(pow(G, BigInt(m)), pow(h, r)), r };
+}
+
+// Prueba disyuntiva: (a, b) cifra 0 o 1 sin revelar cuál
+function proveBit(context, h, a, b, m, r) {
+  const branches = [0n, 1n].map(v => ({ v, target: mulP(b, inv(pow(G, v))) }));
+  const real = Number(m);
+  const fake = 1 - real;
+  const w = randomScalar();
+  const c = [0n, 0n];
+  const f = [0n, 0n];
+  const commits = [null, null];
+
+  c[fake] = randomScalar();
+  f[fake] = randomScalar();
+  commits[fake] = [
+    mulP(pow(G, f[fake]), pow(a, -c[fake])),
+    mulP(pow(h, f[fake]), pow(branches[fake].target, -c[fake]))
+  ];
+  commits[real] = [pow(G, w), pow(h, w)];
+
+  const challenge = hashToScalar('bit', context, h, a, b, ...commits.flat());
+  c[real] = (((challenge - c[fake]) % Q) + Q) % Q;
+  f[real] = (w + c[real] * r) % Q;
+  return { c0: toHex(c[0]), c1: toHex(c[1]), f0: toHex(f[0]), f1: toHex(f[1]) };
+}
+
+function verifyBit(context, h, a, b, proof) {
+  const c = [parseScalar(proof.c0), parseScalar(proof.c1)];
+  const f = [parseScalar(proof.f0), parseScalar(proof.f1)];
+  const commits = [0n, 1n].map((v, i) => {
+    const target = mulP(b, inv(pow(G, v)));
+    return [mulP(pow(G, f[i]), pow(a, -c[i])), mulP(pow(h, f[i]), pow(target, -c[i]))];
+  });
+  return (c[0] + c[1]) % Q === hashToScalar('bit', context, h, a, b, ...commits.flat());
+}
+
+// Chaum-Pedersen: log_g(x) = log_base(y) = secret
+function proveEqualLogs(label, base, x, y, secret, ...extra) {
+  const w = randomScalar();
+  const c = hashToScalar(label, ...extra, base, x, y, pow(G, w), pow(base, w));
+  return { c: toHex(c), f: toHex((w + c * secret) % Q) };
+}
+
+function verifyEqualLogs(label, base, x, y, proof, ...extra) {
+  const c = parseScalar(proof.c);
+  const f = parseScalar(proof.f);
+  const t1 = mulP(pow(G, f), pow(x, -c));
+  const t2 = mulP(pow(base, f), pow(y, -c));
+  return c === hashToScalar(label, ...extra, base, x, y, t1, t2);
+}
+
+// Producto de cifrados = cifrado de la suma (acepta BigInt o hex)
+function aggregate(ciphertexts) {
+  return ciphertexts.reduce((acc, ct) => ({ a: mulP(acc.a, BigInt(ct.a)), b: mulP(acc.b, BigInt(ct.b)) }), { a: 1n, b: 1n });
+}
+
+function ballotContext(electionId, voter) {
+  return `${electionId}:${String(voter).toLowerCase()}`;
+}
+
+/**
+ * Lado del votante: papeleta para candidateIds con un 1 en choice.
+ * El contexto (elección + wallet) impide reutilizar las pruebas en otra papeleta.
+ */
+function encryptBallot({ publicKey, electionId, voter, candidateIds, choice }) {
+  const h = parseElement(publicKey, 'Clave pública');
+  const context = ballotContext(electionId, voter);
+  const parts = candidateIds.map(candidateId => {
+    const m = candidateId === choice ? 1n : 0n;
+    const ct = encrypt(m, h);
+    return { candidateId, a: ct.a, b: ct.b, r: ct.r, proof: proveBit(context, h, ct.a, ct.b, m, ct.r) };
+  });
+  const sum = aggregate(parts);
+  const R = parts.reduce((acc, p) => (acc + p.r) % Q, 0n);
+  return {
+    ciphertexts: parts.map(p => ({ candidateId: p.candidateId, a: toHex(p.a), b: toHex(p.b), proof: p.proof })),
+    sumProof: proveEqualLogs('sum', h, sum.a, mulP(sum.b, inv(G)), R, context)
+  };
+}
+
+// Lado del servidor: comprueba una papeleta completa; devuelve los cifrados como BigInt
+function verifyBallot({ publicKey, electionId, voter, candidateIds, ballot }) {
+  const h = parseElement(publicKey, 'Clave pública');
+  const context = ballotContext(electionId, voter);
+  const list = Array.isArray(ballot && ballot.ciphertexts) ? ballot.ciphertexts : [];
+  const ids = list.map(ct => Number(ct.candidateId));
+  if (ids.length !== candidateIds.length || !candidateIds.every(id => ids.includes(id))) {
+    throw new Error('La papeleta debe tener un cifrado por cada candidato');
+  }
+
+  const parsed = list.map(ct => ({
+    candidateId: Number(ct.candidateId),
+    a: parseElement(ct.a, 'Cifrado'),
+    b: parseElement(ct.b, 'Cifrado'),
+    proof: ct.proof || {}
+  }));
+  parsed.forEach(ct => {
+    if (!verifyBit(context, h, ct.a, ct.b, ct.proof)) {
+      throw new Error(`Prueba 0/1 inválida para el candidato ${ct.candidateId}`);
+    }
+  });
+  const sum = aggregate(parsed);
+  if (!verifyEqualLogs('sum', h, sum.a, mulP(sum.b, inv(G)), ballot.sumProof || {}, context)) {
+    throw new Error('Prueba de suma inválida: la papeleta debe marcar exactamente un candidato');
+  }
+  return parsed;
+}
+
+// Huella de los cifrados de una papeleta (lo que firma el votante con EIP-712)
+function ballotDigest(ballot) {
+  const canonical = (ballot.ciphertexts || [])
+    .map(ct => [Number(ct.candidateId), String(ct.a).toLowerCase(), String(ct.b).toLowerCase()]);
+  return '0x' + crypto.createHash('sha256').update(JSON.stringify(canonical)).digest('hex');
+}
+
+// --- Generación distribuida de la clave (cada trustee es un dealer Feldman) ---
+
+function generateTransportKey() {
+  const secret = randomScalar();
+  return { secret: toHex(secret), publicKey: toHex(pow(G, secret)) };
+}
+
+// Hashed ElGamal: la participación (< Q, 32 bytes) se enmascara con SHA-256(y^k)
+function sealShare(share, transportKey) {
+  const k = randomScalar();
+  const mask = crypto.createHash('sha256').update(toHex(pow(parseElement(transportKey), k))).digest();
+  const plain = Buffer.from(share.toString(16).padStart(64, '0'), 'hex');
+  return { c1: toHex(pow(G, k)), c2: '0x' + Buffer.from(plain.map((byte, i) => byte ^ mask[i])).toString('hex') };
+}
+
+function openShare(sealed, transportSecret) {
+  const shared = pow(parseElement(sealed.c1), parseScalar(transportSecret));
+  const mask = crypto.createHash('sha256').update(toHex(shared)).digest();
+  const cipher = Buffer.from(String(sealed.c2).replace(/^0x/, ''), 'hex');
+  return BigInt('0x' + Buffer.from(cipher.map((byte, i) => byte ^ mask[i])).toString('hex'));
+}
+
+/**
+ * Lado del trustee: polinomio aleatorio de grado threshold-1, compromisos g^coef y
+ * la participación f(j) de cada trustee (índices desde 1) cifrada con su clave de transporte.
+ */
+function createDealing(threshold, transportKeys) {
+  const coefficients = Array.from({ length: threshold }, randomScalar);
+  const evaluate = x => coefficients.reduceRight((acc, coef) => (acc * x + coef) % Q, 0n);
+  const shares = {};
+  transportKeys.forEach(({ index, publicKey }) => {
+    shares[index] = sealShare(evaluate(BigInt(index)), publicKey);
+  });
+  return { commitments: coefficients.map(coef => toHex(pow(G, coef))), shares };
+}
+
+// g^f(index) calculado a partir de los compromisos públicos
+function committedValue(commitments, index) {
+  let result = 1n;
+  let power = 1n;
+  commitments.forEach(commitment => {
+    result = mulP(result, pow(parseElement(commitment), power));
+    power = (power * BigInt(index)) % Q;
+  });
+  return result;
+}
+
+function verifyShare(share, commitments, index) {
+  return pow(G, share) === committedValue(commitments, index);
+}
+
+function jointPublicKey(dealings) {
+  return toHex(dealings.reduce((acc, d) => mulP(acc, parseElement(d.commitments[0])), 1n));
+}
+
+// Clave de verificación del trustee index: g^(suma de sus participaciones)
+function verificationKey(dealings, index) {
+  return toHex(dealings.reduce((acc, d) => mulP(acc, committedValue(d.commitments, index)), 1n));
+}
+
+// Lado del trustee: su parte de la clave a partir de todas las dealings (falla si alguna no cuadra)
+function trusteeSecret(dealings, index, transportSecret) {
+  return toHex(dealings.reduce((acc, d) => {
+    const share = openShare(d.shares[index], transportSecret);
+    if (!verifyShare(share, d.commitments, index)) {
+      throw new Error(`La participación de ${d.from || 'un trustee'} no coincide con sus compromisos`);
+    }
+    return (acc + share) % Q;
+  }, 0n));
+}
+
+// --- Descifrado por umbral ---
+
+// Lado del trustee: A^x_j con prueba de que usa la misma x_j que su clave de verificación
+function decryptionShare(a, secret, label) {
+  const x = parseScalar(secret);
+  const base = parseElement(a);
+  const d = pow(base, x);
+  return { d: toHex(d), proof: proveEqualLogs('decrypt', base, pow(G, x), d, x, label) };
+}
+
+function verifyDecryptionShare(a, share, verificationKeyHex, label) {
+  try {
+    const base = parseElement(a);
+    return verifyEqualLogs('decrypt', base, parseElement(verificationKeyHex), parseElement(share.d), share.proof || {}, label);
+  } catch (err) {
+    return false;
+  }
+}
+
+function lagrangeAtZero(index, indexes) {
+  let num = 1n;
+  let den = 1n;
+  indexes.filter(m => m !== index).forEach(m => {
+    num = (num * BigInt(m)) % Q;
+    den = (den * (((BigInt(m) - BigInt(index)) % Q) + Q)) % Q;
+  });
+  return (num * modPow(den, Q - 2n, Q)) % Q;
+}
+
+/**
+ * Total de un candidato con threshold participaciones [{ index, d }]:
+ * g^total = b / A^x y total se busca en [0, maxTotal].
+ */
+function combineTally(b, shares, maxTotal) {
+  const indexes = shares.map(s => s.index);
+  const ax = shares.reduce((acc, s) => mulP(acc, pow(parseElement(s.d), lagrangeAtZero(s.index, indexes))), 1n);
+  const target = mulP(parseElement(b), inv(ax));
+  let value = 1n;
+  for (let total = 0; total <= maxTotal; total++) {
+    if (value === target) return total;
+    value = mulP(value, G);
+  }
+  throw new Error('No se pudo descifrar el total (participaciones inconsistentes)');
+}
+
+// Parámetros del grupo para el cliente que cifra la papeleta
+const GROUP = { p: toHex(P), q: toHex(Q), g: toHex(G) };
+
+module.exports = {
+  GROUP,
+  toHex,
+  parseElement,
+  aggregate,
+  encryptBallot,
+  verifyBallot,
+  ballotDigest,
+  generateTransportKey,
+  createDealing,
+  verifyShare,
+  jointPublicKey,
+  verificationKey,
+  trusteeSecret,
+  decryptionShare,
+  verifyDecryptionShare,
+  combineTally
+};
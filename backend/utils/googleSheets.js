@@ -1,33 +1,84 @@
-const { GoogleSpreadsheet } = require('google-spreadsheet');
-const { logger } = require('../logger');
+const fs = require('fs');
+const path = require('path');
+const { google } = require('googleapis');
 
-const SHEET_ID = process.env.GOOGLE_SHEET_ID;
-const SERVICE_EMAIL = process.env.GOOGLE_SERVICE_EMAIL;
-const PRIVATE_KEY = process.env.GOOGLE_PRIVATE_KEY ? process.env.GOOGLE_PRIVATE_KEY.replace(/\\n/g, '\n') : null;
+// Credenciales: GOOGLE_CREDENTIALS (ruta a service-account.json) o ./google/service-account.json
+const SHEET_ID = process.env.GOOGLE_SHEET_ID || '';
+const CREDENTIALS = process.env.GOOGLE_CREDENTIALS || path.join(__dirname, '..', 'google', 'service-account.json');
 
-if (!SHEET_ID || !SERVICE_EMAIL || !PRIVATE_KEY) {
-  logger.warn('Google Sheets no configurado (GOOGLE_SHEET_ID / GOOGLE_SERVICE_EMAIL / GOOGLE_PRIVATE_KEY faltan)');
+let sheetsAPI = null;
+if (SHEET_ID && fs.existsSync(CREDENTIALS)) {
+  try {
+    const auth = new google.auth.GoogleAuth({
+      keyFile: CREDENTIALS,
+      scopes: ['https://www.googleapis.com/auth/spreadsheets']
+    });
+    sheetsAPI = google.sheets({ version: 'v4', auth });
+    console.log('✅ Google Sheets API inicializada');
+  } catch (err) {
+    console.warn('⚠️ No se pudo inicializar Google Sheets API:', err.message || err);
+    sheetsAPI = null;
+  }
+} else {
+  if (!SHEET_ID) console.log('ℹ️ GOOGLE_SHEET_ID no configurado, Sheets deshabilitado');
+  else console.log('ℹ️ Google credentials no encontradas, Sheets deshabilitado');
 }
 
-async function getDoc() {
-  if (!SHEET_ID) throw new Error('GOOGLE_SHEET_ID no definido');
-  const doc = new GoogleSpreadsheet(SHEET_ID);
-  await doc.useServiceAccountAuth({ client_email: SERVICE_EMAIL, private_key: PRIVATE_KEY });
-  await doc.loadInfo();
-  return doc;
+function isEnabled() {
+  return !!(sheetsAPI && SHEET_ID);
 }
 
-async function appendRowToSheet(sheetIndex = 0, rowObj = {}) {
-  const doc = await getDoc();
-  const sheet = doc.sheetsByIndex[sheetIndex];
-  return sheet.addRow(rowObj);
+// append de una fila (no bloquear: los errores solo se registran)
+async function appendToSheet(sheetName, rowArr) {
+  if (!isEnabled()) return;
+  try {
+    await sheetsAPI.spreadsheets.values.append({
+      spreadsheetId: SHEET_ID,
+      range: `${sheetName}!A:Z`,
+      valueInputOption: 'USER_ENTERED',
+      requestBody: { values: [rowArr] }
+    });
+  } catch (err) {
+    console.error('Sheets append error:', err.message || err);
+  }
 }
 
-async function readSheetRows(sheetIndex = 0) {
-  const doc = await getDoc();
-  const sheet = doc.sheetsByIndex[sheetIndex];
-  const rows = await sheet.getRows();
-  return rows.map(r => r._rawData ? r._rawData : r);
+// leer hoja completa y convertir a objetos usando primera fila como headers
+async function readSheet(sheetName) {
+  if (!isEnabled()) return [];
+  try {
+    const resp = await sheetsAPI.spreadsheets.values.get({
+      spreadsheetId: SHEET_ID,
+      range: `${sheetName}!A:Z`
+    });
+    const rows = resp.data.values || [];
+    if (rows.length <= 1) return [];
+    const headers = rows[0];
+    return rows.slice(1).map(r => {
+      const obj = {};
+      headers.forEach((h, i) => obj[h] = r[i] || '');
+      return obj;
+    });
+  } catch (err) {
+    console.error('readSheet error:', err.message || err);
+    return [];
+  }
 }
 
-module.exports = { appendRowToSheet, readSheetRows, getDoc };
+// reemplaza el contenido de la hoja con headers + filas
+async function writeSheet(sheetName, rows) {
+  if (!isEnabled()) return;
+  const headers = rows.length ? Object.keys(rows[0]) : [];
+  const cell = v => (v === undefined || v === null) ? '' : (typeof v === 'object' ? JSON.stringify(v) : v);
+  const values = [headers, ...rows.map(r => headers.map(h => cell(r[h])))];
+  await sheetsAPI.spreadsheets.values.clear({ spreadsheetId: SHEET_ID, range: `${sheetName}!A:Z` });
+  if (!headers.length) return;
+  await sheetsAPI.spreadsheets.values.update({
+    spreadsheetId: SHEET_ID,
+    range: `${sheetName}!A1`,
+    valueInputOption: 'USER_ENTERED',
+    requestBody: { values }
+  });
+}
+
+module.exports = { isEnabled, appendToSheet, readSheet, writeSheet };
@@ -0,0 +1,103 @@
+// Detección de identidades duplicadas entre wallets usando solo índices ciegos:
+// mismo DNI, mismo email normalizado o nombres con tokens en común (Jaccard)
+
+const crypto = require('./crypto');
+
+const DEFAULT_NAME_THRESHOLD = 0.75;
+// Un token de nombre muy común (p. ej. "maria") no alcanza para comparar a todos con todos
+const MAX_NAME_BUCKET = 200;
+
+function stripAccents(text) {
+  return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+// gmail ignora puntos y lo que va después de '+'; el resto de dominios solo el '+'
+function normalizeEmail(email) {
+  const [local = '', domain = ''] = String(email || '').toLowerCase().trim().split('@');
+  if (!local || !domain) return '';
+  let user = local.split('+')[0];
+  if (domain === 'gmail.com' || domain === 'googlemail.com') user = user.replace(/\./g, '');
+  return `${user}@${domain === 'googlemail.com' ? 'gmail.com' : domain}`;
+}
+
+// Tokens de 2+ letras (o números), sin acentos ni mayúsculas, sin repetir y ordenados
+function nameTokens(name) {
+  const tokens = stripAccents(name).toLowerCase().split(/[^a-z0-9]+/).filter(t => t.length > 1 || /\d/.test(t));
+  return [...new Set(tokens)].sort();
+}
+
+// Claves de comparación cifradas con el índice ciego (nunca el valor en claro)
+function matchKeys({ name, email }) {
+  const normalized = normalizeEmail(email);
+  return {
+    email: normalized ? crypto.blindIndex('email:' + normalized) : '',
+    name: nameTokens(name).map(token => crypto.blindIndex('name:' + token))
+  };
+}
+
+function jaccard(a, b) {
+  if (!a.length || !b.length) return 0;
+  const setB = new Set(b);
+  const shared = a.filter(x => setB.has(x)).length;
+  return shared / (a.length + b.length - shared);
+}
+
+// Motivos por los que dos votantes parecen la misma persona ([] si ninguno)
+function compare(a, b, nameThreshold = DEFAULT_NAME_THRESHOLD) {
+  const reasons = [];
+  if (a.idNumberHash && a.idNumberHash === b.idNumberHash) reasons.push({ type: 'idNumber', score: 1 });
+  const keysA = a.matchKeys || {};
+  const keysB = b.matchKeys || {};
+  if (keysA.email && keysA.email === keysB.email) reasons.push({ type: 'email', score: 1 });
+  const score = jaccard(keysA.name || [], keysB.name || []);
+  if (score >= nameThreshold) reasons.push({ type: 'name', score: Number(score.toFixed(2)) });
+  return reasons;
+}
+
+// Votantes que coinciden con voter (se comparan solo los que comparten alguna clave)
+function findMatches(voters, voter, options = {}) {
+  const keys = voter.matchKeys || {};
+  const names = new Set(keys.name || []);
+  return voters
+    .filter(other => other !== voter && other.walletAddress !== voter.walletAddress)
+    .filter(other => {
+      const otherKeys = other.matchKeys || {};
+      return (voter.idNumberHash && other.idNumberHash === voter.idNumberHash) ||
+        (keys.email && otherKeys.email === keys.email) ||
+        (otherKeys.name || []).some(token => names.has(token));
+    })
+    .map(other => ({ walletAddress: other.walletAddress, reasons: compare(voter, other, options.nameThreshold) }))
+    .filter(match => match.reasons.length);
+}
+
+// Todos los pares sospechosos de una lista (índice invertido por clave para no comparar n²)
+function findClusters(voters, options = {}) {
+  const buckets = new Map();
+  const add = (key, voter) => {
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(voter);
+  };
+  voters.forEach(voter => {
+    const keys = voter.matchKeys || {};
+    if (voter.idNumberHash) add('id:' + voter.idNumberHash, voter);
+    if (keys.email) add('email:' + keys.email, voter);
+    if ((keys.name || []).length) add('fullname:' + [...keys.name].sort().join(','), voter);
+    (keys.name || []).forEach(token => add('name:' + token, voter));
+  });
+
+  const pairs = new Map();
+  buckets.forEach((group, key) => {
+    if (key.startsWith('name:') && group.length > MAX_NAME_BUCKET) return;
+    for (let i = 0; i < group.length; i++) {
+      for (let j = i + 1; j < group.length; j++) {
+        const [a, b] = [group[i], group[j]].sort((x, y) => x.walletAddress.localeCompare(y.walletAddress));
+        const id = a.walletAddress + ':' + b.walletAddress;
+        if (pairs.has(id) || a.walletAddress === b.walletAddress) continue;
+        pairs.set(id, { wallets: [a.walletAddress, b.walletAddress], reasons: compare(a, b, options.nameThreshold) });
+      }
+    }
+  });
+  return [...pairs.values()].filter(pair => pair.reasons.length);
+}
+
+module.exports = { normalizeEmail, nameTokens, matchKeys, compare, findMatches, findClusters };
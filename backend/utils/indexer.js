@@ -0,0 +1,141 @@
+const { ethers } = require('ethers');
+const VotingABI = require('../abi/votingAbi');
+
+/**
+ * Sigue los eventos VoteCast y VoteRevealed del contrato desde un checkpoint guardado.
+ * El estado (checkpoint + hashes de los últimos bloques) vive en getState() para
+ * persistirse junto con la base de datos; ante un reorg se retrocede hasta el
+ * último bloque cuyo hash sigue coincidiendo y se notifica con onRollback(fromBlock).
+ */
+function createIndexer({
+  rpcUrl,
+  contractAddress,
+  getState,
+  startBlock = 0,
+  reorgDepth = 12,
+  batchSize = 2000,
+  pollInterval = 15000,
+  onEvents,
+  onRollback,
+  onSynced
+}) {
+  if (!contractAddress) throw new Error('VOTING_CONTRACT_ADDRESS no configurado');
+
+  // sin caché: la detección de reorgs necesita hashes frescos
+  const provider = new ethers.JsonRpcProvider(rpcUrl, undefined, { cacheTimeout: -1 });
+  const contract = new ethers.Contract(contractAddress, VotingABI.Voting, provider);
+  let timer = null;
+  let running = false;
+
+  function state() {
+    const s = getState();
+    if (s.checkpointBlock === null || s.checkpointBlock === undefined) s.checkpointBlock = startBlock - 1;
+    if (!Array.isArray(s.recentBlocks)) s.recentBlocks = [];
+    return s;
+  }
+
+  // Devuelve el primer bloque invalidado por un reorg, o null si la cadena sigue igual
+  async function detectReorg(s) {
+    const recent = [...s.recentBlocks].sort((a, b) => b.number - a.number);
+    for (let i = 0; i < recent.length; i++) {
+      const block = await provider.getBlock(recent[i].number);
+      if (block && block.hash === recent[i].hash) {
+        return i === 0 ? null : recent[i].number + 1;
+      }
+    }
+    // Ningún hash coincide: el reorg es más profundo que lo guardado
+    return recent.length ? Math.max(startBlock, recent[recent.length - 1].number - reorgDepth) : null;
+  }
+
+  async function rememberBlocks(s, from, to) {
+    const first = Math.max(from, to - reorgDepth + 1);
+    for (let n = first; n <= to; n++) {
+      const block = await provider.getBlock(n);
+      if (block) s.recentBlocks.push({ number: n, hash: block.hash });
+    }
+    s.recentBlocks = s.recentBlocks
+      .filter((b, i, arr) => arr.findIndex(x => x.number === b.number) === i)
+      .filter(b => b.number > to - reorgDepth)
+      .sort((a, b) => a.number - b.number);
+  }
+
+  async function poll() {
+    const s = state();
+    const head = await provider.getBlockNumber();
+
+    const forkBlock = await detectReorg(s);
+    if (forkBlock !== null) {
+      s.checkpointBlock = forkBlock - 1;
+      s.recentBlocks = s.recentBlocks.filter(b => b.number < forkBlock);
+      s.rollbacks = (s.rollbacks || 0) + 1;
+      await onRollback(forkBlock);
+    }
+
+    let from = s.checkpointBlock + 1;
+    while (from <= head) {
+      const to = Math.min(from + batchSize - 1, head);
+      const logs = [
+        ...await contract.queryFilter(contract.filters.VoteCast(), from, to),
+        ...await contract.queryFilter(contract.filters.VoteRevealed(), from, to)
+      ].sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+      // hora de cada bloque: el backend comprueba que la elección estaba abierta entonces
+      const times = {};
+      for (const number of new Set(logs.map(log => log.blockNumber))) {
+        const block = await provider.getBlock(number);
+        times[number] = block ? new Date(block.timestamp * 1000).toISOString() : null;
+      }
+      const events = logs.map(log => ({
+        txHash: log.transactionHash,
+        logIndex: log.index,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        blockTime: times[log.blockNumber],
+        electionId: Number(log.args.electionId),
+        // VoteRevealed no lleva la opción: el backend la recibe en revealVote
+        candidateId: log.eventName === 'VoteRevealed' ? null : Number(log.args.candidateId),
+        revealed: log.eventName === 'VoteRevealed',
+        voter: log.args.voter.toLowerCase()
+      }));
+
+      if (events.length) await onEvents(events);
+      await rememberBlocks(s, from, to);
+      s.checkpointBlock = to;
+      from = to + 1;
+    }
+
+    s.headBlock = head;
+    s.lastRunAt = new Date().toISOString();
+    s.lastError = '';
+    if (onSynced) await onSynced(s);
+  }
+
+  async function tick() {
+    if (running) return;
+    running = true;
+    try {
+      await poll();
+    } catch (err) {
+      const s = state();
+      s.lastError = err.shortMessage || err.message;
+      s.lastRunAt = new Date().toISOString();
+      console.error('Error en indexer:', s.lastError);
+    } finally {
+      running = false;
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    tick();
+    timer = setInterval(tick, pollInterval);
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { start, stop, poll, tick, isRunning: () => !!timer };
+}
+
+module.exports = { createIndexer };
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Journal de escritura anticipada (JSONL). Cada mutación se agrega con fsync
+ * antes de aplicarse; al arrancar se vuelven a aplicar las entradas con seq
+ * mayor al último guardado en la base. Una entrada { seq, aborted: true }
+ * anula la mutación con ese seq (falló al aplicarse).
+ */
+function createJournal(file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  let fd = fs.openSync(file, 'a');
+  let lastSeq = 0;
+
+  function write(entry) {
+    fs.writeSync(fd, JSON.stringify(entry) + '\n');
+    fs.fsyncSync(fd);
+  }
+
+  // Entradas pendientes: con seq > afterSeq y no abortadas
+  function read(afterSeq = 0) {
+    const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+    const entries = [];
+    const aborted = new Set();
+    for (const line of lines) {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (err) {
+        // línea a medio escribir por un corte: se descarta
+        break;
+      }
+      lastSeq = Math.max(lastSeq, entry.seq);
+      if (entry.aborted) aborted.add(entry.seq);
+      else entries.push(entry);
+    }
+    return entries.filter(e => e.seq > afterSeq && !aborted.has(e.seq));
+  }
+
+  function append(action, data, at = new Date().toISOString()) {
+    const entry = { seq: ++lastSeq, at, action, data };
+    write(entry);
+    return entry;
+  }
+
+  function abort(seq) {
+    write({ seq, aborted: true });
+  }
+
+  // Vacía el journal si todo lo escrito ya está persistido en la base
+  function truncate(persistedSeq) {
+    if (persistedSeq < lastSeq) return false;
+    fs.ftruncateSync(fd, 0);
+    fs.fsyncSync(fd);
+    return true;
+  }
+
+  function setSeq(seq) {
+    lastSeq = Math.max(lastSeq, seq || 0);
+  }
+
+  // Una línea sin \n final quedó a medias por un corte: se recorta antes de seguir agregando
+  const content = fs.readFileSync(file, 'utf8');
+  if (content && !content.endsWith('\n')) {
+    fs.ftruncateSync(fd, Buffer.byteLength(content.slice(0, content.lastIndexOf('\n') + 1)));
+  }
+  // seq inicial: el mayor presente en el archivo
+  read();
+
+  function close() {
+    if (fd !== null) fs.closeSync(fd);
+    fd = null;
+  }
+
+  return { file, read, append, abort, truncate, setSeq, close, get lastSeq() { return lastSeq; } };
+}
+
+module.exports = { createJournal };
@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+
+const ZERO_HASH = '0'.repeat(64);
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(String(text)).digest('hex');
+}
+
+// JSON con claves ordenadas: el mismo contenido produce siempre el mismo hash
+function canonicalize(value) {
+  if (Array.isArray(value)) return '[' + value.map(canonicalize).join(',') + ']';
+  if (value && typeof value === 'object') {
+    return '{' + Object.keys(value)
+      .filter(k => value[k] !== undefined)
+      .sort()
+      .map(k => JSON.stringify(k) + ':' + canonicalize(value[k]))
+      .join(',') + '}';
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// El nodo impar sube sin cambios al nivel siguiente: duplicarlo haría que [a, b, c] y
+// [a, b, c, c] tuvieran la misma raíz (CVE-2012-2459)
+function merkleRoot(items = []) {
+  if (!items.length) return ZERO_HASH;
+  let level = items.map(item => sha256(canonicalize(item)));
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? sha256(level[i] + level[i + 1]) : level[i]);
+    }
+    level = next;
+  }
+  return level[0];
+}
+
+function hashBlock(block) {
+  return sha256(canonicalize({
+    blockNumber: block.blockNumber,
+    timestamp: block.timestamp,
+    action: block.action,
+    details: block.details,
+    merkleRoot: block.merkleRoot,
+    prevHash: block.prevHash
+  }));
+}
+
+function createBlock(prev, action, details, votes = [], timestamp = new Date().toISOString()) {
+  const block = {
+    blockNumber: prev ? prev.blockNumber + 1 : 0,
+    timestamp,
+    action,
+    details: JSON.parse(JSON.stringify(details || {})),
+    votes: JSON.parse(JSON.stringify(votes)),
+    merkleRoot: merkleRoot(votes),
+    prevHash: prev ? prev.hash : ZERO_HASH
+  };
+  block.hash = hashBlock(block);
+  return block;
+}
+
+// Recorre la cadena desde génesis y devuelve el primer enlace roto
+function verifyChain(chain = []) {
+  for (let i = 0; i < chain.length; i++) {
+    const block = chain[i];
+    const expectedPrev = i === 0 ? ZERO_HASH : chain[i - 1].hash;
+    let reason = null;
+
+    if (block.blockNumber !== i) reason = 'blockNumber fuera de secuencia';
+    else if (block.prevHash !== expectedPrev) reason = 'prevHash no coincide con el bloque anterior';
+    else if (block.merkleRoot !== merkleRoot(block.votes || [])) reason = 'merkleRoot no coincide con los votos';
+    else if (block.hash !== hashBlock(block)) reason = 'hash del bloque alterado';
+
+    if (reason) {
+      return { valid: false, length: chain.length, brokenAt: i, reason };
+    }
+  }
+  return { valid: true, length: chain.length, brokenAt: null, reason: null };
+}
+
+module.exports = { ZERO_HASH, sha256, canonicalize, merkleRoot, hashBlock, createBlock, verifyChain };
@@ -0,0 +1,17 @@
+// Cola de ejecución: las funciones pasadas a run() se ejecutan de a una, en orden de llegada
+function createMutex() {
+  let tail = Promise.resolve();
+  let pending = 0;
+
+  function run(fn) {
+    pending++;
+    const result = tail.then(() => fn());
+    // un error no debe bloquear a los siguientes
+    tail = result.catch(() => {}).finally(() => { pending--; });
+    return result;
+  }
+
+  return { run, get pending() { return pending; } };
+}
+
+module.exports = { createMutex };
@@ -0,0 +1,123 @@
+// Datos personales de los votantes: cifrado por campo, índice ciego del DNI y vistas según rol
+
+const crypto = require('./crypto');
+const identity = require('./identity');
+
+const PII_FIELDS = ['name', 'idNumber', 'email', 'ipAddress'];
+// Campos con datos personales en las peticiones que se guardan en el journal
+const REQUEST_FIELDS = { registerVoter: ['name', 'idNumber', 'dni', 'email', 'ipAddress'] };
+const MASK = '••••••';
+
+// DNI sin puntos, guiones ni espacios y en mayúsculas
+function normalizeIdNumber(idNumber) {
+  return String(idNumber || '').toUpperCase().replace(/[^0-9A-Z]/g, '');
+}
+
+function idNumberIndex(idNumber) {
+  return crypto.blindIndex(normalizeIdNumber(idNumber));
+}
+
+function safeDecrypt(value) {
+  try {
+    return crypto.decrypt(value);
+  } catch (err) {
+    return '[no descifrable]';
+  }
+}
+
+/**
+ * Cifra en el lugar los campos personales que estén en claro (con rotate, también
+ * re-cifra con la clave actual lo cifrado con claves anteriores) y recalcula los
+ * índices ciegos (DNI y claves de comparación de nombre/email). Devuelve true si cambió algo.
+ */
+function sealVoter(voter, rotate = false) {
+  let changed = false;
+  const idNumber = crypto.decrypt(voter.idNumber);
+  const matchKeys = identity.matchKeys({ name: crypto.decrypt(voter.name), email: crypto.decrypt(voter.email) });
+
+  PII_FIELDS.forEach(field => {
+    const value = voter[field];
+    if (crypto.needsReencrypt(value) && (rotate || !crypto.isEncrypted(value))) {
+      voter[field] = crypto.encrypt(crypto.decrypt(voter[field]));
+      changed = true;
+    }
+  });
+
+  const index = idNumber ? idNumberIndex(idNumber) : '';
+  if (voter.idNumberHash !== index) {
+    voter.idNumberHash = index;
+    changed = true;
+  }
+  if (JSON.stringify(voter.matchKeys) !== JSON.stringify(matchKeys)) {
+    voter.matchKeys = matchKeys;
+    changed = true;
+  }
+  return changed;
+}
+
+function revealVoter(voter) {
+  const out = { ...voter };
+  PII_FIELDS.forEach(field => { out[field] = safeDecrypt(voter[field]); });
+  return out;
+}
+
+function maskVoter(voter) {
+  const out = { ...voter };
+  PII_FIELDS.forEach(field => { if (voter[field]) out[field] = MASK; });
+  return out;
+}
+
+function viewVoter(voter, reveal) {
+  return reveal ? revealVoter(voter) : maskVoter(voter);
+}
+
+// Filas de exportación (locales o de Sheets): todo valor cifrado se descifra o se oculta
+function viewRows(rows, reveal) {
+  return rows.map(row => {
+    const out = { ...row };
+    Object.keys(out).forEach(key => {
+      if (crypto.isEncrypted(out[key])) out[key] = reveal ? safeDecrypt(out[key]) : MASK;
+      else if (!reveal && PII_FIELDS.includes(key) && out[key]) out[key] = MASK;
+    });
+    return out;
+  });
+}
+
+// Copia de los datos de una petición sin información personal (para auditoría)
+function redact(data) {
+  const out = { ...data };
+  REQUEST_FIELDS.registerVoter.forEach(field => { if (out[field]) out[field] = MASK; });
+  return out;
+}
+
+// Cifra / descifra los campos personales de una petición antes de escribirla en el journal
+function sealRequest(action, data) {
+  const fields = REQUEST_FIELDS[action];
+  if (!fields || !crypto.isEnabled()) return data;
+  const out = { ...data };
+  fields.forEach(field => { if (typeof out[field] === 'string') out[field] = crypto.encrypt(out[field]); });
+  return out;
+}
+
+function openRequest(action, data) {
+  const fields = REQUEST_FIELDS[action];
+  if (!fields) return data;
+  const out = { ...data };
+  fields.forEach(field => { out[field] = crypto.decrypt(out[field]); });
+  return out;
+}
+
+module.exports = {
+  PII_FIELDS,
+  MASK,
+  normalizeIdNumber,
+  idNumberIndex,
+  sealVoter,
+  revealVoter,
+  maskVoter,
+  viewVoter,
+  viewRows,
+  redact,
+  sealRequest,
+  openRequest
+};
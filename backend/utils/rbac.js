@@ -0,0 +1,188 @@
+// Roles, permisos por ruta/acción y middleware único de autorización
+
+const { VOTER_STATUS } = require('./voterRoll');
+
+const ROLES = {
+  SUPERADMIN: 'superadmin',
+  ELECTION_ADMIN: 'electionAdmin',
+  AUDITOR: 'auditor',
+  VOTER: 'voter'
+};
+
+// voter no se asigna: lo tiene toda wallet registrada y aprobada
+const GRANTABLE = [ROLES.SUPERADMIN, ROLES.ELECTION_ADMIN, ROLES.AUDITOR];
+
+const PUBLIC = null;
+const AUTHENTICATED = [];
+const ADMIN = [ROLES.ELECTION_ADMIN];
+const AUDIT = [ROLES.AUDITOR];
+const SUPER = [ROLES.SUPERADMIN];
+
+// Acciones de /api. Las firmadas con EIP-712 por el votante son públicas: la firma es la autenticación.
+// Una acción que no figure aquí requiere superadmin.
+const ACTION_POLICY = {
+  getActiveElections: PUBLIC,
+  getElections: PUBLIC,
+  getCandidates: PUBLIC,
+  getResults: PUBLIC,
+  getStats: PUBLIC,
+  getChartData: PUBLIC,
+  getTypedData: PUBLIC,
+  verifyChain: PUBLIC,
+  verifyTx: PUBLIC,
+  getRelayStatus: PUBLIC,
+  getForwarderInfo: PUBLIC,
+  getEligibility: PUBLIC,
+  getVotersOverTime: PUBLIC,
+  getActivitySeries: PUBLIC,
+  getCandidatesCountPerElection: PUBLIC,
+  getParticipation: PUBLIC,
+
+  registerVoter: PUBLIC,
+  recordVote: PUBLIC,
+  castVote: PUBLIC,
+  commitVote: PUBLIC,
+  revealVote: PUBLIC,
+  requestVotingToken: PUBLIC,
+  castAnonymousVote: PUBLIC,
+  getAnonymousAudit: PUBLIC,
+  castEncryptedVote: PUBLIC,
+  getKeyCeremony: PUBLIC,
+  verifyEncryptedTally: PUBLIC,
+  enrollVoter: PUBLIC,
+  delegateVote: PUBLIC,
+  revokeDelegation: PUBLIC,
+  getDelegations: PUBLIC,
+  relay: PUBLIC,
+
+  // trustees de elecciones cifradas: la pertenencia se comprueba en cada acción
+  registerTrusteeKey: AUTHENTICATED,
+  submitKeyDealing: AUTHENTICATED,
+  submitDecryptionShare: AUTHENTICATED,
+
+  createElection: ADMIN,
+  addCandidate: ADMIN,
+  setElectionStatus: ADMIN,
+  openElection: ADMIN,
+  startReveal: ADMIN,
+  closeElection: ADMIN,
+  tallyElection: ADMIN,
+  archiveElection: ADMIN,
+  createRunoff: ADMIN,
+  addToRoll: ADMIN,
+  importVoterRoll: ADMIN,
+  setRollStatus: ADMIN,
+  setElectionEligibility: ADMIN,
+  importVoterWeights: ADMIN,
+  snapshotVoterWeights: ADMIN,
+  getVoterRoll: [ROLES.ELECTION_ADMIN, ROLES.AUDITOR],
+  getVoterWeights: [ROLES.ELECTION_ADMIN, ROLES.AUDITOR],
+  getReconciliation: AUDIT,
+  listRoles: AUDIT,
+  getIdentityReviews: AUDIT,
+
+  setVoterStatus: SUPER,
+  grantRole: SUPER,
+  revokeRole: SUPER,
+  syncToSheets: SUPER,
+  rotatePiiKey: SUPER,
+  scanIdentities: SUPER,
+  resolveIdentityReview: SUPER,
+  logRelayer: SUPER,
+  // la aplica snapshotVoterWeights con lo leído del RPC
+  applyWeightSnapshot: SUPER,
+  init: SUPER
+};
+
+// Rutas HTTP fuera de /api; lo que no figure (estáticos, /health, /auth/nonce...) es público
+const ROUTE_POLICY = [
+  { method: 'GET', path: /^\/auth\/me$/, roles: AUTHENTICATED },
+  { method: 'POST', path: /^\/auth\/logout$/, roles: AUTHENTICATED },
+  { method: 'GET', path: /^\/db\/all$/, roles: AUDIT },
+  { method: 'GET', path: /^\/export(\/.*)?$/, roles: AUDIT },
+  { method: 'GET', path: /^\/api\/db\/export\//, roles: AUDIT },
+  { method: 'POST', path: /^\/db\/reset$/, roles: SUPER },
+  { method: 'POST', path: /^\/db\/sync-to-sheets$/, roles: SUPER },
+  { method: 'POST', path: /^\/import$/, roles: SUPER }
+];
+
+// Permisos de una dirección: [{ role, electionId }] (electionId null = todas las elecciones)
+function grantsOf(db, config, address) {
+  const wallet = String(address || '').toLowerCase();
+  if (!wallet) return [];
+  const grants = (db.roleAssignments || [])
+    .filter(a => a.address === wallet)
+    .map(a => ({ role: a.role, electionId: a.electionId ?? null }));
+  // las direcciones de ADMIN_ADDRESSES son superadmin de arranque
+  if (config.ADMIN_ADDRESSES.includes(wallet)) grants.push({ role: ROLES.SUPERADMIN, electionId: null });
+  const voter = (db.voters || []).find(v => v.walletAddress === wallet);
+  if (voter && voter.status === VOTER_STATUS.APPROVED) grants.push({ role: ROLES.VOTER, electionId: null });
+  return grants;
+}
+
+// superadmin puede todo; el resto según rol y alcance
+function hasRole(grants, role, electionId) {
+  return grants.some(g => g.role === ROLES.SUPERADMIN ||
+    (g.role === role && (g.electionId === null || g.electionId === electionId)));
+}
+
+// Solo superadmin ve los datos personales descifrados; el resto los recibe enmascarados
+function canRevealPII(grants) {
+  return hasRole(grants || [], ROLES.SUPERADMIN);
+}
+
+function requirementFor(req) {
+  // Express no distingue mayúsculas ni la barra final: se normaliza igual
+  const path = req.path.toLowerCase().replace(/\/+$/, '') || '/';
+  if (path === '/api') {
+    const data = req.method === 'GET' ? req.query : (req.body || {});
+    if (!data.action) return { roles: PUBLIC };
+    const roles = Object.prototype.hasOwnProperty.call(ACTION_POLICY, data.action) ? ACTION_POLICY[data.action] : SUPER;
+    const electionId = parseInt(data.electionId || data.election);
+    return { roles, electionId: Number.isNaN(electionId) ? undefined : electionId };
+  }
+  const rule = ROUTE_POLICY.find(r => r.method === req.method && r.path.test(path));
+  return { roles: rule ? rule.roles : PUBLIC };
+}
+
+function bearerToken(req) {
+  const header = req.get('authorization') || '';
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+}
+
+/**
+ * Middleware único: resuelve la sesión (Authorization: Bearer <jwt>), deja
+ * req.auth = { address, grants, claims } y aplica ACTION_POLICY / ROUTE_POLICY.
+ */
+function createAuthorizer({ sessions, config, getDb }) {
+  return function authorize(req, res, next) {
+    const token = bearerToken(req);
+    const claims = token ? sessions.verify(token) : null;
+    if (token && !claims) {
+      return res.status(401).json({ success: false, error: 'Sesión inválida o expirada' });
+    }
+    req.auth = claims ? { address: claims.sub, grants: grantsOf(getDb(), config, claims.sub), claims } : null;
+
+    const { roles, electionId } = requirementFor(req);
+    if (roles === PUBLIC) return next();
+    if (!req.auth) {
+      return res.status(401).json({ success: false, error: 'Autenticación requerida' });
+    }
+    if (roles.length && !roles.some(role => hasRole(req.auth.grants, role, electionId))) {
+      return res.status(403).json({ success: false, error: `Permiso insuficiente: requiere ${roles.join(' o ')}` });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  ROLES,
+  GRANTABLE,
+  ACTION_POLICY,
+  ROUTE_POLICY,
+  grantsOf,
+  hasRole,
+  canRevealPII,
+  requirementFor,
+  createAuthorizer
+};
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+const fieldCrypto = require('./crypto');
+const blindSignature = require('./blindSignature');
+
+/**
+ * Claves RSA del registrador, una por elección anónima. Viven fuera de la base de
+ * datos (que se exporta a auditores) y la privada se guarda cifrada con CRYPTO_SECRET.
+ * ensure(label) es idempotente: al re-aplicar el journal se reutiliza la misma clave.
+ */
+function createRegistrarKeys(file) {
+  let cache = null;
+
+  function read() {
+    if (!cache) cache = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+    return cache;
+  }
+
+  // Archivo temporal + rename, igual que el adaptador JSON
+  function write(keys) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(keys, null, 2), { mode: 0o600 });
+    fs.renameSync(tmp, file);
+  }
+
+  // Clave pública de label; la genera si todavía no existe
+  function ensure(label) {
+    const keys = read();
+    if (!keys[label]) {
+      const pair = blindSignature.generateKeyPair();
+      keys[label] = {
+        publicKey: pair.publicKey,
+        privateKey: fieldCrypto.encrypt(JSON.stringify(pair.privateKey)),
+        createdAt: new Date().toISOString()
+      };
+      write(keys);
+    }
+    return keys[label].publicKey;
+  }
+
+  function privateKey(label) {
+    const entry = read()[label];
+    if (!entry) throw new Error('Clave del registrador no encontrada para esta elección');
+    return JSON.parse(fieldCrypto.decrypt(entry.privateKey));
+  }
+
+  // Re-cifra las claves privadas con CRYPTO_SECRET (rotación de clave)
+  function reencrypt() {
+    const keys = read();
+    let changed = 0;
+    Object.values(keys).forEach(entry => {
+      if (fieldCrypto.needsReencrypt(entry.privateKey)) {
+        entry.privateKey = fieldCrypto.encrypt(fieldCrypto.decrypt(entry.privateKey));
+        changed++;
+      }
+    });
+    if (changed) write(keys);
+    return changed;
+  }
+
+  return { ensure, privateKey, reencrypt };
+}
+
+module.exports = { createRegistrarKeys };
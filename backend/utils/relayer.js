@@ -0,0 +1,98 @@
+const { ethers } = require('ethers');
+const { VotingForwarder: FORWARDER_ABI } = require('../abi/votingAbi');
+
+const FORWARD_REQUEST_TYPES = {
+  ForwardRequest: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'gas', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint48' },
+    { name: 'data', type: 'bytes' }
+  ]
+};
+
+function normalizeRequest(req = {}) {
+  const { from, to, data, signature } = req;
+  if (!from || !to || !data || !signature) {
+    throw new Error('ForwardRequest incompleto: from, to, data y signature son obligatorios');
+  }
+  if (!ethers.isAddress(from) || !ethers.isAddress(to)) {
+    throw new Error('Dirección inválida en ForwardRequest');
+  }
+  return {
+    from: ethers.getAddress(from),
+    to: ethers.getAddress(to),
+    value: BigInt(req.value || 0),
+    gas: BigInt(req.gas || 0),
+    nonce: BigInt(req.nonce === undefined ? -1 : req.nonce),
+    deadline: BigInt(req.deadline || 0),
+    data,
+    signature
+  };
+}
+
+function createRelayer({ rpcUrl, privateKey, forwarderAddress, forwarderName }) {
+  if (!forwarderAddress) throw new Error('FORWARDER_ADDRESS no configurado');
+  if (!privateKey) throw new Error('RELAYER_PRIVATE_KEY no configurada');
+
+  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  const wallet = new ethers.Wallet(privateKey, provider);
+  const forwarder = new ethers.Contract(forwarderAddress, FORWARDER_ABI, wallet);
+
+  async function getDomain() {
+    const { chainId } = await provider.getNetwork();
+    return { name: forwarderName, version: '1', chainId, verifyingContract: forwarderAddress };
+  }
+
+  async function getNonce(address) {
+    return forwarder.nonces(address);
+  }
+
+  // Firma off-chain, nonce y deadline; luego confirma con verify() del forwarder
+  async function validate(payload) {
+    const req = normalizeRequest(payload);
+    const now = BigInt(Math.floor(Date.now() / 1000));
+    if (req.deadline <= now) throw new Error('ForwardRequest expirado');
+
+    const expectedNonce = await getNonce(req.from);
+    if (req.nonce !== expectedNonce) {
+      throw new Error(`Nonce inválido: esperado ${expectedNonce}, recibido ${req.nonce}`);
+    }
+
+    const { signature, ...message } = req;
+    let signer;
+    try {
+      signer = ethers.verifyTypedData(await getDomain(), FORWARD_REQUEST_TYPES, message, signature);
+    } catch (err) {
+      throw new Error('Firma de ForwardRequest inválida');
+    }
+    if (signer !== req.from) throw new Error('La firma no corresponde a from');
+
+    const ok = await forwarder.verify(toRequestData(req));
+    if (!ok) throw new Error('El forwarder rechazó la solicitud');
+    return req;
+  }
+
+  async function submit(payload) {
+    const req = await validate(payload);
+    return forwarder.execute(toRequestData(req), { value: req.value });
+  }
+
+  return { provider, wallet, forwarder, getDomain, getNonce, validate, submit };
+}
+
+function toRequestData(req) {
+  return {
+    from: req.from,
+    to: req.to,
+    value: req.value,
+    gas: req.gas,
+    deadline: req.deadline,
+    data: req.data,
+    signature: req.signature
+  };
+}
+
+module.exports = { FORWARDER_ABI, FORWARD_REQUEST_TYPES, normalizeRequest, createRelayer };
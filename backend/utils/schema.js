@@ -0,0 +1,144 @@
+// Esquema canónico (camelCase) y conversión desde el formato PascalCase del antiguo backend.js
+
+const lifecycle = require('./electionLifecycle');
+const voterRoll = require('./voterRoll');
+
+const COLLECTIONS = ['voters', 'voterRolls', 'roleAssignments', 'identityReviews', 'votingTokens', 'elections', 'candidates', 'votes', 'sysActivity', 'usedNonces', 'delegations'];
+
+const num = v => (v === undefined || v === null || v === '') ? 0 : Number(v);
+
+function normalizeVoter(v) {
+  if (!('Wallet' in v)) return v;
+  return {
+    walletAddress: String(v.Wallet || '').toLowerCase().trim(),
+    name: v.Name || '',
+    idNumber: v.IDNumber || '',
+    email: v.Email || '',
+    ipAddress: v.IP || '',
+    registeredAt: v.RegisteredAt || new Date().toISOString(),
+    status: v.Status || 'Activo'
+  };
+}
+
+function normalizeElection(e) {
+  if (!('ElectionID' in e)) return e;
+  return {
+    electionId: num(e.ElectionID),
+    title: e.Title || '',
+    description: e.Description || '',
+    startDate: e.StartDate || '',
+    endDate: e.EndDate || '',
+    status: e.Status || 'Activa',
+    totalVotes: num(e.TotalVotes),
+    createdAt: e.CreatedAt || new Date().toISOString(),
+    contractAddress: e.ContractAddress || ''
+  };
+}
+
+function normalizeCandidate(c) {
+  if (!('CandidateID' in c)) return c;
+  return {
+    electionId: num(c.ElectionID),
+    candidateId: num(c.CandidateID),
+    name: c.Name || '',
+    party: c.Party || '',
+    votes: num(c.Votes),
+    percentage: c.Percentage || '0%',
+    addedAt: c.CreatedAt || new Date().toISOString()
+  };
+}
+
+function normalizeVote(v) {
+  if (!('Wallet' in v)) return v;
+  return {
+    txHash: v.TxHash || '',
+    walletAddress: String(v.Wallet || '').toLowerCase().trim(),
+    electionId: num(v.ElectionID),
+    candidateId: num(v.CandidateID),
+    timestamp: v.Timestamp || new Date().toISOString(),
+    blockNumber: num(v.BlockNumber),
+    gasUsed: num(v.GasUsed),
+    status: 'Confirmado'
+  };
+}
+
+function normalizeNonce(n) {
+  if (!('Wallet' in n)) return n;
+  return {
+    wallet: String(n.Wallet || '').toLowerCase(),
+    nonce: String(n.Nonce),
+    action: n.Action || '',
+    usedAt: n.UsedAt || ''
+  };
+}
+
+// Convierte en el lugar cualquier registro con formato antiguo; devuelve true si cambió algo
+function normalizeDatabase(db) {
+  let changed = false;
+  const apply = (key, fn) => {
+    db[key] = (db[key] || []).map(item => {
+      const out = fn(item);
+      if (out !== item) changed = true;
+      return out;
+    });
+  };
+  apply('voters', normalizeVoter);
+  apply('elections', normalizeElection);
+  apply('candidates', normalizeCandidate);
+  apply('votes', normalizeVote);
+  apply('usedNonces', normalizeNonce);
+  apply('elections', e => {
+    const status = lifecycle.normalizeStatus(e.status);
+    return status === e.status ? e : { ...e, status };
+  });
+  apply('voters', v => {
+    const status = voterRoll.normalizeVoterStatus(v.status);
+    return status === v.status ? v : { ...v, status };
+  });
+  COLLECTIONS.forEach(k => {
+    if (!Array.isArray(db[k])) {
+      db[k] = [];
+      changed = true;
+    }
+  });
+  return changed;
+}
+
+// --- Presentación PascalCase que consume el frontend ---
+function toLegacyElection(e) {
+  return {
+    ElectionID: e.electionId,
+    Title: e.title,
+    Description: e.description,
+    StartDate: e.startDate,
+    EndDate: e.endDate,
+    Status: e.status,
+    TotalVotes: e.totalVotes,
+    ContractAddress: e.contractAddress
+  };
+}
+
+function toLegacyCandidate(c) {
+  return {
+    CandidateID: c.candidateId,
+    ElectionID: c.electionId,
+    Name: c.name,
+    Party: c.party,
+    Votes: c.votes,
+    Percentage: c.percentage,
+    ...(c.questionId && { QuestionID: c.questionId }),
+    ...(c.choice && { Choice: c.choice })
+  };
+}
+
+module.exports = {
+  COLLECTIONS,
+  normalizeVoter,
+  normalizeElection,
+  normalizeCandidate,
+  normalizeVote,
+  normalizeNonce,
+  normalizeDatabase,
+  toLegacyElection,
+  toLegacyCandidate
+};
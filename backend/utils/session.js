@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const jws = require('jws');
+
+/**
+ * Sesiones firmadas como JWT (HS256). Los nonces SIWE y los tokens revocados
+ * (logout) se guardan en memoria hasta que expiran.
+ */
+function createSessions({ secret, ttlSeconds = 8 * 3600, nonceTtlSeconds = 600 }) {
+  const key = secret || crypto.randomBytes(32).toString('hex');
+  const nonces = new Map();
+  const revoked = new Map();
+
+  function purge() {
+    const now = Date.now();
+    for (const [nonce, expiresAt] of nonces) if (expiresAt <= now) nonces.delete(nonce);
+    for (const [jti, exp] of revoked) if (exp * 1000 <= now) revoked.delete(jti);
+  }
+
+  function issueNonce() {
+    purge();
+    const nonce = crypto.randomBytes(16).toString('hex');
+    nonces.set(nonce, Date.now() + nonceTtlSeconds * 1000);
+    return nonce;
+  }
+
+  // true solo la primera vez y mientras no haya expirado
+  function consumeNonce(nonce) {
+    const expiresAt = nonces.get(nonce);
+    nonces.delete(nonce);
+    return Boolean(expiresAt && expiresAt > Date.now());
+  }
+
+  function sign(claims) {
+    const iat = Math.floor(Date.now() / 1000);
+    const payload = { ...claims, iat, exp: iat + ttlSeconds, jti: crypto.randomUUID() };
+    const token = jws.sign({ header: { alg: 'HS256', typ: 'JWT' }, payload, secret: key });
+    return { token, payload };
+  }
+
+  // Claims del token, o null si es inválido, expiró o fue revocado
+  function verify(token) {
+    try {
+      if (!jws.verify(token, 'HS256', key)) return null;
+    } catch (err) {
+      return null;
+    }
+    const { payload } = jws.decode(token, { json: true });
+    if (!payload || !payload.sub || payload.exp * 1000 <= Date.now()) return null;
+    if (revoked.has(payload.jti)) return null;
+    return payload;
+  }
+
+  function revoke(payload) {
+    purge();
+    revoked.set(payload.jti, payload.exp);
+  }
+
+  return { issueNonce, consumeNonce, sign, verify, revoke, ttlSeconds, ephemeral: !secret };
+}
+
+module.exports = { createSessions };
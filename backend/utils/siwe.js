@@ -0,0 +1,91 @@
+const { ethers } = require('ethers');
+
+// Sign-In with Ethereum (EIP-4361): construcción, parseo y verificación del mensaje
+
+const STATEMENT = 'Iniciar sesión en el Sistema de Votación Blockchain';
+
+const FIELDS = {
+  'URI': 'uri',
+  'Version': 'version',
+  'Chain ID': 'chainId',
+  'Nonce': 'nonce',
+  'Issued At': 'issuedAt',
+  'Expiration Time': 'expirationTime',
+  'Not Before': 'notBefore',
+  'Request ID': 'requestId'
+};
+
+function buildMessage({ domain, address, statement = STATEMENT, uri, chainId, nonce, issuedAt, expirationTime }) {
+  const lines = [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    ethers.getAddress(address),
+    '',
+    statement,
+    '',
+    `URI: ${uri}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`
+  ];
+  if (expirationTime) lines.push(`Expiration Time: ${expirationTime}`);
+  return lines.join('\n');
+}
+
+function parseMessage(message) {
+  const lines = String(message || '').split('\n');
+  const header = /^(\S+) wants you to sign in with your Ethereum account:$/.exec(lines[0] || '');
+  if (!header || !ethers.isAddress(lines[1] || '')) {
+    throw new Error('Mensaje SIWE mal formado');
+  }
+
+  const fields = { domain: header[1], address: lines[1].toLowerCase() };
+  // la declaración es opcional: el bloque de campos empieza en "URI:"
+  let i = lines.findIndex(line => line.startsWith('URI: '));
+  if (i === -1) throw new Error('Mensaje SIWE sin URI');
+  fields.statement = lines.slice(3, i).join('\n').trim();
+  for (; i < lines.length; i++) {
+    const match = /^([A-Za-z ]+): (.*)$/.exec(lines[i]);
+    if (match && FIELDS[match[1]]) fields[FIELDS[match[1]]] = match[2];
+  }
+  if (fields.version !== '1' || !fields.chainId || !fields.nonce || !fields.issuedAt) {
+    throw new Error('Mensaje SIWE incompleto');
+  }
+  return fields;
+}
+
+// Valida dominio, cadena, vigencia y firma; devuelve los campos con la dirección verificada.
+// consumeNonce(nonce) debe devolver true una sola vez por nonce emitido.
+function verifyMessage({ message, signature, domain, chainId, consumeNonce, now = Date.now() }) {
+  const fields = parseMessage(message);
+
+  if (domain && fields.domain !== domain) {
+    throw new Error(`Dominio SIWE inválido: ${fields.domain}`);
+  }
+  if (Number(fields.chainId) !== Number(chainId)) {
+    throw new Error(`Chain ID inválido: ${fields.chainId}`);
+  }
+  if (fields.expirationTime && new Date(fields.expirationTime).getTime() <= now) {
+    throw new Error('Mensaje SIWE expirado');
+  }
+  if (fields.notBefore && new Date(fields.notBefore).getTime() > now) {
+    throw new Error('Mensaje SIWE todavía no válido');
+  }
+
+  let signer;
+  try {
+    signer = ethers.verifyMessage(message, signature).toLowerCase();
+  } catch (err) {
+    throw new Error('Firma SIWE inválida');
+  }
+  if (signer !== fields.address) {
+    throw new Error('La firma no corresponde a la dirección del mensaje');
+  }
+  // el nonce se consume al final: un intento con firma inválida no lo quema
+  if (!consumeNonce(fields.nonce)) {
+    throw new Error('Nonce SIWE inválido o ya utilizado');
+  }
+  return fields;
+}
+
+module.exports = { STATEMENT, buildMessage, parseMessage, verifyMessage };
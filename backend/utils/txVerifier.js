@@ -0,0 +1,96 @@
+const { ethers } = require('ethers');
+const VotingABI = require('../abi/votingAbi');
+
+const VERDICT = {
+  MATCH: 'match',
+  MISMATCH: 'mismatch',
+  PENDING: 'pending',
+  NOT_FOUND: 'not_found'
+};
+
+let cachedProvider = null;
+let cachedUrl = '';
+function getProvider(rpcUrl) {
+  if (!rpcUrl) throw new Error('RPC_URL no configurado');
+  if (!cachedProvider || cachedUrl !== rpcUrl) {
+    cachedProvider = new ethers.JsonRpcProvider(rpcUrl);
+    cachedUrl = rpcUrl;
+  }
+  return cachedProvider;
+}
+
+function decodeVoteEvent(receipt, contractAddress) {
+  const iface = new ethers.Interface(VotingABI.Voting);
+  for (const log of receipt.logs || []) {
+    if (contractAddress && log.address.toLowerCase() !== contractAddress.toLowerCase()) continue;
+    try {
+      const parsed = iface.parseLog(log);
+      if (parsed && parsed.name === 'VoteCast') {
+        return {
+          electionId: Number(parsed.args.electionId),
+          candidateId: Number(parsed.args.candidateId),
+          voter: parsed.args.voter.toLowerCase(),
+          logIndex: log.index
+        };
+      }
+    } catch (err) {
+      // log de otro evento
+    }
+  }
+  return null;
+}
+
+/**
+ * Contrasta una transacción on-chain con el voto guardado.
+ * votes: [{ txHash, wallet, electionId, candidateId }] ya normalizados por cada backend.
+ */
+async function verifyVoteTx({ rpcUrl, contractAddress, txHash, votes = [], minConfirmations = 1 }) {
+  if (!/^0x[0-9a-fA-F]{64}$/.test(txHash || '')) throw new Error('txHash inválido');
+
+  const provider = getProvider(rpcUrl);
+  const base = { txHash, confirmations: 0, blockNumber: null, event: null, record: null, mismatches: [] };
+
+  const receipt = await provider.getTransactionReceipt(txHash);
+  if (!receipt) {
+    const tx = await provider.getTransaction(txHash);
+    return { ...base, verdict: tx ? VERDICT.PENDING : VERDICT.NOT_FOUND };
+  }
+
+  const confirmations = await receipt.confirmations();
+  const result = { ...base, confirmations, blockNumber: receipt.blockNumber };
+
+  if (receipt.status !== 1) {
+    return { ...result, verdict: VERDICT.MISMATCH, mismatches: ['Transacción revertida'] };
+  }
+  if (confirmations < minConfirmations) {
+    return { ...result, verdict: VERDICT.PENDING };
+  }
+
+  const event = decodeVoteEvent(receipt, contractAddress);
+  if (!event) {
+    return { ...result, verdict: VERDICT.MISMATCH, mismatches: ['La transacción no contiene un evento VoteCast del contrato'] };
+  }
+
+  const hashLower = txHash.toLowerCase();
+  const record = votes.find(v => String(v.txHash || '').toLowerCase() === hashLower) ||
+    votes.find(v => String(v.wallet).toLowerCase() === event.voter && Number(v.electionId) === event.electionId);
+
+  if (!record) {
+    return { ...result, event, verdict: VERDICT.MISMATCH, mismatches: ['Voto no registrado en la base de datos'] };
+  }
+
+  const mismatches = [];
+  if (Number(record.electionId) !== event.electionId) mismatches.push('electionId');
+  if (Number(record.candidateId) !== event.candidateId) mismatches.push('candidateId');
+  if (String(record.wallet).toLowerCase() !== event.voter) mismatches.push('voter');
+
+  return {
+    ...result,
+    event,
+    record,
+    mismatches,
+    verdict: mismatches.length ? VERDICT.MISMATCH : VERDICT.MATCH
+  };
+}
+
+module.exports = { VERDICT, getProvider, decodeVoteEvent, verifyVoteTx };
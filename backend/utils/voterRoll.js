@@ -0,0 +1,106 @@
+// Padrón electoral: estados del votante, modos de elegibilidad por elección y regla de voto
+
+const VOTER_STATUS = {
+  PENDING: 'Pending',
+  APPROVED: 'Approved',
+  SUSPENDED: 'Suspended',
+  REVOKED: 'Revoked'
+};
+
+// Mismas transiciones para el estado global del votante y para su inscripción en una elección
+const VOTER_TRANSITIONS = {
+  Pending: ['Approved', 'Revoked'],
+  Approved: ['Suspended', 'Revoked'],
+  Suspended: ['Approved', 'Revoked'],
+  // un revocado vuelve a pasar por aprobación
+  Revoked: ['Pending']
+};
+
+// 'Activo' era el único estado del server.js y backend.js originales
+const LEGACY_VOTER_STATUS = {
+  Activo: VOTER_STATUS.APPROVED,
+  Pendiente: VOTER_STATUS.PENDING,
+  Suspendido: VOTER_STATUS.SUSPENDED,
+  Revocado: VOTER_STATUS.REVOKED
+};
+
+// open: cualquier votante aprobado; whitelist: inscripción aprobada por un admin;
+// roll: solo las wallets del padrón importado
+const ELIGIBILITY = {
+  OPEN: 'open',
+  WHITELIST: 'whitelist',
+  ROLL: 'roll'
+};
+
+function normalizeVoterStatus(status) {
+  if (VOTER_TRANSITIONS[status]) return status;
+  return LEGACY_VOTER_STATUS[status] || VOTER_STATUS.APPROVED;
+}
+
+function parseEligibility(mode) {
+  const value = String(mode || ELIGIBILITY.OPEN).toLowerCase().trim();
+  if (!Object.values(ELIGIBILITY).includes(value)) {
+    throw new Error('Modo de elegibilidad desconocido: ' + mode);
+  }
+  return value;
+}
+
+function electionEligibility(election) {
+  return election.eligibility || ELIGIBILITY.OPEN;
+}
+
+function assertVoterTransition(from, to) {
+  if (!VOTER_TRANSITIONS[to]) throw new Error('Estado de votante desconocido: ' + to);
+  if (!(VOTER_TRANSITIONS[from] || []).includes(to)) {
+    throw new Error(`Transición no permitida: ${from} → ${to}`);
+  }
+}
+
+function findRollEntry(rolls, electionId, wallet) {
+  return rolls.find(r => r.electionId === electionId && r.walletAddress === wallet);
+}
+
+// Wallets de una lista (array o texto CSV: primera columna, una por línea o separadas por coma)
+function parseWalletList(input) {
+  const items = Array.isArray(input)
+    ? input
+    : String(input || '').split(/\r?\n/).map(line => line.split(/[,;\t]/)[0]);
+  return items
+    .map(w => String(typeof w === 'object' && w ? w.walletAddress || w.wallet || '' : w).toLowerCase().trim())
+    .filter(Boolean);
+}
+
+// ¿Puede votar esta wallet en esta elección? Devuelve { eligible, reason }
+function checkEligibility({ voter, entry, election }) {
+  if (!voter) {
+    return { eligible: false, reason: 'La wallet no está registrada como votante' };
+  }
+  const status = normalizeVoterStatus(voter.status);
+  if (status !== VOTER_STATUS.APPROVED) {
+    return { eligible: false, reason: `Votante en estado ${status}: no puede votar` };
+  }
+
+  const mode = electionEligibility(election);
+  if (!entry) {
+    return mode === ELIGIBILITY.OPEN
+      ? { eligible: true, reason: null }
+      : { eligible: false, reason: 'La wallet no figura en el padrón de esta elección' };
+  }
+  if (entry.status !== VOTER_STATUS.APPROVED) {
+    return { eligible: false, reason: `Inscripción en estado ${entry.status}: no puede votar en esta elección` };
+  }
+  return { eligible: true, reason: null };
+}
+
+module.exports = {
+  VOTER_STATUS,
+  VOTER_TRANSITIONS,
+  ELIGIBILITY,
+  normalizeVoterStatus,
+  parseEligibility,
+  electionEligibility,
+  assertVoterTransition,
+  findRollEntry,
+  parseWalletList,
+  checkEligibility
+};
@@ -0,0 +1,167 @@
+// Voto ponderado: el peso de cada votante sale de una lista importada (acciones,
+// cuotas...) o de una foto del saldo de un token ERC-20 / ERC-721 en un bloque dado.
+// Los pesos quedan congelados antes de la apertura; quien no figura pesa 0.
+// Se guardan como texto decimal exacto (un saldo ERC-20 no cabe en un Number) y
+// solo se pasan a número al hacer el recuento.
+
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+const WEIGHTING = {
+  LIST: 'list',
+  ERC20: 'erc20',
+  ERC721: 'erc721'
+};
+
+const TOKEN_ABI = [
+  'function balanceOf(address owner) view returns (uint256)',
+  'function decimals() view returns (uint8)'
+];
+
+// Consultas simultáneas al RPC durante la foto
+const SNAPSHOT_BATCH = 20;
+
+// weighting (list | erc20 | erc721), token y snapshotBlock (opcional: el último al tomar la foto)
+function parseWeighting(data) {
+  if (!data.weighting || data.weighting === 'none') return null;
+  const source = String(data.weighting).toLowerCase();
+  if (!Object.values(WEIGHTING).includes(source)) {
+    throw new Error('Ponderación desconocida: ' + data.weighting);
+  }
+  const weighting = { source, weights: {}, total: '0', takenAt: null };
+  if (source === WEIGHTING.LIST) return weighting;
+
+  const token = String(data.token || '').toLowerCase().trim();
+  if (!/^0x[a-f0-9]{40}$/.test(token)) {
+    throw new Error('La ponderación por token necesita la dirección del contrato (token)');
+  }
+  const block = data.snapshotBlock === undefined || data.snapshotBlock === '' ? null : parseInt(data.snapshotBlock);
+  if (block !== null && !(block >= 0)) {
+    throw new Error('snapshotBlock debe ser un número de bloque');
+  }
+  return { ...weighting, token, snapshotBlock: block };
+}
+
+// Cifras enteras o decimales admitidas en un peso (un uint256 tiene 78): el exponente
+// se comprueba antes de expandir, "1e500000000" no llega a ocupar memoria
+const MAX_DIGITS = 78;
+
+// Texto decimal canónico: sin ceros sobrantes y sin notación exponencial
+function toDecimal(value) {
+  const match = /^\+?(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(String(value).trim());
+  if (!match || !(match[1] || match[2])) return null;
+  let digits = (match[1] || '') + (match[2] || '');
+  let point = (match[1] || '').length + parseInt(match[3] || '0');
+  const significant = digits.replace(/^0+/, '');
+  point -= digits.length - significant.length;
+  digits = significant.replace(/0+$/, '');
+  if (!digits) return '0';
+  if (point > MAX_DIGITS || digits.length - point > MAX_DIGITS) return null;
+  if (point < 0) {
+    digits = '0'.repeat(-point) + digits;
+    point = 0;
+  }
+  digits = digits.padEnd(point, '0');
+  const int = digits.slice(0, point).replace(/^0+/, '') || '0';
+  const frac = digits.slice(point).replace(/0+$/, '');
+  return frac ? `${int}.${frac}` : int;
+}
+
+function parseWeight(value, wallet) {
+  const weight = typeof value === 'number' && !Number.isFinite(value) ? null : toDecimal(value);
+  if (weight === null) {
+    throw new Error(`Peso inválido para ${wallet}: ${value}`);
+  }
+  return weight;
+}
+
+/**
+ * Lista de pesos: objeto { wallet: peso }, array de { walletAddress|wallet, weight }
+ * o texto CSV con líneas "wallet,peso". Devuelve { wallet: peso } con las wallets en minúsculas.
+ */
+function parseWeightList(input) {
+  let pairs;
+  if (Array.isArray(input)) {
+    pairs = input.map(r => [r.walletAddress || r.wallet, r.weight]);
+  } else if (input && typeof input === 'object') {
+    pairs = Object.entries(input);
+  } else {
+    pairs = String(input || '').split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line && !/^wallet/i.test(line))
+      .map(line => line.split(/[,;\t]/));
+  }
+
+  const weights = {};
+  pairs.forEach(([wallet, value]) => {
+    const address = String(wallet || '').toLowerCase().trim();
+    if (!/^0x[a-f0-9]{40}$/.test(address)) {
+      throw new Error('Wallet inválida en la lista de pesos: ' + wallet);
+    }
+    if (address in weights) {
+      throw new Error('Wallet repetida en la lista de pesos: ' + address);
+    }
+    weights[address] = parseWeight(value, address);
+  });
+  if (!Object.keys(weights).length) {
+    throw new Error('La lista de pesos está vacía');
+  }
+  return weights;
+}
+
+// Suma exacta de { wallet: peso } como texto decimal
+function sumWeights(weights) {
+  const values = Object.values(weights).map(w => toDecimal(w) || '0');
+  const scale = Math.max(0, ...values.map(w => (w.split('.')[1] || '').length));
+  const units = values.reduce((sum, w) => {
+    const [int, frac = ''] = w.split('.');
+    return sum + BigInt(int + frac.padEnd(scale, '0'));
+  }, 0n);
+  return toDecimal(scale ? `${units / 10n ** BigInt(scale)}.${String(units % 10n ** BigInt(scale)).padStart(scale, '0')}` : units);
+}
+
+// Suma redondeada de pesos ya convertidos a número (recuento)
+function totalWeight(weights) {
+  return Math.round(Object.values(weights).reduce((a, b) => a + b, 0) * 10000) / 10000;
+}
+
+// Huella de los pesos para el ledger (orden estable por wallet)
+function weightsDigest(weights) {
+  const sorted = Object.keys(weights).sort().map(w => [w, weights[w]]);
+  return crypto.createHash('sha256').update(JSON.stringify(sorted)).digest('hex');
+}
+
+/**
+ * Foto de saldos en `block` (o el último) vía RPC. En ERC-20 el peso es el saldo en
+ * unidades del token (según decimals); en ERC-721, el número de NFTs.
+ */
+async function snapshotBalances({ rpcUrl, source, token, block, wallets }) {
+  if (!rpcUrl) throw new Error('RPC_URL no configurado');
+  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  try {
+    const blockTag = block === null || block === undefined ? await provider.getBlockNumber() : block;
+    const contract = new ethers.Contract(token, TOKEN_ABI, provider);
+    const decimals = source === WEIGHTING.ERC20 ? Number(await contract.decimals({ blockTag })) : 0;
+
+    const weights = {};
+    for (let i = 0; i < wallets.length; i += SNAPSHOT_BATCH) {
+      const batch = wallets.slice(i, i + SNAPSHOT_BATCH);
+      const balances = await Promise.all(batch.map(wallet => contract.balanceOf(wallet, { blockTag })));
+      batch.forEach((wallet, j) => { weights[wallet] = toDecimal(ethers.formatUnits(balances[j], decimals)); });
+    }
+    return { block: blockTag, decimals, weights };
+  } finally {
+    // sin esto el proveedor sigue reintentando la conexión si el nodo no responde
+    provider.destroy();
+  }
+}
+
+module.exports = {
+  WEIGHTING,
+  parseWeighting,
+  parseWeightList,
+  sumWeights,
+  totalWeight,
+  weightsDigest,
+  snapshotBalances
+};
@@ -0,0 +1,266 @@
+// Métodos de votación por elección: validación de la papeleta y motor de recuento.
+// plurality: un candidato · approval: los candidatos aprobados (sin orden)
+// irv: segunda vuelta instantánea (ranking, un ganador) · stv: voto único transferible
+// (ranking, `seats` puestos, cuota Droop y transferencia fraccionaria de excedentes)
+// borda: ranking completo, n-1 puntos al primero ... 0 al último
+//
+// Pesos: cada papeleta puede pesar distinto (acciones, saldo de tokens, poderes); sin
+// weights cada una cuenta 1.
+//
+// Voto en blanco y abstención: opciones especiales de la papeleta (candidatos con `choice`)
+// que van solas, se cuentan aparte y no entran en el total de los porcentajes.
+//
+// Empates: decide el recuento de la ronda anterior más reciente en la que difieran
+// (hacia atrás) y, si siguen empatados, el orden de desempate de la elección (tieOrder,
+// ver electionRules); sin él, el candidateId menor queda por delante.
+
+const METHOD = {
+  PLURALITY: 'plurality',
+  APPROVAL: 'approval',
+  IRV: 'irv',
+  STV: 'stv',
+  BORDA: 'borda'
+};
+
+const BALLOT_CHOICE = {
+  BLANK: 'blank',
+  ABSTAIN: 'abstain'
+};
+
+const BLANK_OPTIONS = [
+  { choice: BALLOT_CHOICE.BLANK, name: 'Voto en blanco' },
+  { choice: BALLOT_CHOICE.ABSTAIN, name: 'Abstención' }
+];
+
+function isBlankChoice(candidate) {
+  return Boolean(candidate) && Object.values(BALLOT_CHOICE).includes(candidate.choice);
+}
+
+function parseMethod(value) {
+  if (!value) return METHOD.PLURALITY;
+  const method = String(value).toLowerCase();
+  if (!Object.values(METHOD).includes(method)) throw new Error('Método de votación desconocido: ' + value);
+  return method;
+}
+
+// Las elecciones anteriores a este campo son de mayoría simple
+function methodOf(election) {
+  return (election && election.method) || METHOD.PLURALITY;
+}
+
+function parseSeats(method, value) {
+  const seats = value === undefined || value === null || value === '' ? 1 : parseInt(value);
+  if (!(seats >= 1)) throw new Error('seats debe ser un entero mayor que 0');
+  if (method === METHOD.IRV && seats !== 1) {
+    throw new Error('IRV elige un solo ganador: usa stv para varios puestos');
+  }
+  return seats;
+}
+
+function toIdList(value) {
+  const list = Array.isArray(value) ? value : String(value ?? '').split(',');
+  return list.map(v => String(v).trim()).filter(Boolean).map(v => parseInt(v));
+}
+
+/**
+ * Selección de la papeleta según el método: candidateIds (ranking o aprobados) o
+ * candidateId. Devuelve la lista de IDs validada (aprobados ordenados por ID).
+ * blankIds: opciones de voto en blanco / abstención, válidas solo si van solas.
+ */
+function parseSelection(method, data, candidateIds, blankIds = []) {
+  const useList = data.candidateIds !== undefined && (method !== METHOD.PLURALITY || data.candidateId === undefined);
+  const selection = toIdList(useList ? data.candidateIds : data.candidateId);
+
+  if (!selection.length) throw new Error('La papeleta no marca ningún candidato');
+  if (selection.some(id => blankIds.includes(id))) {
+    if (selection.length > 1) throw new Error('El voto en blanco y la abstención no se combinan con candidatos');
+    return selection;
+  }
+  if (selection.some(id => !candidateIds.includes(id))) throw new Error('Candidato no encontrado');
+  if (new Set(selection).size !== selection.length) throw new Error('La papeleta repite candidatos');
+  if (method === METHOD.PLURALITY && selection.length !== 1) {
+    throw new Error('Esta elección es de mayoría simple: marca un solo candidato');
+  }
+  if (method === METHOD.BORDA && selection.length !== candidateIds.length) {
+    throw new Error('El método Borda requiere ordenar todos los candidatos');
+  }
+  return method === METHOD.APPROVAL ? [...selection].sort((a, b) => a - b) : selection;
+}
+
+const round4 = n => Math.round(n * 10000) / 10000;
+
+function roundCounts(counts) {
+  const out = {};
+  Object.entries(counts).forEach(([id, n]) => { out[id] = round4(n); });
+  return out;
+}
+
+// Orden de mayor a menor con el desempate determinista descrito arriba
+function rankIds(ids, counts, history = [], tieOrder = null) {
+  const position = id => (tieOrder ? tieOrder.indexOf(id) : id);
+  const compare = (a, b) => {
+    if (counts[b] !== counts[a]) return counts[b] - counts[a];
+    for (let i = history.length - 1; i >= 0; i--) {
+      const diff = (history[i][b] || 0) - (history[i][a] || 0);
+      if (diff !== 0) return diff;
+    }
+    return position(a) - position(b);
+  };
+  return [...ids].sort(compare);
+}
+
+// true si el puesto `position` del orden se decidió por desempate
+function tiedAt(order, counts, position) {
+  const id = order[position];
+  return [order[position - 1], order[position + 1]].some(other => other !== undefined && counts[other] === counts[id]);
+}
+
+// Ganadores por puntuación directa (plurality, approval, borda y recuentos cifrados)
+function fromCounts(method, counts, seats, total, tieOrder = null) {
+  const ids = Object.keys(counts).map(Number);
+  const order = rankIds(ids, counts, [], tieOrder);
+  const winners = total > 0 ? order.slice(0, seats) : [];
+  return {
+    method,
+    seats,
+    counts,
+    total,
+    winners,
+    rounds: [],
+    tieBreak: winners.length > 0 && winners.length < order.length && tiedAt(order, counts, winners.length - 1)
+  };
+}
+
+function emptyCounts(ids) {
+  const counts = {};
+  ids.forEach(id => { counts[id] = 0; });
+  return counts;
+}
+
+function tallyIrv(ids, ballots, weightOf, tieOrder) {
+  const active = new Set(ids);
+  const rounds = [];
+  const history = [];
+  const total = ballots.reduce((sum, _, i) => sum + weightOf(i), 0);
+  let winners = [];
+
+  while (ballots.length && active.size) {
+    const counts = emptyCounts(active);
+    let exhausted = 0;
+    ballots.forEach((ranking, i) => {
+      const choice = ranking.find(id => active.has(id));
+      if (choice === undefined) exhausted += weightOf(i);
+      else counts[choice] += weightOf(i);
+    });
+
+    const continuing = total - exhausted;
+    const order = rankIds([...active], counts, history, tieOrder);
+    const round = { round: rounds.length + 1, counts: roundCounts(counts), exhausted: round4(exhausted) };
+    if (counts[order[0]] * 2 > continuing || active.size === 1) {
+      winners = [order[0]];
+      round.elected = [order[0]];
+      rounds.push(round);
+      break;
+    }
+    const eliminated = order[order.length - 1];
+    round.eliminated = eliminated;
+    round.tieBreak = tiedAt(order, counts, order.length - 1);
+    rounds.push(round);
+    history.push(counts);
+    active.delete(eliminated);
+  }
+  return { winners, rounds };
+}
+
+// Cuota Droop: floor(n / (seats + 1)) + 1 papeletas; con pesos fraccionarios, superar n / (seats + 1)
+function tallySTV(ids, ballots, weightOf, weighted, seats, tieOrder) {
+  const total = ballots.reduce((sum, _, i) => sum + weightOf(i), 0);
+  const quota = weighted ? total / (seats + 1) : Math.floor(total / (seats + 1)) + 1;
+  const reaches = n => (weighted ? n > quota : n >= quota);
+  const hopeful = new Set(ids);
+  const elected = [];
+  const rounds = [];
+  const history = [];
+  const piles = ballots.map((ranking, i) => ({ ranking, weight: weightOf(i) }));
+  let exhausted = 0;
+
+  // cada papeleta pasa al siguiente candidato de su ranking que siga en juego
+  const place = pile => { pile.holder = pile.ranking.find(id => hopeful.has(id)); };
+  const transfer = (from, factor) => piles.filter(p => p.holder === from).forEach(p => {
+    p.weight *= factor;
+    place(p);
+    if (p.holder === undefined) exhausted += p.weight;
+  });
+  piles.forEach(p => {
+    place(p);
+    if (p.holder === undefined) exhausted += p.weight;
+  });
+
+  while (ballots.length && elected.length < seats && hopeful.size) {
+    const counts = emptyCounts(hopeful);
+    piles.forEach(p => { if (p.holder !== undefined) counts[p.holder] += p.weight; });
+    const order = rankIds([...hopeful], counts, history, tieOrder);
+    const round = { round: rounds.length + 1, counts: roundCounts(counts), exhausted: round4(exhausted) };
+
+    const open = seats - elected.length;
+    const reached = hopeful.size <= open ? order : order.filter(id => reaches(counts[id])).slice(0, open);
+    if (reached.length) {
+      reached.forEach(id => { hopeful.delete(id); elected.push(id); });
+      // excedente: las papeletas del elegido pasan con peso (votos - cuota) / votos
+      reached.forEach(id => transfer(id, counts[id] > quota ? (counts[id] - quota) / counts[id] : 0));
+      round.elected = reached;
+      round.tieBreak = reached.length < order.length && tiedAt(order, counts, reached.length - 1);
+    } else {
+      const eliminated = order[order.length - 1];
+      hopeful.delete(eliminated);
+      transfer(eliminated, 1);
+      round.eliminated = eliminated;
+      round.tieBreak = tiedAt(order, counts, order.length - 1);
+    }
+    rounds.push(round);
+    history.push(counts);
+  }
+  return { winners: elected, rounds, quota: round4(quota) };
+}
+
+/**
+ * Recuento de una elección. ballots: selecciones ya validadas (listas de candidateId);
+ * weights: peso de cada papeleta (mismo orden), opcional.
+ * counts es la primera preferencia en irv/stv, los aprobados en approval y los puntos en borda;
+ * total es la base de los porcentajes.
+ */
+function tally(method, { candidateIds, ballots, weights = null, seats = 1, tieOrder = null }) {
+  const counts = emptyCounts(candidateIds);
+  const weightOf = i => (weights ? weights[i] : 1);
+  const total = round4(ballots.reduce((sum, _, i) => sum + weightOf(i), 0));
+
+  if (method === METHOD.BORDA) {
+    ballots.forEach((ranking, b) => ranking.forEach((id, i) => {
+      if (id in counts) counts[id] += weightOf(b) * (candidateIds.length - 1 - i);
+    }));
+    return fromCounts(method, roundCounts(counts), seats, round4(Object.values(counts).reduce((a, b) => a + b, 0)), tieOrder);
+  }
+  if (method === METHOD.APPROVAL) {
+    ballots.forEach((selection, b) => selection.forEach(id => { if (id in counts) counts[id] += weightOf(b); }));
+    return fromCounts(method, roundCounts(counts), seats, total, tieOrder);
+  }
+
+  ballots.forEach((selection, b) => { if (selection[0] in counts) counts[selection[0]] += weightOf(b); });
+  if (method === METHOD.PLURALITY) return fromCounts(method, roundCounts(counts), seats, total, tieOrder);
+
+  const { winners, rounds, quota } = method === METHOD.IRV
+    ? tallyIrv(candidateIds, ballots, weightOf, tieOrder)
+    : tallySTV(candidateIds, ballots, weightOf, Boolean(weights) && weights.some(w => !Number.isInteger(w)), seats, tieOrder);
+  return {
+    method,
+    seats,
+    counts: roundCounts(counts),
+    total,
+    winners,
+    rounds,
+    ...(quota !== undefined && { quota }),
+    tieBreak: rounds.some(r => r.tieBreak)
+  };
+}
+
+module.exports = { METHOD, BALLOT_CHOICE, BLANK_OPTIONS, isBlankChoice, parseMethod, methodOf, parseSeats, parseSelection, rankIds, fromCounts, tally };
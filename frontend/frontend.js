@@ -10,9 +10,11 @@ console.log("Frontend.js cargado correctamente");
 let provider = null;
 let signer = null;
 let currentWallet = null;
+let authToken = sessionStorage.getItem("authToken");
 
 // Backend base URL definido en index.html
 // const BACKEND_URL = "http://localhost:3002/api";
+const BACKEND_ROOT = BACKEND_URL.replace(/\/api\/?$/, "");
 
 
 // =============================
@@ -57,6 +59,7 @@ async function connectWallet() {
     document.getElementById("adminAddress").value = currentWallet;
 
     notify("success", "Wallet conectada");
+    await signIn();
 
   } catch (err) {
     console.error(err);
@@ -66,14 +69,48 @@ async function connectWallet() {
 
 
 
+// =============================
+//  SESIÓN (Sign-In with Ethereum)
+// =============================
+// Las acciones de admin/auditor requieren sesión; votar solo requiere firmas EIP-712
+async function signIn() {
+  try {
+    const nonceRes = await fetch(`${BACKEND_ROOT}/auth/nonce?address=${currentWallet}`);
+    const { message } = await nonceRes.json();
+    const signature = await signer.signMessage(message);
+
+    const res = await fetch(`${BACKEND_ROOT}/auth/login`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ message, signature })
+    });
+    const session = await res.json();
+    if (!session.success) throw new Error(session.error);
+
+    authToken = session.token;
+    sessionStorage.setItem("authToken", authToken);
+  } catch (err) {
+    console.error(err);
+    notify("error", "No se pudo iniciar sesión: " + err.message);
+  }
+}
+
+function authHeaders(headers = {}) {
+  return authToken ? { ...headers, Authorization: `Bearer ${authToken}` } : headers;
+}
+
+
+
 // =============================
 //  API WRAPPER
 // =============================
-async function callAPI(action, body = {}) {
+// anonymous: sin la cabecera de sesión, para que la petición no se asocie a la wallet
+async function callAPI(action, body = {}, { anonymous = false } = {}) {
   try {
+    const headers = { "Content-Type": "application/json" };
     const res = await fetch(BACKEND_URL, {
       method: "POST",
-      headers: { "Content-Type": "application/json" },
+      headers: anonymous ? headers : authHeaders(headers),
       body: JSON.stringify({ action, ...body })
     });
 
@@ -86,6 +123,24 @@ async function callAPI(action, body = {}) {
 
 
 
+// =============================
+//  FIRMA EIP-712
+// =============================
+// Firma el mensaje con nonce y deadline (10 min) usando el dominio del backend
+async function signRequest(primaryType, message) {
+  const resp = await callAPI("getTypedData", { primaryType });
+  if (!resp.success) throw new Error(resp.error || "No se pudo obtener el esquema de firma");
+
+  const nonce = Date.now();
+  const deadline = Math.floor(Date.now() / 1000) + 600;
+  const { domain, types } = resp.typedData;
+  const signature = await signer.signTypedData(domain, types, { ...message, nonce, deadline });
+
+  return { nonce, deadline, signature };
+}
+
+
+
 // =============================
 //  REGISTRO DE VOTANTES
 // =============================
@@ -106,12 +161,21 @@ async function registerVoter() {
   const ip = await fetch("https://api.ipify.org?format=json")
     .then(r => r.json()).then(d => d.ip).catch(() => "");
 
+  let signed;
+  try {
+    signed = await signRequest("RegisterVoter", { voter: currentWallet, name, idNumber: dni });
+  } catch (err) {
+    notify("error", "Firma cancelada o inválida");
+    return;
+  }
+
   const resp = await callAPI("registerVoter", {
     walletAddress: currentWallet,
     name,
     idNumber: dni,
     email,
-    ipAddress: ip
+    ipAddress: ip,
+    ...signed
   });
 
   if (resp.success) {
@@ -149,20 +213,37 @@ async function loadActiveElections() {
   const container = document.getElementById("electionsContainer");
   container.innerHTML = "Cargando...";
 
-  const resp = await callAPI("getActiveElections");
+  const [resp, revealing] = await Promise.all([
+    callAPI("getActiveElections"),
+    callAPI("getElections", { status: "Reveal" })
+  ]);
 
   if (!resp.success) {
     container.innerHTML = "Error cargando elecciones";
     return;
   }
 
-  if (resp.elections.length === 0) {
+  const toReveal = revealing.success ? revealing.elections : [];
+  if (resp.elections.length === 0 && toReveal.length === 0) {
     container.innerHTML = "No hay elecciones activas";
     return;
   }
 
   container.innerHTML = "";
 
+  // voto secreto en fase de revelado: ya no se vota, solo se revela el voto comprometido
+  for (const election of toReveal) {
+    const card = document.createElement("div");
+    card.className = "card";
+    card.innerHTML = `
+        <h3>${election.title}</h3>
+        <p>${election.description || ""}</p>
+        <p>🔓 Fase de revelado${election.revealEndDate ? ` hasta ${new Date(election.revealEndDate).toLocaleString()}` : ""}</p>
+        <button class="btn btn-success" onclick="revealSecretVote(${election.electionId})">Revelar mi voto</button>
+    `;
+    container.appendChild(card);
+  }
+
   for (const election of resp.elections) {
     const card = document.createElement("div");
     card.className = "card";
@@ -185,21 +266,180 @@ async function loadCandidates(electionId) {
   const target = document.getElementById(`cand_${electionId}`);
   target.innerHTML = "Cargando...";
 
-  const resp = await callAPI("getCandidates", { electionId });
+  const [resp, results] = await Promise.all([
+    callAPI("getCandidates", { electionId }),
+    callAPI("getResults", { electionId })
+  ]);
 
   if (!resp.success) {
     target.innerHTML = "Error obteniendo candidatos";
     return;
   }
 
-  target.innerHTML = resp.candidates
-    .map(c => `
+  const method = results.success ? results.election.method : "plurality";
+  const revoting = results.success && results.election.revoting;
+  const revoteNote = (revoting ? `<p>🔄 Puedes cambiar tu voto hasta el cierre: cuenta el último.</p>` : "") +
+    (results.success && results.proxies
+      ? `<p>🤝 Esta elección admite voto delegado.
+          <button class="btn btn-secondary" onclick="prepareDelegation(${electionId})">Delegar mi voto</button></p>`
+      : "");
+  if (results.success && results.questions) {
+    target.innerHTML = revoteNote + renderBallotQuestions(electionId, results.questions, resp.candidates);
+    return;
+  }
+  if (results.success && results.ballot && results.ballot.mode === "commitReveal") {
+    target.innerHTML = `<p>🔒 Voto secreto: se guarda solo un compromiso y lo revelas cuando cierre la votación.</p>` +
+      resp.candidates
+        .map(c => `
+          <div class="card">
+            <strong>${c.Name}</strong> – ${c.Party}
+            <button class="btn btn-success" onclick="commitSecretVote(${electionId}, ${c.CandidateID})">Votar en secreto</button>
+          </div>
+        `)
+        .join("");
+    return;
+  }
+  if (results.success && results.ballot && results.ballot.mode === "homomorphic") {
+    target.innerHTML = `<p>🔐 Voto cifrado: la papeleta se cifra en tu navegador y solo se publican los totales.</p>` +
+      resp.candidates
+        .map(c => `
+          <div class="card">
+            <strong>${c.Name}</strong> – ${c.Party}
+            <button class="btn btn-success" onclick="castEncryptedVote(${electionId}, ${c.CandidateID})">Votar cifrado</button>
+          </div>
+        `)
+        .join("");
+    return;
+  }
+  if (results.success && results.ballot && results.ballot.mode === "anonymous") {
+    target.innerHTML = renderAnonymousBallot(electionId, method, resp.candidates);
+    return;
+  }
+  if (method === "plurality") {
+    target.innerHTML = revoteNote + resp.candidates
+      .map(c => `
+        <div class="card">
+          <strong>${c.Name}</strong> – ${c.Party}
+          <button class="btn btn-success" onclick="castVote(${electionId}, ${c.CandidateID}, ${revoting || Boolean(c.Choice)})">Votar</button>
+        </div>
+      `)
+      .join("");
+    return;
+  }
+
+  // ranking (irv, stv, borda) o aprobados (approval): IDs separados por comas;
+  // el voto en blanco y la abstención van solos, con su propio botón
+  const hint = method === "approval" ? "IDs de los candidatos que apruebas" : "IDs en orden de preferencia";
+  target.innerHTML = revoteNote + resp.candidates
+    .filter(c => !c.Choice)
+    .map(c => `<div class="card"><strong>${c.CandidateID}. ${c.Name}</strong> – ${c.Party}</div>`)
+    .join("") + `
+      <div class="card">
+        <input id="pref_${electionId}" placeholder="${hint} (ej. 2,1,3)">
+        <button class="btn btn-success" onclick="castPreferenceVote(${electionId})">Votar (${method.toUpperCase()})</button>
+        ${resp.candidates
+          .filter(c => c.Choice)
+          .map(c => `<button class="btn btn-secondary" onclick="castPreferenceVote(${electionId}, [${c.CandidateID}])">${c.Name}</button>`)
+          .join("")}
+      </div>
+    `;
+}
+
+
+// Papeleta anónima: con mayoría simple un botón por candidato; si no, ranking o aprobados
+function renderAnonymousBallot(electionId, method, candidates) {
+  const note = `<p>🕶️ Voto anónimo: la wallet solo pide un token firmado a ciegas; el voto se envía sin wallet.</p>`;
+  if (method === "plurality") {
+    return note + candidates
+      .map(c => `
+        <div class="card">
+          <strong>${c.Name}</strong> – ${c.Party}
+          <button class="btn btn-success" onclick="castAnonymousVote(${electionId}, [${c.CandidateID}])">Votar</button>
+        </div>
+      `)
+      .join("");
+  }
+  const hint = method === "approval" ? "IDs de los candidatos que apruebas" : "IDs en orden de preferencia";
+  return note + candidates
+    .filter(c => !c.Choice)
+    .map(c => `<div class="card"><strong>${c.CandidateID}. ${c.Name}</strong> – ${c.Party}</div>`)
+    .join("") + `
+      <div class="card">
+        <input id="pref_${electionId}" placeholder="${hint} (ej. 2,1,3)">
+        <button class="btn btn-success" onclick="castAnonymousVote(${electionId})">Votar (${method.toUpperCase()})</button>
+        ${candidates
+          .filter(c => c.Choice)
+          .map(c => `<button class="btn btn-secondary" onclick="castAnonymousVote(${electionId}, [${c.CandidateID}])">${c.Name}</button>`)
+          .join("")}
+      </div>
+    `;
+}
+
+
+// Papeleta de varias preguntas: una respuesta por pregunta y un solo botón (una firma)
+function renderBallotQuestions(electionId, questions, candidates) {
+  const hints = {
+    plurality: "ID de tu opción",
+    approval: "IDs que apruebas",
+    borda: "todos los IDs en orden de preferencia"
+  };
+  const limits = q => q.maxChoices && q.method !== "plurality"
+    ? ` (${q.minChoices}–${q.maxChoices} opciones)`
+    : q.minChoices > 1 ? ` (mínimo ${q.minChoices})` : "";
+
+  return questions
+    .map(q => `
       <div class="card">
-        <strong>${c.Name}</strong> – ${c.Party}
-        <button class="btn btn-success" onclick="castVote(${electionId}, ${c.CandidateID})">Votar</button>
+        <h4>${q.questionId}. ${q.title} <small>${q.method.toUpperCase()}${q.seats > 1 ? `, ${q.seats} puestos` : ""}${limits(q)}</small></h4>
+        ${candidates
+          .filter(c => c.QuestionID === q.questionId)
+          .map(c => `<div>${c.CandidateID}. ${c.Name}${c.Party ? ` – ${c.Party}` : ""}${c.Choice ? " <em>(va sola)</em>" : ""}</div>`)
+          .join("")}
+        <input id="ans_${electionId}_${q.questionId}" data-method="${q.method}"
+          placeholder="${hints[q.method] || "IDs en orden de preferencia"} (ej. ${q.method === "plurality" ? "2" : "2,1"})">
       </div>
     `)
-    .join("");
+    .join("") + `
+      <button class="btn btn-success" onclick="castMultiVote(${electionId}, [${questions.map(q => q.questionId).join(",")}])">Votar papeleta</button>
+    `;
+}
+
+
+
+// =============================
+// Voto on-chain vía relayer (gasless)
+// =============================
+// Devuelve { txHash, blockNumber, gasUsed } o null si el relayer no está configurado
+async function submitVoteOnChain(electionId, candidateId) {
+  const info = await callAPI("getForwarderInfo", { from: currentWallet });
+  if (!info.success || !info.votingContract || typeof VotingABI === "undefined") return null;
+
+  const iface = new ethers.Interface(VotingABI.Voting);
+  const request = {
+    from: currentWallet,
+    to: info.votingContract,
+    value: 0,
+    gas: 300000,
+    nonce: info.nonce,
+    deadline: Math.floor(Date.now() / 1000) + 600,
+    data: iface.encodeFunctionData("vote", [electionId, candidateId])
+  };
+  const signature = await signer.signTypedData(info.domain, info.types, request);
+
+  const relay = await callAPI("relay", { request: { ...request, signature }, relayAction: "vote" });
+  if (!relay.success) throw new Error(relay.error || "Relayer rechazó el voto");
+
+  // esperar confirmación (máx. ~60 s)
+  for (let i = 0; i < 30; i++) {
+    await new Promise(r => setTimeout(r, 2000));
+    const status = await callAPI("getRelayStatus", { relayId: relay.relayId });
+    if (!status.success) continue;
+    if (status.relay.status === "confirmed") {
+      return { txHash: status.relay.txHash, blockNumber: status.relay.blockNumber, gasUsed: status.relay.gasUsed };
+    }
+    if (status.relay.status === "failed") throw new Error(status.relay.error || "Transacción fallida");
+  }
+  throw new Error("Tiempo de espera agotado confirmando el voto");
 }
 
 
@@ -207,20 +447,463 @@ async function loadCandidates(electionId) {
 // =============================
 // Emitir voto
 // =============================
-async function castVote(electionId, candidateId) {
+// Con re-voto solo se registra en el backend: el contrato admite un voto por wallet.
+// Tampoco pasan por el contrato el voto en blanco ni la abstención (no son candidatos on-chain)
+async function castVote(electionId, candidateId, offChain = false) {
   if (!currentWallet) {
     notify("error", "Debe conectar MetaMask");
     return;
   }
 
+  let onChain;
+  try {
+    onChain = offChain ? null : await submitVoteOnChain(electionId, candidateId);
+  } catch (err) {
+    notify("error", err.message || "Error enviando voto on-chain");
+    return;
+  }
+
+  let signed;
+  try {
+    signed = await signRequest("Vote", { voter: currentWallet, electionId, candidateId });
+  } catch (err) {
+    notify("error", "Firma cancelada o inválida");
+    return;
+  }
+
   const resp = await callAPI("castVote", {
     walletAddress: currentWallet,
     electionId,
-    candidateId
+    candidateId,
+    ...(onChain || {}),
+    ...signed
   });
 
   if (resp.success) {
-    notify("success", "Voto emitido");
+    notify("success", resp.revision > 1 ? "Voto reemplazado" : "Voto emitido");
+    loadStats();
+  } else {
+    notify("error", resp.error || "Error al votar");
+  }
+}
+
+
+
+// Papeleta de varias preguntas: se firma entera (MultiVote) y solo se registra en el backend
+async function castMultiVote(electionId, questionIds) {
+  if (!currentWallet) {
+    notify("error", "Debe conectar MetaMask");
+    return;
+  }
+
+  const answers = questionIds.map(questionId => {
+    const input = document.getElementById(`ans_${electionId}_${questionId}`);
+    const candidateIds = input.value
+      .split(",")
+      .map(v => parseInt(v.trim()))
+      .filter(v => !Number.isNaN(v));
+    // los aprobados se firman ordenados por ID, como los guarda el backend
+    if (input.dataset.method === "approval") candidateIds.sort((a, b) => a - b);
+    return { questionId, candidateIds };
+  });
+  const unanswered = answers.find(a => !a.candidateIds.length);
+  if (unanswered) {
+    notify("error", `Responde a la pregunta ${unanswered.questionId}`);
+    return;
+  }
+
+  let signed;
+  try {
+    signed = await signRequest("MultiVote", { voter: currentWallet, electionId, answers });
+  } catch (err) {
+    notify("error", "Firma cancelada o inválida");
+    return;
+  }
+
+  const resp = await callAPI("castVote", { walletAddress: currentWallet, electionId, answers, ...signed });
+
+  if (resp.success) {
+    notify("success", resp.revision > 1 ? "Papeleta reemplazada" : "Papeleta emitida");
+    loadStats();
+  } else {
+    notify("error", resp.error || "Error al votar");
+  }
+}
+
+
+
+// Papeleta con ranking o aprobados: solo se registra en el backend (el contrato vota un candidato).
+// choice: [id] del voto en blanco o la abstención en lugar de lo escrito en la papeleta
+async function castPreferenceVote(electionId, choice = null) {
+  if (!currentWallet) {
+    notify("error", "Debe conectar MetaMask");
+    return;
+  }
+
+  const candidateIds = choice || document.getElementById(`pref_${electionId}`).value
+    .split(",")
+    .map(v => parseInt(v.trim()))
+    .filter(v => !Number.isNaN(v));
+
+  let signed;
+  try {
+    signed = await signRequest("PreferenceVote", { voter: currentWallet, electionId, candidateIds });
+  } catch (err) {
+    notify("error", "Firma cancelada o inválida");
+    return;
+  }
+
+  const resp = await callAPI("castVote", { walletAddress: currentWallet, electionId, candidateIds, ...signed });
+
+  if (resp.success) {
+    notify("success", resp.revision > 1 ? "Voto reemplazado" : "Voto emitido");
+    loadStats();
+  } else {
+    notify("error", resp.error || "Error al votar");
+  }
+}
+
+
+
+// =============================
+// Voto secreto (commit-reveal)
+// =============================
+// El salt no sale del navegador hasta revelar: sin él no se puede revelar el voto
+function secretVoteKey(electionId) {
+  return `secretVote_${electionId}_${currentWallet.toLowerCase()}`;
+}
+
+// Mismo compromiso que commitReveal.computeCommitment y Voting.sol
+function computeCommitment(electionId, candidateId, salt, voter) {
+  const encoded = ethers.AbiCoder.defaultAbiCoder().encode(
+    ["uint256", "uint256", "bytes32", "address"],
+    [electionId, candidateId, salt, voter]
+  );
+  return ethers.keccak256(encoded).toLowerCase();
+}
+
+async function commitSecretVote(electionId, candidateId) {
+  if (!currentWallet) {
+    notify("error", "Debe conectar MetaMask");
+    return;
+  }
+
+  const key = secretVoteKey(electionId);
+  const previous = localStorage.getItem(key);
+  const salt = ethers.hexlify(ethers.randomBytes(32));
+  const commitment = computeCommitment(electionId, candidateId, salt, currentWallet);
+  // se guarda antes de enviar: si el backend acepta el compromiso, el salt ya está a salvo
+  localStorage.setItem(key, JSON.stringify({ candidateId, salt }));
+
+  let signed;
+  try {
+    signed = await signRequest("CommitVote", { voter: currentWallet, electionId, commitment });
+  } catch (err) {
+    previous ? localStorage.setItem(key, previous) : localStorage.removeItem(key);
+    notify("error", "Firma cancelada o inválida");
+    return;
+  }
+
+  const resp = await callAPI("commitVote", { walletAddress: currentWallet, electionId, commitment, ...signed });
+
+  if (resp.success) {
+    notify("success", "Voto secreto registrado: revélalo desde este navegador al cerrar la votación");
+    loadStats();
+  } else {
+    previous ? localStorage.setItem(key, previous) : localStorage.removeItem(key);
+    notify("error", resp.error || "Error al votar");
+  }
+}
+
+async function revealSecretVote(electionId) {
+  if (!currentWallet) {
+    notify("error", "Debe conectar MetaMask");
+    return;
+  }
+
+  const stored = localStorage.getItem(secretVoteKey(electionId));
+  if (!stored) {
+    notify("error", "No hay un voto secreto de esta wallet guardado en este navegador");
+    return;
+  }
+  const { candidateId, salt } = JSON.parse(stored);
+
+  let signed;
+  try {
+    signed = await signRequest("RevealVote", { voter: currentWallet, electionId, candidateId, salt });
+  } catch (err) {
+    notify("error", "Firma cancelada o inválida");
+    return;
+  }
+
+  const resp = await callAPI("revealVote", { walletAddress: currentWallet, electionId, candidateId, salt, ...signed });
+
+  if (resp.success) {
+    localStorage.removeItem(secretVoteKey(electionId));
+    notify("success", "Voto revelado");
+    loadStats();
+  } else {
+    notify("error", resp.error || "Error al revelar el voto");
+  }
+}
+
+
+
+// =============================
+// Aritmética modular (BigInt)
+// =============================
+function modPow(base, exp, mod) {
+  let result = 1n;
+  base %= mod;
+  while (exp > 0n) {
+    if (exp & 1n) result = (result * base) % mod;
+    base = (base * base) % mod;
+    exp >>= 1n;
+  }
+  return result;
+}
+
+function modInverse(a, m) {
+  let [oldR, r] = [a % m, m];
+  let [oldS, s] = [1n, 0n];
+  while (r !== 0n) {
+    const q = oldR / r;
+    [oldR, r] = [r, oldR - q * r];
+    [oldS, s] = [s, oldS - q * s];
+  }
+  if (oldR !== 1n) throw new Error("Factor de cegado no invertible");
+  return ((oldS % m) + m) % m;
+}
+
+function randomBigInt(bytes) {
+  return BigInt(ethers.hexlify(ethers.randomBytes(bytes)));
+}
+
+
+
+// =============================
+// Voto anónimo (firmas ciegas)
+// =============================
+// Lado del votante de utils/blindSignature.js (RSA-FDH): se ciega el token, el
+// registrador lo firma sin verlo y el voto va sin wallet ni sesión con (token, firma)
+function parseRsaKey(publicKey) {
+  const toBigInt = value => {
+    const base64 = value.replace(/-/g, "+").replace(/_/g, "/").padEnd(Math.ceil(value.length / 4) * 4, "=");
+    return BigInt(ethers.hexlify(ethers.decodeBase64(base64)));
+  };
+  const n = toBigInt(publicKey.n);
+  return { n, e: toBigInt(publicKey.e), bytes: Math.ceil(n.toString(16).length / 2) };
+}
+
+function toFixedHex(n, bytes) {
+  return "0x" + n.toString(16).padStart(bytes * 2, "0");
+}
+
+// SHA-256 en modo contador hasta el tamaño del módulo, reducido mod n
+function hashToInt(message, n, bytes) {
+  const blocks = [];
+  for (let i = 0; blocks.length * 32 < bytes; i++) {
+    blocks.push(ethers.sha256(ethers.concat([ethers.toBeHex(i, 4), ethers.toUtf8Bytes(message)])));
+  }
+  return BigInt(ethers.dataSlice(ethers.concat(blocks), 0, bytes)) % n;
+}
+
+function anonymousTokenKey(electionId) {
+  return `anonToken_${electionId}_${currentWallet.toLowerCase()}`;
+}
+
+// Pide (o recupera) el token firmado de la wallet conectada: { token, tokenSignature }
+async function obtainVotingToken(electionId, registrarKey) {
+  const key = anonymousTokenKey(electionId);
+  const stored = JSON.parse(localStorage.getItem(key) || "null");
+  if (stored && stored.tokenSignature) return stored;
+
+  const { n, e, bytes } = parseRsaKey(registrarKey);
+  // si una petición anterior quedó a medias se repite con el mismo token cegado
+  const pending = stored || (() => {
+    const token = ethers.hexlify(ethers.randomBytes(32));
+    let r;
+    do {
+      r = randomBigInt(bytes) % n;
+    } while (r < 2n);
+    const h = hashToInt(`voting-token:${electionId}:${token}`, n, bytes);
+    return { token, r: toFixedHex(r, bytes), blindedToken: toFixedHex((h * modPow(r, e, n)) % n, bytes) };
+  })();
+  localStorage.setItem(key, JSON.stringify(pending));
+
+  const signed = await signRequest("RequestVotingToken", {
+    voter: currentWallet,
+    electionId,
+    blindedToken: pending.blindedToken
+  });
+  const resp = await callAPI("requestVotingToken", {
+    walletAddress: currentWallet,
+    electionId,
+    blindedToken: pending.blindedToken,
+    ...signed
+  });
+  if (!resp.success) throw new Error(resp.error || "No se pudo obtener el token de voto");
+
+  // firma del token = firma ciega · r⁻¹ mod n, comprobada antes de usarla
+  const s = (BigInt(resp.blindSignature) * modInverse(BigInt(pending.r), n)) % n;
+  if (modPow(s, e, n) !== hashToInt(`voting-token:${electionId}:${pending.token}`, n, bytes)) {
+    throw new Error("La firma del registrador no es válida");
+  }
+  const ready = { token: pending.token, tokenSignature: toFixedHex(s, bytes) };
+  localStorage.setItem(key, JSON.stringify(ready));
+  return ready;
+}
+
+// choice: [id] de un candidato, del voto en blanco o de la abstención en lugar de la papeleta escrita
+async function castAnonymousVote(electionId, choice = null) {
+  if (!currentWallet) {
+    notify("error", "Debe conectar MetaMask");
+    return;
+  }
+
+  const candidateIds = choice || document.getElementById(`pref_${electionId}`).value
+    .split(",")
+    .map(v => parseInt(v.trim()))
+    .filter(v => !Number.isNaN(v));
+  if (!candidateIds.length) {
+    notify("error", "La papeleta no marca ningún candidato");
+    return;
+  }
+
+  let voting;
+  try {
+    const results = await callAPI("getResults", { electionId });
+    if (!results.success || !results.ballot || !results.ballot.registrarKey) {
+      throw new Error(results.error || "Esta elección no es de voto anónimo");
+    }
+    voting = await obtainVotingToken(electionId, results.ballot.registrarKey);
+  } catch (err) {
+    notify("error", err.message || "Error obteniendo el token de voto");
+    return;
+  }
+
+  // sin wallet ni sesión: solo la papeleta, el token y su firma
+  const resp = await callAPI("castAnonymousVote", { electionId, candidateIds, ...voting }, { anonymous: true });
+
+  if (resp.success) {
+    localStorage.removeItem(anonymousTokenKey(electionId));
+    notify("success", "Voto anónimo emitido");
+    loadStats();
+  } else {
+    notify("error", resp.error || "Error al votar");
+  }
+}
+
+
+
+// =============================
+// Voto cifrado (ElGamal homomórfico)
+// =============================
+// Lado del votante de utils/elgamal.js: un cifrado 0/1 por candidato con su prueba
+// y la prueba de que suman 1. El grupo (p, q, g) lo publica getKeyCeremony.
+function elgamalGroup(group) {
+  const P = BigInt(group.p);
+  const Q = BigInt(group.q);
+  const G = BigInt(group.g);
+  const mulP = (a, b) => (a * b) % P;
+  const pow = (base, exp) => modPow(base, ((exp % Q) + Q) % Q, P);
+  const inv = x => modPow(x, Q - 1n, P);
+  const toHex = n => "0x" + n.toString(16);
+  const randomScalar = () => (randomBigInt(40) % (Q - 1n)) + 1n;
+  const hashToScalar = (...parts) => BigInt(ethers.sha256(ethers.toUtf8Bytes(
+    parts.map(p => (typeof p === "bigint" ? toHex(p) : String(p)) + "|").join("")
+  ))) % Q;
+  return { Q, G, mulP, pow, inv, toHex, randomScalar, hashToScalar };
+}
+
+// Papeleta con un 1 en choice; el contexto (elección + wallet) ata las pruebas al votante
+function encryptBallot({ group, publicKey, electionId, voter, candidateIds, choice }) {
+  const { Q, G, mulP, pow, inv, toHex, randomScalar, hashToScalar } = elgamalGroup(group);
+  const h = BigInt(publicKey);
+  const context = `${electionId}:${voter.toLowerCase()}`;
+
+  // prueba disyuntiva de que (a, b) cifra 0 o 1 sin revelar cuál
+  const proveBit = (a, b, m, r) => {
+    const targets = [0n, 1n].map(v => mulP(b, inv(pow(G, v))));
+    const real = Number(m);
+    const fake = 1 - real;
+    const w = randomScalar();
+    const c = [0n, 0n];
+    const f = [0n, 0n];
+    const commits = [null, null];
+    c[fake] = randomScalar();
+    f[fake] = randomScalar();
+    commits[fake] = [
+      mulP(pow(G, f[fake]), pow(a, -c[fake])),
+      mulP(pow(h, f[fake]), pow(targets[fake], -c[fake]))
+    ];
+    commits[real] = [pow(G, w), pow(h, w)];
+    const challenge = hashToScalar("bit", context, h, a, b, ...commits.flat());
+    c[real] = (((challenge - c[fake]) % Q) + Q) % Q;
+    f[real] = (w + c[real] * r) % Q;
+    return { c0: toHex(c[0]), c1: toHex(c[1]), f0: toHex(f[0]), f1: toHex(f[1]) };
+  };
+
+  const parts = candidateIds.map(candidateId => {
+    const m = candidateId === choice ? 1n : 0n;
+    const r = randomScalar();
+    const a = pow(G, r);
+    const b = mulP(pow(G, m), pow(h, r));
+    return { candidateId, a, b, r, proof: proveBit(a, b, m, r) };
+  });
+
+  // Chaum-Pedersen: el producto de los cifrados cifra un 1
+  const sumA = parts.reduce((acc, p) => mulP(acc, p.a), 1n);
+  const sumB = mulP(parts.reduce((acc, p) => mulP(acc, p.b), 1n), inv(G));
+  const R = parts.reduce((acc, p) => (acc + p.r) % Q, 0n);
+  const w = randomScalar();
+  const c = hashToScalar("sum", context, h, sumA, sumB, pow(G, w), pow(h, w));
+
+  return {
+    ciphertexts: parts.map(p => ({ candidateId: p.candidateId, a: toHex(p.a), b: toHex(p.b), proof: p.proof })),
+    sumProof: { c: toHex(c), f: toHex((w + c * R) % Q) }
+  };
+}
+
+// Huella que se firma con EIP-712 (misma que elgamal.ballotDigest)
+function ballotDigest(ballot) {
+  const canonical = ballot.ciphertexts.map(ct => [Number(ct.candidateId), ct.a.toLowerCase(), ct.b.toLowerCase()]);
+  return ethers.sha256(ethers.toUtf8Bytes(JSON.stringify(canonical)));
+}
+
+async function castEncryptedVote(electionId, candidateId) {
+  if (!currentWallet) {
+    notify("error", "Debe conectar MetaMask");
+    return;
+  }
+
+  const ceremony = await callAPI("getKeyCeremony", { electionId });
+  if (!ceremony.success || !ceremony.publicKey) {
+    notify("error", ceremony.error || "La clave de la elección aún no está lista");
+    return;
+  }
+
+  const ballot = encryptBallot({
+    group: ceremony.group,
+    publicKey: ceremony.publicKey,
+    electionId,
+    voter: currentWallet,
+    candidateIds: ceremony.candidateIds,
+    choice: candidateId
+  });
+
+  let signed;
+  try {
+    signed = await signRequest("EncryptedVote", { voter: currentWallet, electionId, ballotHash: ballotDigest(ballot) });
+  } catch (err) {
+    notify("error", "Firma cancelada o inválida");
+    return;
+  }
+
+  const resp = await callAPI("castEncryptedVote", { walletAddress: currentWallet, electionId, ballot, ...signed });
+
+  if (resp.success) {
+    notify("success", "Voto cifrado emitido");
     loadStats();
   } else {
     notify("error", resp.error || "Error al votar");
@@ -248,17 +931,212 @@ async function loadResults() {
 
 async function loadResultsFor(id) {
   const container = document.getElementById("resultsContainer");
-  const resp = await callAPI("getCandidates", { electionId: id });
+  const resp = await callAPI("getResults", { electionId: id });
 
   if (!resp.success) return;
 
+  const outcome = resp.outcome;
+  const winners = outcome ? outcome.winners : [];
+  const unit = resp.election.method === "borda" ? "puntos" : resp.weighting ? "de peso" : "votos";
+
+  if (resp.questions) {
+    container.innerHTML = resp.questions.map(q => renderQuestionResults(q, resp)).join("") +
+      renderWeighting(resp.weighting, resp.election) + renderProxies(resp.proxies);
+    return;
+  }
+
   container.innerHTML = resp.candidates
     .map(c => `
         <div class="card">
-          <strong>${c.Name}</strong> — ${c.Votes} votos
+          <strong>${winners.includes(c.candidateId) ? "🏆 " : ""}${c.name}</strong> —
+          ${c.votes === null ? "resultado oculto" : `${c.votes} ${unit}`}
+          ${c.proxyVotes ? ` (${c.proxyVotes} por poderes)` : ""}
+          ${c.headcount !== undefined && c.headcount !== null ? ` · ${c.headcount} votantes (${c.headcountPercentage}%)` : ""}
         </div>
     `)
+    .join("") + renderTotals(resp.totals) + renderWeighting(resp.weighting, resp.election) + renderProxies(resp.proxies) + renderOutcome(outcome) + renderRounds(resp.candidates, outcome) + renderChain(resp.chain, id);
+}
+
+// Una pregunta de la papeleta: sus candidatos, su resultado formal y sus rondas
+function renderQuestionResults(q, resp) {
+  const winners = q.outcome ? q.outcome.winners : [];
+  const unit = q.method === "borda" ? "puntos" : resp.weighting ? "de peso" : "votos";
+  return `
+    <div class="card">
+      <h3>${q.questionId}. ${q.title}</h3>
+      ${q.candidates
+        .map(c => `<div>${winners.includes(c.candidateId) ? "🏆 " : ""}<strong>${c.name}</strong> —
+          ${c.votes === null ? "resultado oculto" : `${c.votes} ${unit} (${c.percentage}%)`}</div>`)
+        .join("")}
+    </div>
+  ` + renderTotals(q.totals) + renderOutcome(q.outcome) + renderRounds(q.candidates, q.outcome);
+}
+
+// Papeletas válidas, en blanco, abstenciones y nulas (los porcentajes son sobre las válidas)
+function renderTotals(totals) {
+  if (!totals) return "";
+
+  return `
+    <div class="card">
+      ✅ ${totals.valid} válidos · ⬜ ${totals.blank} en blanco · ➖ ${totals.abstain} abstenciones · ❌ ${totals.null} nulos
+    </div>
+  `;
+}
+
+const OUTCOME_LABELS = {
+  winner: "🏆 Ganador declarado",
+  runoffRequired: "🔁 Se requiere segunda vuelta",
+  invalidQuorum: "⛔ Inválida por falta de quórum",
+  tie: "⚖️ Empate sin ganador",
+  noWinner: "❌ Sin ganador",
+  noVotes: "— Sin votos"
+};
+
+// Resultado formal y su justificación (quórum, mayoría, desempate)
+function renderOutcome(outcome) {
+  if (!outcome || !outcome.status) return "";
+
+  return `
+    <div class="card">
+      <h3>${OUTCOME_LABELS[outcome.status] || outcome.status}${outcome.final ? "" : " (provisional)"}</h3>
+      <ul>${outcome.reasoning.map(r => `<li>${r}</li>`).join("")}</ul>
+    </div>
+  `;
+}
+
+// Rondas de eliminación / transferencia de IRV y STV
+function renderRounds(candidates, outcome) {
+  if (!outcome || !outcome.rounds.length) return "";
+
+  const name = id => (candidates.find(c => c.candidateId === id) || { name: `#${id}` }).name;
+  const header = candidates.map(c => `<th>${c.name}</th>`).join("");
+  const rows = outcome.rounds
+    .map(r => {
+      const cells = candidates.map(c => `<td>${r.counts[c.candidateId] ?? "—"}</td>`).join("");
+      const result = r.elected
+        ? `Elegido: ${r.elected.map(name).join(", ")}`
+        : `Eliminado: ${name(r.eliminated)}`;
+      return `<tr><td>${r.round}</td>${cells}<td>${r.exhausted}</td><td>${result}${r.tieBreak ? " (desempate)" : ""}</td></tr>`;
+    })
+    .join("");
+
+  return `
+    <div class="card">
+      <h3>Rondas (${outcome.method.toUpperCase()}${outcome.quota ? `, cuota ${outcome.quota}` : ""})</h3>
+      <table>
+        <tr><th>Ronda</th>${header}<th>Agotadas</th><th>Resultado</th></tr>
+        ${rows}
+      </table>
+    </div>
+  `;
+}
+
+const WEIGHTING_LABELS = { list: "lista importada", erc20: "saldo ERC-20", erc721: "NFTs ERC-721" };
+
+// Origen de los pesos de una elección ponderada
+function renderWeighting(weighting, election) {
+  if (!weighting) return "";
+
+  const source = WEIGHTING_LABELS[weighting.source] || weighting.source;
+  return `
+    <div class="card">
+      ⚖️ Voto ponderado (${source}${weighting.snapshotBlock !== undefined && weighting.snapshotBlock !== null ? `, bloque ${weighting.snapshotBlock}` : ""}):
+      ${weighting.takenAt ? `${election.totalWeight} de ${weighting.total} de peso emitido por ${election.totalVotes} votantes` : "pesos pendientes"}
+    </div>
+  `;
+}
+
+// Parte del recuento que llega por poderes
+function renderProxies(proxies) {
+  if (!proxies) return "";
+
+  return `
+    <div class="card">
+      🤝 ${proxies.carried} votos por poderes y ${proxies.direct} directos
+      (${proxies.delegations} poderes otorgados${proxies.maxProxies ? `, máximo ${proxies.maxProxies} por delegado` : ""})
+    </div>
+  `;
+}
+
+// Vueltas enlazadas (primera vuelta → segundas vueltas); cada una abre sus resultados
+function renderChain(chain, currentId) {
+  if (!chain || chain.length < 2) return "";
+
+  const items = chain
+    .map(e => {
+      const label = `Vuelta ${e.round}: ${e.title} (${e.status})`;
+      return Number(e.electionId) === Number(currentId)
+        ? `<li><strong>${label}</strong></li>`
+        : `<li><a href="#" onclick="loadResultsFor(${e.electionId}); return false;">${label}</a></li>`;
+    })
     .join("");
+
+  return `
+    <div class="card">
+      <h3>🔁 Vueltas de la elección</h3>
+      <ol>${items}</ol>
+    </div>
+  `;
+}
+
+
+
+// =============================
+// Voto delegado (poderes)
+// =============================
+// Lleva al formulario de delegación con la elección ya indicada
+function prepareDelegation(electionId) {
+  document.getElementById("delegateElectionId").value = electionId;
+  document.getElementById("delegateAddress").focus();
+}
+
+async function delegateVote() {
+  const electionId = parseInt(document.getElementById("delegateElectionId").value);
+  const delegate = document.getElementById("delegateAddress").value.trim().toLowerCase();
+
+  if (!currentWallet) {
+    notify("error", "Debe conectar MetaMask");
+    return;
+  }
+  if (!electionId || !delegate) {
+    notify("error", "Indica la elección y la wallet del delegado");
+    return;
+  }
+
+  let signed;
+  try {
+    signed = await signRequest("DelegateVote", { voter: currentWallet, electionId, delegate });
+  } catch (err) {
+    notify("error", "Firma cancelada o inválida");
+    return;
+  }
+
+  const resp = await callAPI("delegateVote", { walletAddress: currentWallet, electionId, delegate, ...signed });
+  notify(resp.success ? "success" : "error", resp.success ? "Poder otorgado" : resp.error || "Error al delegar");
+}
+
+async function revokeDelegation() {
+  const electionId = parseInt(document.getElementById("delegateElectionId").value);
+
+  if (!currentWallet) {
+    notify("error", "Debe conectar MetaMask");
+    return;
+  }
+  if (!electionId) {
+    notify("error", "Indica la elección");
+    return;
+  }
+
+  let signed;
+  try {
+    signed = await signRequest("RevokeDelegation", { voter: currentWallet, electionId });
+  } catch (err) {
+    notify("error", "Firma cancelada o inválida");
+    return;
+  }
+
+  const resp = await callAPI("revokeDelegation", { walletAddress: currentWallet, electionId, ...signed });
+  notify(resp.success ? "success" : "error", resp.success ? "Poder revocado" : resp.error || "Error al revocar");
 }
 
 
@@ -297,13 +1175,15 @@ async function createElection() {
 //  ADMIN — BD
 // =============================
 async function queryDB() {
-  const res = await fetch("http://localhost:3002/db/all");
+  const res = await fetch(`${BACKEND_ROOT}/db/all`, { headers: authHeaders() });
   const data = await res.json();
   document.getElementById("dbQueryResult").innerText = JSON.stringify(data, null, 2);
 }
 
 async function resetDB() {
-  await fetch("http://localhost:3002/db/reset");
+  const res = await fetch(`${BACKEND_ROOT}/db/reset`, { method: "POST", headers: authHeaders() });
+  const data = await res.json();
+  notify(data.success ? "success" : "error", data.message || data.error);
 }
 
 
@@ -312,12 +1192,26 @@ async function resetDB() {
 // EXPORTACIONES (CSV / XLSX)
 // sincronizado Google Sheets / JSON fallback
 // =============================
+// las exportaciones requieren sesión: se descargan con fetch en lugar de window.open
+async function downloadExport(format) {
+  const res = await fetch(`${BACKEND_ROOT}/export/${format}/votes`, { headers: authHeaders() });
+  if (!res.ok) {
+    notify("error", "No autorizado para exportar");
+    return;
+  }
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(await res.blob());
+  link.download = `votes.${format}`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
 function exportCSV() {
-  window.open("http://localhost:3002/export/csv/votes", "_blank");
+  downloadExport("csv");
 }
 
 function exportXLSX() {
-  window.open("http://localhost:3002/export/xlsx/votes", "_blank");
+  downloadExport("xlsx");
 }
 
 
@@ -333,14 +1227,39 @@ async function verifyTx() {
     return;
   }
 
-  try {
-    const receipt = await provider.getTransactionReceipt(tx);
-    document.getElementById("verificationResult").innerText =
-      receipt ? JSON.stringify(receipt, null, 2) : "Transacción no encontrada";
+  const VERDICTS = {
+    match: "✅ Voto verificado: coincide con el registro",
+    mismatch: "❌ La transacción no coincide con el voto registrado",
+    pending: "⏳ Transacción pendiente de confirmación",
+    not_found: "Transacción no encontrada"
+  };
 
-  } catch (err) {
-    notify("error", "Error verificando");
+  const resp = await callAPI("verifyTx", { txHash: tx });
+
+  if (!resp.success) {
+    notify("error", resp.error || "Error verificando");
+    return;
   }
+
+  const lines = [VERDICTS[resp.verdict] || resp.verdict, `Confirmaciones: ${resp.confirmations}`];
+  if (resp.event) lines.push(`Elección ${resp.event.electionId} · Candidato ${resp.event.candidateId} · ${resp.event.voter}`);
+  if (resp.mismatches.length) lines.push("Diferencias: " + resp.mismatches.join(", "));
+
+  document.getElementById("verificationResult").innerText = lines.join("\n");
+}
+
+
+async function verifyBlockchain() {
+  const target = document.getElementById("blockchainResult");
+  const resp = await callAPI("verifyChain");
+
+  if (!resp.success) {
+    notify("error", resp.error || "Error verificando blockchain");
+    return;
+  }
+
+  target.innerText = resp.message;
+  notify(resp.valid ? "success" : "error", resp.valid ? "Blockchain íntegra" : "Blockchain alterada");
 }
 
 
@@ -395,6 +1314,8 @@ window.addEventListener("DOMContentLoaded", () => {
   document.getElementById("btnExportCSV").onclick = exportCSV;
   document.getElementById("btnExportXLSX").onclick = exportXLSX;
   document.getElementById("verifyTxBtn").onclick = verifyTx;
+  document.getElementById("delegateBtn").onclick = delegateVote;
+  document.getElementById("revokeDelegationBtn").onclick = revokeDelegation;
 
   loadStats();
   loadActiveElections();